@@ -0,0 +1,59 @@
+/**
+ * Netlify Function: Admin Login
+ *
+ * Exchanges the dashboard password for a signed session token
+ * (see netlify/lib/admin-auth.js).
+ *
+ * POST /.netlify/functions/admin-login  { "password": "..." }
+ *   -> 200 { token, expiresAt }
+ *
+ * Environment Variables:
+ * - ADMIN_PASSWORD: Dashboard password
+ * - ADMIN_SESSION_SECRET: HMAC secret for session tokens
+ * - ADMIN_SESSION_HOURS: Session lifetime in hours (default: 8)
+ */
+
+const { isAdminConfigured, createAdminSession } = require('../lib/admin-auth');
+
+exports.handler = async (event, context) => {
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    if (!isAdminConfigured()) {
+        console.warn('ADMIN_PASSWORD or ADMIN_SESSION_SECRET not set. The admin dashboard is disabled.');
+        return {
+            statusCode: 503,
+            body: JSON.stringify({ error: 'Admin dashboard is not configured' })
+        };
+    }
+
+    let body;
+    try {
+        body = JSON.parse(event.body || '{}');
+    } catch (error) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Invalid JSON body' })
+        };
+    }
+
+    const session = createAdminSession(body.password);
+    if (!session) {
+        console.warn('Failed admin login attempt');
+        return {
+            statusCode: 401,
+            body: JSON.stringify({ error: 'Incorrect password' })
+        };
+    }
+
+    return {
+        statusCode: 200,
+        headers: { 'Cache-Control': 'private, no-store' },
+        body: JSON.stringify(session)
+    };
+};
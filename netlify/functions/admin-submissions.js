@@ -0,0 +1,75 @@
+/**
+ * Netlify Function: Admin Submissions
+ *
+ * Lists re-scored DISC submissions for the recruiter dashboard
+ * (public/admin.html), newest first. Requires an admin session token.
+ *
+ * GET /.netlify/functions/admin-submissions?role=&requisition=&primary=&from=&to=
+ *   Authorization: Bearer <session token from admin-login>
+ *   -> 200 { submissions: [...], roles: [...], total }
+ *
+ * Environment Variables:
+ * - ADMIN_SESSION_SECRET: HMAC secret for session tokens
+ * - SUBMISSION_STORE: Read submissions from the submission store
+ * - NETLIFY_API_TOKEN: Otherwise, personal access token to read them from Netlify Forms
+ */
+
+const { verifyAdminRequest } = require('../lib/admin-auth');
+const { listSubmissions, filterSubmissions } = require('../lib/submissions');
+
+exports.handler = async (event, context) => {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        const session = verifyAdminRequest(event.headers || {});
+        if (!session.valid) {
+            return {
+                statusCode: 401,
+                body: JSON.stringify({ error: session.error })
+            };
+        }
+
+        const params = event.queryStringParameters || {};
+
+        // Roles for the filter come from every submission, not just the filtered ones
+        const all = await listSubmissions({}, { event });
+        if (!all) {
+            console.warn('Neither SUBMISSION_STORE nor NETLIFY_API_TOKEN is set. Cannot read submissions.');
+            return {
+                statusCode: 503,
+                body: JSON.stringify({ error: 'Submissions are not available. Set SUBMISSION_STORE or NETLIFY_API_TOKEN to enable.' })
+            };
+        }
+
+        const submissions = filterSubmissions(all, {
+            role: params.role,
+            requisition: params.requisition,
+            primary: params.primary,
+            from: params.from,
+            to: params.to
+        });
+        const roles = [...new Set(all.map(row => row.role).filter(Boolean))].sort();
+
+        return {
+            statusCode: 200,
+            headers: { 'Cache-Control': 'private, no-store' },
+            body: JSON.stringify({ submissions, roles, total: all.length })
+        };
+    } catch (error) {
+        console.error('Error listing submissions:', error);
+
+        return {
+            statusCode: 502,
+            body: JSON.stringify({
+                error: 'Failed to list submissions',
+                message: error.message
+            })
+        };
+    }
+};
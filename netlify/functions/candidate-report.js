@@ -0,0 +1,97 @@
+/**
+ * Netlify Function: Candidate Report
+ *
+ * Downloads a candidate's PDF report: score chart, type narrative, validity
+ * indicators and interview-question suggestions (see
+ * netlify/lib/candidate-report.js). Requires an admin session token.
+ *
+ * GET /.netlify/functions/candidate-report?id=<submission id>&lang=en|es|fr
+ *   Authorization: Bearer <session token from admin-login>
+ *   -> 200 PDF download
+ *
+ * Environment Variables:
+ * - ADMIN_SESSION_SECRET: HMAC secret for session tokens
+ * - SUBMISSION_STORE: Read submissions from the submission store
+ * - NETLIFY_API_TOKEN: Otherwise, personal access token to read them from Netlify Forms
+ * - REPORT_LOCALE, REPORT_BRAND_NAME, REPORT_BRAND_COLOR: Report language and branding
+ */
+
+const { verifyAdminRequest } = require('../lib/admin-auth');
+const { findSubmission } = require('../lib/submission-store');
+const { isFormsApiConfigured } = require('../lib/forms-api');
+const { buildCandidateReport } = require('../lib/candidate-report');
+
+exports.handler = async (event, context) => {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        const session = verifyAdminRequest(event.headers || {});
+        if (!session.valid) {
+            return {
+                statusCode: 401,
+                body: JSON.stringify({ error: session.error })
+            };
+        }
+
+        const params = event.queryStringParameters || {};
+        if (!params.id || !/^[A-Za-z0-9_-]+$/.test(params.id)) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: 'Missing or invalid submission id' })
+            };
+        }
+
+        if (!process.env.SUBMISSION_STORE && !isFormsApiConfigured()) {
+            console.warn('Neither SUBMISSION_STORE nor NETLIFY_API_TOKEN is set. Cannot read submissions.');
+            return {
+                statusCode: 503,
+                body: JSON.stringify({ error: 'Submissions are not available. Set SUBMISSION_STORE or NETLIFY_API_TOKEN to enable.' })
+            };
+        }
+
+        const submission = await findSubmission(params.id, { event });
+        if (!submission) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Submission not found' })
+            };
+        }
+
+        const report = buildCandidateReport(submission, { locale: params.lang });
+        if (!report) {
+            return {
+                statusCode: 422,
+                body: JSON.stringify({ error: 'Submission is not a DISC assessment' })
+            };
+        }
+
+        console.log('Generated candidate report:', { submissionId: params.id, locale: report.locale });
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': report.contentType,
+                'Content-Disposition': `attachment; filename="${report.filename}"`,
+                'Cache-Control': 'private, no-store'
+            },
+            body: report.buffer.toString('base64'),
+            isBase64Encoded: true
+        };
+    } catch (error) {
+        console.error('Error generating candidate report:', error);
+
+        return {
+            statusCode: 502,
+            body: JSON.stringify({
+                error: 'Failed to generate candidate report',
+                message: error.message
+            })
+        };
+    }
+};
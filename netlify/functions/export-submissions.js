@@ -0,0 +1,105 @@
+/**
+ * Netlify Function: Export Submissions
+ *
+ * Downloads re-scored DISC submissions as CSV or JSON Lines for spreadsheets
+ * and applicant-tracking-system imports (see netlify/lib/submission-export.js).
+ * Requires an admin session token. The same export is available offline with
+ * scripts/export-submissions.js.
+ *
+ * GET /.netlify/functions/export-submissions?format=csv|jsonl&profile=&role=&requisition=&primary=&from=&to=
+ *   Authorization: Bearer <session token from admin-login>
+ *   -> 200 file download (profile: greenhouse, lever, workable or bamboohr)
+ *
+ * Environment Variables:
+ * - ADMIN_SESSION_SECRET: HMAC secret for session tokens
+ * - SUBMISSION_STORE: Read submissions from the submission store
+ * - NETLIFY_API_TOKEN: Otherwise, personal access token to read them from Netlify Forms
+ */
+
+const { verifyAdminRequest } = require('../lib/admin-auth');
+const { loadSubmissionHistory } = require('../lib/submission-store');
+const { exportSubmissions } = require('../lib/submission-export');
+const { getExportProfile } = require('../lib/export-profiles');
+
+const FORMATS = ['csv', 'jsonl'];
+
+exports.handler = async (event, context) => {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        const session = verifyAdminRequest(event.headers || {});
+        if (!session.valid) {
+            return {
+                statusCode: 401,
+                body: JSON.stringify({ error: session.error })
+            };
+        }
+
+        const params = event.queryStringParameters || {};
+        const format = params.format || 'csv';
+        if (!FORMATS.includes(format)) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: `format must be one of ${FORMATS.join(', ')}` })
+            };
+        }
+        // Custom profiles are files, so only the CLI takes them
+        if (params.profile && !getExportProfile(params.profile)) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: `Unknown export profile "${params.profile}"` })
+            };
+        }
+
+        const submissions = await loadSubmissionHistory({ event });
+        if (!submissions) {
+            console.warn('Neither SUBMISSION_STORE nor NETLIFY_API_TOKEN is set. Cannot read submissions.');
+            return {
+                statusCode: 503,
+                body: JSON.stringify({ error: 'Submissions are not available. Set SUBMISSION_STORE or NETLIFY_API_TOKEN to enable.' })
+            };
+        }
+
+        const exported = exportSubmissions(submissions, {
+            format,
+            profile: params.profile,
+            filters: {
+                role: params.role,
+                requisition: params.requisition,
+                primary: params.primary,
+                from: params.from,
+                to: params.to
+            }
+        });
+
+        const date = new Date().toISOString().slice(0, 10);
+        const name = `disc-submissions-${params.profile || 'all'}-${date}.${exported.extension}`;
+        console.log('Exported submissions:', { count: exported.count, format, profile: params.profile || null });
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': exported.contentType,
+                'Content-Disposition': `attachment; filename="${name}"`,
+                'Cache-Control': 'private, no-store'
+            },
+            body: exported.body
+        };
+    } catch (error) {
+        console.error('Error exporting submissions:', error);
+
+        return {
+            statusCode: 502,
+            body: JSON.stringify({
+                error: 'Failed to export submissions',
+                message: error.message
+            })
+        };
+    }
+};
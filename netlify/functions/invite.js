@@ -0,0 +1,143 @@
+/**
+ * Netlify Function: Invite
+ *
+ * Issues signed, expiring invitation links for a candidate and requisition,
+ * and verifies them for the assessment landing pages (see netlify/lib/invitations.js).
+ *
+ * POST /.netlify/functions/invite  (Authorization: Bearer <INVITE_ADMIN_KEY>)
+ *   { "name", "email", "role", "requisitionId", "instrument"?, "lang"? }
+ *   -> 201 { id, url, token, expiresAt }
+ *
+ * GET /.netlify/functions/invite?token=...
+ *   -> 200 { id, name, email, role, requisitionId, instrument, expiresAt }
+ *
+ * Environment Variables:
+ * - INVITE_SIGNING_SECRET: HMAC secret for invitation tokens
+ * - INVITE_ADMIN_KEY: Key recruiters send to issue invitations
+ * - INVITE_TTL_DAYS: Invitation lifetime in days (default: 14)
+ * - SUBMISSION_STORE or NETLIFY_API_TOKEN: Enables rejecting links that were already used
+ */
+
+const crypto = require('crypto');
+const { createInvitation, validateInvitationDetails, readInvitation, describeInvitation, findInvitationUses } = require('../lib/invitations');
+const { MOST_LEAST_ID } = require('../../public/js/instruments.js');
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod === 'GET') {
+        return verify(event);
+    }
+    if (event.httpMethod === 'POST') {
+        return issue(event);
+    }
+
+    return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' })
+    };
+};
+
+/**
+ * Issue an invitation (recruiters only)
+ */
+function issue(event) {
+    if (!process.env.INVITE_SIGNING_SECRET || !process.env.INVITE_ADMIN_KEY) {
+        console.warn('INVITE_SIGNING_SECRET or INVITE_ADMIN_KEY not set. Invitations are disabled.');
+        return {
+            statusCode: 503,
+            body: JSON.stringify({ error: 'Invitations are not configured' })
+        };
+    }
+
+    if (!isAuthorized(event.headers || {})) {
+        return {
+            statusCode: 401,
+            body: JSON.stringify({ error: 'Unauthorized' })
+        };
+    }
+
+    let details;
+    try {
+        details = JSON.parse(event.body || '{}');
+    } catch (error) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Invalid JSON body' })
+        };
+    }
+
+    const problems = validateInvitationDetails({ ...details, instrument: details.instrument || MOST_LEAST_ID });
+    if (problems.length > 0) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Invalid invitation', problems })
+        };
+    }
+
+    const invitation = createInvitation(details);
+    console.log('Issued invitation:', {
+        id: invitation.id,
+        requisitionId: details.requisitionId,
+        expiresAt: invitation.expiresAt
+    });
+
+    return {
+        statusCode: 201,
+        headers: { 'Cache-Control': 'private, no-store' },
+        body: JSON.stringify(invitation)
+    };
+}
+
+/**
+ * Verify an invitation for the landing page
+ */
+async function verify(event) {
+    const token = (event.queryStringParameters || {}).token;
+    if (!token) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing token' })
+        };
+    }
+
+    const { valid, payload, error } = readInvitation(token);
+    if (!valid) {
+        return {
+            statusCode: error === 'Token expired' ? 410 : 401,
+            body: JSON.stringify({ error })
+        };
+    }
+
+    // A failed lookup should not lock the candidate out; the relay checks again on submit
+    let uses = null;
+    try {
+        uses = await findInvitationUses(token, { event });
+    } catch (lookupError) {
+        console.warn('Could not check invitation reuse:', lookupError.message);
+    }
+    if (uses && uses.length > 0) {
+        return {
+            statusCode: 409,
+            body: JSON.stringify({ error: 'Invitation already used' })
+        };
+    }
+
+    return {
+        statusCode: 200,
+        headers: { 'Cache-Control': 'private, no-store' },
+        body: JSON.stringify(describeInvitation(payload))
+    };
+}
+
+/**
+ * Check the recruiter key in the Authorization header
+ * @param {Object} headers - Request headers (lower-cased by Netlify)
+ * @returns {boolean}
+ */
+function isAuthorized(headers) {
+    const match = /^Bearer\s+(.+)$/.exec(headers.authorization || '');
+    if (!match) return false;
+
+    const given = crypto.createHash('sha256').update(match[1]).digest();
+    const expected = crypto.createHash('sha256').update(process.env.INVITE_ADMIN_KEY).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
@@ -0,0 +1,151 @@
+/**
+ * Netlify Function: Replay Webhooks
+ *
+ * Lists and replays webhook deliveries that failed every retry and were kept
+ * in the dead-letter store (see netlify/lib/webhook-delivery.js), one entry per
+ * submission and destination. Each entry is replayed to its own destination with
+ * the destination's current mapping, and the same idempotency key as the
+ * original delivery, so receivers can drop anything they already processed.
+ * Requires an admin session token.
+ *
+ * GET /.netlify/functions/replay-webhooks
+ *   Authorization: Bearer <session token from admin-login>
+ *   -> 200 { deadLetters: [{ id, submissionId, destination, createdAt, failedAt, attempts, lastStatus, lastError }] }
+ *
+ * POST /.netlify/functions/replay-webhooks
+ *   Authorization: Bearer <session token from admin-login>
+ *   { "ids"?: [deadLetterId, ...] }  (default: replay all)
+ *   -> 200 { delivered: [...], failed: [{ id, destination, status, error }], missing: [...], pending: [...] }
+ *
+ * Replays stop before the function's time limit; entries not tried by then are
+ * listed in `pending` and can be replayed with another request.
+ *
+ * Environment Variables:
+ * - ADMIN_SESSION_SECRET: HMAC secret for session tokens
+ * - WEBHOOK_URL, netlify/webhooks.json: Destinations to replay to (see netlify/lib/webhook-destinations.js)
+ * - DEAD_LETTER_STORE or SUBMISSION_STORE: Where failed deliveries are kept
+ */
+
+const { verifyAdminRequest } = require('../lib/admin-auth');
+const { getDeadLetterStore, getFunctionDeadline } = require('../lib/webhook-delivery');
+const { DEFAULT_DESTINATION_ID, loadDestinations, replayDeadLetters } = require('../lib/webhook-destinations');
+
+// Time kept after the last replay attempt, to update the store and respond
+const AFTER_REPLAY_MS = 1500;
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const endsAt = getFunctionDeadline(context);
+
+    try {
+        const session = verifyAdminRequest(event.headers || {});
+        if (!session.valid) {
+            return {
+                statusCode: 401,
+                body: JSON.stringify({ error: session.error })
+            };
+        }
+
+        const store = getDeadLetterStore({ event });
+        if (!store) {
+            console.warn('Neither DEAD_LETTER_STORE nor SUBMISSION_STORE is set. Dead-lettering is disabled.');
+            return {
+                statusCode: 503,
+                body: JSON.stringify({ error: 'Dead-letter store is not configured. Set DEAD_LETTER_STORE or SUBMISSION_STORE to enable.' })
+            };
+        }
+
+        if (event.httpMethod === 'GET') {
+            const records = await store.list();
+            return {
+                statusCode: 200,
+                headers: { 'Cache-Control': 'private, no-store' },
+                body: JSON.stringify({ deadLetters: records.map(describeDeadLetter) })
+            };
+        }
+
+        return await replay(event, store, endsAt - AFTER_REPLAY_MS);
+    } catch (error) {
+        console.error('Error replaying webhooks:', error);
+
+        return {
+            statusCode: 502,
+            body: JSON.stringify({
+                error: 'Failed to replay webhooks',
+                message: error.message
+            })
+        };
+    }
+};
+
+/**
+ * Replay some or all dead letters
+ * @param {Object} event - Function event
+ * @param {Object} store - Dead-letter store
+ * @param {number} deadline - Unix ms by which replay attempts must have ended
+ */
+async function replay(event, store, deadline) {
+    const destinations = loadDestinations();
+    if (destinations.length === 0) {
+        return {
+            statusCode: 503,
+            body: JSON.stringify({ error: 'Webhook not configured. Set WEBHOOK_URL or add netlify/webhooks.json to enable.' })
+        };
+    }
+
+    let body;
+    try {
+        body = JSON.parse(event.body || '{}');
+    } catch (error) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Invalid JSON body' })
+        };
+    }
+
+    if (body.ids !== undefined && !Array.isArray(body.ids)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: '"ids" must be an array of dead-letter ids' })
+        };
+    }
+
+    // One attempt each, one after another, until the deadline; the rest are reported as pending
+    const outcome = await replayDeadLetters(store, destinations, { ids: body.ids, maxAttempts: 1, deadline });
+    console.log('Replayed dead letters:', {
+        delivered: outcome.delivered.length,
+        failed: outcome.failed.length,
+        missing: outcome.missing.length,
+        pending: outcome.pending.length
+    });
+
+    return {
+        statusCode: 200,
+        headers: { 'Cache-Control': 'private, no-store' },
+        body: JSON.stringify(outcome)
+    };
+}
+
+/**
+ * Dead-letter summary without the payload (it holds candidate answers)
+ * @param {Object} record - Dead-letter record
+ * @returns {Object}
+ */
+function describeDeadLetter(record) {
+    return {
+        id: record.id,
+        submissionId: record.payload ? record.payload.submissionId : null,
+        destination: record.destination || DEFAULT_DESTINATION_ID,
+        createdAt: record.created_at,
+        failedAt: record.failed_at,
+        attempts: record.attempts,
+        lastStatus: record.last_status,
+        lastError: record.last_error
+    };
+}
@@ -0,0 +1,49 @@
+/**
+ * Netlify Function: Results
+ *
+ * Verifies a signed results token (from a results link) and returns the
+ * result it carries for public/results.html to render.
+ *
+ * GET /.netlify/functions/results?token=...
+ *
+ * Environment Variables:
+ * - RESULTS_SIGNING_SECRET: HMAC secret used to sign results links
+ */
+
+const { readResultsToken } = require('../lib/results-link');
+
+exports.handler = async (event, context) => {
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const token = (event.queryStringParameters || {}).token;
+    if (!token) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing token' })
+        };
+    }
+
+    const { valid, payload, error } = readResultsToken(token);
+    if (!valid) {
+        return {
+            statusCode: error === 'Token expired' ? 410 : 401,
+            body: JSON.stringify({ error })
+        };
+    }
+
+    return {
+        statusCode: 200,
+        headers: { 'Cache-Control': 'private, no-store' },
+        body: JSON.stringify({
+            name: payload.name,
+            role: payload.role,
+            result: payload.result
+        })
+    };
+};
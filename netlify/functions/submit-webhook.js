@@ -2,17 +2,88 @@
  * Netlify Function: Submit Webhook Relay
  * 
  * This function receives form submissions from Netlify Forms and forwards them
- * to an external webhook endpoint (e.g., Zapier, Make, Airtable, Notion).
+ * to external webhook endpoints (e.g., Zapier, Make, Airtable, Notion, Slack).
  * 
  * SETUP:
- * 1. Add WEBHOOK_URL environment variable in Netlify dashboard
+ * 1. Add WEBHOOK_URL environment variable in Netlify dashboard, and/or list
+ *    destinations with their own mapping and conditions in netlify/webhooks.json
+ *    (see netlify/lib/webhook-destinations.js)
  * 2. Configure Netlify Forms notification to call this function
  * 3. Point notification to: https://your-site.netlify.app/.netlify/functions/submit-webhook
  * 
+ * With NETLIFY_WEBHOOK_SECRET set (the notification's "JWS secret token"),
+ * requests without a valid Netlify signature are rejected before anything
+ * else happens (see netlify/lib/form-signature.js).
+ * 
+ * Scores are re-computed server-side before forwarding (see netlify/lib/rescore.js),
+ * so the downstream never sees scores that were edited in the browser.
+ * Submissions with an expired, forged, edited or reused invitation are not
+ * forwarded (see netlify/lib/invitations.js). Accepted submissions are saved
+ * to the submission store (if configured) before the webhook is called, so
+ * they are kept even when WEBHOOK_URL is unset or unreachable.
+ * 
+ * Deliveries are signed, carry the submission id as an idempotency key and
+ * are retried with backoff (see netlify/lib/webhook-delivery.js), per destination.
+ * Deliveries that still fail go to the dead-letter store (202) for the
+ * replay-webhooks function. Retries stop early enough to leave time for the
+ * dead-letter write and the candidate email within the function's time limit.
+ * 
+ * The payload and the stored record carry the candidate's `fit` to the
+ * benchmark for their role, if any (see netlify/lib/role-benchmarks.js).
+ * 
+ * With WEBHOOK_ATTACH_REPORT=true the payload also carries the candidate's
+ * PDF report (see netlify/lib/candidate-report.js) as
+ * `report: { filename, contentType, locale, base64 }`.
+ * 
+ * With CANDIDATE_EMAIL_ENABLED=true the candidate is emailed a summary of
+ * their profile (see netlify/lib/candidate-email.js) after the webhooks are
+ * called; a mail failure does not affect them. The function URL is
+ * public, so only submissions known to be real are emailed (signed by Netlify,
+ * or carrying a valid invitation), and only once: when they are first stored.
+ * 
  * Environment Variables:
- * - WEBHOOK_URL: The external webhook endpoint to forward submissions to
+ * - WEBHOOK_URL: The external webhook endpoint to forward submissions to (destination "default")
+ * - NETLIFY_WEBHOOK_SECRET: JWS secret token of the form notification; unsigned requests are rejected
+ * - SCORE_MISMATCH_MODE: 'overwrite' (default) or 'flag' for tampered scores
+ * - RESULTS_SIGNING_SECRET: Enables a signed `resultsUrl` in the payload
+ * - INVITE_SIGNING_SECRET: Verifies invitation tokens (`invite_token`)
+ * - INVITE_REQUIRED: 'true' also rejects submissions without an invitation
+ * - NETLIFY_API_TOKEN: Enables rejecting reused invitations when there is no submission store
+ * - SUBMISSION_STORE: 'file' or 'blobs' to keep submissions (see netlify/lib/submission-store.js)
+ * - WEBHOOK_SIGNING_SECRET: Signs each delivery (X-Webhook-Signature)
+ * - WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_MS: Retry policy (default: 3 attempts, 500ms doubling)
+ * - DEAD_LETTER_STORE: Store for failed deliveries (defaults to SUBMISSION_STORE)
+ * - WEBHOOK_ATTACH_REPORT: 'true' attaches the PDF candidate report (in REPORT_LOCALE)
+ * - CANDIDATE_EMAIL_ENABLED, CANDIDATE_EMAIL_FROM, SMTP_HOST, ...: Candidate summary email
  */
 
+const crypto = require('crypto');
+const { verifySubmission, scoreSubmission } = require('../lib/rescore');
+const { createResultsLink } = require('../lib/results-link');
+const { checkInvitation, claimInvitation, isInvitationRejected } = require('../lib/invitations');
+const { getSubmissionStore, createSubmissionRecord } = require('../lib/submission-store');
+const { getDeadLetterStore, getFunctionDeadline } = require('../lib/webhook-delivery');
+const { loadDestinations, dispatchToDestinations } = require('../lib/webhook-destinations');
+const { createReportAttachment } = require('../lib/candidate-report');
+const { assessRoleFit } = require('../lib/role-benchmarks');
+const { isCandidateEmailEnabled, sendCandidateEmail } = require('../lib/candidate-email');
+const { isFormSignatureConfigured, verifyFormSignature } = require('../lib/form-signature');
+
+// Time kept after the webhook attempts, to dead-letter failures and send the candidate email
+const AFTER_DELIVERY_MS = 3000;
+
+// Time kept after the candidate email, to respond
+const RESPONSE_MARGIN_MS = 500;
+
+// Response status for each rejected invitation
+const INVITATION_STATUS_CODES = {
+    none: 403,
+    invalid: 401,
+    mismatch: 422,
+    expired: 410,
+    reused: 409
+};
+
 exports.handler = async (event, context) => {
     // Only allow POST requests
     if (event.httpMethod !== 'POST') {
@@ -22,57 +93,176 @@ exports.handler = async (event, context) => {
         };
     }
 
-    // Check if webhook URL is configured
-    const webhookUrl = process.env.WEBHOOK_URL;
-    
-    if (!webhookUrl) {
-        console.warn('WEBHOOK_URL environment variable not set. Skipping webhook relay.');
-        return {
-            statusCode: 200,
-            body: JSON.stringify({ 
-                message: 'Webhook not configured. Set WEBHOOK_URL environment variable to enable.' 
-            })
-        };
-    }
+    const endsAt = getFunctionDeadline(context);
 
     try {
+        // Anyone can POST to this URL; a Netlify signature proves the submission is real
+        const signature = isFormSignatureConfigured() ? verifyFormSignature(event) : null;
+        if (signature && !signature.valid) {
+            console.warn('Rejected form notification:', signature.error);
+            return {
+                statusCode: 401,
+                body: JSON.stringify({ error: signature.error })
+            };
+        }
+
         // Parse the incoming submission data
         const submission = JSON.parse(event.body);
+
+        // Netlify always sends an id; without one, a unique id keeps this submission's record,
+        // idempotency key and dead letters apart from every other
+        if (!submission.id) {
+            submission.id = crypto.randomUUID();
+            console.warn('Submission has no id; using', submission.id);
+        }
+
+        // Invitation links are single-use and expire; the form fields they lock must match.
+        // A valid one is recorded as used by this submission, so the next one is rejected
+        const checked = await checkInvitation(submission.data || {}, {
+            submissionId: submission.id,
+            submittedAt: submission.created_at,
+            event
+        });
+        const invitation = await claimInvitation(checked, submission.id, { event });
+        if (isInvitationRejected(invitation, { required: process.env.INVITE_REQUIRED === 'true' })) {
+            console.warn('Rejected submission with invitation status:', {
+                submissionId: submission.id,
+                status: invitation.status,
+                invitationId: invitation.invitation ? invitation.invitation.id : null
+            });
+            return {
+                statusCode: INVITATION_STATUS_CODES[invitation.status],
+                body: JSON.stringify({
+                    error: invitation.error || 'Invitation required',
+                    invitationStatus: invitation.status,
+                    submissionId: submission.id
+                })
+            };
+        }
         
+        // Re-score raw answers so tampered client scores never reach the webhook
+        const { data, verification } = verifySubmission(submission.data || {}, {
+            mode: process.env.SCORE_MISMATCH_MODE
+        });
+
+        if (verification.status === 'mismatch') {
+            console.warn('Client scores disagree with server scores:', {
+                submissionId: submission.id,
+                mismatches: verification.mismatches.map(m => m.field)
+            });
+        }
+
+        const invitationSummary = {
+            status: invitation.status,
+            reuseChecked: invitation.reuseChecked,
+            id: invitation.invitation ? invitation.invitation.id : null,
+            requisitionId: invitation.invitation ? invitation.invitation.requisitionId : null
+        };
+
+        const fit = assessFit(data, invitationSummary);
+
+        // Keep our own record before relaying; a storage failure must not block the webhook
+        const stored = await storeSubmission(submission, { verification, invitation: invitationSummary, fit }, event);
+
+        const resultsUrl = createResultsLink(data, submission.id);
+        const sendEmail = () => emailCandidate({ ...submission, data }, resultsUrl, {
+            authentic: Boolean(signature && signature.valid) || invitation.status === 'valid',
+            stored,
+            deadline: endsAt - RESPONSE_MARGIN_MS
+        });
+
+        // Destinations come from netlify/webhooks.json and WEBHOOK_URL
+        const destinations = loadDestinations();
+
+        if (destinations.length === 0) {
+            console.warn('No webhook destinations configured. Skipping webhook relay.');
+            const emailed = await sendEmail();
+            return {
+                statusCode: 200,
+                body: JSON.stringify({
+                    message: 'Webhook not configured. Set WEBHOOK_URL or add netlify/webhooks.json to enable.',
+                    stored,
+                    emailed
+                })
+            };
+        }
+
         // Extract relevant data
         const payload = {
-            submissionId: submission.id || 'unknown',
+            submissionId: submission.id,
             formName: submission.form_name || 'disc-assessment',
             timestamp: submission.created_at || new Date().toISOString(),
-            data: submission.data || {}
+            verification,
+            invitation: invitationSummary,
+            fit,
+            resultsUrl,
+            data
         };
 
-        console.log('Forwarding submission to webhook:', {
+        if (process.env.WEBHOOK_ATTACH_REPORT === 'true') {
+            payload.report = attachReport(submission);
+        }
+
+        console.log('Forwarding submission to webhooks:', {
             submissionId: payload.submissionId,
-            webhookUrl: webhookUrl.substring(0, 30) + '...' // Log partial URL for security
+            destinations: destinations.map(d => d.id) // Ids only; URLs may hold secrets
         });
 
-        // Forward to external webhook
-        const response = await fetch(webhookUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'Netlify-Function-Webhook-Relay/1.0'
-            },
-            body: JSON.stringify(payload)
+        // Each destination is signed, retried, and dead-lettered if it keeps failing, independently of the others
+        const deliveries = await dispatchToDestinations(payload, destinations, {
+            deadLetterStore: openDeadLetterStore(event),
+            deadline: endsAt - AFTER_DELIVERY_MS
         });
 
-        if (!response.ok) {
-            throw new Error(`Webhook responded with status: ${response.status}`);
+        // After the webhooks, so a slow mail server cannot cost a delivery or its dead letter
+        const emailed = await sendEmail();
+
+        const failed = deliveries.filter(d => d.status === 'failed');
+        const deadLettered = deliveries.filter(d => d.status === 'dead-lettered');
+        if (failed.length > 0 || deadLettered.length > 0) {
+            console.warn('Webhook deliveries failed:', {
+                submissionId: payload.submissionId,
+                deliveries: [...failed, ...deadLettered]
+            });
         }
 
-        console.log('Successfully forwarded submission to webhook');
+        if (failed.length > 0) {
+            return {
+                statusCode: 500,
+                body: JSON.stringify({
+                    error: 'Failed to forward submission',
+                    message: failed.map(d => `${d.destination}: ${d.error}`).join('; '),
+                    submissionId: payload.submissionId,
+                    deliveries,
+                    stored,
+                    emailed
+                })
+            };
+        }
+
+        if (deadLettered.length > 0) {
+            return {
+                statusCode: 202,
+                body: JSON.stringify({
+                    message: 'Webhook delivery failed. Submission kept for replay.',
+                    submissionId: payload.submissionId,
+                    deliveries,
+                    stored,
+                    emailed
+                })
+            };
+        }
+
+        console.log('Successfully forwarded submission to webhooks');
 
         return {
             statusCode: 200,
             body: JSON.stringify({
                 message: 'Submission forwarded successfully',
-                submissionId: payload.submissionId
+                submissionId: payload.submissionId,
+                deliveries,
+                stored,
+                emailed
             })
         };
 
@@ -88,3 +278,108 @@ exports.handler = async (event, context) => {
         };
     }
 };
+
+/**
+ * Save a submission to the configured store
+ * @param {Object} submission - Netlify submission
+ * @param {Object} extras - {verification, invitation, fit}
+ * @param {Object} event - Function event
+ * @returns {Promise<boolean>} - Whether a new record was stored (false for a replayed submission)
+ */
+async function storeSubmission(submission, extras, event) {
+    try {
+        const store = getSubmissionStore({ event });
+        if (!store) return false;
+
+        const record = await store.create(createSubmissionRecord(submission, extras));
+        console.log('Stored submission:', { submissionId: record.id });
+        return true;
+    } catch (error) {
+        console.error('Failed to store submission:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Email the candidate their summary, if enabled; a mail failure must not block the webhook
+ * @param {Object} submission - Netlify submission with verified data
+ * @param {string|null} resultsUrl - Signed results link
+ * @param {Object} checks - {authentic: signed by Netlify or invited, stored: first time this submission was stored,
+ *   deadline: Unix ms by which sending must have ended}
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+async function emailCandidate(submission, resultsUrl, checks) {
+    if (!isCandidateEmailEnabled()) return false;
+
+    // Otherwise anyone could send mail from our sender to any address, or repeat it by replaying a submission
+    if (!checks.authentic) {
+        console.warn('Skipping candidate email: submission is not signed by Netlify (NETLIFY_WEBHOOK_SECRET) and has no valid invitation');
+        return false;
+    }
+    if (!checks.stored) {
+        console.warn('Skipping candidate email: submission was not newly stored (a replay, or SUBMISSION_STORE is not set)', {
+            submissionId: submission.id
+        });
+        return false;
+    }
+
+    try {
+        const email = await sendCandidateEmail(submission, { resultsUrl, deadline: checks.deadline });
+        if (email.status === 'sent') {
+            console.log('Sent candidate email:', { submissionId: submission.id, locale: email.locale });
+        }
+        return email.status === 'sent';
+    } catch (error) {
+        console.error('Failed to send candidate email:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Match the candidate against the benchmark for their role; a failure must not block the webhook
+ * @param {Object} data - Verified form fields
+ * @param {Object} invitation - Invitation summary (for its requisition)
+ * @returns {Object|null} - Fit, or null when no benchmark applies
+ */
+function assessFit(data, invitation) {
+    try {
+        const scored = scoreSubmission(data);
+        if (!scored) return null;
+
+        return assessRoleFit({
+            role: data.role_applied_for || data.position_applied_for,
+            requisitionId: invitation.requisitionId
+        }, scored.result.percentages);
+    } catch (error) {
+        console.error('Failed to assess role fit:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Open the dead-letter store, if any
+ * @param {Object} event - Function event
+ * @returns {Object|null} - Store, or null when dead-lettering is off or unavailable
+ */
+function openDeadLetterStore(event) {
+    try {
+        return getDeadLetterStore({ event });
+    } catch (error) {
+        console.error('Failed to open dead-letter store:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Build the PDF report to attach; a report failure must not block the webhook
+ * @param {Object} submission - Netlify submission
+ * @returns {Object|null} - Attachment ({filename, contentType, locale, base64}), or null
+ */
+function attachReport(submission) {
+    try {
+        return createReportAttachment(submission);
+    } catch (error) {
+        console.error('Failed to build candidate report:', error.message);
+        return null;
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * Netlify Function: Verify Submission
+ *
+ * Re-scores the raw answers of a DISC submission (g{n}_most/g{n}_least or
+ * q1..qN) server-side and reports whether the client-supplied scores were
+ * tampered with, and checks its invitation token (if any) for expiry, edits
+ * and reuse.
+ *
+ * Accepts either a Netlify Forms notification payload ({ id, data: {...} })
+ * or the bare form fields as JSON.
+ *
+ * Environment Variables:
+ * - SCORE_MISMATCH_MODE: 'overwrite' (default) replaces client scores with the
+ *   server scores, 'flag' keeps them and only marks the submission
+ * - INVITE_SIGNING_SECRET: Verifies invitation tokens (`invite_token`)
+ * - SUBMISSION_STORE or NETLIFY_API_TOKEN: Enables the invitation reuse check
+ */
+
+const { verifySubmission } = require('../lib/rescore');
+const { checkInvitation } = require('../lib/invitations');
+
+exports.handler = async (event, context) => {
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    let submission;
+    try {
+        submission = JSON.parse(event.body || '{}');
+    } catch (error) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Invalid JSON body' })
+        };
+    }
+
+    const fields = submission.data || submission;
+    const result = verifySubmission(fields, { mode: process.env.SCORE_MISMATCH_MODE });
+    const invitation = await checkInvitation(fields, {
+        submissionId: submission.id,
+        submittedAt: submission.created_at,
+        event
+    });
+
+    if (result.verification.status === 'mismatch') {
+        console.warn('Client scores disagree with server scores:', {
+            submissionId: submission.id || 'unknown',
+            mismatches: result.verification.mismatches.map(m => m.field)
+        });
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            submissionId: submission.id || null,
+            verification: result.verification,
+            invitation,
+            data: result.data
+        })
+    };
+};
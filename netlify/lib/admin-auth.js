@@ -0,0 +1,76 @@
+/**
+ * Admin Sessions
+ *
+ * Password login for the recruiter dashboard (public/admin.html). A correct
+ * password is exchanged for a short-lived signed session token, which the
+ * dashboard sends as "Authorization: Bearer <token>" to the admin functions.
+ *
+ * Environment Variables:
+ * - ADMIN_PASSWORD: Dashboard password (the dashboard is disabled without it)
+ * - ADMIN_SESSION_SECRET: HMAC secret for session tokens
+ * - ADMIN_SESSION_HOURS: Session lifetime in hours (default: 8)
+ */
+
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./signing');
+
+const DEFAULT_SESSION_HOURS = 8;
+
+// Token type, so results or invitation tokens never open the dashboard
+const TOKEN_TYPE = 'admin';
+
+/**
+ * Whether the dashboard is configured
+ * @returns {boolean}
+ */
+function isAdminConfigured() {
+    return Boolean(process.env.ADMIN_PASSWORD && process.env.ADMIN_SESSION_SECRET);
+}
+
+/**
+ * Exchange the dashboard password for a session
+ * @param {string} password - Password entered on the login form
+ * @returns {Object|null} - {token, expiresAt}, or null if the password is wrong
+ */
+function createAdminSession(password) {
+    if (!isAdminConfigured() || typeof password !== 'string') return null;
+
+    // Hash both sides so the comparison is constant-time whatever the lengths
+    const given = crypto.createHash('sha256').update(password).digest();
+    const expected = crypto.createHash('sha256').update(process.env.ADMIN_PASSWORD).digest();
+    if (!crypto.timingSafeEqual(given, expected)) return null;
+
+    const hours = Number(process.env.ADMIN_SESSION_HOURS) || DEFAULT_SESSION_HOURS;
+    const token = signToken({ typ: TOKEN_TYPE }, process.env.ADMIN_SESSION_SECRET, { expiresIn: hours * 60 * 60 });
+    const { payload } = verifyToken(token, process.env.ADMIN_SESSION_SECRET);
+
+    return { token, expiresAt: new Date(payload.exp * 1000).toISOString() };
+}
+
+/**
+ * Verify the session token of an admin request
+ * @param {Object} headers - Request headers (lower-cased by Netlify)
+ * @returns {Object} - {valid, error?}
+ */
+function verifyAdminRequest(headers = {}) {
+    const match = /^Bearer\s+(.+)$/.exec(headers.authorization || '');
+    if (!match) {
+        return { valid: false, error: 'Missing session' };
+    }
+
+    const { valid, payload, error } = verifyToken(match[1], process.env.ADMIN_SESSION_SECRET);
+    if (!valid) {
+        return { valid: false, error: error === 'Token expired' ? 'Session expired' : error };
+    }
+    if (payload.typ !== TOKEN_TYPE) {
+        return { valid: false, error: 'Not an admin session' };
+    }
+
+    return { valid: true };
+}
+
+module.exports = {
+    isAdminConfigured,
+    createAdminSession,
+    verifyAdminRequest
+};
@@ -0,0 +1,127 @@
+/**
+ * Blob Submission Store
+ *
+ * Keeps each submission as a JSON blob keyed by its id in a Netlify Blobs
+ * store (any client with the same get/setJSON/delete/list methods works,
+ * e.g. an in-memory fake in tests). `create` is a conditional write
+ * (`onlyIfNew`), so of two concurrent creates of the same id exactly one
+ * succeeds - the relay relies on this to email a candidate only once.
+ *
+ * Uses the `@netlify/blobs` package (a dependency in package.json).
+ */
+
+const { assertValidRecord, newestFirst } = require('./submission-store');
+
+/**
+ * Create a store on top of a blob client
+ * @param {Object} blobs - Blob store client ({get, setJSON, delete, list})
+ * @returns {Object} - Store ({create, put, get, list, delete})
+ */
+function createBlobStore(blobs) {
+    return {
+        async create(record) {
+            assertValidRecord(record);
+            const { modified } = await blobs.setJSON(record.id, record, { onlyIfNew: true });
+            if (!modified) {
+                throw new Error(`Submission ${record.id} already exists`);
+            }
+            return record;
+        },
+
+        async put(record) {
+            assertValidRecord(record);
+            await blobs.setJSON(record.id, record);
+            return record;
+        },
+
+        async get(id) {
+            return (await blobs.get(id, { type: 'json' })) || null;
+        },
+
+        async list(options = {}) {
+            const { blobs: entries } = await blobs.list();
+            const records = await Promise.all(entries.map(entry => blobs.get(entry.key, { type: 'json' })));
+            return newestFirst(records.filter(Boolean), options);
+        },
+
+        async delete(id) {
+            if (!(await blobs.get(id))) return false;
+            await blobs.delete(id);
+            return true;
+        }
+    };
+}
+
+/**
+ * Open a Netlify Blobs store
+ * @param {string} name - Store name
+ * @param {Object} event - Function event (connects the client inside a deployed function)
+ * @returns {Object} - Store ({create, put, get, list, delete})
+ */
+function openBlobStore(name, event) {
+    const { getStore, connectLambda } = require('@netlify/blobs');
+    if (event && event.blobs && connectLambda) {
+        connectLambda(event);
+    }
+    return createBlobStore(getStore(name));
+}
+
+/**
+ * Basic unit tests for the blob store, on an in-memory client
+ * Run with: node -e "require('./netlify/lib/blob-store').runTests()"
+ */
+async function runTests() {
+    console.log('Running Blob Store Tests...\n');
+
+    // Same answers as Netlify Blobs for the calls the store makes
+    const entries = new Map();
+    const client = {
+        async get(key) {
+            return entries.has(key) ? JSON.parse(entries.get(key)) : null;
+        },
+        async setJSON(key, value, options = {}) {
+            if (options.onlyIfNew && entries.has(key)) return { modified: false };
+            entries.set(key, JSON.stringify(value));
+            return { modified: true };
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async list() {
+            return { blobs: [...entries.keys()].map(key => ({ key })) };
+        }
+    };
+    const store = createBlobStore(client);
+    const first = { id: 'sub-1', created_at: '2026-01-01T00:00:00Z', data: { email: 'ana@example.com' } };
+    const second = { id: 'sub-2', created_at: '2026-01-02T00:00:00Z', data: {} };
+
+    // Test 1: Create and get
+    console.assert((await store.create(first)).id === 'sub-1', 'Test 1a: Create should return the record');
+    console.assert((await store.get('sub-1')).data.email === 'ana@example.com', 'Test 1b: Get should return the stored record');
+    console.assert(await store.get('sub-9') === null, 'Test 1c: Unknown id should return null');
+    console.log('✓ Test 1: Create and get passed');
+
+    // Test 2: Duplicates, also when two creates race
+    const duplicate = await store.create({ ...first, data: {} }).catch(error => error);
+    console.assert(duplicate instanceof Error && /already exists/.test(duplicate.message), 'Test 2a: Duplicate id should throw');
+    console.assert((await store.get('sub-1')).data.email === 'ana@example.com', 'Test 2b: Duplicate should not overwrite');
+    const raced = await Promise.allSettled([store.create(second), store.create({ ...second })]);
+    console.assert(raced.filter(result => result.status === 'fulfilled').length === 1, 'Test 2c: Only one of two concurrent creates should succeed');
+    console.log('✓ Test 2: Duplicates passed');
+
+    // Test 3: Put, list and delete
+    await store.put({ ...first, data: { email: 'new@example.com' } });
+    console.assert((await store.get('sub-1')).data.email === 'new@example.com', 'Test 3a: Put should replace in place');
+    console.assert((await store.list()).map(record => record.id).join() === 'sub-2,sub-1', 'Test 3b: List should be newest first');
+    console.assert(await store.delete('sub-1') === true && await store.delete('sub-1') === false, 'Test 3c: Delete should report whether a record was removed');
+    console.assert((await store.list()).length === 1, 'Test 3d: Deleted record should not be listed');
+    console.log('✓ Test 3: Put, list and delete passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    createBlobStore,
+    openBlobStore,
+    runTests
+};
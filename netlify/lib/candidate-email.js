@@ -0,0 +1,159 @@
+/**
+ * Candidate Email
+ *
+ * Optional summary email to the candidate after they submit the assessment:
+ * their profile title and summary, the profile's "working with" tips, and a
+ * link to their full results when results links are enabled (see
+ * results-link.js). The submission is re-scored like the dashboard (see
+ * submissions.js), so the email never repeats scores edited in the browser.
+ *
+ * The text comes from netlify/data/candidate_email.json, in the language the
+ * assessment was taken in (candidate_email.<locale>.json, then English), and
+ * is sent through the SMTP transport in smtp.js. The relay only sends it for
+ * submissions it knows are real, the first time they are stored (see
+ * submit-webhook.js).
+ *
+ * Environment Variables:
+ * - CANDIDATE_EMAIL_ENABLED: 'true' sends the email (set it per deploy context to keep previews quiet)
+ * - CANDIDATE_EMAIL_FROM: Sender, e.g. "Acme Hiring <hiring@acme.com>" (required to send)
+ * - CANDIDATE_EMAIL_REPLY_TO: Reply-To address (optional)
+ * - REPORT_BRAND_NAME: Signature (default: the site name)
+ * - SMTP_HOST and the other SMTP_* settings: Transport (see smtp.js)
+ */
+
+const { summarizeSubmission } = require('./submissions');
+const { resolveSiteLocale, useLocale } = require('./site-locales');
+const { renderTemplate } = require('./templates');
+const { getSmtpConfig, isEmailAddress, formatAddress, sendMail } = require('./smtp');
+const { t } = require('../../public/js/i18n.js');
+const { getTypeDescription } = require('../../public/js/scoring.js');
+const { escapeHtml } = require('../../public/js/html.js');
+
+const TEMPLATE = require('../data/candidate_email.json');
+const TEMPLATE_TRANSLATIONS = {
+    es: require('../data/candidate_email.es.json'),
+    fr: require('../data/candidate_email.fr.json')
+};
+
+/**
+ * Whether this deployment sends candidate emails
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {boolean}
+ */
+function isCandidateEmailEnabled(env = process.env) {
+    return env.CANDIDATE_EMAIL_ENABLED === 'true';
+}
+
+/**
+ * Email template in a locale; fields a translation leaves out stay in English
+ * @param {string} locale - Locale code
+ * @returns {Object} - {subject, text, html, results, resultsHtml}
+ */
+function getEmailTemplate(locale) {
+    return { ...TEMPLATE, ...(TEMPLATE_TRANSLATIONS[locale] || {}) };
+}
+
+/**
+ * Write a candidate's email
+ * @param {Object} submission - Submission ({id, created_at, form_name, data}) with verified data
+ * @param {Object} options - {resultsUrl: signed results link, if any}
+ * @returns {Object|null} - {to, subject, text, html, locale}, or null when the submission is not a
+ *                          complete DISC assessment or has no usable email address
+ */
+function buildCandidateEmail(submission, options = {}) {
+    const summary = summarizeSubmission(submission);
+    if (!summary || !summary.complete || !isEmailAddress(summary.email)) return null;
+
+    const locale = resolveSiteLocale([summary.locale]);
+    useLocale(locale);
+
+    const template = getEmailTemplate(locale);
+    const description = getTypeDescription(summary.result.primaryType, summary.result);
+    const tips = description.worksWith || [];
+    const context = {
+        candidate: {
+            name: summary.name,
+            firstName: summary.name.split(/\s+/)[0],
+            role: summary.role
+        },
+        profile: {
+            title: description.title,
+            summary: description.summary
+        },
+        resultsUrl: options.resultsUrl || '',
+        brand: process.env.REPORT_BRAND_NAME || t('common.brand')
+    };
+
+    const text = renderTemplate(template.text, {
+        ...context,
+        tips: tips.map(tip => `- ${tip}`).join('\n'),
+        results: options.resultsUrl ? renderTemplate(template.results, context) : ''
+    });
+
+    // Candidate details and profile text are escaped; the template itself is trusted
+    const escaped = escapeValues(context);
+    const html = renderTemplate(template.html, {
+        ...escaped,
+        tips: `<ul>${tips.map(tip => `<li>${escapeHtml(tip)}</li>`).join('')}</ul>`,
+        results: options.resultsUrl ? renderTemplate(template.resultsHtml, escaped) : ''
+    });
+
+    return {
+        to: formatAddress(summary.name, summary.email),
+        subject: renderTemplate(template.subject, context).replace(/\s+/g, ' ').trim(),
+        // An empty {{results}} would leave a gap of blank lines
+        text: text.replace(/\n{3,}/g, '\n\n').trim(),
+        html,
+        locale
+    };
+}
+
+/**
+ * Send a candidate's email, when enabled and configured
+ * @param {Object} submission - Submission with verified data
+ * @param {Object} options - {resultsUrl, deadline: Unix ms by which sending must have ended}
+ * @returns {Promise<Object>} - {status: 'sent', messageId, locale} or {status: 'skipped', reason}
+ */
+async function sendCandidateEmail(submission, options = {}) {
+    if (!isCandidateEmailEnabled()) {
+        return { status: 'skipped', reason: 'disabled' };
+    }
+
+    const config = getSmtpConfig();
+    const from = process.env.CANDIDATE_EMAIL_FROM;
+    if (!config || !from) {
+        console.warn('CANDIDATE_EMAIL_ENABLED is set but SMTP_HOST or CANDIDATE_EMAIL_FROM is missing. Skipping candidate email.');
+        return { status: 'skipped', reason: 'not configured' };
+    }
+
+    const email = buildCandidateEmail(submission, options);
+    if (!email) {
+        return { status: 'skipped', reason: 'no complete result or email address' };
+    }
+
+    const sent = await sendMail({
+        from,
+        to: email.to,
+        replyTo: process.env.CANDIDATE_EMAIL_REPLY_TO,
+        subject: email.subject,
+        text: email.text,
+        html: email.html
+    }, { ...config, deadline: options.deadline });
+
+    return { status: 'sent', messageId: sent.messageId, locale: email.locale };
+}
+
+function escapeValues(value) {
+    if (typeof value === 'string') return escapeHtml(value);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, escapeValues(entry)]));
+    }
+    return value;
+}
+
+module.exports = {
+    isCandidateEmailEnabled,
+    getEmailTemplate,
+    buildCandidateEmail,
+    sendCandidateEmail
+};
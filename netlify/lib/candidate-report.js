@@ -0,0 +1,437 @@
+/**
+ * Candidate Report
+ *
+ * Builds the branded PDF report recruiters download from the dashboard (see
+ * the candidate-report function) and that the webhook relay can attach to
+ * its payload. The report re-scores the submission like the dashboard (see
+ * submissions.js) and shows:
+ * - the candidate's details
+ * - the score chart, drawn from the same bars as createScoreChart (ui.js)
+ * - the fit to the role benchmark, with a gap explanation per dimension (fit.js)
+ * - the type narrative from getTypeDescription (scoring.js)
+ * - validity indicators (score verification, low confidence, validity flags)
+ * - interview-question suggestions for the candidate's styles and flags
+ *   (netlify/data/interview_questions.json, kept out of the published site)
+ *
+ * Reports are written in a site locale: options.locale, then REPORT_LOCALE,
+ * then English. Profile text and questions use the locale's translations.
+ *
+ * Environment Variables:
+ * - REPORT_LOCALE: Default report language (default: en)
+ * - REPORT_BRAND_NAME: Name in the report header (default: the site name)
+ * - REPORT_BRAND_COLOR: Header color as #RRGGBB (default: #2563EB)
+ */
+
+const { summarizeSubmission } = require('./submissions');
+const { createPdfDocument } = require('./pdf');
+const { resolveSiteLocale, useLocale } = require('./site-locales');
+const { t } = require('../../public/js/i18n.js');
+const { getTypeDescription } = require('../../public/js/scoring.js');
+const { getScoreChartBars } = require('../../public/js/ui.js');
+const { DIMENSIONS } = require('../../public/js/scoring-core.js');
+const { getFitGaps, describeFitDimension } = require('../../public/js/fit.js');
+
+const QUESTIONS = require('../data/interview_questions.json');
+const QUESTION_TRANSLATIONS = {
+    es: require('../data/interview_questions.es.json'),
+    fr: require('../data/interview_questions.fr.json')
+};
+
+const DEFAULT_BRAND_COLOR = '#2563EB';
+const MARGIN = 48;
+const FOOTER_HEIGHT = 40;
+// The chart is laid out on the 260x240 grid of createScoreChart
+const CHART_SCALE = 0.85;
+
+/**
+ * Pick the report locale
+ * @param {string} requested - Requested locale (e.g. ?lang=)
+ * @returns {string} - Supported locale code
+ */
+function resolveReportLocale(requested) {
+    return resolveSiteLocale([requested, process.env.REPORT_LOCALE]);
+}
+
+/**
+ * Interview questions in a locale; untranslated or mismatched lists stay in English
+ * @param {string} locale - Locale code
+ * @returns {Object} - {dimensions, validity}
+ */
+function getInterviewQuestions(locale) {
+    const translation = QUESTION_TRANSLATIONS[locale];
+    if (!translation) return QUESTIONS;
+
+    const dimensions = {};
+    Object.entries(QUESTIONS.dimensions).forEach(([dim, kinds]) => {
+        dimensions[dim] = {};
+        Object.entries(kinds).forEach(([kind, questions]) => {
+            const translated = translation.dimensions && translation.dimensions[dim] && translation.dimensions[dim][kind];
+            dimensions[dim][kind] = Array.isArray(translated) && translated.length === questions.length ? translated : questions;
+        });
+    });
+
+    return {
+        dimensions,
+        validity: { ...QUESTIONS.validity, ...translation.validity }
+    };
+}
+
+/**
+ * Suggest interview questions for a submission
+ * - primary style: every 'strengths' question
+ * - secondary style: the first two 'strengths' questions
+ * - least-used style: its 'stretch' questions
+ * - a follow-up for an incomplete assessment, edited scores and each validity flag
+ * @param {Object} summary - Result of summarizeSubmission
+ * @param {Object} bank - Result of getInterviewQuestions
+ * @returns {Array<Object>} - [{kind: 'primary' | 'secondary' | 'stretch' | 'validity', dimension, text}]
+ */
+function selectInterviewQuestions(summary, bank = QUESTIONS) {
+    const { primary, secondary, typeOrder } = summary.result;
+    const lowest = String(typeOrder || '').split('>').pop();
+    const questions = [];
+    const add = (kind, dimension, texts) => {
+        (texts || []).forEach(text => questions.push({ kind, dimension, text }));
+    };
+
+    const styles = bank.dimensions;
+    if (styles[primary]) add('primary', primary, styles[primary].strengths);
+    if (styles[secondary] && secondary !== primary) add('secondary', secondary, styles[secondary].strengths.slice(0, 2));
+    if (styles[lowest] && lowest !== primary && lowest !== secondary) add('stretch', lowest, styles[lowest].stretch);
+
+    const followUps = [
+        ...(summary.complete ? [] : ['incomplete']),
+        ...(summary.verification === 'mismatch' ? ['mismatch'] : []),
+        ...summary.validityFlags
+    ];
+    followUps.forEach(flag => {
+        if (bank.validity[flag]) add('validity', null, [bank.validity[flag]]);
+    });
+
+    return questions;
+}
+
+/**
+ * File name for a candidate's report
+ * @param {Object} summary - Result of summarizeSubmission
+ * @returns {string} - e.g. disc-report-jane-doe-<id>.pdf
+ */
+function reportFilename(summary) {
+    const name = summary.name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    const id = String(summary.id || '').replace(/[^A-Za-z0-9_-]/g, '');
+    return `disc-report-${[name, id].filter(Boolean).join('-') || 'candidate'}.pdf`;
+}
+
+/**
+ * Build a candidate's PDF report
+ * @param {Object} submission - Stored submission ({id, created_at, form_name, data})
+ * @param {Object} options - {locale, now: Date for the "Generated" line}
+ * @returns {Object|null} - {buffer, filename, contentType, locale}, or null if the submission is not a DISC assessment
+ */
+function buildCandidateReport(submission, options = {}) {
+    const summary = summarizeSubmission(submission);
+    if (!summary) return null;
+
+    const locale = resolveReportLocale(options.locale);
+    useLocale(locale);
+
+    const brand = {
+        name: process.env.REPORT_BRAND_NAME || t('common.brand'),
+        color: /^#[0-9a-f]{6}$/i.test(process.env.REPORT_BRAND_COLOR || '') ? process.env.REPORT_BRAND_COLOR : DEFAULT_BRAND_COLOR
+    };
+
+    const doc = createPdfDocument({
+        info: {
+            Title: `${t('report.title')}: ${summary.name}`,
+            Author: brand.name,
+            Subject: summary.role
+        }
+    });
+    const layout = createLayout(doc);
+    const formatDate = value => (value ? new Date(value).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' }) : '');
+
+    drawHeader(doc, brand, t('report.generated', { date: formatDate(options.now || new Date()) }));
+    layout.y = 110;
+    drawDetails(layout, summary, formatDate);
+    drawScores(layout, summary.result);
+    if (summary.fit) drawFit(layout, summary.fit);
+    drawProfile(layout, getTypeDescription(summary.result.primaryType, summary.result));
+    drawValidity(layout, summary);
+    drawInterviewQuestions(layout, selectInterviewQuestions(summary, getInterviewQuestions(locale)));
+    drawFooters(doc);
+
+    return {
+        buffer: doc.toBuffer(),
+        filename: reportFilename(summary),
+        contentType: 'application/pdf',
+        locale
+    };
+}
+
+/**
+ * Build a report to attach to a webhook payload
+ * @param {Object} submission - Stored submission
+ * @param {Object} options - See buildCandidateReport
+ * @returns {Object|null} - {filename, contentType, locale, base64}, or null if the submission is not a DISC assessment
+ */
+function createReportAttachment(submission, options = {}) {
+    const report = buildCandidateReport(submission, options);
+    if (!report) return null;
+
+    return {
+        filename: report.filename,
+        contentType: report.contentType,
+        locale: report.locale,
+        base64: report.buffer.toString('base64')
+    };
+}
+
+/**
+ * Top-down text flow with page breaks
+ */
+function createLayout(doc) {
+    const layout = {
+        doc,
+        y: MARGIN,
+        width: doc.width - MARGIN * 2,
+
+        // Start a new page when the next block does not fit
+        ensureSpace(height) {
+            if (layout.y + height > doc.height - MARGIN - FOOTER_HEIGHT) {
+                doc.addPage();
+                layout.y = MARGIN;
+            }
+        },
+
+        heading(text) {
+            layout.ensureSpace(48);
+            layout.y += 16;
+            doc.text(text, MARGIN, layout.y, { size: 14, bold: true });
+            layout.y += 6;
+            doc.line(MARGIN, layout.y, MARGIN + layout.width, layout.y, { color: '#E5E7EB' });
+            layout.y += 16;
+        },
+
+        paragraph(text, options = {}) {
+            const size = options.size || 10;
+            const indent = options.indent || 0;
+            const lineHeight = size * 1.4;
+            doc.wrapText(text, layout.width - indent, size, options.bold).forEach(line => {
+                layout.ensureSpace(lineHeight);
+                doc.text(line, MARGIN + indent, layout.y, { size, bold: options.bold, color: options.color });
+                layout.y += lineHeight;
+            });
+            layout.y += options.after || 0;
+        },
+
+        // Bulleted or numbered item with a hanging indent
+        item(marker, text, options = {}) {
+            const size = options.size || 10;
+            const lines = doc.wrapText(text, layout.width - 18, size);
+            layout.ensureSpace(size * 1.4 * Math.min(lines.length, 2));
+            doc.text(marker, MARGIN + 4, layout.y, { size, color: options.markerColor || '#6B7280' });
+            lines.forEach(line => {
+                layout.ensureSpace(size * 1.4);
+                doc.text(line, MARGIN + 18, layout.y, { size });
+                layout.y += size * 1.4;
+            });
+            layout.y += 2;
+        }
+    };
+
+    doc.addPage();
+    return layout;
+}
+
+function drawHeader(doc, brand, generated) {
+    doc.rect(0, 0, doc.width, 80, { fill: brand.color });
+    doc.text(brand.name, MARGIN, 36, { size: 20, bold: true, color: '#FFFFFF' });
+    doc.text(t('report.title'), MARGIN, 58, { size: 12, color: '#FFFFFF' });
+    doc.text(generated, doc.width - MARGIN, 58, { size: 9, color: '#FFFFFF', align: 'right' });
+}
+
+function drawDetails(layout, summary, formatDate) {
+    const { doc } = layout;
+    const details = [
+        ['candidate', summary.name],
+        ['email', summary.email],
+        ['role', summary.role],
+        ['requisition', summary.requisitionId],
+        ['submitted', formatDate(summary.createdAt)],
+        ['instrument', summary.instrumentVersion]
+    ].filter(([, value]) => value);
+
+    // Two columns of label/value pairs
+    const columnWidth = layout.width / 2;
+    details.forEach(([key, value], index) => {
+        const x = MARGIN + (index % 2) * columnWidth;
+        const y = layout.y + Math.floor(index / 2) * 34;
+        doc.text(t(`report.details.${key}`), x, y, { size: 8, color: '#6B7280' });
+        // Long values are cut to the column
+        const [first] = doc.wrapText(value, columnWidth - 12, 11, true);
+        doc.text(first, x, y + 14, { size: 11, bold: true });
+    });
+    layout.y += Math.ceil(details.length / 2) * 34;
+}
+
+function drawScores(layout, result) {
+    const { doc } = layout;
+    layout.heading(t('results.scoreBreakdown'));
+
+    const chartHeight = 240 * CHART_SCALE;
+    layout.ensureSpace(chartHeight);
+    const top = layout.y;
+    const at = (x, y) => [MARGIN + x * CHART_SCALE, top + y * CHART_SCALE];
+
+    // Same bars and labels as the SVG chart
+    const [baselineX1, baselineY] = at(0, 100);
+    const [baselineX2] = at(260, 100);
+    doc.line(baselineX1, baselineY, baselineX2, baselineY, { color: '#CCCCCC', lineWidth: 2 * CHART_SCALE });
+    getScoreChartBars(result.totals).forEach(bar => {
+        const [x, y] = at(bar.x, bar.y);
+        doc.rect(x, y, bar.width * CHART_SCALE, bar.height * CHART_SCALE, { fill: bar.fill });
+        const [labelX, scoreY] = at(bar.x + 20, bar.y - 5);
+        doc.text(String(bar.score), labelX, scoreY, { size: 14 * CHART_SCALE, bold: true, align: 'center' });
+        const [, dimY] = at(0, 220);
+        doc.text(bar.dim, labelX, dimY, { size: 16 * CHART_SCALE, bold: true, align: 'center' });
+    });
+
+    // Summary beside the chart
+    const x = MARGIN + 260 * CHART_SCALE + 32;
+    let y = top + 10;
+    [
+        [t('results.primary'), `${getDimensionName(result.primary)} (${result.primary})`],
+        [t('results.secondary'), result.secondary ? `${getDimensionName(result.secondary)} (${result.secondary})` : ''],
+        [t('results.order'), result.typeOrder]
+    ].forEach(([label, value]) => {
+        doc.text(label, x, y, { size: 8, color: '#6B7280' });
+        doc.text(value, x, y + 13, { size: 11, bold: true });
+        y += 30;
+    });
+
+    doc.text(t('report.intensity'), x, y, { size: 8, color: '#6B7280' });
+    y += 14;
+    DIMENSIONS.forEach(dim => {
+        const percentile = result.normalized
+            ? `  ${t('results.percentile', { value: result.normalized.percentile[dim], ordinal: ordinal(result.normalized.percentile[dim]) })}`
+            : '';
+        doc.text(`${dim}  ${Number(result.percentages[dim])}%${percentile}`, x, y, { size: 10 });
+        y += 15;
+    });
+    if (result.normalized) {
+        doc.wrapText(t('results.normNote', { group: result.normalized.normGroup }), doc.width - MARGIN - x, 8).forEach(line => {
+            doc.text(line, x, y + 4, { size: 8, color: '#6B7280' });
+            y += 11;
+        });
+    }
+
+    layout.y = Math.max(top + chartHeight, y) + 8;
+}
+
+function drawFit(layout, fit) {
+    const { doc } = layout;
+    layout.heading(t('fit.title'));
+
+    layout.ensureSpace(40);
+    const match = t('fit.match', { match: fit.match });
+    doc.text(match, MARGIN, layout.y + 4, { size: 18, bold: true, color: fitColor(fit.match) });
+    doc.text(t('fit.benchmark', { label: fit.label }), MARGIN + doc.measureText(match, 18, true) + 12, layout.y + 4, { size: 10, color: '#6B7280' });
+    layout.y += 22;
+
+    // Largest gaps first, then the dimensions inside their range
+    const gaps = getFitGaps(fit);
+    [...gaps, ...fit.dimensions.filter(entry => !gaps.includes(entry))].forEach(entry => {
+        layout.item('•', describeFitDimension(entry), { markerColor: entry.gap === 0 ? '#047857' : '#B45309' });
+    });
+}
+
+function fitColor(match) {
+    if (match >= 75) return '#047857';
+    return match >= 50 ? '#B45309' : '#B91C1C';
+}
+
+function drawProfile(layout, description) {
+    layout.heading(t('report.profile'));
+    layout.paragraph(description.title, { size: 12, bold: true, after: 2 });
+    layout.paragraph(description.summary, { after: 8 });
+
+    [
+        ['results.keyTraits', description.traits],
+        ['results.workingWith', description.worksWith],
+        ['results.bestFitRoles', description.bestRoles]
+    ].forEach(([key, entries]) => {
+        if (!entries || entries.length === 0) return;
+        // Keep each list title with its first entry
+        layout.ensureSpace(40);
+        layout.paragraph(t(key), { bold: true, after: 2 });
+        entries.forEach(entry => layout.item('•', entry));
+        layout.y += 6;
+    });
+}
+
+function drawValidity(layout, summary) {
+    layout.heading(t('report.validity'));
+    layout.paragraph(t(`report.verification.${summary.verification}`), { after: 4 });
+
+    if (summary.lowConfidence) {
+        layout.paragraph(t('report.lowConfidence'), { bold: true, color: '#B45309', after: 2 });
+        summary.validityFlags.forEach(flag => layout.item('•', t(`report.flags.${flag}`), { markerColor: '#B45309' }));
+    } else {
+        layout.paragraph(t('report.validityOk'), { color: '#047857' });
+    }
+}
+
+function drawInterviewQuestions(layout, questions) {
+    layout.heading(t('report.interview'));
+    layout.paragraph(t('report.interviewNote'), { size: 9, color: '#6B7280', after: 6 });
+
+    let group = null;
+    let number = 0;
+    questions.forEach(question => {
+        const label = t(`report.questionKinds.${question.kind}`, { dimension: getDimensionName(question.dimension) });
+        if (label !== group) {
+            group = label;
+            layout.ensureSpace(40);
+            layout.y += 4;
+            layout.paragraph(label, { bold: true, after: 2 });
+        }
+        number += 1;
+        layout.item(`${number}.`, question.text);
+    });
+}
+
+function drawFooters(doc) {
+    const pages = doc.pageCount();
+    for (let index = 0; index < pages; index++) {
+        doc.switchToPage(index);
+        const y = doc.height - MARGIN + 12;
+        doc.line(MARGIN, y - 14, doc.width - MARGIN, y - 14, { color: '#E5E7EB' });
+        doc.text(t('report.confidential'), MARGIN, y, { size: 8, color: '#6B7280' });
+        doc.text(t('report.page', { page: index + 1, pages }), doc.width - MARGIN, y, { size: 8, color: '#6B7280', align: 'right' });
+    }
+}
+
+function getDimensionName(dimension) {
+    return dimension ? t(`common.dimensions.${dimension}`) : dimension;
+}
+
+function ordinal(value) {
+    const tens = value % 100;
+    if (tens >= 11 && tens <= 13) return `${value}th`;
+    const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th';
+    return `${value}${suffix}`;
+}
+
+module.exports = {
+    resolveReportLocale,
+    getInterviewQuestions,
+    selectInterviewQuestions,
+    reportFilename,
+    buildCandidateReport,
+    createReportAttachment
+};
@@ -0,0 +1,136 @@
+/**
+ * Export Profiles
+ *
+ * Column layouts for importing DISC results into applicant-tracking systems.
+ * Each profile maps a column header to a template over an export row (see
+ * submission-export.js for the row columns and templates.js for the syntax).
+ * The headers follow each system's candidate import spreadsheet; most
+ * systems let you map extra columns to custom fields during the import, so
+ * adjust the headers to match your account's fields.
+ *
+ * A custom profile is a JSON file of the same shape:
+ *   { "label": "My ATS", "columns": { "Candidate": "{{full_name}}", "DISC": "{{primary_type}}" } }
+ */
+
+// Shared by every profile
+const NOTES = 'DISC {{disc_summary}}. Scores {{score_verification}}. Submitted {{submitted_at}}.';
+
+const PROFILES = {
+    greenhouse: {
+        label: 'Greenhouse',
+        columns: {
+            'First Name': '{{first_name}}',
+            'Last Name': '{{last_name}}',
+            'Email': '{{email}}',
+            'Job': '{{role}}',
+            'Requisition ID': '{{requisition_id}}',
+            'Tags': 'DISC {{primary_type}}',
+            'DISC Primary Type': '{{primary_type}}',
+            'DISC Type Order': '{{type_order}}',
+            'DISC D': '{{score_D}}',
+            'DISC I': '{{score_I}}',
+            'DISC S': '{{score_S}}',
+            'DISC C': '{{score_C}}',
+            'Notes': NOTES
+        }
+    },
+    lever: {
+        label: 'Lever',
+        columns: {
+            'Name': '{{full_name}}',
+            'Email': '{{email}}',
+            'Posting': '{{role}}',
+            'Tags': 'DISC {{primary_type}}',
+            'Sources': 'DISC Assessment',
+            'Notes': NOTES
+        }
+    },
+    workable: {
+        label: 'Workable',
+        columns: {
+            'First name': '{{first_name}}',
+            'Last name': '{{last_name}}',
+            'Email': '{{email}}',
+            'Job': '{{role}}',
+            'Tags': 'DISC {{primary_type}}',
+            'Summary': NOTES
+        }
+    },
+    bamboohr: {
+        label: 'BambooHR',
+        columns: {
+            'First Name': '{{first_name}}',
+            'Last Name': '{{last_name}}',
+            'Email': '{{email}}',
+            'Job Opening': '{{role}}',
+            'Source': 'DISC Assessment',
+            'Comments': NOTES
+        }
+    }
+};
+
+/**
+ * Get a built-in export profile
+ * @param {string} id - Profile id
+ * @returns {Object|null} - {label, columns}, or null if unknown
+ */
+function getExportProfile(id) {
+    return Object.prototype.hasOwnProperty.call(PROFILES, id) ? PROFILES[id] : null;
+}
+
+/**
+ * List the built-in export profiles
+ * @returns {Array<Object>} - [{id, label}]
+ */
+function listExportProfiles() {
+    return Object.entries(PROFILES).map(([id, profile]) => ({ id, label: profile.label }));
+}
+
+/**
+ * Check a custom profile
+ * @param {Object} profile - {label?, columns: {header: template}}
+ * @returns {Array<string>} - Problems (empty if valid)
+ */
+function validateExportProfile(profile) {
+    if (!profile || typeof profile.columns !== 'object' || Array.isArray(profile.columns)) {
+        return ['columns must map column headers to templates'];
+    }
+    if (Object.keys(profile.columns).length === 0) {
+        return ['columns is empty'];
+    }
+    return Object.entries(profile.columns)
+        .filter(([, template]) => typeof template !== 'string')
+        .map(([header]) => `column "${header}" must be a template string`);
+}
+
+/**
+ * Basic unit tests for export profiles
+ * Run with: node -e "require('./netlify/lib/export-profiles').runTests()"
+ */
+function runTests() {
+    console.log('Running Export Profile Tests...\n');
+
+    // Test 1: Built-in profiles
+    console.assert(listExportProfiles().map(profile => profile.id).join() === 'greenhouse,lever,workable,bamboohr', 'Test 1a: Every built-in profile should be listed');
+    console.assert(getExportProfile('lever').label === 'Lever', 'Test 1b: Profiles should be found by id');
+    console.assert(getExportProfile('unknown') === null && getExportProfile('toString') === null, 'Test 1c: Unknown ids should return null');
+    console.assert(Object.values(PROFILES).every(profile => validateExportProfile(profile).length === 0), 'Test 1d: Built-in profiles should be valid');
+    console.log('✓ Test 1: Built-in profiles passed');
+
+    // Test 2: Custom profile validation
+    console.assert(validateExportProfile({ columns: { Who: '{{full_name}}' } }).length === 0, 'Test 2a: Valid profile should pass');
+    console.assert(validateExportProfile({ columns: ['{{full_name}}'] })[0] === 'columns must map column headers to templates', 'Test 2b: Array columns should fail');
+    console.assert(validateExportProfile(null).length === 1 && validateExportProfile({ columns: {} })[0] === 'columns is empty', 'Test 2c: Missing or empty columns should fail');
+    console.assert(validateExportProfile({ columns: { Who: '{{full_name}}', D: 1, I: null } }).join('; ') ===
+        'column "D" must be a template string; column "I" must be a template string', 'Test 2d: Each non-string column should be reported');
+    console.log('✓ Test 2: Custom profile validation passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    getExportProfile,
+    listExportProfiles,
+    validateExportProfile,
+    runTests
+};
@@ -0,0 +1,145 @@
+/**
+ * File Submission Store
+ *
+ * Keeps submissions in one JSON file ({version, submissions: {id: record}}).
+ * Meant for `netlify dev` and tests: deployed functions have no persistent
+ * disk, so use the blobs adapter in production (see submission-store.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assertValidRecord, newestFirst } = require('./submission-store');
+
+const FILE_VERSION = 1;
+
+// Writes to the same file are chained so concurrent creates don't overwrite each other
+const writeQueues = new Map();
+
+/**
+ * Create a store backed by a JSON file
+ * @param {string} filePath - JSON file (created on first write)
+ * @returns {Object} - Store ({create, put, get, list, delete})
+ */
+function createFileStore(filePath) {
+    const file = path.resolve(filePath);
+
+    const read = async () => {
+        try {
+            const contents = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            return contents.submissions || {};
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw new Error(`Cannot read submission store ${file}: ${error.message}`);
+        }
+    };
+
+    // Write to a temporary file and rename it, so a crash never leaves half a file
+    const write = async submissions => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify({ version: FILE_VERSION, submissions }, null, 2));
+        await fs.promises.rename(temp, file);
+    };
+
+    const update = change => {
+        const previous = writeQueues.get(file) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const submissions = await read();
+            const result = change(submissions);
+            await write(submissions);
+            return result;
+        });
+        writeQueues.set(file, next);
+        return next;
+    };
+
+    return {
+        async create(record) {
+            assertValidRecord(record);
+            return update(submissions => {
+                if (submissions[record.id]) {
+                    throw new Error(`Submission ${record.id} already exists`);
+                }
+                submissions[record.id] = record;
+                return record;
+            });
+        },
+
+        async put(record) {
+            assertValidRecord(record);
+            return update(submissions => {
+                submissions[record.id] = record;
+                return record;
+            });
+        },
+
+        async get(id) {
+            const submissions = await read();
+            return submissions[id] || null;
+        },
+
+        async list(options = {}) {
+            return newestFirst(Object.values(await read()), options);
+        },
+
+        async delete(id) {
+            return update(submissions => {
+                if (!submissions[id]) return false;
+                delete submissions[id];
+                return true;
+            });
+        }
+    };
+}
+
+/**
+ * Basic unit tests for the file store, in a temporary directory
+ * Run with: node -e "require('./netlify/lib/file-store').runTests()"
+ */
+async function runTests() {
+    console.log('Running File Store Tests...\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+    try {
+        const file = path.join(dir, 'nested', 'submissions.json');
+        const store = createFileStore(file);
+        const first = { id: 'sub-1', created_at: '2026-01-01T00:00:00Z', data: { email: 'ana@example.com' } };
+        const second = { id: 'sub-2', created_at: '2026-01-02T00:00:00Z', data: {} };
+
+        // Test 1: Create and get
+        console.assert(await store.get('sub-1') === null, 'Test 1a: Missing file should read as empty');
+        console.assert((await store.create(first)).id === 'sub-1', 'Test 1b: Create should return the record');
+        console.assert((await store.get('sub-1')).data.email === 'ana@example.com', 'Test 1c: Get should return the stored record');
+        console.assert(JSON.parse(fs.readFileSync(file, 'utf8')).version === FILE_VERSION, 'Test 1d: File should be written with its version');
+        console.log('✓ Test 1: Create and get passed');
+
+        // Test 2: Duplicates, also when two creates race
+        const duplicate = await store.create({ ...first, data: {} }).catch(error => error);
+        console.assert(duplicate instanceof Error && /already exists/.test(duplicate.message), 'Test 2a: Duplicate id should throw');
+        console.assert((await store.get('sub-1')).data.email === 'ana@example.com', 'Test 2b: Duplicate should not overwrite');
+        const raced = await Promise.allSettled([store.create(second), createFileStore(file).create({ ...second })]);
+        console.assert(raced.filter(result => result.status === 'fulfilled').length === 1, 'Test 2c: Only one of two concurrent creates should succeed');
+        const invalid = await store.create({ id: '../escape' }).catch(error => error);
+        console.assert(invalid instanceof Error, 'Test 2d: Invalid id should throw');
+        console.log('✓ Test 2: Duplicates passed');
+
+        // Test 3: Put, list and delete
+        await store.put({ ...first, data: { email: 'new@example.com' } });
+        console.assert((await store.get('sub-1')).data.email === 'new@example.com', 'Test 3a: Put should replace in place');
+        console.assert((await store.list()).map(record => record.id).join() === 'sub-2,sub-1', 'Test 3b: List should be newest first');
+        console.assert((await store.list({ limit: 1 }))[0].id === 'sub-2', 'Test 3c: List should apply the limit');
+        console.assert(await store.delete('sub-1') === true && await store.delete('sub-1') === false, 'Test 3d: Delete should report whether a record was removed');
+        console.assert((await store.list()).length === 1, 'Test 3e: Deleted record should not be listed');
+        console.log('✓ Test 3: Put, list and delete passed');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    createFileStore,
+    runTests
+};
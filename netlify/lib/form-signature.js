@@ -0,0 +1,114 @@
+/**
+ * Form Notification Signatures
+ *
+ * Netlify signs outgoing form webhooks when the notification has a "JWS
+ * secret token": `X-Webhook-Signature` is an HS256 JSON Web Signature whose
+ * payload has `iss: "netlify"` and `sha256`, the hex SHA-256 of the request
+ * body. A valid signature shows the request is a real Netlify Forms
+ * submission, not a POST made directly to the public function URL.
+ *
+ * Environment Variables:
+ * - NETLIFY_WEBHOOK_SECRET: JWS secret token of the form notification
+ */
+
+const crypto = require('crypto');
+const { safeEqual } = require('./signing');
+
+/**
+ * Whether form notifications are expected to be signed
+ * @returns {boolean}
+ */
+function isFormSignatureConfigured() {
+    return Boolean(process.env.NETLIFY_WEBHOOK_SECRET);
+}
+
+/**
+ * Verify the signature of a form notification
+ * @param {Object} event - Function event (headers lower-cased by Netlify, raw body)
+ * @param {string} secret - JWS secret token (defaults to NETLIFY_WEBHOOK_SECRET)
+ * @returns {Object} - {valid, error?}
+ */
+function verifyFormSignature(event, secret = process.env.NETLIFY_WEBHOOK_SECRET) {
+    if (!secret) {
+        return { valid: false, error: 'Form signature secret is not configured' };
+    }
+
+    const token = (event.headers || {})['x-webhook-signature'] || '';
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) {
+        return { valid: false, error: 'Missing form signature' };
+    }
+
+    let claims;
+    try {
+        if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') {
+            return { valid: false, error: 'Unsupported form signature' };
+        }
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { valid: false, error: 'Malformed form signature' };
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    if (!safeEqual(signature, expected)) {
+        return { valid: false, error: 'Invalid form signature' };
+    }
+
+    // The signature covers the claims; the body hash ties them to this request
+    const body = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+    if (claims.iss !== 'netlify' || claims.sha256 !== crypto.createHash('sha256').update(body).digest('hex')) {
+        return { valid: false, error: 'Form signature does not match the request' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Basic unit tests for form notification signatures
+ * Run with: node -e "require('./netlify/lib/form-signature').runTests()"
+ */
+function runTests() {
+    console.log('Running Form Signature Tests...\n');
+
+    const secret = 'test-secret';
+    const body = JSON.stringify({ id: 'abc', data: { email: 'jane@example.com' } });
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const sign = (claims, key = secret) => {
+        const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+        return `${unsigned}.${crypto.createHmac('sha256', key).update(unsigned).digest('base64url')}`;
+    };
+    const hash = crypto.createHash('sha256').update(body).digest('hex');
+    const request = (token, requestBody = body) => ({ headers: { 'x-webhook-signature': token }, body: requestBody });
+    const token = sign({ iss: 'netlify', sha256: hash });
+
+    // Test 1: Valid signature
+    console.assert(verifyFormSignature(request(token), secret).valid === true, 'Test 1a: Signed notification should verify');
+    const encoded = { ...request(token, Buffer.from(body).toString('base64')), isBase64Encoded: true };
+    console.assert(verifyFormSignature(encoded, secret).valid === true, 'Test 1b: Base64 body should verify');
+    console.log('✓ Test 1: Valid signature passed');
+
+    // Test 2: Bad signature or claims
+    console.assert(verifyFormSignature(request(sign({ iss: 'netlify', sha256: hash }, 'other-secret')), secret).error === 'Invalid form signature', 'Test 2a: Another secret should fail');
+    console.assert(verifyFormSignature(request(token, body.replace('jane', 'mallory')), secret).error === 'Form signature does not match the request', 'Test 2b: Edited body should fail');
+    console.assert(verifyFormSignature(request(sign({ iss: 'someone', sha256: hash })), secret).valid === false, 'Test 2c: Other issuer should fail');
+    console.log('✓ Test 2: Bad signature passed');
+
+    // Test 3: Wrong length and non-ASCII signatures fail without throwing
+    console.assert(verifyFormSignature(request(token.slice(0, -1)), secret).error === 'Invalid form signature', 'Test 3a: Short signature should fail');
+    console.assert(verifyFormSignature(request(`${token.slice(0, -1)}é`), secret).error === 'Invalid form signature', 'Test 3b: Non-ASCII signature should fail');
+    console.log('✓ Test 3: Wrong length and non-ASCII passed');
+
+    // Test 4: Missing or malformed
+    console.assert(verifyFormSignature({ headers: {}, body }, secret).error === 'Missing form signature', 'Test 4a: Unsigned request should fail');
+    console.assert(verifyFormSignature(request('a.b.c'), secret).error === 'Malformed form signature', 'Test 4b: Malformed token should fail');
+    console.assert(verifyFormSignature(request(token), '').valid === false, 'Test 4c: Missing secret should fail');
+    console.log('✓ Test 4: Missing or malformed passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    isFormSignatureConfigured,
+    verifyFormSignature,
+    runTests
+};
@@ -0,0 +1,55 @@
+/**
+ * Netlify Forms API
+ *
+ * Reads the site's stored form submissions back through the Netlify API.
+ * Used where a function needs earlier submissions: invitation reuse checks
+ * and the admin dashboard.
+ *
+ * Environment Variables:
+ * - NETLIFY_API_TOKEN: Personal access token with access to the site's form submissions
+ * - SITE_ID: Netlify site id (set automatically by Netlify)
+ */
+
+// Submissions are listed newest first, 100 per page
+const SUBMISSIONS_PER_PAGE = 100;
+const MAX_SUBMISSION_PAGES = 20;
+
+/**
+ * Whether the API credentials are configured
+ * @returns {boolean}
+ */
+function isFormsApiConfigured() {
+    return Boolean(process.env.NETLIFY_API_TOKEN && process.env.SITE_ID);
+}
+
+/**
+ * Fetch the site's form submissions, newest first
+ * @param {Object} options - {maxPages: page limit (default: 20)}
+ * @returns {Promise<Array<Object>|null>} - Netlify submission objects, or null when the API is not configured
+ */
+async function fetchSubmissions(options = {}) {
+    if (!isFormsApiConfigured()) return null;
+
+    const maxPages = options.maxPages || MAX_SUBMISSION_PAGES;
+    const submissions = [];
+    for (let page = 1; page <= maxPages; page++) {
+        const response = await fetch(
+            `https://api.netlify.com/api/v1/sites/${process.env.SITE_ID}/submissions?per_page=${SUBMISSIONS_PER_PAGE}&page=${page}`,
+            { headers: { Authorization: `Bearer ${process.env.NETLIFY_API_TOKEN}` } }
+        );
+        if (!response.ok) {
+            throw new Error(`Netlify API responded with status: ${response.status}`);
+        }
+
+        const batch = await response.json();
+        submissions.push(...batch);
+        if (batch.length < SUBMISSIONS_PER_PAGE) break;
+    }
+
+    return submissions;
+}
+
+module.exports = {
+    isFormsApiConfigured,
+    fetchSubmissions
+};
@@ -0,0 +1,324 @@
+/**
+ * Candidate Invitations
+ *
+ * Signed, expiring invitation tokens that carry a candidate's name, email and
+ * role plus the requisition they were invited for. The assessment pages read
+ * the token from ?invite=, pre-fill those fields and lock them; the relay
+ * rejects submissions whose token is expired, forged, edited or already used.
+ *
+ * With a submission store configured, the relay records the first submission
+ * of each invitation in a use store keyed by the invitation id (the token's
+ * jti), and a token counts as used once that record names another
+ * submission: one lookup, however many submissions are stored. Without a
+ * store, a token counts as used once an earlier submission carrying it is
+ * found in Netlify Forms (through the Netlify API). With neither configured
+ * the reuse check is skipped (expiry and signature are still enforced).
+ *
+ * Environment Variables:
+ * - INVITE_SIGNING_SECRET: HMAC secret for invitation tokens (invitations are disabled without it)
+ * - INVITE_TTL_DAYS: Invitation lifetime in days (default: 14)
+ * - INVITE_REQUIRED: 'true' also rejects submissions without an invitation
+ * - SUBMISSION_STORE: 'file' or 'blobs'; also keeps the invitation uses (see submission-store.js)
+ * - INVITE_USE_STORE_PATH: JSON file for the file adapter (default: .data/invitation-uses.json)
+ * - INVITE_USE_STORE_NAME: Blob store name for the blobs adapter (default: invitation-uses)
+ * - NETLIFY_API_TOKEN: Personal access token to find earlier submissions in Netlify Forms instead (see forms-api.js)
+ * - URL: Site URL (set automatically by Netlify)
+ */
+
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./signing');
+const { openStore } = require('./submission-store');
+const { fetchSubmissions } = require('./forms-api');
+const { MOST_LEAST_ID, LIKERT_ID } = require('../../public/js/instruments.js');
+
+const DEFAULT_TTL_DAYS = 14;
+
+const DEFAULT_USE_STORE_PATH = '.data/invitation-uses.json';
+const DEFAULT_USE_STORE_NAME = 'invitation-uses';
+
+// Token type, so a results token can never be used as an invitation
+const TOKEN_TYPE = 'invite';
+
+// Landing page for each assessment variant
+const ASSESSMENT_PATHS = {
+    [MOST_LEAST_ID]: '/assessment',
+    [LIKERT_ID]: '/disc.html'
+};
+
+// checkInvitation statuses that reject a submission
+const REJECTED_STATUSES = ['invalid', 'expired', 'mismatch', 'reused'];
+
+// Locale codes accepted for ?lang= ("es", "pt-BR")
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+/**
+ * Create a signed invitation for a candidate
+ * @param {Object} details - {name, email, role, requisitionId, instrument?, lang?}
+ * @returns {Object} - {id, token, url, expiresAt}
+ */
+function createInvitation(details) {
+    const instrument = details.instrument || MOST_LEAST_ID;
+    const problems = validateInvitationDetails({ ...details, instrument });
+    if (problems.length > 0) {
+        throw new Error(`Invalid invitation: ${problems.join('; ')}`);
+    }
+
+    const ttlDays = Number(process.env.INVITE_TTL_DAYS) || DEFAULT_TTL_DAYS;
+    const id = crypto.randomUUID();
+    const token = signToken({
+        typ: TOKEN_TYPE,
+        jti: id,
+        name: details.name.trim(),
+        email: details.email.trim(),
+        role: details.role.trim(),
+        req: String(details.requisitionId).trim(),
+        instrument
+    }, process.env.INVITE_SIGNING_SECRET, { expiresIn: ttlDays * 24 * 60 * 60 });
+
+    const { payload } = verifyToken(token, process.env.INVITE_SIGNING_SECRET);
+    const lang = LOCALE_PATTERN.test(details.lang || '') ? `&lang=${encodeURIComponent(details.lang)}` : '';
+
+    return {
+        id,
+        token,
+        url: `${process.env.URL || ''}${ASSESSMENT_PATHS[instrument]}?invite=${encodeURIComponent(token)}${lang}`,
+        expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+}
+
+/**
+ * Check the details of an invitation request
+ * @param {Object} details - {name, email, role, requisitionId, instrument}
+ * @returns {Array<string>} - Problems (empty if valid)
+ */
+function validateInvitationDetails(details) {
+    const problems = [];
+
+    ['name', 'email', 'role'].forEach(field => {
+        if (typeof details[field] !== 'string' || !details[field].trim()) {
+            problems.push(`${field} is required`);
+        }
+    });
+    if (details.requisitionId === undefined || details.requisitionId === null || String(details.requisitionId).trim() === '') {
+        problems.push('requisitionId is required');
+    }
+    if (typeof details.email === 'string' && details.email.trim() && !/^[^\s@]+@[^\s@]+$/.test(details.email.trim())) {
+        problems.push('email is not a valid address');
+    }
+    if (!ASSESSMENT_PATHS[details.instrument]) {
+        problems.push(`instrument must be one of ${Object.keys(ASSESSMENT_PATHS).join(', ')}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Verify an invitation token
+ * @param {string} token - Token from the invitation link
+ * @returns {Object} - {valid, payload?, error?}
+ */
+function readInvitation(token) {
+    const verified = verifyToken(token, process.env.INVITE_SIGNING_SECRET);
+    if (verified.valid && verified.payload.typ !== TOKEN_TYPE) {
+        return { valid: false, error: 'Not an invitation token' };
+    }
+    return verified;
+}
+
+/**
+ * The candidate fields an invitation locks, as submitted by either form
+ * @param {Object} payload - Invitation token payload
+ * @returns {Object} - {full_name, email, role}
+ */
+function getInvitedFields(payload) {
+    return {
+        full_name: payload.name,
+        email: payload.email,
+        role: payload.role
+    };
+}
+
+/**
+ * Public view of an invitation for the landing page
+ * @param {Object} payload - Invitation token payload
+ * @returns {Object} - {id, name, email, role, requisitionId, instrument, expiresAt}
+ */
+function describeInvitation(payload) {
+    return {
+        id: payload.jti,
+        name: payload.name,
+        email: payload.email,
+        role: payload.role,
+        requisitionId: payload.req,
+        instrument: payload.instrument,
+        expiresAt: payload.exp ? new Date(payload.exp * 1000).toISOString() : null
+    };
+}
+
+/**
+ * Open the store of invitation uses ({id: invitation id, submission_id, created_at})
+ * @param {Object} options - {event}
+ * @returns {Object|null} - Store, or null when there is no submission store
+ */
+function getInvitationUseStore(options = {}) {
+    const adapter = process.env.SUBMISSION_STORE;
+    if (!adapter) return null;
+
+    return openStore(adapter, {
+        path: process.env.INVITE_USE_STORE_PATH || DEFAULT_USE_STORE_PATH,
+        name: process.env.INVITE_USE_STORE_NAME || DEFAULT_USE_STORE_NAME,
+        event: options.event
+    });
+}
+
+/**
+ * Find earlier submissions that used an invitation token
+ * @param {string} token - Invitation token
+ * @param {Object} options - {excludeId: submission to ignore, before: only count submissions created before this ISO time
+ *   (Netlify Forms lookup), event}
+ * @returns {Promise<Array<string>|null>} - Submission ids, or null when the lookup is not configured
+ */
+async function findInvitationUses(token, options = {}) {
+    const store = getInvitationUseStore(options);
+    if (store) {
+        const { payload } = readInvitation(token);
+        const use = payload && payload.jti ? await store.get(payload.jti) : null;
+        return use && use.submission_id !== options.excludeId ? [use.submission_id] : [];
+    }
+
+    const submissions = await fetchSubmissions();
+    if (!submissions) return null;
+
+    return submissions
+        .filter(submission => {
+            const data = submission.data || {};
+            const earlier = !options.before || new Date(submission.created_at) < new Date(options.before);
+            return data.invite_token === token && submission.id !== options.excludeId && earlier;
+        })
+        .map(submission => submission.id);
+}
+
+/**
+ * Check the invitation of a submission: signature, expiry, locked fields and reuse
+ *
+ * Status is one of:
+ * - 'valid': signed, unexpired, fields match and not used before
+ * - 'none': no invitation token (open assessment)
+ * - 'invalid', 'expired', 'mismatch' or 'reused': reject the submission
+ *
+ * @param {Object} data - Submitted form fields
+ * @param {Object} options - {submissionId, submittedAt}: this submission, so only earlier ones count as reuse; {event}
+ * @returns {Promise<Object>} - {status, error?, invitation?, mismatches?, previousSubmissions?, reuseChecked}
+ */
+async function checkInvitation(data, options = {}) {
+    const token = data.invite_token;
+    if (!token) {
+        return { status: 'none', reuseChecked: false };
+    }
+
+    const { valid, payload, error } = readInvitation(token);
+    if (!valid) {
+        return {
+            status: error === 'Token expired' ? 'expired' : 'invalid',
+            error,
+            invitation: error === 'Token expired' && payload ? describeInvitation(payload) : undefined,
+            reuseChecked: false
+        };
+    }
+
+    const invitation = describeInvitation(payload);
+    const submitted = {
+        full_name: data.full_name,
+        email: data.email,
+        role: data.role_applied_for || data.position_applied_for
+    };
+    const mismatches = Object.entries(getInvitedFields(payload))
+        .filter(([field, expected]) => !sameField(field, submitted[field], expected))
+        .map(([field, expected]) => ({ field, invited: expected, submitted: submitted[field] || '' }));
+    if (mismatches.length > 0) {
+        return { status: 'mismatch', error: 'Submitted details differ from the invitation', invitation, mismatches, reuseChecked: false };
+    }
+
+    // A failed lookup is logged, not fatal: the submission is already stored by Netlify
+    let uses = null;
+    try {
+        uses = await findInvitationUses(token, {
+            excludeId: options.submissionId,
+            before: options.submittedAt,
+            event: options.event
+        });
+    } catch (lookupError) {
+        console.warn('Could not check invitation reuse:', lookupError.message);
+    }
+    if (uses && uses.length > 0) {
+        return { status: 'reused', error: 'Invitation already used', invitation, previousSubmissions: uses, reuseChecked: true };
+    }
+
+    return { status: 'valid', invitation, reuseChecked: uses !== null };
+}
+
+/**
+ * Record a submission as the use of its invitation, so later submissions of the token count as reuse.
+ * The first submission to be recorded keeps the invitation; Netlify retries of that submission still pass.
+ * @param {Object} check - Result of checkInvitation
+ * @param {string} submissionId - Submission id
+ * @param {Object} options - {event}
+ * @returns {Promise<Object>} - The check, or a 'reused' check when another submission was recorded first
+ */
+async function claimInvitation(check, submissionId, options = {}) {
+    if (check.status !== 'valid' || !check.invitation.id) return check;
+
+    // A failed write is logged, not fatal, like a failed reuse lookup
+    let firstUse = null;
+    try {
+        const store = getInvitationUseStore(options);
+        if (!store) return check;
+
+        const use = { id: check.invitation.id, submission_id: submissionId, created_at: new Date().toISOString() };
+        try {
+            firstUse = (await store.create(use)).submission_id;
+        } catch (error) {
+            const existing = await store.get(use.id);
+            if (!existing) throw error;
+            firstUse = existing.submission_id;
+        }
+    } catch (recordError) {
+        console.warn('Could not record invitation use:', recordError.message);
+    }
+
+    if (firstUse && firstUse !== submissionId) {
+        return { status: 'reused', error: 'Invitation already used', invitation: check.invitation, previousSubmissions: [firstUse], reuseChecked: true };
+    }
+    return check;
+}
+
+/**
+ * Whether a submission should be rejected for its invitation
+ * @param {Object} check - Result of checkInvitation
+ * @param {Object} options - {required: reject submissions without an invitation}
+ * @returns {boolean}
+ */
+function isInvitationRejected(check, options = {}) {
+    return REJECTED_STATUSES.includes(check.status) || (Boolean(options.required) && check.status === 'none');
+}
+
+/**
+ * Compare a submitted candidate field with the invited value
+ * (emails are case-insensitive, surrounding whitespace is ignored)
+ */
+function sameField(field, submitted, expected) {
+    const a = String(submitted || '').trim();
+    const b = String(expected || '').trim();
+    return field === 'email' ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+module.exports = {
+    createInvitation,
+    validateInvitationDetails,
+    readInvitation,
+    describeInvitation,
+    findInvitationUses,
+    checkInvitation,
+    claimInvitation,
+    isInvitationRejected
+};
@@ -0,0 +1,129 @@
+/**
+ * Item Banks
+ *
+ * Every instrument version listed in public/data/instruments/index.json,
+ * required statically so the function bundler includes them. When you add a
+ * version file, register it here as well so old and new submissions can be
+ * re-scored against the items the candidate actually saw.
+ */
+
+const registry = require('../../public/data/instruments/index.json');
+const { formatInstrumentVersion, parseInstrumentVersion, resolveInstrumentVersion, MOST_LEAST_ID } = require('../../public/js/instruments.js');
+
+const BANKS = [
+    require('../../public/data/instruments/disc-most-least.v1.json'),
+    require('../../public/data/instruments/disc-most-least.v2.json'),
+    require('../../public/data/instruments/disc-likert.v1.json'),
+    require('../../public/data/instruments/disc-likert.v2.json')
+];
+
+const banksByVersion = new Map(BANKS.map(bank => [formatInstrumentVersion(bank), bank]));
+
+/**
+ * Get an instrument version
+ * @param {string} id - Instrument id
+ * @param {number|null} version - Version, or null for the current one
+ * @returns {Object|null} - Instrument definition or null if unknown
+ */
+function getItemBank(id, version = null) {
+    let resolved;
+    try {
+        resolved = resolveInstrumentVersion(registry, id, version);
+    } catch (error) {
+        return null;
+    }
+    return banksByVersion.get(`${id}@${resolved}`) || null;
+}
+
+/**
+ * Pick the item bank a submission was taken on
+ * - A valid instrument_version stamp wins
+ * - Unstamped (older) submissions use the newest version whose questions were all answered
+ *   (or the current version if none match)
+ * @param {Object} data - Submitted form fields
+ * @param {string} id - Instrument id implied by the submitted fields
+ * @returns {Object} - {instrument, stamped: boolean}
+ */
+function resolveSubmissionBank(data, id) {
+    const stamp = parseInstrumentVersion(data.instrument_version);
+    if (stamp && stamp.id === id) {
+        const bank = getItemBank(id, stamp.version);
+        if (bank) return { instrument: bank, stamped: true };
+    }
+
+    const candidates = BANKS
+        .filter(bank => bank.id === id)
+        .sort((a, b) => b.version - a.version);
+    const answered = candidates.find(bank => fieldNames(bank).every(name => data[name] !== undefined && data[name] !== ''));
+
+    return { instrument: answered || getItemBank(id), stamped: false };
+}
+
+/**
+ * Rewrite a Most/Least submission answered with label text (before items had ids)
+ * so its answers carry item ids of an id-bearing version. Every answer must match
+ * a statement of the same group in the target version; otherwise the submission
+ * is returned unchanged with the answers that did not match.
+ * @param {Object} data - Submitted form fields
+ * @param {Object} target - Id-bearing Most/Least version (defaults to the current one)
+ * @returns {Object} - {data, migrated: boolean, unmatched: [field]}
+ */
+function migrateLabelAnswers(data, target = getItemBank(MOST_LEAST_ID)) {
+    if (!target || target.type !== 'most-least' || !target.groups.every(group => group.items.every(item => item.id))) {
+        throw new Error('Migration target must be a Most/Least version with item ids');
+    }
+
+    const migrated = { ...data };
+    const unmatched = [];
+    let changed = false;
+
+    target.groups.forEach(group => {
+        ['most', 'least'].forEach(pick => {
+            const field = `g${group.id}_${pick}`;
+            const value = data[field];
+            if (value === undefined || value === '') return;
+            if (group.items.some(item => item.id === value)) return;
+
+            const item = group.items.find(entry => entry.label === value);
+            if (item) {
+                migrated[field] = item.id;
+                changed = true;
+            } else {
+                unmatched.push(field);
+            }
+        });
+    });
+
+    if (unmatched.length > 0 || !changed) {
+        return { data, migrated: false, unmatched };
+    }
+
+    // Same statements, now keyed by id: the target version describes what was answered
+    migrated.instrument_version = formatInstrumentVersion(target);
+    if (data.instrument_version && data.instrument_version !== migrated.instrument_version) {
+        migrated.instrument_migrated_from = data.instrument_version;
+    }
+    return { data: migrated, migrated: true, unmatched };
+}
+
+/**
+ * List all registered versions
+ * @returns {Array<Object>} - Instrument definitions
+ */
+function listItemBanks() {
+    return BANKS.slice();
+}
+
+function fieldNames(bank) {
+    return bank.type === 'most-least'
+        ? bank.groups.flatMap(group => [`g${group.id}_most`, `g${group.id}_least`])
+        : bank.items.map(item => item.id);
+}
+
+module.exports = {
+    registry,
+    getItemBank,
+    resolveSubmissionBank,
+    migrateLabelAnswers,
+    listItemBanks
+};
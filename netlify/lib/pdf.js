@@ -0,0 +1,416 @@
+/**
+ * PDF Writer
+ *
+ * Minimal PDF 1.4 writer for server-generated documents (see
+ * candidate-report.js): pages of text, filled rectangles and lines, in the
+ * standard Helvetica fonts, so no font files or packages are needed.
+ *
+ * Coordinates are in points from the top-left corner of the page (A4 by
+ * default); text is positioned by its baseline. Text is written in
+ * WinAnsiEncoding, which covers English, Spanish and French. Other Latin
+ * letters fall back to their base letter (Polish "Łódź" is written "Lodz");
+ * anything else (Greek, Cyrillic, CJK, emoji) is replaced with "?".
+ */
+
+const zlib = require('zlib');
+
+const A4 = { width: 595.28, height: 841.89 };
+
+// Advance widths (1/1000 em) of WinAnsi characters 32-126, from the Adobe font metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi codes outside Latin-1, with their width in both fonts
+const WIN_ANSI_EXTRAS = {
+    '€': [0x80, 556], '‚': [0x82, 222], '„': [0x84, 333], '…': [0x85, 1000],
+    'Œ': [0x8C, 1000], '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333],
+    '”': [0x94, 333], '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000],
+    '™': [0x99, 1000], 'œ': [0x9C, 944], 'Ÿ': [0x9F, 667]
+};
+
+// Widths of the Latin-1 symbols that are not accented letters
+const LATIN1_WIDTHS = {
+    '\u00A0': 278, '¡': 333, '«': 556, '»': 556, '°': 400, '¿': 611,
+    '·': 278, '©': 737, '®': 737, '×': 584, '÷': 584, 'Æ': 1000,
+    'æ': 889, 'ß': 611
+};
+
+// Latin letters with a stroke have no decomposition to a base letter
+const BASE_LETTERS = {
+    'Ł': 'L', 'ł': 'l', 'Đ': 'D', 'đ': 'd', 'Ħ': 'H', 'ħ': 'h', 'ı': 'i', 'Ŧ': 'T', 'ŧ': 't'
+};
+
+const FONTS = {
+    regular: { name: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { name: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS }
+};
+
+/**
+ * Encode one character in WinAnsiEncoding
+ * @param {string} char - Character
+ * @returns {number} - Byte (the base letter's for other Latin letters, 63 "?" for anything else)
+ */
+function winAnsiCode(char) {
+    const code = char.codePointAt(0);
+    if (code >= 32 && code <= 126) return code;
+    if (code >= 0xA0 && code <= 0xFF) return code;
+    if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char][0];
+
+    const base = BASE_LETTERS[char] || char.normalize('NFD')[0];
+    return base !== char && /^[A-Za-z]$/.test(base) ? base.codePointAt(0) : 63;
+}
+
+/**
+ * Advance width of one character, in 1/1000 em
+ */
+function charWidth(char, font) {
+    const code = winAnsiCode(char);
+    if (code <= 126) return font.widths[code - 32];
+    if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char][1];
+    if (LATIN1_WIDTHS[char]) return LATIN1_WIDTHS[char];
+
+    // Accented letters are as wide as their base letter
+    const base = char.normalize('NFD')[0];
+    return base !== char && base.codePointAt(0) <= 126 ? charWidth(base, font) : 556;
+}
+
+/**
+ * Width of a string
+ * @param {string} text - Text
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Helvetica-Bold instead of Helvetica
+ * @returns {number} - Width in points
+ */
+function measureText(text, size, bold = false) {
+    const font = bold ? FONTS.bold : FONTS.regular;
+    return [...String(text)].reduce((sum, char) => sum + charWidth(char, font), 0) * size / 1000;
+}
+
+/**
+ * Break text into lines that fit a width, on spaces (and inside words longer than a line)
+ * @param {string} text - Text (newlines start a new line)
+ * @param {number} maxWidth - Line width in points
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Helvetica-Bold instead of Helvetica
+ * @returns {Array<string>} - Lines
+ */
+function wrapText(text, maxWidth, size, bold = false) {
+    const lines = [];
+
+    String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measureText(candidate, size, bold) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+
+            // A word wider than the line is split where it overflows
+            line = '';
+            [...word].forEach(char => {
+                if (line && measureText(line + char, size, bold) > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            });
+        });
+        lines.push(line);
+    });
+
+    return lines;
+}
+
+/**
+ * PDF string literal: escaped, with non-ASCII bytes as octal escapes
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function pdfString(text) {
+    const bytes = [...String(text)].map(winAnsiCode);
+    return '(' + bytes.map(code => {
+        if (code === 0x28 || code === 0x29 || code === 0x5C) return '\\' + String.fromCharCode(code);
+        if (code < 32 || code > 126) return '\\' + code.toString(8).padStart(3, '0');
+        return String.fromCharCode(code);
+    }).join('') + ')';
+}
+
+/**
+ * Color operand from "#RRGGBB"
+ */
+function pdfColor(hex) {
+    const value = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+    if (!value) throw new Error(`Invalid color "${hex}" (expected #RRGGBB)`);
+    return [0, 2, 4]
+        .map(offset => formatNumber(parseInt(value[1].slice(offset, offset + 2), 16) / 255))
+        .join(' ');
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Create a PDF document
+ * @param {Object} options - {width, height: page size in points (default: A4), compress: deflate page content (default: true), info: {Title, Author, Subject, Creator}}
+ * @returns {Object} - Document ({addPage, switchToPage, pageCount, text, rect, line, measureText, wrapText, toBuffer, width, height})
+ */
+function createPdfDocument(options = {}) {
+    const width = options.width || A4.width;
+    const height = options.height || A4.height;
+    const compress = options.compress !== false;
+    const pages = [];
+    let content = null;
+
+    const toY = y => formatNumber(height - y);
+
+    const doc = {
+        width,
+        height,
+        measureText,
+        wrapText,
+
+        /**
+         * Start a new page; drawing goes to the newest page
+         */
+        addPage() {
+            content = [];
+            pages.push(content);
+            return doc;
+        },
+
+        /**
+         * Send drawing to an earlier page (e.g. to add page numbers once the page count is known)
+         * @param {number} index - Page index, from 0
+         */
+        switchToPage(index) {
+            if (!pages[index]) throw new Error(`No page ${index}`);
+            content = pages[index];
+            return doc;
+        },
+
+        /**
+         * Number of pages so far
+         * @returns {number}
+         */
+        pageCount() {
+            return pages.length;
+        },
+
+        /**
+         * Draw a line of text
+         * @param {string} text - Text (not wrapped; see wrapText)
+         * @param {number} x - Left edge (or center/right edge with options.align)
+         * @param {number} y - Baseline
+         * @param {Object} options - {size (default: 10), bold, color: '#RRGGBB', align: 'left' | 'center' | 'right'}
+         */
+        text(text, x, y, options = {}) {
+            const size = options.size || 10;
+            const font = options.bold ? FONTS.bold : FONTS.regular;
+            const textWidth = measureText(text, size, options.bold);
+            const left = options.align === 'center' ? x - textWidth / 2
+                : options.align === 'right' ? x - textWidth : x;
+
+            content.push(
+                'BT',
+                `${pdfColor(options.color || '#111827')} rg`,
+                `/${font.name} ${formatNumber(size)} Tf`,
+                `${formatNumber(left)} ${toY(y)} Td`,
+                `${pdfString(text)} Tj`,
+                'ET'
+            );
+            return doc;
+        },
+
+        /**
+         * Draw a rectangle
+         * @param {number} x - Left edge
+         * @param {number} y - Top edge
+         * @param {number} w - Width
+         * @param {number} h - Height
+         * @param {Object} options - {fill: '#RRGGBB', stroke: '#RRGGBB', lineWidth}
+         */
+        rect(x, y, w, h, options = {}) {
+            const ops = [];
+            if (options.fill) ops.push(`${pdfColor(options.fill)} rg`);
+            if (options.stroke) ops.push(`${pdfColor(options.stroke)} RG`, `${formatNumber(options.lineWidth || 1)} w`);
+            ops.push(`${formatNumber(x)} ${toY(y + h)} ${formatNumber(w)} ${formatNumber(h)} re`);
+            ops.push(options.fill && options.stroke ? 'B' : options.stroke ? 'S' : 'f');
+            content.push(...ops);
+            return doc;
+        },
+
+        /**
+         * Draw a straight line
+         * @param {number} x1 - Start x
+         * @param {number} y1 - Start y
+         * @param {number} x2 - End x
+         * @param {number} y2 - End y
+         * @param {Object} options - {color: '#RRGGBB', lineWidth}
+         */
+        line(x1, y1, x2, y2, options = {}) {
+            content.push(
+                `${pdfColor(options.color || '#CCCCCC')} RG`,
+                `${formatNumber(options.lineWidth || 1)} w`,
+                `${formatNumber(x1)} ${toY(y1)} m ${formatNumber(x2)} ${toY(y2)} l S`
+            );
+            return doc;
+        },
+
+        /**
+         * Serialize the document
+         * @returns {Buffer} - PDF file
+         */
+        toBuffer() {
+            if (pages.length === 0) doc.addPage();
+            return serialize({ width, height, compress, info: options.info || {}, pages });
+        }
+    };
+
+    return doc;
+}
+
+/**
+ * Write the objects, cross-reference table and trailer
+ */
+function serialize({ width, height, compress, info, pages }) {
+    // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+    const pageIds = pages.map((page, index) => 6 + index * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        ...Object.values(FONTS).map(font => (
+            `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+        )),
+        `<< ${Object.entries({ Producer: 'DISC Assessment', ...info })
+            .filter(([, value]) => value)
+            .map(([key, value]) => `/${key} ${pdfString(value)}`)
+            .join(' ')} /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`
+    ];
+
+    pages.forEach((ops, index) => {
+        const contentId = pageIds[index] + 1;
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`);
+
+        const stream = Buffer.from(ops.join('\n'), 'latin1');
+        const data = compress ? zlib.deflateSync(stream) : stream;
+        objects.push(Buffer.concat([
+            Buffer.from(`<< /Length ${data.length}${compress ? ' /Filter /FlateDecode' : ''} >>\nstream\n`, 'latin1'),
+            data,
+            Buffer.from('\nendstream', 'latin1')
+        ]));
+    });
+
+    // Binary comment marks the file as binary for transfer tools
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = objects.map((object, index) => {
+        const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+        const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+        chunks.push(chunk);
+        const start = offset;
+        offset += chunk.length;
+        return start;
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(start => `${String(start).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+        ''
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Basic unit tests for the PDF writer
+ * Run with: node -e "require('./netlify/lib/pdf').runTests()"
+ */
+function runTests() {
+    console.log('Running PDF Writer Tests...\n');
+
+    const build = (compress = false) => {
+        const doc = createPdfDocument({ compress, info: { Title: 'Report (draft) \\ Zoë' } });
+        doc.addPage().text('Página 1 – €5', 40, 60, { bold: true });
+        doc.addPage().text('Second page', 40, 60).rect(40, 80, 100, 20, { fill: '#2563EB' }).line(40, 120, 200, 120);
+        return doc.toBuffer().toString('latin1');
+    };
+
+    // Test 1: Cross-reference table and trailer
+    [false, true].forEach(compress => {
+        const pdf = build(compress);
+        const startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)[1]);
+        console.assert(pdf.startsWith('%PDF-1.4\n') && pdf.slice(startxref, startxref + 5) === 'xref\n', `Test 1a: startxref should point at the xref table (compress: ${compress})`);
+
+        const [, first, count] = /^xref\n(\d+) (\d+)\n/.exec(pdf.slice(startxref)).map(Number);
+        const entries = pdf.slice(startxref).split('\n').slice(2, 2 + count);
+        console.assert(first === 0 && entries[0] === '0000000000 65535 f ', 'Test 1b: First entry should be the free object 0');
+        console.assert(entries.slice(1).every((entry, index) => /^\d{10} 00000 n $/.test(entry) &&
+            pdf.startsWith(`${index + 1} 0 obj\n`, Number(entry.slice(0, 10)))), `Test 1c: Every offset should point at its object (compress: ${compress})`);
+        console.assert(new RegExp(`/Size ${count} /Root 1 0 R /Info 5 0 R`).test(pdf), 'Test 1d: Trailer /Size should match the table');
+
+        const lengths = [...pdf.matchAll(/<< \/Length (\d+)[^>]*>>\nstream\n/g)];
+        console.assert(lengths.length === 2 && lengths.every(match => pdf.startsWith('\nendstream', match.index + match[0].length + Number(match[1]))),
+            `Test 1e: Stream lengths should match their data (compress: ${compress})`);
+    });
+    console.assert(/\/Count 2 >>/.test(build()), 'Test 1f: Page tree should count the pages');
+    console.log('✓ Test 1: Cross-reference table and trailer passed');
+
+    // Test 2: WinAnsi text
+    console.assert(pdfString('Zoë (a\\b)') === '(Zo\\353 \\(a\\\\b\\))', 'Test 2a: Latin-1 should be octal, delimiters escaped');
+    console.assert(pdfString('€–’') === '(\\200\\226\\222)', 'Test 2b: WinAnsi extras should use their codes');
+    console.assert(/\(P\\341gina 1 \\226 \\2005\) Tj/.test(build()), 'Test 2c: Page text should be WinAnsi encoded');
+    console.assert(/\/Title \(Report \\\(draft\\\) \\\\ Zo\\353\)/.test(build()), 'Test 2d: Document info should be escaped');
+    console.log('✓ Test 2: WinAnsi text passed');
+
+    // Test 3: Text outside WinAnsi
+    console.assert(pdfString('Łódź Wąsowska') === '(L\\363dz Wasowska)', 'Test 3a: Polish letters should fall back to their base letter');
+    console.assert(pdfString('Ştefan Dvořák') === '(Stefan Dvor\\341k)', 'Test 3b: Other Latin letters should fall back to their base letter');
+    console.assert(pdfString('Γιώργος') === '(???????)', 'Test 3c: Greek should be "?"');
+    console.assert(pdfString('王芳😀') === '(???)', 'Test 3d: CJK and emoji should be one "?" per character');
+    console.assert(measureText('Łódź', 10) === measureText('Lódz', 10), 'Test 3e: Width should match the letters written');
+    console.log('✓ Test 3: Text outside WinAnsi passed');
+
+    // Test 4: Measuring and wrapping
+    console.assert(measureText('Hello', 10) === 22.78 && measureText('Hello', 10, true) > 22.78, 'Test 4a: Widths should follow the Helvetica metrics');
+    const lines = wrapText('The quick brown fox jumps over the lazy dog', 100, 10);
+    console.assert(lines.length > 1 && lines.every(line => measureText(line, 10) <= 100), 'Test 4b: Wrapped lines should fit the width');
+    console.assert(wrapText('a\nb', 100, 10).join('|') === 'a|b', 'Test 4c: Newlines should start a new line');
+    console.assert(wrapText('x'.repeat(60), 100, 10).every(line => measureText(line, 10) <= 100), 'Test 4d: Long words should be split');
+    console.log('✓ Test 4: Measuring and wrapping passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    A4,
+    createPdfDocument,
+    measureText,
+    wrapText,
+    runTests
+};
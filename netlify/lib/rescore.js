@@ -0,0 +1,334 @@
+/**
+ * Server-side Re-scoring
+ *
+ * Recomputes DISC scores from the raw answers in a form submission and
+ * compares them against the scores the browser wrote into the hidden fields.
+ * The client values are never trusted: a candidate can edit `score_D` or
+ * `primary_style` in devtools before submitting.
+ *
+ * Supports both assessment variants:
+ * - Most/Least form (assessment.html): g{n}_most / g{n}_least
+ * - Likert form (disc.html): item ids q1..qN
+ *
+ * Each submission is scored against the item bank version in its
+ * instrument_version stamp (see item-banks.js).
+ */
+
+const { scoreResponses, findMissingResponses, formatStyleVector } = require('../../public/js/scoring-core.js');
+const { MOST_LEAST_ID, LIKERT_ID, formatInstrumentVersion } = require('../../public/js/instruments.js');
+const { assessValidity, formatValidityFields } = require('../../public/js/validity.js');
+const { normalizeResult, formatNormVector } = require('../../public/js/norms.js');
+const { createPresentationOrder, applyPresentationOrder, formatPresentationOrder, parsePresentationOrder } = require('../../public/js/shuffle.js');
+const { resolveSubmissionBank } = require('./item-banks');
+const normsTable = require('../../public/data/disc_norms.json');
+
+/**
+ * Detect which assessment variant produced a submission
+ * @param {Object} data - Submitted form fields
+ * @returns {string|null} - 'most-least', 'likert' or null if unknown
+ */
+function detectInstrument(data) {
+    if (Object.keys(data).some(key => /^g\d+_(most|least)$/.test(key))) {
+        return 'most-least';
+    }
+    if (Object.keys(data).some(key => /^q\d+$/.test(key))) {
+        return 'likert';
+    }
+    return null;
+}
+
+/**
+ * Re-score a Most/Least submission
+ * @param {Object} data - Submitted form fields
+ * @param {Object} instrument - Most/Least item bank (defaults to the submission's version)
+ * @returns {Object} - {complete: boolean, result: Object, fields: Object, derived: Object}
+ */
+function rescoreMostLeast(data, instrument = resolveSubmissionBank(data, MOST_LEAST_ID).instrument) {
+    const responses = {};
+
+    instrument.groups.forEach(group => {
+        responses[group.id] = {
+            most: data[`g${group.id}_most`] || null,
+            least: data[`g${group.id}_least`] || null
+        };
+    });
+
+    const result = scoreResponses(instrument, responses);
+
+    return {
+        complete: findMissingResponses(instrument, responses).length === 0,
+        result,
+        fields: {
+            score_D: result.totals.D,
+            score_I: result.totals.I,
+            score_S: result.totals.S,
+            score_C: result.totals.C,
+            primary_type: result.primaryType,
+            type_order: result.typeOrder,
+            debug_vector: JSON.stringify(result.debug),
+            ...presentationFields(instrument, responses, data)
+        },
+        derived: derivedFields(instrument, result)
+    };
+}
+
+/**
+ * Re-score a Likert submission
+ * @param {Object} data - Submitted form fields
+ * @param {Object} instrument - Likert item bank (defaults to the submission's version)
+ * @returns {Object} - {complete: boolean, result: Object, fields: Object, derived: Object}
+ */
+function rescoreLikert(data, instrument = resolveSubmissionBank(data, LIKERT_ID).instrument) {
+    const responses = {};
+    instrument.items.forEach(item => {
+        responses[item.id] = data[item.id];
+    });
+
+    const result = scoreResponses(instrument, responses);
+
+    return {
+        complete: findMissingResponses(instrument, responses).length === 0,
+        result,
+        fields: {
+            total_D: result.totals.D,
+            total_I: result.totals.I,
+            total_S: result.totals.S,
+            total_C: result.totals.C,
+            primary_style: result.primary,
+            secondary_style: result.secondary,
+            style_vector: formatStyleVector(result),
+            acquiescence_index: result.acquiescence.index,
+            ...presentationFields(instrument, responses, data)
+        },
+        derived: derivedFields(instrument, result)
+    };
+}
+
+/**
+ * Score a submission with the shared core, ignoring any client-supplied scores
+ * @param {Object} data - Submitted form fields
+ * @returns {Object|null} - {instrument, version, complete, result} or null if the variant is unknown
+ */
+function scoreSubmission(data) {
+    const instrument = detectInstrument(data);
+    if (!instrument) return null;
+
+    const rescored = instrument === 'likert' ? rescoreLikert(data) : rescoreMostLeast(data);
+    return {
+        instrument,
+        version: rescored.derived.instrument_version,
+        complete: rescored.complete,
+        result: rescored.result
+    };
+}
+
+/**
+ * Rebuild the presentation order from the submitted seed (so an edited order
+ * shows up as a mismatch) and recompute validity in that order.
+ * Submissions without an order are checked in item-bank order.
+ */
+function presentationFields(instrument, responses, data) {
+    const submitted = parsePresentationOrder(data.presentation_order);
+    if (!submitted || !submitted.seed) {
+        return validityFields(instrument, responses, data);
+    }
+
+    const order = createPresentationOrder(instrument, submitted.seed);
+    return {
+        presentation_order: formatPresentationOrder(order),
+        ...validityFields(applyPresentationOrder(instrument, order), responses, data)
+    };
+}
+
+/**
+ * Recompute validity indicators; completion time can only come from the client
+ */
+function validityFields(instrument, responses, data) {
+    const completionSeconds = data.completion_seconds === '' || data.completion_seconds === undefined
+        ? undefined
+        : Number(data.completion_seconds);
+    const validity = assessValidity(instrument, responses, { completionSeconds });
+    const fields = formatValidityFields(validity);
+    delete fields.completion_seconds;
+    return fields;
+}
+
+/**
+ * Fields the server always (re)computes but never counts as tampering,
+ * because the browser may legitimately leave them empty (e.g. norms failed to
+ * load, or a submission from before versions were stamped)
+ */
+function derivedFields(instrument, result) {
+    return {
+        instrument_version: formatInstrumentVersion(instrument),
+        norm_vector: formatNormVector(normalizeResult(result, normsTable))
+    };
+}
+
+/**
+ * Compare a client-supplied value with the server value
+ * Numbers arrive as strings from the form, and JSON vectors may differ in whitespace.
+ */
+function valuesMatch(clientValue, serverValue) {
+    if (clientValue === undefined || clientValue === null || clientValue === '') {
+        return serverValue === '';
+    }
+    if (typeof serverValue === 'number') {
+        return Number(clientValue) === serverValue;
+    }
+    if (typeof serverValue === 'string' && serverValue.startsWith('{')) {
+        try {
+            return JSON.stringify(JSON.parse(clientValue)) === serverValue;
+        } catch (error) {
+            return false;
+        }
+    }
+    return String(clientValue) === serverValue;
+}
+
+/**
+ * Verify the scores in a submission and apply the mismatch policy
+ * @param {Object} data - Submitted form fields
+ * @param {Object} options - {mode: 'overwrite' | 'flag'}
+ * @returns {Object} - {data: Object, verification: Object}
+ */
+function verifySubmission(data, options = {}) {
+    const mode = options.mode === 'flag' ? 'flag' : 'overwrite';
+    const instrument = detectInstrument(data);
+
+    if (!instrument) {
+        return {
+            data,
+            verification: { status: 'unverifiable', instrument: null, mismatches: [] }
+        };
+    }
+
+    const rescored = instrument === 'likert' ? rescoreLikert(data) : rescoreMostLeast(data);
+
+    const mismatches = Object.entries(rescored.fields)
+        .filter(([field, serverValue]) => !valuesMatch(data[field], serverValue))
+        .map(([field, serverValue]) => ({
+            field,
+            client: data[field] === undefined ? null : data[field],
+            server: serverValue
+        }));
+
+    let status = 'verified';
+    if (!rescored.complete) {
+        status = 'incomplete';
+    } else if (mismatches.length > 0) {
+        status = 'mismatch';
+    }
+
+    const verification = {
+        status,
+        instrument,
+        instrumentVersion: rescored.derived.instrument_version,
+        mode,
+        mismatches
+    };
+
+    const verified = { ...data };
+    if (mode === 'overwrite') {
+        Object.entries(rescored.fields).forEach(([field, value]) => {
+            verified[field] = value;
+        });
+    }
+    Object.entries(rescored.derived).forEach(([field, value]) => {
+        verified[field] = value;
+    });
+    verified.score_verification = status;
+    verified.score_mismatches = JSON.stringify(mismatches);
+
+    return { data: verified, verification };
+}
+
+/**
+ * Basic unit tests for server-side re-scoring
+ * Run with: node -e "require('./netlify/lib/rescore').runTests()"
+ */
+function runTests() {
+    console.log('Running Re-scoring Tests...\n');
+
+    const mostLeast = resolveSubmissionBank({ instrument_version: `${MOST_LEAST_ID}@2` }, MOST_LEAST_ID).instrument;
+    const likert = resolveSubmissionBank({ instrument_version: `${LIKERT_ID}@2` }, LIKERT_ID).instrument;
+
+    // An honest browser writes the same fields the server computes
+    const honest = (answers, rescore) => {
+        const { fields, derived } = rescore(answers);
+        return Object.fromEntries(Object.entries({ ...answers, ...fields, ...derived }).map(([field, value]) => [field, String(value)]));
+    };
+    const mostLeastAnswers = { instrument_version: `${MOST_LEAST_ID}@2`, completion_seconds: '300' };
+    mostLeast.groups.forEach((group, index) => {
+        mostLeastAnswers[`g${group.id}_most`] = group.items[index % 4].id;
+        mostLeastAnswers[`g${group.id}_least`] = group.items[(index + 2) % 4].id;
+    });
+    const likertAnswers = { instrument_version: `${LIKERT_ID}@2`, completion_seconds: '300' };
+    likert.items.forEach((item, index) => {
+        likertAnswers[item.id] = String(((index * 3) % 5) + 1);
+    });
+    const mostLeastData = honest(mostLeastAnswers, data => rescoreMostLeast(data));
+    const likertData = honest(likertAnswers, data => rescoreLikert(data));
+
+    // Test 1: Instrument detection
+    console.assert(detectInstrument(mostLeastData) === 'most-least' && detectInstrument(likertData) === 'likert', 'Test 1a: Both variants should be detected');
+    console.assert(detectInstrument({ full_name: 'Jane' }) === null, 'Test 1b: Other forms should be unknown');
+    const scored = scoreSubmission(mostLeastData);
+    console.assert(scored.instrument === 'most-least' && scored.version === `${MOST_LEAST_ID}@2` && scored.complete === true, 'Test 1c: Submissions should be scored');
+    console.log('✓ Test 1: Instrument detection passed');
+
+    // Test 2: Honest submissions
+    [mostLeastData, likertData].forEach(data => {
+        const { verification } = verifySubmission(data);
+        console.assert(verification.status === 'verified' && verification.mismatches.length === 0, `Test 2a: Honest ${verification.instrument} scores should verify`);
+    });
+    console.assert(verifySubmission({ full_name: 'Jane' }).verification.status === 'unverifiable', 'Test 2b: Other forms should be unverifiable');
+    console.log('✓ Test 2: Honest submissions passed');
+
+    // Test 3: Edited scores
+    const serverD = mostLeastData.score_D;
+    const edited = { ...mostLeastData, score_D: '99', primary_type: 'High D' };
+    const overwritten = verifySubmission(edited);
+    console.assert(overwritten.verification.status === 'mismatch' && overwritten.verification.mode === 'overwrite', 'Test 3a: Edited scores should be a mismatch');
+    console.assert(overwritten.verification.mismatches.some(m => m.field === 'score_D' && m.client === '99' && String(m.server) === serverD), 'Test 3b: Mismatches should list both values');
+    console.assert(String(overwritten.data.score_D) === serverD && overwritten.data.score_verification === 'mismatch', 'Test 3c: Overwrite should restore server scores');
+    console.assert(verifySubmission(edited, { mode: 'flag' }).data.score_D === '99', 'Test 3d: Flag mode should keep the client value');
+    console.assert(verifySubmission({ ...likertData, primary_style: 'D', style_vector: '{"D":1}' }).verification.mismatches.length === 2, 'Test 3e: Edited Likert fields should be found');
+    console.log('✓ Test 3: Edited scores passed');
+
+    // Test 4: Validity and presentation order
+    const straight = { ...likertAnswers };
+    likert.items.forEach(item => {
+        straight[item.id] = '3';
+    });
+    const rescoredStraight = rescoreLikert(straight);
+    console.assert(rescoredStraight.fields.low_confidence === 'true' && rescoredStraight.fields.validity_flags.includes('straight_lining'), 'Test 4a: Validity should be recomputed');
+    console.assert(verifySubmission({ ...honest(straight, data => rescoreLikert(data)), low_confidence: 'false' }).verification.mismatches.some(m => m.field === 'low_confidence'),
+        'Test 4b: A cleared low-confidence flag should be a mismatch');
+    const seeded = honest({ ...mostLeastAnswers, presentation_order: formatPresentationOrder(createPresentationOrder(mostLeast, 'a1b2c3d4e5f60718')) }, data => rescoreMostLeast(data));
+    const order = JSON.parse(seeded.presentation_order);
+    console.assert(verifySubmission(seeded).verification.status === 'verified', 'Test 4c: Seeded order should verify');
+    const reordered = { ...seeded, presentation_order: JSON.stringify({ ...order, groups: [...order.groups].reverse() }) };
+    console.assert(verifySubmission(reordered).verification.mismatches.some(m => m.field === 'presentation_order'), 'Test 4d: Edited order should be a mismatch');
+    console.log('✓ Test 4: Validity and presentation order passed');
+
+    // Test 5: Incomplete and derived fields
+    const partial = { ...mostLeastData };
+    delete partial.g1_most;
+    console.assert(verifySubmission(partial).verification.status === 'incomplete', 'Test 5a: Missing answers should be incomplete');
+    const { data } = verifySubmission({ ...mostLeastData, instrument_version: '', norm_vector: '' });
+    console.assert(data.instrument_version === `${MOST_LEAST_ID}@2` && JSON.parse(data.norm_vector).z,
+        'Test 5b: Unstamped submissions should be stamped with the version they answer, and get norms');
+    console.log('✓ Test 5: Incomplete and derived fields passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    detectInstrument,
+    rescoreMostLeast,
+    rescoreLikert,
+    scoreSubmission,
+    verifySubmission,
+    runTests
+};
@@ -0,0 +1,139 @@
+/**
+ * Results Links
+ *
+ * Builds signed, expiring links to /results for a scored submission.
+ * The token carries the server-computed result, so the results page can
+ * render it without a database and candidates cannot edit the scores.
+ * Links open in the language the assessment was taken in (?lang=).
+ *
+ * Environment Variables:
+ * - RESULTS_SIGNING_SECRET: HMAC secret for results tokens (links are disabled without it)
+ * - RESULTS_LINK_TTL_DAYS: Link lifetime in days (default: 30)
+ * - URL: Site URL (set automatically by Netlify)
+ */
+
+const { signToken, verifyToken } = require('./signing');
+const { scoreSubmission } = require('./rescore');
+const { normalizeResult } = require('../../public/js/norms.js');
+const normsTable = require('../../public/data/disc_norms.json');
+
+const DEFAULT_TTL_DAYS = 30;
+
+// Token type, so invitation or admin tokens signed with the same secret never open a results page
+const TOKEN_TYPE = 'results';
+
+// Locale codes as recorded by the assessment pages ("es", "pt-BR")
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+/**
+ * Pick the fields the results page needs from a core scoring result
+ * @param {Object} result - Result of scoreResponses
+ * @returns {Object} - Compact result
+ */
+function summarizeResult(result) {
+    return {
+        instrumentType: result.instrumentType,
+        totals: result.totals,
+        percentages: result.percentages,
+        primary: result.primary,
+        secondary: result.secondary,
+        primaryType: result.primaryType,
+        typeOrder: result.typeOrder,
+        normalized: normalizeResult(result, normsTable)
+    };
+}
+
+/**
+ * Create a signed results link for a submission
+ * @param {Object} data - Submitted form fields
+ * @param {string} submissionId - Netlify submission id
+ * @returns {string|null} - Absolute or site-relative URL, or null when links are disabled
+ */
+function createResultsLink(data, submissionId) {
+    const secret = process.env.RESULTS_SIGNING_SECRET;
+    if (!secret) return null;
+
+    const scored = scoreSubmission(data);
+    if (!scored) return null;
+
+    const ttlDays = Number(process.env.RESULTS_LINK_TTL_DAYS) || DEFAULT_TTL_DAYS;
+    const token = signToken({
+        typ: TOKEN_TYPE,
+        sub: submissionId,
+        name: data.full_name || '',
+        role: data.role_applied_for || data.position_applied_for || '',
+        result: summarizeResult(scored.result)
+    }, secret, { expiresIn: ttlDays * 24 * 60 * 60 });
+
+    const lang = LOCALE_PATTERN.test(data.locale || '') ? `&lang=${encodeURIComponent(data.locale)}` : '';
+    return `${process.env.URL || ''}/results?token=${encodeURIComponent(token)}${lang}`;
+}
+
+/**
+ * Verify a results token
+ * @param {string} token - Token from the results link
+ * @returns {Object} - {valid, payload?, error?}
+ */
+function readResultsToken(token) {
+    const verified = verifyToken(token, process.env.RESULTS_SIGNING_SECRET);
+    if (verified.valid && verified.payload.typ !== TOKEN_TYPE) {
+        return { valid: false, error: 'Not a results link' };
+    }
+    return verified;
+}
+
+/**
+ * Basic unit tests for results links
+ * Run with: node -e "require('./netlify/lib/results-link').runTests()"
+ */
+function runTests() {
+    console.log('Running Results Link Tests...\n');
+
+    const saved = { RESULTS_SIGNING_SECRET: process.env.RESULTS_SIGNING_SECRET, URL: process.env.URL };
+    const data = { full_name: 'Jane Doe', role_applied_for: 'Sales', locale: 'es' };
+    for (let i = 1; i <= 28; i++) {
+        data[`q${i}`] = String((i % 5) + 1);
+    }
+    const tokenOf = link => decodeURIComponent(/token=([^&]+)/.exec(link)[1]);
+
+    try {
+        process.env.RESULTS_SIGNING_SECRET = 'test-secret';
+        process.env.URL = 'https://disc.example.com';
+
+        // Test 1: Links
+        const link = createResultsLink(data, 'sub-1');
+        console.assert(link.startsWith('https://disc.example.com/results?token=') && link.endsWith('&lang=es'), 'Test 1a: Link should point at the results page');
+        const { valid, payload } = readResultsToken(tokenOf(link));
+        console.assert(valid && payload.typ === 'results' && payload.sub === 'sub-1' && payload.name === 'Jane Doe', 'Test 1b: Token should carry the submission');
+        console.assert(payload.result.primaryType === scoreSubmission(data).result.primaryType, 'Test 1c: Result should be re-scored');
+        console.assert(createResultsLink({ full_name: 'Jane' }, 'sub-2') === null, 'Test 1d: Other forms should get no link');
+        console.log('✓ Test 1: Links passed');
+
+        // Test 2: Other tokens signed with the same secret
+        ['invite', 'admin', undefined].forEach(typ => {
+            const other = signToken({ typ, sub: 'sub-1', result: payload.result }, 'test-secret', { expiresIn: 60 });
+            console.assert(readResultsToken(other).error === 'Not a results link', `Test 2a: A ${typ || 'untyped'} token should be rejected`);
+        });
+        console.assert(readResultsToken(signToken({ typ: 'results' }, 'other-secret', { expiresIn: 60 })).valid === false, 'Test 2b: Another secret should fail');
+        console.log('✓ Test 2: Other tokens passed');
+
+        // Test 3: Disabled links
+        delete process.env.RESULTS_SIGNING_SECRET;
+        console.assert(createResultsLink(data, 'sub-1') === null, 'Test 3a: No secret should disable links');
+        console.log('✓ Test 3: Disabled links passed');
+    } finally {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+    }
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    summarizeResult,
+    createResultsLink,
+    readResultsToken,
+    runTests
+};
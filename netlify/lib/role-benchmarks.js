@@ -0,0 +1,87 @@
+/**
+ * Role Benchmarks
+ *
+ * Applies the role benchmarks in netlify/data/role_benchmarks.json to scored
+ * submissions (see public/js/fit.js for matching and the fit calculation).
+ * The relay adds the fit to the webhook payload and the stored record; the
+ * dashboard, exports and PDF report recompute it, so edits to the benchmarks
+ * apply to earlier submissions too.
+ *
+ * The file lives outside public/, so candidates can't see the targets.
+ */
+
+const { validateBenchmarks, findBenchmark, calculateFit } = require('../../public/js/fit.js');
+const benchmarkFile = require('../data/role_benchmarks.json');
+
+let checked = null;
+
+/**
+ * Get the benchmark file, checked once
+ * @param {Object} config - Benchmarks to use instead of the file (e.g. in tests)
+ * @returns {Object} - Benchmarks
+ */
+function loadBenchmarks(config = benchmarkFile) {
+    if (config === checked) return config;
+
+    const problems = validateBenchmarks(config);
+    if (problems.length > 0) {
+        throw new Error(`Invalid netlify/data/role_benchmarks.json: ${problems.join('; ')}`);
+    }
+    checked = config;
+    return config;
+}
+
+/**
+ * Score a result against the benchmark for its position
+ * @param {Object} position - {role, requisitionId}
+ * @param {Object} percentages - DISC intensity (0-100) per dimension
+ * @param {Object} config - Benchmarks (defaults to the file)
+ * @returns {Object|null} - Fit (see calculateFit), or null when no benchmark applies
+ */
+function assessRoleFit(position, percentages, config) {
+    const benchmarks = loadBenchmarks(config);
+    const benchmark = findBenchmark(benchmarks, position);
+    return benchmark ? calculateFit(percentages, benchmark, { tolerance: benchmarks.tolerance }) : null;
+}
+
+/**
+ * Basic unit tests for role benchmarks
+ * Run with: node -e "require('./netlify/lib/role-benchmarks').runTests()"
+ */
+function runTests() {
+    console.log('Running Role Benchmark Tests...\n');
+
+    // Test 1: Benchmark file
+    console.assert(loadBenchmarks() === benchmarkFile, 'Test 1a: netlify/data/role_benchmarks.json should be valid');
+    let error = null;
+    try {
+        loadBenchmarks({ roles: { broken: { label: 'Broken' } } });
+    } catch (e) {
+        error = e;
+    }
+    console.assert(error && error.message.startsWith('Invalid netlify/data/role_benchmarks.json: broken: missing target for D'), 'Test 1b: Invalid benchmarks should throw');
+    console.log('✓ Test 1: Benchmark file passed');
+
+    // Test 2: Assessing a position
+    const config = {
+        tolerance: 10,
+        roles: {
+            analyst: {
+                label: 'Data Analyst',
+                dimensions: { D: { min: 0, max: 50 }, I: { min: 0, max: 50 }, S: { min: 0, max: 100 }, C: { min: 60, max: 100 } }
+            }
+        }
+    };
+    const fit = assessRoleFit({ role: 'Senior Data Analyst' }, { D: 30, I: 55, S: 50, C: 80 }, config);
+    console.assert(fit.benchmark === 'analyst' && fit.dimensions[1].score === 50 && fit.match === 88, 'Test 2a: Fit should use the file tolerance');
+    console.assert(assessRoleFit({ role: 'Chef' }, { D: 30, I: 55, S: 50, C: 80 }, config) === null, 'Test 2b: No benchmark should give null');
+    console.log('✓ Test 2: Assessing a position passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    loadBenchmarks,
+    assessRoleFit,
+    runTests
+};
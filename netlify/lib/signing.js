@@ -0,0 +1,135 @@
+/**
+ * Signed Tokens
+ *
+ * Compact HMAC-SHA256 tokens ("<base64url payload>.<base64url signature>")
+ * for links that must not be forged or edited, e.g. results links.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Sign a payload
+ * @param {Object} payload - JSON-serializable data
+ * @param {string} secret - HMAC secret
+ * @param {Object} options - {expiresIn: seconds}
+ * @returns {string} - Signed token
+ */
+function signToken(payload, secret, options = {}) {
+    if (!secret) {
+        throw new Error('Signing secret is not configured');
+    }
+
+    const body = { ...payload, iat: Math.floor(Date.now() / 1000) };
+    if (options.expiresIn) {
+        body.exp = body.iat + options.expiresIn;
+    }
+
+    const encoded = Buffer.from(JSON.stringify(body)).toString('base64url');
+    return `${encoded}.${sign(encoded, secret)}`;
+}
+
+/**
+ * Verify a token and return its payload
+ * @param {string} token - Signed token
+ * @param {string} secret - HMAC secret
+ * @returns {Object} - {valid: boolean, payload?: Object, error?: string}
+ */
+function verifyToken(token, secret) {
+    if (!secret) {
+        return { valid: false, error: 'Signing secret is not configured' };
+    }
+    if (typeof token !== 'string' || !token.includes('.')) {
+        return { valid: false, error: 'Malformed token' };
+    }
+
+    const [encoded, signature] = token.split('.');
+    if (!signature || !safeEqual(signature, sign(encoded, secret))) {
+        return { valid: false, error: 'Invalid signature' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { valid: false, error: 'Malformed token' };
+    }
+
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+        return { valid: false, error: 'Token expired', payload };
+    }
+
+    return { valid: true, payload };
+}
+
+/**
+ * Compare a received signature with the expected one in constant time
+ * @param {string} given - Received value (any text, e.g. from a header)
+ * @param {string} expected - Expected value
+ * @returns {boolean}
+ */
+function safeEqual(given, expected) {
+    // Compared as bytes: timingSafeEqual throws on buffers of different byte
+    // lengths, and a string's length is not its byte length ("é" is 2 bytes)
+    const a = Buffer.from(String(given), 'utf8');
+    const b = Buffer.from(String(expected), 'utf8');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sign(value, secret) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+/**
+ * Basic unit tests for signed tokens
+ * Run with: node -e "require('./netlify/lib/signing').runTests()"
+ */
+function runTests() {
+    console.log('Running Signed Token Tests...\n');
+
+    const secret = 'test-secret';
+    const token = signToken({ sub: 'abc' }, secret, { expiresIn: 60 });
+    const [encoded, signature] = token.split('.');
+
+    // Test 1: Valid token
+    const result1 = verifyToken(token, secret);
+    console.assert(result1.valid === true, 'Test 1a: Signed token should verify');
+    console.assert(result1.payload.sub === 'abc' && result1.payload.exp > result1.payload.iat, 'Test 1b: Payload should round-trip with an expiry');
+    console.log('✓ Test 1: Valid token passed');
+
+    // Test 2: Bad signature
+    const flipped = signature.slice(0, -1) + (signature.endsWith('A') ? 'B' : 'A');
+    const edited = Buffer.from(JSON.stringify({ sub: 'admin', iat: result1.payload.iat })).toString('base64url');
+    console.assert(verifyToken(`${encoded}.${flipped}`, secret).error === 'Invalid signature', 'Test 2a: Changed signature should fail');
+    console.assert(verifyToken(`${edited}.${signature}`, secret).error === 'Invalid signature', 'Test 2b: Edited payload should fail');
+    console.assert(verifyToken(token, 'other-secret').valid === false, 'Test 2c: Another secret should fail');
+    console.log('✓ Test 2: Bad signature passed');
+
+    // Test 3: Wrong length
+    console.assert(verifyToken(`${encoded}.${signature.slice(0, -1)}`, secret).error === 'Invalid signature', 'Test 3a: Short signature should fail');
+    console.assert(verifyToken(`${encoded}.${signature}a`, secret).error === 'Invalid signature', 'Test 3b: Long signature should fail');
+    console.assert(verifyToken(`${encoded}.`, secret).error === 'Invalid signature', 'Test 3c: Empty signature should fail');
+    console.log('✓ Test 3: Wrong length passed');
+
+    // Test 4: Non-ASCII - same character length, then same byte length, as the real signature
+    console.assert(verifyToken(`${encoded}.é${signature.slice(1)}`, secret).error === 'Invalid signature', 'Test 4a: Non-ASCII signature should fail, not throw');
+    console.assert(verifyToken(`${encoded}.é${signature.slice(2)}`, secret).error === 'Invalid signature', 'Test 4b: Non-ASCII signature of equal byte length should fail');
+    console.assert(safeEqual('é', 'ab') === false && safeEqual('abc', 'abc') === true, 'Test 4c: safeEqual should compare bytes');
+    console.log('✓ Test 4: Non-ASCII passed');
+
+    // Test 5: Expired and malformed tokens
+    const expired = verifyToken(signToken({ sub: 'abc' }, secret, { expiresIn: -60 }), secret);
+    console.assert(expired.valid === false && expired.error === 'Token expired', 'Test 5a: Expired token should fail');
+    console.assert(verifyToken('no-dot', secret).error === 'Malformed token', 'Test 5b: Token without a signature should fail');
+    console.assert(verifyToken(null, secret).error === 'Malformed token', 'Test 5c: Missing token should fail');
+    console.assert(verifyToken(token, '').valid === false, 'Test 5d: Missing secret should fail');
+    console.log('✓ Test 5: Expired and malformed tokens passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+    safeEqual,
+    runTests
+};
@@ -0,0 +1,45 @@
+/**
+ * Site Locales
+ *
+ * The site's UI strings and profile catalogue for text written by functions
+ * (PDF reports, candidate emails). The shared browser modules keep strings
+ * (i18n.js) and profiles (profiles.js) as module state, so useLocale sets
+ * both before each document is written.
+ */
+
+const { setMessages, resolveLocale, DEFAULT_LOCALE } = require('../../public/js/i18n.js');
+const { setProfiles, localizeProfiles } = require('../../public/js/profiles.js');
+
+const LOCALES = {
+    en: require('../../public/data/locales/en.json'),
+    es: require('../../public/data/locales/es.json'),
+    fr: require('../../public/data/locales/fr.json')
+};
+const PROFILES = require('../../public/data/disc_profiles.json');
+const PROFILE_TRANSLATIONS = {
+    es: require('../../public/data/disc_profiles.es.json'),
+    fr: require('../../public/data/disc_profiles.fr.json')
+};
+
+/**
+ * Pick the first supported locale
+ * @param {Array<string>} preferred - Requested locales, most preferred first (empty entries are skipped)
+ * @returns {string} - Supported locale code (English when nothing matches)
+ */
+function resolveSiteLocale(preferred) {
+    return resolveLocale(Object.keys(LOCALES), preferred, DEFAULT_LOCALE);
+}
+
+/**
+ * Switch the shared strings and profiles to a locale
+ * @param {string} locale - Supported locale code (see resolveSiteLocale)
+ */
+function useLocale(locale) {
+    setMessages(locale, LOCALES[locale], LOCALES[DEFAULT_LOCALE]);
+    setProfiles(PROFILE_TRANSLATIONS[locale] ? localizeProfiles(PROFILES, PROFILE_TRANSLATIONS[locale]) : PROFILES);
+}
+
+module.exports = {
+    resolveSiteLocale,
+    useLocale
+};
@@ -0,0 +1,297 @@
+/**
+ * SMTP Transport
+ *
+ * Sends one UTF-8 message with plain-text and HTML parts through Nodemailer:
+ * STARTTLS or implicit TLS, AUTH, header encoding and dot-stuffing are
+ * Nodemailer's. Works with any SMTP relay (SES, SendGrid, Postmark,
+ * Mailgun, ...) and with local mail catchers (Mailpit, MailHog, smtp4dev)
+ * for testing.
+ *
+ * Credentials are only sent over TLS: with SMTP_USER set, a server that does
+ * not offer STARTTLS is refused.
+ *
+ * Environment Variables:
+ * - SMTP_HOST: SMTP server (sending is disabled without it)
+ * - SMTP_PORT: Port (default: 465 with SMTP_SECURE, else 587; mail catchers usually listen on 1025)
+ * - SMTP_SECURE: 'true' for implicit TLS (port 465); otherwise STARTTLS is used when offered
+ * - SMTP_USER, SMTP_PASS: Credentials, if the server needs them
+ * - SMTP_TIMEOUT_MS: Connection and reply timeout (default: 5000)
+ * - SMTP_TLS_REJECT_UNAUTHORIZED: 'false' accepts self-signed certificates (testing only)
+ */
+
+const nodemailer = require('nodemailer');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Read the transport settings
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object|null} - {host, port, secure, user, pass, timeoutMs, rejectUnauthorized}, or null without SMTP_HOST
+ */
+function getSmtpConfig(env = process.env) {
+    if (!env.SMTP_HOST) return null;
+
+    const secure = env.SMTP_SECURE === 'true';
+    return {
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+        secure,
+        user: env.SMTP_USER || '',
+        pass: env.SMTP_PASS || '',
+        timeoutMs: Number(env.SMTP_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        rejectUnauthorized: env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false'
+    };
+}
+
+/**
+ * Whether a value is a single plain email address (no display name, spaces or line breaks)
+ * @param {string} value - Address
+ * @returns {boolean}
+ */
+function isEmailAddress(value) {
+    return /^[^\s@<>",;]+@[^\s@<>",;]+\.[^\s@<>",;]+$/.test(String(value || ''));
+}
+
+/**
+ * Recipient with a display name (Nodemailer quotes and encodes the name)
+ * @param {string} name - Display name (may be empty)
+ * @param {string} address - Email address
+ * @returns {Object|string} - {name, address}, or the bare address without a name
+ */
+function formatAddress(name, address) {
+    const clean = String(name || '').replace(/\s+/g, ' ').trim();
+    return clean ? { name: clean, address } : address;
+}
+
+/**
+ * Nodemailer transport options for the settings
+ * @param {Object} config - Result of getSmtpConfig
+ * @param {number} timeoutMs - Timeout for the connection, greeting and each reply
+ * @returns {Object}
+ */
+function createTransportOptions(config, timeoutMs = config.timeoutMs) {
+    return {
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        requireTLS: Boolean(config.user) && !config.secure,
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+        connectionTimeout: timeoutMs,
+        greetingTimeout: timeoutMs,
+        socketTimeout: timeoutMs,
+        tls: { rejectUnauthorized: config.rejectUnauthorized }
+    };
+}
+
+/**
+ * Nodemailer message options for a mail
+ * @param {Object} mail - {from, to, replyTo, subject, text, html}; from and to may carry display names
+ * @returns {Object}
+ */
+function createMessageOptions(mail) {
+    // Nodemailer would turn line breaks into spaces; a header value with one is refused outright
+    [mail.from, mail.to, mail.replyTo, mail.subject].forEach(value => {
+        const text = value && typeof value === 'object' ? `${value.name} ${value.address}` : String(value || '');
+        if (/[\r\n]/.test(text)) {
+            throw new Error('Email headers must not contain line breaks');
+        }
+    });
+
+    return {
+        from: mail.from,
+        to: mail.to,
+        replyTo: mail.replyTo || undefined,
+        subject: mail.subject || '',
+        text: mail.text || '',
+        html: mail.html || undefined,
+        textEncoding: 'base64'
+    };
+}
+
+/**
+ * Send a message
+ * @param {Object} mail - {from, to, replyTo, subject, text, html}; from and to may carry display names
+ * @param {Object} config - Result of getSmtpConfig, optionally with a deadline (Unix ms) for the whole session
+ * @returns {Promise<Object>} - {messageId, response: the server's reply to the message}
+ */
+async function sendMail(mail, config = getSmtpConfig()) {
+    if (!config) {
+        throw new Error('SMTP is not configured. Set SMTP_HOST.');
+    }
+
+    const message = createMessageOptions(mail);
+    const remainingMs = config.deadline ? config.deadline - Date.now() : config.timeoutMs;
+    if (remainingMs <= 0) {
+        throw new Error('SMTP session did not finish in time');
+    }
+
+    // SMTP_TIMEOUT_MS applies to each step; the deadline bounds the whole session
+    const transport = nodemailer.createTransport(createTransportOptions(config, Math.min(config.timeoutMs, remainingMs)));
+    let deadlineTimer = null;
+    try {
+        const sending = transport.sendMail(message);
+        const info = config.deadline
+            ? await Promise.race([
+                sending,
+                new Promise((resolve, reject) => {
+                    deadlineTimer = setTimeout(() => reject(new Error('SMTP session did not finish in time')), remainingMs);
+                    deadlineTimer.unref();
+                })
+            ])
+            : await sending;
+        return { messageId: info.messageId, response: info.response };
+    } finally {
+        clearTimeout(deadlineTimer);
+        transport.close();
+    }
+}
+
+/**
+ * Basic unit tests for the SMTP transport
+ * Run with: node -e "require('./netlify/lib/smtp').runTests()"
+ */
+async function runTests() {
+    console.log('Running SMTP Tests...\n');
+
+    // Renders the message Nodemailer would send, without a server
+    const render = async mail => {
+        const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+        const info = await transport.sendMail(createMessageOptions(mail));
+        return info.message.toString('utf8');
+    };
+    const base = { from: 'Acme Hiring <hiring@acme.test>', to: 'jane@example.com', subject: 'Your results', text: 'Hello', html: '<p>Hello</p>' };
+
+    // Test 1: Settings
+    console.assert(getSmtpConfig({}) === null, 'Test 1a: No SMTP_HOST should disable sending');
+    const config = getSmtpConfig({ SMTP_HOST: 'smtp.acme.test', SMTP_USER: 'user', SMTP_PASS: 'pass' });
+    console.assert(config.port === 587 && config.timeoutMs === DEFAULT_TIMEOUT_MS && config.rejectUnauthorized === true, 'Test 1b: Defaults should apply');
+    console.assert(getSmtpConfig({ SMTP_HOST: 'smtp.acme.test', SMTP_SECURE: 'true' }).port === 465, 'Test 1c: Implicit TLS should default to 465');
+    console.assert(createTransportOptions(config).requireTLS === true, 'Test 1d: Credentials should require STARTTLS');
+    console.assert(createTransportOptions({ ...config, user: '' }).requireTLS === false, 'Test 1e: Without credentials STARTTLS is only used when offered');
+    console.assert(createTransportOptions(config, 1200).socketTimeout === 1200, 'Test 1f: Timeout should apply to each reply');
+    console.log('✓ Test 1: Settings passed');
+
+    // Test 2: Addresses
+    console.assert(isEmailAddress('jane@example.com') === true, 'Test 2a: Plain address should be accepted');
+    ['Jane <jane@example.com>', 'jane@example', 'jane@exa mple.com', 'a@b.com,c@d.com', 'jane@example.com\r\nBcc: x@y.com', '']
+        .forEach(value => console.assert(isEmailAddress(value) === false, `Test 2b: "${value}" should be rejected`));
+    console.assert(formatAddress('', 'jane@example.com') === 'jane@example.com', 'Test 2c: No name should give the bare address');
+    console.assert(formatAddress('Jane\r\n Doe', 'jane@example.com').name === 'Jane Doe', 'Test 2d: Line breaks in names should be flattened');
+    console.log('✓ Test 2: Addresses passed');
+
+    // Test 3: Encoding
+    const encoded = await render({ ...base, to: formatAddress('Zoë "Z" Łukasiewicz', 'zoe@example.com'), subject: 'Résultats – 結果' });
+    const headers = encoded.split('\r\n\r\n')[0];
+    console.assert(/^[\x20-\x7e\r\n\t]*$/.test(headers), 'Test 3a: Headers should be plain ASCII');
+    console.assert(/^To: =\?UTF-8\?/m.test(headers) && /<zoe@example\.com>/.test(headers), 'Test 3b: Non-ASCII names should be encoded words');
+    console.assert(/^Subject: =\?UTF-8\?/m.test(headers), 'Test 3c: Non-ASCII subjects should be encoded words');
+    console.assert(/multipart\/alternative/.test(headers) && /text\/html/.test(encoded), 'Test 3d: Text and HTML parts should be sent');
+    console.log('✓ Test 3: Encoding passed');
+
+    // Test 4: Header injection
+    ['subject', 'from', 'replyTo'].forEach(field => {
+        let error = null;
+        try {
+            createMessageOptions({ ...base, [field]: 'x@acme.test\r\nBcc: victim@example.com' });
+        } catch (thrown) {
+            error = thrown;
+        }
+        console.assert(error && /line breaks/.test(error.message), `Test 4a: Line break in ${field} should throw`);
+    });
+    let nameError = null;
+    try {
+        createMessageOptions({ ...base, to: { name: 'Jane\nBcc: victim@example.com', address: 'jane@example.com' } });
+    } catch (thrown) {
+        nameError = thrown;
+    }
+    console.assert(nameError !== null, 'Test 4b: Line break in a raw display name should throw');
+    console.log('✓ Test 4: Header injection passed');
+
+    // Test 5: Sessions with a local server (no STARTTLS)
+    const server = await startTestServer();
+    const local = { ...getSmtpConfig({ SMTP_HOST: '127.0.0.1', SMTP_PORT: String(server.port) }), timeoutMs: 1000 };
+    try {
+        const sent = await sendMail({ ...base, text: '.leading dot\n.' }, local);
+        console.assert(/^250/.test(sent.response) && /^<.+>$/.test(sent.messageId), 'Test 5a: Message should be accepted');
+        console.assert(server.messages.length === 1 && server.messages[0].includes('From: Acme Hiring <hiring@acme.test>'), 'Test 5b: Server should receive the message');
+        console.assert(/^\.\.leading dot$/m.test(server.messages[0]) && /^\.\.$/m.test(server.messages[0]), 'Test 5c: Lines starting with "." should be dot-stuffed');
+
+        const refused = await sendMail(base, { ...local, user: 'user', pass: 'pass' }).catch(error => error);
+        console.assert(refused instanceof Error && server.messages.length === 1, 'Test 5d: Credentials without STARTTLS should not be sent');
+
+        server.silent = true;
+        const started = Date.now();
+        const late = await sendMail(base, { ...local, timeoutMs: 5000, deadline: Date.now() + 300 }).catch(error => error);
+        console.assert(late instanceof Error && /did not finish in time/.test(late.message), 'Test 5e: A silent server should miss the deadline');
+        console.assert(Date.now() - started < 1000, 'Test 5f: The deadline should end the session early');
+    } finally {
+        server.close();
+    }
+    console.log('✓ Test 5: Sessions passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+/**
+ * Minimal SMTP server for the tests: accepts every message, or says nothing when `silent`
+ * @returns {Promise<Object>} - {port, messages, silent, close()}
+ */
+function startTestServer() {
+    const net = require('net');
+    const sockets = new Set();
+    const state = { messages: [], silent: false };
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+        if (state.silent) return;
+
+        let buffer = '';
+        let data = null;
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (data !== null) {
+                    if (line === '.') {
+                        state.messages.push(data.join('\r\n'));
+                        data = null;
+                        socket.write('250 OK queued\r\n');
+                    } else {
+                        data.push(line);
+                    }
+                } else if (/^(EHLO|HELO)/i.test(line)) {
+                    socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+                } else if (/^DATA/i.test(line)) {
+                    data = [];
+                    socket.write('354 Go ahead\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(Object.assign(state, {
+        port: server.address().port,
+        close() {
+            sockets.forEach(socket => socket.destroy());
+            server.close();
+        }
+    }))));
+}
+
+module.exports = {
+    getSmtpConfig,
+    isEmailAddress,
+    formatAddress,
+    createMessageOptions,
+    sendMail,
+    runTests
+};
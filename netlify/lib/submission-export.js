@@ -0,0 +1,339 @@
+/**
+ * Submission Export
+ *
+ * Flattens DISC submissions into one row each for CSV, JSON Lines and
+ * applicant-tracking-system imports (see export-profiles.js). Scores are
+ * re-computed from the raw answers (see rescore.js), like the dashboard:
+ * score_* / primary_type / type_order and the most_* / least_* counts (the
+ * decoded debug_vector) are never copied from the hidden fields as-is.
+ *
+ * Row columns:
+ * - id, submitted_at, form_name, full_name, first_name, last_name, email, role,
+ *   requisition_id, instrument_version, locale, complete, score_verification,
+ *   low_confidence, validity_flags
+ * - score_D..score_C, percent_D..percent_C, primary_type, primary, secondary,
+ *   type_order, disc_summary
+ * - role_benchmark, role_fit (match %) and fit_gap_D..fit_gap_C (points below
+ *   (-) or above (+) the target range), empty when no benchmark applies
+ * - Most/Least: most_D..most_C, least_D..least_C, then g{n}_most / g{n}_least
+ *   (item id) and g{n}_most_dim / g{n}_least_dim (its dimension) per group
+ * - Likert: q1..qN (raw answers) and q{n}_dim
+ */
+
+const { verifySubmission, scoreSubmission } = require('./rescore');
+const { getItemBank } = require('./item-banks');
+const { summarizeSubmission, filterSubmissions } = require('./submissions');
+const { renderTemplate } = require('./templates');
+const { getExportProfile } = require('./export-profiles');
+const { DIMENSIONS } = require('../../public/js/scoring-core.js');
+const { parseInstrumentVersion } = require('../../public/js/instruments.js');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Flatten a submission into an export row
+ * @param {Object} submission - Stored submission ({id, created_at, form_name, data})
+ * @param {Object} summary - Result of summarizeSubmission (computed if omitted)
+ * @returns {Object|null} - Row, or null if the submission is not a DISC assessment
+ */
+function flattenSubmission(submission, summary = summarizeSubmission(submission)) {
+    if (!summary) return null;
+
+    const fields = submission.data || {};
+    const scored = scoreSubmission(fields);
+    const { data } = verifySubmission(fields);
+    const { result } = scored;
+    const [firstName, ...lastNames] = summary.name.trim().split(/\s+/);
+
+    const row = {
+        id: summary.id,
+        submitted_at: summary.createdAt,
+        form_name: summary.formName,
+        full_name: summary.name,
+        first_name: firstName || '',
+        last_name: lastNames.join(' '),
+        email: summary.email,
+        role: summary.role,
+        requisition_id: summary.requisitionId,
+        instrument_version: summary.instrumentVersion,
+        locale: summary.locale,
+        complete: summary.complete,
+        score_verification: summary.verification,
+        low_confidence: summary.lowConfidence,
+        validity_flags: summary.validityFlags.join(',')
+    };
+
+    DIMENSIONS.forEach(dim => {
+        row[`score_${dim}`] = result.totals[dim];
+    });
+    DIMENSIONS.forEach(dim => {
+        row[`percent_${dim}`] = result.percentages[dim];
+    });
+    Object.assign(row, {
+        primary_type: result.primaryType,
+        primary: result.primary,
+        secondary: result.secondary,
+        type_order: result.typeOrder,
+        disc_summary: `${result.primaryType} (${result.typeOrder}); ${DIMENSIONS.map(dim => `${dim} ${result.totals[dim]}`).join(', ')}`
+    });
+
+    const { fit } = summary;
+    row.role_benchmark = fit ? fit.label : '';
+    row.role_fit = fit ? fit.match : '';
+    DIMENSIONS.forEach(dim => {
+        row[`fit_gap_${dim}`] = fit ? fit.dimensions.find(entry => entry.dim === dim).gap : '';
+    });
+
+    const version = parseInstrumentVersion(data.instrument_version);
+    const bank = version ? getItemBank(version.id, version.version) : null;
+    return { ...row, ...(scored.instrument === 'likert' ? likertAnswers(bank, fields) : mostLeastAnswers(bank, fields, result)) };
+}
+
+/**
+ * Most/Least answer columns: decoded debug_vector counts, then each group's picks
+ */
+function mostLeastAnswers(bank, fields, result) {
+    const columns = {};
+    ['most', 'least'].forEach(pick => {
+        DIMENSIONS.forEach(dim => {
+            columns[`${pick}_${dim}`] = result.debug[pick][dim];
+        });
+    });
+
+    (bank ? bank.groups : []).forEach(group => {
+        ['most', 'least'].forEach(pick => {
+            const value = fields[`g${group.id}_${pick}`] || '';
+            // Older submissions carry the statement text instead of the id
+            const item = group.items.find(candidate => candidate.id === value) ||
+                group.items.find(candidate => candidate.label === value);
+            columns[`g${group.id}_${pick}`] = item && item.id ? item.id : value;
+            columns[`g${group.id}_${pick}_dim`] = item ? item.dim : '';
+        });
+    });
+
+    return columns;
+}
+
+/**
+ * Likert answer columns: each item's raw answer and dimension
+ */
+function likertAnswers(bank, fields) {
+    const columns = {};
+    (bank ? bank.items : []).forEach(item => {
+        const value = Number(fields[item.id]);
+        columns[item.id] = fields[item.id] === undefined || fields[item.id] === '' || isNaN(value) ? '' : value;
+        columns[`${item.id}_dim`] = item.dim;
+    });
+    return columns;
+}
+
+/**
+ * Flatten and filter submissions
+ * @param {Array<Object>} submissions - Stored submissions
+ * @param {Object} filters - See filterSubmissions in submissions.js
+ * @returns {Array<Object>} - Export rows, in input order
+ */
+function buildExportRows(submissions, filters = {}) {
+    const entries = submissions
+        .map(submission => ({ submission, summary: summarizeSubmission(submission) }))
+        .filter(entry => entry.summary);
+    const kept = new Set(filterSubmissions(entries.map(entry => entry.summary), filters));
+
+    return entries
+        .filter(entry => kept.has(entry.summary))
+        .map(entry => flattenSubmission(entry.submission, entry.summary));
+}
+
+/**
+ * Column names across rows, in first-seen order (instruments add their own answer columns)
+ * @param {Array<Object>} rows - Export rows
+ * @returns {Array<string>}
+ */
+function collectColumns(rows) {
+    const columns = new Set();
+    rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+    return [...columns];
+}
+
+/**
+ * Quote a CSV cell (RFC 4180) and defuse spreadsheet formulas
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function formatCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') value = JSON.stringify(value);
+
+    let text = String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows as CSV
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<string>} columns - Header, in order
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.map(formatCsvCell).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCsvCell(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize rows as JSON Lines
+ * @param {Array<Object>} rows - Rows
+ * @returns {string}
+ */
+function toJsonLines(rows) {
+    return rows.map(row => JSON.stringify(row) + '\n').join('');
+}
+
+/**
+ * Export submissions
+ * @param {Array<Object>} submissions - Stored submissions
+ * @param {Object} options - {format: 'csv' (default) | 'jsonl', profile: export profile id or object, filters}
+ * @returns {Object} - {body, contentType, extension, count}
+ */
+function exportSubmissions(submissions, options = {}) {
+    const format = options.format || 'csv';
+    if (!FORMATS[format]) {
+        throw new Error(`Unknown export format "${format}" (expected ${Object.keys(FORMATS).join(' or ')})`);
+    }
+
+    let rows = buildExportRows(submissions, options.filters);
+    let columns = collectColumns(rows);
+
+    if (options.profile) {
+        const profile = typeof options.profile === 'string' ? getExportProfile(options.profile) : options.profile;
+        if (!profile) {
+            throw new Error(`Unknown export profile "${options.profile}"`);
+        }
+        columns = Object.keys(profile.columns);
+        rows = rows.map(row => renderTemplate(profile.columns, row));
+    }
+
+    return {
+        body: format === 'csv' ? toCsv(rows, columns) : toJsonLines(rows),
+        contentType: FORMATS[format].contentType,
+        extension: FORMATS[format].extension,
+        count: rows.length
+    };
+}
+
+/**
+ * Basic unit tests for submission exports
+ * Run with: node -e "require('./netlify/lib/submission-export').runTests()"
+ */
+function runTests() {
+    console.log('Running Submission Export Tests...\n');
+
+    const mostLeast = getItemBank('disc-most-least', 2);
+    const likert = getItemBank('disc-likert', 2);
+    const mostLeastFields = { instrument_version: 'disc-most-least@2' };
+    mostLeast.groups.forEach((group, index) => {
+        mostLeastFields[`g${group.id}_most`] = group.items[index % 4].id;
+        mostLeastFields[`g${group.id}_least`] = group.items[(index + 1) % 4].id;
+    });
+    const likertFields = { instrument_version: 'disc-likert@2' };
+    likert.items.forEach((item, index) => {
+        likertFields[item.id] = String((index % 5) + 1);
+    });
+    const submissions = [
+        {
+            id: 'ml-1',
+            created_at: '2026-03-01T10:00:00Z',
+            form_name: 'disc-assessment',
+            data: { ...mostLeastFields, full_name: 'Ann Marie Lee', email: 'ann@example.com', role_applied_for: 'Sales, EMEA', score_D: '99' }
+        },
+        {
+            id: 'lk-1',
+            created_at: '2026-03-05T10:00:00Z',
+            form_name: 'disc-likert',
+            data: { ...likertFields, full_name: '=HYPERLINK("http://evil")', email: 'b@example.com', position_applied_for: 'Engineer' }
+        },
+        { id: 'other', data: { message: 'Not an assessment' } }
+    ];
+
+    // Test 1: CSV cells
+    console.assert(formatCsvCell(null) === '' && formatCsvCell(undefined) === '', 'Test 1a: Missing values should be empty');
+    console.assert(formatCsvCell('Sales, "EMEA"') === '"Sales, ""EMEA"""', 'Test 1b: Commas and quotes should be quoted');
+    console.assert(formatCsvCell('a\nb') === '"a\nb"', 'Test 1c: Line breaks should be quoted');
+    console.assert(formatCsvCell({ D: 1 }) === '"{""D"":1}"', 'Test 1d: Objects should be JSON');
+    console.log('✓ Test 1: CSV cells passed');
+
+    // Test 2: Formula defusal
+    ['=1+1', '+cmd', '-2+3', '@SUM(A1)', '\tx', '\rx'].forEach(text => {
+        console.assert(formatCsvCell(text).replace(/^"/, '').startsWith(`'${text[0]}`), `Test 2a: ${JSON.stringify(text)} should be defused`);
+    });
+    console.assert(formatCsvCell(-5) === '-5' && formatCsvCell('-5') === '-5' && formatCsvCell('+1.5') === '+1.5', 'Test 2b: Numbers should stay as they are');
+    console.assert(formatCsvCell('=A1,B1') === '"\'=A1,B1"', 'Test 2c: Defused cells should still be quoted');
+    console.log('✓ Test 2: Formula defusal passed');
+
+    // Test 3: Most/Least rows
+    const row = flattenSubmission(submissions[0]);
+    const { result } = scoreSubmission(submissions[0].data);
+    console.assert(row.id === 'ml-1' && row.first_name === 'Ann' && row.last_name === 'Marie Lee' && row.role === 'Sales, EMEA', 'Test 3a: Candidate columns should be filled in');
+    console.assert(row.score_D === result.totals.D && row.score_D !== 99 && row.primary_type === result.primaryType, 'Test 3b: Scores should be re-computed');
+    console.assert(row.most_D === result.debug.most.D && row.g1_most === mostLeast.groups[0].items[0].id &&
+        row.g1_most_dim === mostLeast.groups[0].items[0].dim, 'Test 3c: Answer columns should be decoded');
+    const labelled = flattenSubmission({ id: 'old', data: { ...mostLeastFields, g1_most: mostLeast.groups[0].items[0].label } });
+    console.assert(labelled.g1_most === mostLeast.groups[0].items[0].id, 'Test 3d: Statement text should map to the item id');
+    console.assert(flattenSubmission(submissions[2]) === null, 'Test 3e: Other forms should be skipped');
+    console.log('✓ Test 3: Most/Least rows passed');
+
+    // Test 4: Likert rows
+    const likertRow = flattenSubmission(submissions[1]);
+    const first = likert.items[0];
+    console.assert(likertRow.role === 'Engineer' && likertRow[first.id] === 1 && likertRow[`${first.id}_dim`] === first.dim, 'Test 4a: Raw answers should be numbers');
+    console.assert(likertRow.most_D === undefined, 'Test 4b: Most/Least columns should not appear');
+    console.log('✓ Test 4: Likert rows passed');
+
+    // Test 5: Exports
+    const csv = exportSubmissions(submissions);
+    const lines = csv.body.split('\r\n');
+    console.assert(csv.count === 2 && lines.length === 4 && lines[3] === '' && lines[0].startsWith('id,submitted_at,form_name,full_name'),
+        'Test 5a: CSV should have a header and one line per assessment');
+    console.assert(lines[2].includes('"\'=HYPERLINK(""http://evil"")"'), 'Test 5b: Formula names should be defused');
+    console.assert(exportSubmissions(submissions, { filters: { role: 'sales' } }).count === 1, 'Test 5c: Filters should apply');
+    const jsonl = exportSubmissions(submissions, { format: 'jsonl' });
+    console.assert(jsonl.body.trim().split('\n').map(line => JSON.parse(line))[1].full_name === '=HYPERLINK("http://evil")' && jsonl.extension === 'jsonl',
+        'Test 5d: JSON Lines should keep values as they are');
+    const greenhouse = exportSubmissions(submissions, { profile: 'greenhouse', filters: { role: 'sales' } }).body.split('\r\n');
+    console.assert(greenhouse[0].startsWith('First Name,Last Name,Email,Job,') && greenhouse[1].startsWith('Ann,Marie Lee,ann@example.com,"Sales, EMEA"'),
+        'Test 5e: Profile columns should be rendered');
+    const custom = exportSubmissions(submissions, { profile: { columns: { Who: '{{full_name}}', D: '{{score_D}}' } } });
+    console.assert(custom.body.split('\r\n')[1] === `Ann Marie Lee,${result.totals.D}`, 'Test 5f: Custom profiles should be rendered');
+    ['format', 'profile'].forEach(option => {
+        let error = null;
+        try {
+            exportSubmissions(submissions, { [option]: 'unknown' });
+        } catch (e) {
+            error = e;
+        }
+        console.assert(error && error.message.startsWith(`Unknown export ${option}`), `Test 5g: Unknown ${option} should throw`);
+    });
+    console.log('✓ Test 5: Exports passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    flattenSubmission,
+    buildExportRows,
+    toCsv,
+    toJsonLines,
+    exportSubmissions,
+    runTests
+};
@@ -0,0 +1,143 @@
+/**
+ * Submission Store
+ *
+ * System of record for submissions that we control, independent of Netlify
+ * Forms and whatever WEBHOOK_URL receives. The relay saves every accepted
+ * submission here before forwarding it.
+ *
+ * Every adapter implements the same async interface:
+ * - create(record) -> record    (throws if a record with that id exists)
+ * - put(record) -> record       (creates the record, or replaces the one with that id in place)
+ * - get(id) -> record | null
+ * - list({limit}) -> records, newest first
+ * - delete(id) -> boolean       (whether a record was removed)
+ *
+ * Records keep the Netlify submission shape ({id, created_at, form_name, data})
+ * with the raw form fields, plus what the relay adds (verification,
+ * invitation), so the dashboard can re-score either source the same way.
+ *
+ * Adapters:
+ * - 'file': one JSON file (file-store.js), for development and tests
+ * - 'blobs': Netlify Blobs key-value store (blob-store.js)
+ *
+ * Environment Variables:
+ * - SUBMISSION_STORE: 'file' or 'blobs' (storage is off when unset)
+ * - SUBMISSION_STORE_PATH: JSON file for the file adapter (default: .data/submissions.json)
+ * - SUBMISSION_STORE_NAME: Blob store name for the blobs adapter (default: submissions)
+ */
+
+const crypto = require('crypto');
+const { fetchSubmissions } = require('./forms-api');
+
+const DEFAULT_FILE_PATH = '.data/submissions.json';
+const DEFAULT_STORE_NAME = 'submissions';
+
+/**
+ * Open a record store with one of the adapters
+ * @param {string} adapter - 'file' or 'blobs'
+ * @param {Object} options - {path: JSON file (file), name: blob store name (blobs), event: function event (blobs)}
+ * @returns {Object} - Store ({create, put, get, list, delete})
+ */
+function openStore(adapter, options = {}) {
+    // Adapters are required here: they use the record helpers below
+    if (adapter === 'file') {
+        const { createFileStore } = require('./file-store');
+        return createFileStore(options.path);
+    }
+    if (adapter === 'blobs') {
+        const { openBlobStore } = require('./blob-store');
+        return openBlobStore(options.name, options.event);
+    }
+
+    throw new Error(`Unknown store adapter "${adapter}" (expected "file" or "blobs")`);
+}
+
+/**
+ * Open the configured submission store
+ * @param {Object} options - {event: function event (the blobs adapter needs it to connect)}
+ * @returns {Object|null} - Store, or null when storage is off
+ */
+function getSubmissionStore(options = {}) {
+    const adapter = process.env.SUBMISSION_STORE;
+    if (!adapter) return null;
+
+    return openStore(adapter, {
+        path: process.env.SUBMISSION_STORE_PATH || DEFAULT_FILE_PATH,
+        name: process.env.SUBMISSION_STORE_NAME || DEFAULT_STORE_NAME,
+        event: options.event
+    });
+}
+
+/**
+ * Read earlier submissions from the store, or from Netlify Forms when storage is off
+ * @param {Object} options - {event}
+ * @returns {Promise<Array<Object>|null>} - Submissions newest first, or null when neither source is configured
+ */
+async function loadSubmissionHistory(options = {}) {
+    const store = getSubmissionStore(options);
+    return store ? store.list() : fetchSubmissions();
+}
+
+/**
+ * Find one submission in the store, or in Netlify Forms when storage is off
+ * @param {string} id - Submission id
+ * @param {Object} options - {event}
+ * @returns {Promise<Object|null>} - Submission, or null when it is not found (or neither source is configured)
+ */
+async function findSubmission(id, options = {}) {
+    const store = getSubmissionStore(options);
+    if (store) return store.get(id);
+
+    const submissions = await fetchSubmissions();
+    return (submissions || []).find(submission => submission.id === id) || null;
+}
+
+/**
+ * Build the record to store for a submission
+ * @param {Object} submission - Netlify submission ({id, created_at, form_name, data})
+ * @param {Object} extras - Relay results to keep with it, e.g. {verification, invitation}
+ * @returns {Object} - Record
+ */
+function createSubmissionRecord(submission, extras = {}) {
+    return {
+        id: submission.id || crypto.randomUUID(),
+        created_at: submission.created_at || new Date().toISOString(),
+        form_name: submission.form_name || 'disc-assessment',
+        data: submission.data || {},
+        ...extras
+    };
+}
+
+/**
+ * Check a record before storing it
+ * @param {Object} record - Record to store
+ */
+function assertValidRecord(record) {
+    if (!record || typeof record.id !== 'string' || !record.id) {
+        throw new Error('Submission record needs a string id');
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(record.id)) {
+        throw new Error(`Invalid submission id "${record.id}"`);
+    }
+}
+
+/**
+ * Sort records newest first and apply a limit
+ * @param {Array<Object>} records - Records
+ * @param {Object} options - {limit}
+ * @returns {Array<Object>}
+ */
+function newestFirst(records, options = {}) {
+    const sorted = [...records].sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+    return options.limit ? sorted.slice(0, options.limit) : sorted;
+}
+
+module.exports = {
+    openStore,
+    getSubmissionStore,
+    loadSubmissionHistory,
+    findSubmission,
+    createSubmissionRecord,
+    assertValidRecord,
+    newestFirst
+};
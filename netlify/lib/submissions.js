@@ -0,0 +1,108 @@
+/**
+ * Stored Submissions
+ *
+ * Turns stored DISC submissions (the submission store, or Netlify Forms when
+ * there is none; see submission-store.js) into re-scored summaries for the admin dashboard. Scores are always recomputed
+ * from the raw answers (see rescore.js); the hidden score fields of a stored
+ * submission are never shown as-is.
+ */
+
+const { verifySubmission, scoreSubmission } = require('./rescore');
+const { summarizeResult } = require('./results-link');
+const { readInvitation } = require('./invitations');
+const { loadSubmissionHistory } = require('./submission-store');
+const { assessRoleFit } = require('./role-benchmarks');
+
+const DIMENSIONS = ['D', 'I', 'S', 'C'];
+
+/**
+ * Re-score a stored submission into a dashboard row
+ * @param {Object} submission - Netlify submission ({id, created_at, form_name, data})
+ * @returns {Object|null} - Summary, or null if the submission is not a DISC assessment
+ */
+function summarizeSubmission(submission) {
+    const fields = submission.data || {};
+    const scored = scoreSubmission(fields);
+    if (!scored) return null;
+
+    const { data, verification } = verifySubmission(fields);
+
+    // Expired invitations still identify the requisition
+    const invitation = fields.invite_token ? readInvitation(fields.invite_token) : null;
+    const requisitionId = invitation && invitation.payload ? invitation.payload.req || null : null;
+
+    const role = fields.role_applied_for || fields.position_applied_for || '';
+
+    return {
+        id: submission.id,
+        createdAt: submission.created_at || null,
+        formName: submission.form_name || null,
+        name: fields.full_name || '',
+        email: fields.email || '',
+        role,
+        requisitionId,
+        instrument: scored.instrument,
+        instrumentVersion: scored.version,
+        locale: fields.locale || null,
+        complete: scored.complete,
+        verification: verification.status,
+        lowConfidence: data.low_confidence === 'true',
+        validityFlags: data.validity_flags ? data.validity_flags.split(',') : [],
+        result: summarizeResult(scored.result),
+        // Role benchmark match (see role-benchmarks.js), or null when no benchmark applies
+        fit: assessRoleFit({ role, requisitionId }, scored.result.percentages)
+    };
+}
+
+/**
+ * Filter dashboard rows
+ * @param {Array<Object>} rows - Results of summarizeSubmission
+ * @param {Object} filters - {role: substring, requisition, primary: D|I|S|C, from: date, to: date (inclusive)}
+ * @returns {Array<Object>} - Matching rows
+ */
+function filterSubmissions(rows, filters = {}) {
+    const role = (filters.role || '').trim().toLowerCase();
+    const primary = DIMENSIONS.includes(filters.primary) ? filters.primary : null;
+    const from = parseDate(filters.from, false);
+    const to = parseDate(filters.to, true);
+
+    return rows.filter(row => {
+        if (role && !row.role.toLowerCase().includes(role)) return false;
+        if (filters.requisition && row.requisitionId !== filters.requisition) return false;
+        if (primary && row.result.primary !== primary) return false;
+
+        const created = row.createdAt ? new Date(row.createdAt) : null;
+        if (from && (!created || created < from)) return false;
+        if (to && (!created || created > to)) return false;
+        return true;
+    });
+}
+
+/**
+ * List DISC submissions, newest first
+ * @param {Object} filters - See filterSubmissions
+ * @param {Object} options - {event}
+ * @returns {Promise<Array<Object>|null>} - Dashboard rows, or null when no source is configured
+ */
+async function listSubmissions(filters = {}, options = {}) {
+    const submissions = await loadSubmissionHistory(options);
+    if (!submissions) return null;
+
+    const rows = submissions.map(summarizeSubmission).filter(Boolean);
+    return filterSubmissions(rows, filters);
+}
+
+/**
+ * Parse a filter date; a bare "YYYY-MM-DD" upper bound covers the whole day
+ */
+function parseDate(value, endOfDay) {
+    if (!value) return null;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+    summarizeSubmission,
+    filterSubmissions,
+    listSubmissions
+};
@@ -0,0 +1,110 @@
+/**
+ * JSON Templates
+ *
+ * Fills `{{path}}` placeholders in a JSON template from a context object.
+ * Used by webhook destinations (body mapping) and export profiles (columns).
+ *
+ * - A string that is exactly `{{path}}` keeps the value's type (objects
+ *   included); missing values become null
+ * - `{{path | number}}` converts the value to a number (null if it is not one)
+ * - `{{path}}` inside longer text is interpolated; missing values become ''
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}$/;
+
+/**
+ * Read a dotted path ("data.primary_type") from an object
+ * @param {Object} context - Object to read from
+ * @param {string} path - Dotted path
+ * @returns {*} - Value, or undefined
+ */
+function readPath(context, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+/**
+ * Apply a placeholder filter
+ * @param {*} value - Context value
+ * @param {string} filter - Filter name (only "number" is supported)
+ * @returns {*}
+ */
+function applyFilter(value, filter) {
+    if (filter === 'number') {
+        const number = Number(value);
+        return value === '' || value === null || value === undefined || isNaN(number) ? null : number;
+    }
+    return value;
+}
+
+/**
+ * Fill in a template
+ * @param {*} template - JSON value with `{{path}}` placeholders in its strings
+ * @param {Object} context - Values for the placeholders
+ * @returns {*} - Filled-in copy
+ */
+function renderTemplate(template, context) {
+    if (typeof template === 'string') {
+        const whole = WHOLE_PLACEHOLDER_PATTERN.exec(template);
+        if (whole) {
+            const value = applyFilter(readPath(context, whole[1]), whole[2]);
+            return value === undefined ? null : value;
+        }
+        return template.replace(PLACEHOLDER_PATTERN, (match, path, filter) => {
+            const value = applyFilter(readPath(context, path), filter);
+            if (value === undefined || value === null) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+    if (Array.isArray(template)) {
+        return template.map(node => renderTemplate(node, context));
+    }
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+    }
+    return template;
+}
+
+/**
+ * Basic unit tests for JSON templates
+ * Run with: node -e "require('./netlify/lib/templates').runTests()"
+ */
+function runTests() {
+    console.log('Running JSON Template Tests...\n');
+
+    const context = { data: { full_name: 'Jane Doe', score: '12', scores: { D: 12 }, empty: '', none: null, zero: 0 } };
+
+    // Test 1: Paths
+    console.assert(readPath(context, 'data.scores.D') === 12, 'Test 1a: Nested values should be read');
+    console.assert(readPath(context, 'data.missing.D') === undefined && readPath(context, 'data.none.D') === undefined, 'Test 1b: Missing parents should give undefined');
+    console.log('✓ Test 1: Paths passed');
+
+    // Test 2: Whole placeholders
+    console.assert(renderTemplate('{{data.scores}}', context).D === 12, 'Test 2a: Objects should keep their type');
+    console.assert(renderTemplate('{{ data.zero }}', context) === 0, 'Test 2b: Spaces and falsy values should be kept');
+    console.assert(renderTemplate('{{data.missing}}', context) === null, 'Test 2c: Missing values should be null');
+    console.assert(renderTemplate('{{data.score | number}}', context) === 12, 'Test 2d: number should convert text');
+    console.assert(renderTemplate('{{data.full_name | number}}', context) === null && renderTemplate('{{data.empty | number}}', context) === null,
+        'Test 2e: number should give null for non-numbers');
+    console.log('✓ Test 2: Whole placeholders passed');
+
+    // Test 3: Interpolation
+    console.assert(renderTemplate('{{data.full_name}} scored {{data.scores.D}}', context) === 'Jane Doe scored 12', 'Test 3a: Values should be interpolated');
+    console.assert(renderTemplate('[{{data.missing}}{{data.none}}]', context) === '[]', 'Test 3b: Missing values should be empty');
+    console.assert(renderTemplate('Scores: {{data.scores}}', context) === 'Scores: {"D":12}', 'Test 3c: Objects should be JSON');
+    console.assert(renderTemplate('{{not a placeholder}}', context) === '{{not a placeholder}}', 'Test 3d: Other braces should be left alone');
+    console.log('✓ Test 3: Interpolation passed');
+
+    // Test 4: Nested templates
+    const rendered = renderTemplate({ name: '{{data.full_name}}', tags: ['DISC', '{{data.scores.D}}'], count: 2, flag: true, none: null }, context);
+    console.assert(JSON.stringify(rendered) === '{"name":"Jane Doe","tags":["DISC",12],"count":2,"flag":true,"none":null}', 'Test 4a: Objects and arrays should be filled in');
+    console.log('✓ Test 4: Nested templates passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    readPath,
+    renderTemplate,
+    runTests
+};
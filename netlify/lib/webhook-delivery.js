@@ -0,0 +1,294 @@
+/**
+ * Webhook Delivery
+ *
+ * Sends relay payloads to WEBHOOK_URL so Zapier/Make never silently lose a
+ * submission:
+ * - Signed: `X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<body>">`
+ *   with the Unix time in `X-Webhook-Timestamp`, so receivers can reject
+ *   forged and replayed requests (see verifyWebhookSignature)
+ * - Idempotent: `Idempotency-Key: <submissionId>` is the same on every retry
+ *   and replay, so receivers can drop duplicates
+ * - Retried with exponential backoff on network errors, 429 and 5xx, within an
+ *   optional deadline so a slow endpoint cannot outlast the calling function
+ * - Dead-lettered: payloads that still fail are kept in a dead-letter store,
+ *   one entry per submission and destination, and can be replayed with the
+ *   replay-webhooks function (see webhook-destinations.js)
+ *
+ * Environment Variables:
+ * - WEBHOOK_SIGNING_SECRET: HMAC secret shared with the receiver (payloads are unsigned without it)
+ * - WEBHOOK_MAX_ATTEMPTS: Attempts per delivery (default: 3)
+ * - WEBHOOK_RETRY_BASE_MS: First retry delay in ms, doubled each retry (default: 500)
+ * - WEBHOOK_TIMEOUT_MS: Timeout per attempt in ms (default: 5000)
+ * - DEAD_LETTER_STORE: 'file' or 'blobs' (defaults to SUBMISSION_STORE; dead-lettering is off without either)
+ * - DEAD_LETTER_STORE_PATH: JSON file for the file adapter (default: .data/dead-letters.json)
+ * - DEAD_LETTER_STORE_NAME: Blob store name for the blobs adapter (default: webhook-dead-letters)
+ */
+
+const crypto = require('crypto');
+const { openStore } = require('./submission-store');
+const { safeEqual } = require('./signing');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_MS = 500;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Netlify's default limit for synchronous functions, used when the context does not report the time left
+const DEFAULT_FUNCTION_TIMEOUT_MS = 10000;
+
+// Signed requests older than this are treated as replays by verifyWebhookSignature
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const DEFAULT_DEAD_LETTER_PATH = '.data/dead-letters.json';
+const DEFAULT_DEAD_LETTER_NAME = 'webhook-dead-letters';
+
+const USER_AGENT = 'Netlify-Function-Webhook-Relay/1.0';
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Exact request body
+ * @param {string} secret - Shared HMAC secret
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} - Signature header value ("sha256=<hex>")
+ */
+function signWebhookBody(body, secret, timestamp) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Verify a signed webhook request (for receivers and tests)
+ * @param {string} body - Raw request body
+ * @param {Object} headers - Request headers (lower-cased)
+ * @param {string} secret - Shared HMAC secret
+ * @param {Object} options - {toleranceSeconds: max age (default: 300), now: Unix seconds}
+ * @returns {Object} - {valid, error?}
+ */
+function verifyWebhookSignature(body, headers, secret, options = {}) {
+    const timestamp = Number(headers['x-webhook-timestamp']);
+    const signature = headers['x-webhook-signature'] || '';
+    if (!timestamp || !signature) {
+        return { valid: false, error: 'Missing signature headers' };
+    }
+
+    const now = options.now || Math.floor(Date.now() / 1000);
+    const tolerance = options.toleranceSeconds || DEFAULT_TOLERANCE_SECONDS;
+    if (Math.abs(now - timestamp) > tolerance) {
+        return { valid: false, error: 'Timestamp outside tolerance' };
+    }
+
+    if (!safeEqual(signature, signWebhookBody(body, secret, timestamp))) {
+        return { valid: false, error: 'Invalid signature' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Build the headers for one delivery attempt
+ * @param {string} body - Request body
+ * @param {string} idempotencyKey - Stable key for this submission
+ * @param {string} secret - Signing secret (optional)
+ * @param {Object} extraHeaders - Destination headers (e.g. Authorization)
+ * @returns {Object} - Headers
+ */
+function buildWebhookHeaders(body, idempotencyKey, secret, extraHeaders = {}) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        ...extraHeaders,
+        'Idempotency-Key': idempotencyKey,
+        'X-Webhook-Timestamp': String(timestamp)
+    };
+    if (secret) {
+        headers['X-Webhook-Signature'] = signWebhookBody(body, secret, timestamp);
+    }
+    return headers;
+}
+
+/**
+ * Whether a failed attempt is worth retrying
+ * @param {number|null} status - HTTP status, or null for a network error or timeout
+ * @returns {boolean}
+ */
+function isRetryable(status) {
+    return status === null || status === 429 || status >= 500;
+}
+
+/**
+ * When the calling function will be stopped
+ * @param {Object} context - Function context (getRemainingTimeInMillis)
+ * @returns {number} - Unix ms
+ */
+function getFunctionDeadline(context) {
+    const remaining = context && typeof context.getRemainingTimeInMillis === 'function'
+        ? context.getRemainingTimeInMillis()
+        : DEFAULT_FUNCTION_TIMEOUT_MS;
+    return Date.now() + remaining;
+}
+
+/**
+ * Deliver a payload, retrying with exponential backoff
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON body
+ * @param {Object} options - {idempotencyKey (default: payload.submissionId), headers, secret, maxAttempts,
+ *   baseDelayMs, timeoutMs, deadline: Unix ms by which every attempt must have ended, sleep: async (ms) => {} for tests}
+ * @returns {Promise<Object>} - {delivered, attempts, status, error?}
+ */
+async function deliverWebhook(url, payload, options = {}) {
+    const secret = options.secret !== undefined ? options.secret : process.env.WEBHOOK_SIGNING_SECRET;
+    const maxAttempts = options.maxAttempts || Number(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    const baseDelayMs = options.baseDelayMs !== undefined
+        ? options.baseDelayMs
+        : (Number(process.env.WEBHOOK_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS);
+    const timeoutMs = options.timeoutMs || Number(process.env.WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    const body = JSON.stringify(payload);
+    const idempotencyKey = String(options.idempotencyKey !== undefined ? options.idempotencyKey : payload.submissionId);
+
+    let status = null;
+    let error = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const remainingMs = options.deadline ? options.deadline - Date.now() : timeoutMs;
+        if (remainingMs <= 0) {
+            return { delivered: false, attempts: attempt - 1, status, error: error || 'No time left for delivery' };
+        }
+
+        try {
+            // Re-signed on every attempt so the timestamp stays fresh
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: buildWebhookHeaders(body, idempotencyKey, secret, options.headers),
+                body,
+                signal: AbortSignal.timeout(Math.min(timeoutMs, remainingMs))
+            });
+            status = response.status;
+            if (response.ok) {
+                return { delivered: true, attempts: attempt, status };
+            }
+            error = `Webhook responded with status: ${status}`;
+        } catch (fetchError) {
+            status = null;
+            error = fetchError.message;
+        }
+
+        const delay = baseDelayMs * 2 ** (attempt - 1);
+        const outOfTime = options.deadline && Date.now() + delay >= options.deadline;
+        if (!isRetryable(status) || attempt === maxAttempts || outOfTime) {
+            return { delivered: false, attempts: attempt, status, error };
+        }
+
+        console.warn(`Webhook attempt ${attempt} failed (${error}); retrying in ${delay}ms`);
+        await sleep(delay);
+    }
+}
+
+/**
+ * Open the dead-letter store
+ * @param {Object} options - {event}
+ * @returns {Object|null} - Store, or null when dead-lettering is off
+ */
+function getDeadLetterStore(options = {}) {
+    const adapter = process.env.DEAD_LETTER_STORE || process.env.SUBMISSION_STORE;
+    if (!adapter) return null;
+
+    return openStore(adapter, {
+        path: process.env.DEAD_LETTER_STORE_PATH || DEFAULT_DEAD_LETTER_PATH,
+        name: process.env.DEAD_LETTER_STORE_NAME || DEFAULT_DEAD_LETTER_NAME,
+        event: options.event
+    });
+}
+
+/**
+ * Dead-letter id for a submission and destination
+ * @param {string} submissionId - Netlify submission id
+ * @param {string} destinationId - Destination id
+ * @returns {string}
+ */
+function deadLetterId(submissionId, destinationId) {
+    return `${submissionId}--${destinationId}`;
+}
+
+/**
+ * Keep a payload that could not be delivered, replacing an earlier entry for the same submission and destination
+ * @param {Object} store - Dead-letter store
+ * @param {Object} payload - Relay payload
+ * @param {Object} failure - Result of deliverWebhook
+ * @param {string} destinationId - Destination the delivery was for
+ * @returns {Promise<Object>} - Dead-letter record
+ */
+async function saveDeadLetter(store, payload, failure, destinationId) {
+    const id = deadLetterId(payload.submissionId, destinationId);
+    const previous = await store.get(id);
+
+    // Replaced in place, so the earlier entry is never gone before this one is written
+    return store.put({
+        id,
+        destination: destinationId,
+        created_at: previous ? previous.created_at : new Date().toISOString(),
+        failed_at: new Date().toISOString(),
+        attempts: (previous ? previous.attempts : 0) + failure.attempts,
+        last_status: failure.status,
+        last_error: failure.error,
+        payload
+    });
+}
+
+/**
+ * Basic unit tests for webhook signatures
+ * Run with: node -e "require('./netlify/lib/webhook-delivery').runTests()"
+ */
+function runTests() {
+    console.log('Running Webhook Signature Tests...\n');
+
+    const secret = 'test-secret';
+    const body = JSON.stringify({ submissionId: 'abc', data: { full_name: 'José' } });
+    const now = 1700000000;
+    const headers = {
+        'x-webhook-timestamp': String(now),
+        'x-webhook-signature': signWebhookBody(body, secret, now)
+    };
+    const withSignature = signature => ({ ...headers, 'x-webhook-signature': signature });
+
+    // Test 1: Valid signature
+    console.assert(verifyWebhookSignature(body, headers, secret, { now }).valid === true, 'Test 1a: Signed body should verify');
+    console.assert(verifyWebhookSignature(body, headers, secret, { now: now + 299 }).valid === true, 'Test 1b: Within tolerance should verify');
+    console.log('✓ Test 1: Valid signature passed');
+
+    // Test 2: Bad signature
+    console.assert(verifyWebhookSignature(body.replace('abc', 'abd'), headers, secret, { now }).error === 'Invalid signature', 'Test 2a: Edited body should fail');
+    console.assert(verifyWebhookSignature(body, headers, 'other-secret', { now }).error === 'Invalid signature', 'Test 2b: Another secret should fail');
+    console.assert(verifyWebhookSignature(body, { ...headers, 'x-webhook-timestamp': String(now + 1) }, secret, { now }).error === 'Invalid signature', 'Test 2c: Edited timestamp should fail');
+    console.log('✓ Test 2: Bad signature passed');
+
+    // Test 3: Wrong length
+    const signature = headers['x-webhook-signature'];
+    console.assert(verifyWebhookSignature(body, withSignature(signature.slice(0, -1)), secret, { now }).error === 'Invalid signature', 'Test 3a: Short signature should fail');
+    console.assert(verifyWebhookSignature(body, withSignature(`${signature}0`), secret, { now }).error === 'Invalid signature', 'Test 3b: Long signature should fail');
+    console.log('✓ Test 3: Wrong length passed');
+
+    // Test 4: Non-ASCII - same character length, then same byte length, as the real signature
+    console.assert(verifyWebhookSignature(body, withSignature(`${signature.slice(0, -1)}é`), secret, { now }).error === 'Invalid signature', 'Test 4a: Non-ASCII signature should fail, not throw');
+    console.assert(verifyWebhookSignature(body, withSignature(`${signature.slice(0, -2)}é`), secret, { now }).error === 'Invalid signature', 'Test 4b: Non-ASCII signature of equal byte length should fail');
+    console.log('✓ Test 4: Non-ASCII passed');
+
+    // Test 5: Expired and missing headers
+    console.assert(verifyWebhookSignature(body, headers, secret, { now: now + 301 }).error === 'Timestamp outside tolerance', 'Test 5a: Replayed request should fail');
+    console.assert(verifyWebhookSignature(body, headers, secret, { now: now + 60, toleranceSeconds: 30 }).error === 'Timestamp outside tolerance', 'Test 5b: Custom tolerance should apply');
+    console.assert(verifyWebhookSignature(body, { 'x-webhook-timestamp': String(now) }, secret, { now }).error === 'Missing signature headers', 'Test 5c: Unsigned request should fail');
+    console.log('✓ Test 5: Expired and missing headers passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+module.exports = {
+    signWebhookBody,
+    verifyWebhookSignature,
+    deliverWebhook,
+    getFunctionDeadline,
+    getDeadLetterStore,
+    deadLetterId,
+    saveDeadLetter,
+    runTests
+};
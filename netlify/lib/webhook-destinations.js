@@ -0,0 +1,465 @@
+/**
+ * Webhook Destinations
+ *
+ * The relay can forward each submission to several destinations (Airtable,
+ * Notion, Slack-compatible incoming webhooks, generic endpoints), listed in
+ * netlify/webhooks.json (see netlify/webhooks.example.json):
+ *
+ *   {
+ *     "destinations": [
+ *       {
+ *         "id": "slack-sales",
+ *         "url": "${SLACK_WEBHOOK_URL}",
+ *         "headers": { "Authorization": "Bearer ${TOKEN}" },
+ *         "when": [
+ *           { "field": "data.primary_type", "equals": "High D" },
+ *           { "field": "data.role_applied_for", "contains": "sales" }
+ *         ],
+ *         "template": { "text": "{{data.full_name}} is {{data.primary_type}}" }
+ *       }
+ *     ]
+ *   }
+ *
+ * - url, headers: `${NAME}` is replaced with the environment variable NAME
+ *   at delivery time, so endpoint secrets stay out of the repository
+ * - when: conditions on the relay payload that must all hold; each has a
+ *   `field` path and one of `equals`, `in`, `contains`, `matches` (regex) or
+ *   `exists`. Text comparisons ignore case.
+ * - template: JSON body to send instead of the relay payload, filled in from
+ *   it (see templates.js)
+ * - enabled: false skips the destination
+ *
+ * WEBHOOK_URL, when set, adds a destination "default" that receives the relay
+ * payload unchanged (unless the file defines "default" itself).
+ *
+ * Every destination is delivered on its own (see webhook-delivery.js): one
+ * failing endpoint does not hold back the others, and only its delivery is
+ * dead-lettered and replayed.
+ *
+ * Environment Variables:
+ * - WEBHOOK_URL: Single endpoint that receives the relay payload as-is
+ * - Any variable referenced as `${NAME}` in netlify/webhooks.json
+ */
+
+const { deliverWebhook, saveDeadLetter } = require('./webhook-delivery');
+const { readPath, renderTemplate } = require('./templates');
+
+const DEFAULT_DESTINATION_ID = 'default';
+
+// Destination ids are part of dead-letter ids, so they follow the store's id rules
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const OPERATORS = ['equals', 'in', 'contains', 'matches', 'exists'];
+
+const ENV_PATTERN = /\$\{([A-Z0-9_]+)\}/g;
+
+/**
+ * Read netlify/webhooks.json
+ * @returns {Object|null} - Parsed file, or null if there is none
+ */
+function readConfigFile() {
+    try {
+        // A static path, so the bundler includes the file when it exists
+        return require('../webhooks.json');
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') return null;
+        throw new Error(`Invalid netlify/webhooks.json: ${error.message}`);
+    }
+}
+
+/**
+ * Check a destinations config
+ * @param {Object} config - {destinations: [...]}
+ * @returns {Array<string>} - Problems (empty if valid)
+ */
+function validateDestinations(config) {
+    const problems = [];
+    if (!config || !Array.isArray(config.destinations)) {
+        return ['destinations must be an array'];
+    }
+
+    const seen = new Set();
+    config.destinations.forEach((destination, index) => {
+        const label = `destinations[${index}]`;
+        if (!destination || typeof destination !== 'object') {
+            problems.push(`${label} must be an object`);
+            return;
+        }
+
+        if (typeof destination.id !== 'string' || !ID_PATTERN.test(destination.id)) {
+            problems.push(`${label}.id must contain only letters, digits, "-" and "_"`);
+        } else if (seen.has(destination.id)) {
+            problems.push(`${label}.id "${destination.id}" is used twice`);
+        } else {
+            seen.add(destination.id);
+        }
+
+        if (typeof destination.url !== 'string' || !destination.url.trim()) {
+            problems.push(`${label}.url is required`);
+        }
+        if (destination.headers !== undefined &&
+            (typeof destination.headers !== 'object' || Object.values(destination.headers).some(value => typeof value !== 'string'))) {
+            problems.push(`${label}.headers must map header names to strings`);
+        }
+
+        if (destination.when !== undefined && !Array.isArray(destination.when)) {
+            problems.push(`${label}.when must be an array of conditions`);
+        }
+        (Array.isArray(destination.when) ? destination.when : []).forEach((condition, conditionIndex) => {
+            const conditionLabel = `${label}.when[${conditionIndex}]`;
+            if (!condition || typeof condition.field !== 'string') {
+                problems.push(`${conditionLabel}.field is required`);
+                return;
+            }
+            const operators = OPERATORS.filter(operator => condition[operator] !== undefined);
+            if (operators.length !== 1) {
+                problems.push(`${conditionLabel} needs exactly one of ${OPERATORS.join(', ')}`);
+            } else if (operators[0] === 'in' && !Array.isArray(condition.in)) {
+                problems.push(`${conditionLabel}.in must be an array`);
+            } else if (operators[0] === 'matches') {
+                try {
+                    new RegExp(condition.matches);
+                } catch (error) {
+                    problems.push(`${conditionLabel}.matches is not a valid pattern`);
+                }
+            }
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Load the configured destinations
+ * @param {Object} config - Destinations config (default: netlify/webhooks.json)
+ * @returns {Array<Object>} - Enabled destinations
+ */
+function loadDestinations(config = readConfigFile()) {
+    const configured = config || { destinations: [] };
+    const problems = validateDestinations(configured);
+    if (problems.length > 0) {
+        throw new Error(`Invalid webhook destinations: ${problems.join('; ')}`);
+    }
+
+    const destinations = configured.destinations.filter(destination => destination.enabled !== false);
+
+    if (process.env.WEBHOOK_URL && !configured.destinations.some(d => d.id === DEFAULT_DESTINATION_ID)) {
+        destinations.push({ id: DEFAULT_DESTINATION_ID, url: process.env.WEBHOOK_URL });
+    }
+
+    return destinations;
+}
+
+/**
+ * Replace `${NAME}` with environment variables
+ * @param {string} value - Config value
+ * @returns {string}
+ */
+function resolveEnv(value) {
+    return value.replace(ENV_PATTERN, (match, name) => {
+        if (process.env[name] === undefined) {
+            throw new Error(`Environment variable ${name} is not set`);
+        }
+        return process.env[name];
+    });
+}
+
+/**
+ * Whether a payload passes a destination's conditions
+ * @param {Object} destination - Destination
+ * @param {Object} payload - Relay payload
+ * @returns {boolean}
+ */
+function matchesDestination(destination, payload) {
+    return (destination.when || []).every(condition => {
+        const value = readPath(payload, condition.field);
+        const text = value === null || value === undefined ? '' : String(value).toLowerCase();
+
+        if (condition.exists !== undefined) {
+            return (value !== undefined && value !== null && value !== '') === Boolean(condition.exists);
+        }
+        if (condition.equals !== undefined) {
+            return text === String(condition.equals).toLowerCase();
+        }
+        if (condition.in !== undefined) {
+            return condition.in.some(option => text === String(option).toLowerCase());
+        }
+        if (condition.contains !== undefined) {
+            return text.includes(String(condition.contains).toLowerCase());
+        }
+        return new RegExp(condition.matches, 'i').test(text);
+    });
+}
+
+/**
+ * Build the body for a destination
+ * @param {Object} destination - Destination
+ * @param {Object} payload - Relay payload
+ * @returns {*} - Relay payload, or the destination's template filled in from it
+ */
+function renderPayload(destination, payload) {
+    return destination.template === undefined ? payload : renderTemplate(destination.template, payload);
+}
+
+/**
+ * Deliver a relay payload to one destination
+ * @param {Object} destination - Destination
+ * @param {Object} payload - Relay payload
+ * @param {Object} options - deliverWebhook options
+ * @returns {Promise<Object>} - Result of deliverWebhook
+ */
+async function sendToDestination(destination, payload, options = {}) {
+    let url;
+    let headers;
+    try {
+        url = resolveEnv(destination.url);
+        headers = Object.fromEntries(
+            Object.entries(destination.headers || {}).map(([name, value]) => [name, resolveEnv(value)])
+        );
+    } catch (error) {
+        // A missing secret fails this destination only
+        return { delivered: false, attempts: 0, status: null, error: error.message };
+    }
+
+    return deliverWebhook(url, renderPayload(destination, payload), {
+        ...options,
+        headers,
+        idempotencyKey: payload.submissionId
+    });
+}
+
+/**
+ * Deliver a relay payload to every destination whose conditions it meets
+ * @param {Object} payload - Relay payload
+ * @param {Array<Object>} destinations - Result of loadDestinations
+ * @param {Object} options - {deadLetterStore: keeps failed deliveries (optional), ...deliverWebhook options}
+ * @returns {Promise<Array<Object>>} - One {destination, status, attempts?, httpStatus?, error?} per destination;
+ *   status is delivered, skipped, dead-lettered or failed
+ */
+async function dispatchToDestinations(payload, destinations, options = {}) {
+    const { deadLetterStore, ...deliveryOptions } = options;
+
+    return Promise.all(destinations.map(async destination => {
+        if (!matchesDestination(destination, payload)) {
+            return { destination: destination.id, status: 'skipped' };
+        }
+
+        const result = await sendToDestination(destination, payload, deliveryOptions);
+        const delivery = { destination: destination.id, attempts: result.attempts, httpStatus: result.status };
+        if (result.delivered) {
+            return { ...delivery, status: 'delivered' };
+        }
+
+        let status = 'failed';
+        if (deadLetterStore) {
+            try {
+                await saveDeadLetter(deadLetterStore, payload, result, destination.id);
+                status = 'dead-lettered';
+            } catch (error) {
+                console.error('Failed to dead-letter webhook delivery:', error.message);
+            }
+        }
+        return { ...delivery, status, error: result.error };
+    }));
+}
+
+/**
+ * Replay dead-lettered deliveries to their destinations; delivered ones are removed from the store.
+ * Conditions are not checked again: the payload passed them when it was first sent.
+ * Entries are replayed one after another; once the deadline is reached the rest are left untried.
+ * @param {Object} store - Dead-letter store
+ * @param {Array<Object>} destinations - Result of loadDestinations
+ * @param {Object} options - {ids: only these dead letters (default: all), ...deliverWebhook options (deadline)}
+ * @returns {Promise<Object>} - {delivered: [ids], failed: [{id, destination, status, error}], missing: [ids],
+ *   pending: [ids not tried before the deadline]}
+ */
+async function replayDeadLetters(store, destinations, options = {}) {
+    const { ids, ...deliveryOptions } = options;
+    const records = ids
+        ? await Promise.all(ids.map(id => store.get(String(id))))
+        : await store.list();
+
+    const outcome = { delivered: [], failed: [], missing: [], pending: [] };
+    for (const [index, record] of records.entries()) {
+        if (!record) {
+            outcome.missing.push(String(ids[index]));
+            continue;
+        }
+        if (deliveryOptions.deadline && Date.now() >= deliveryOptions.deadline) {
+            outcome.pending.push(record.id);
+            continue;
+        }
+
+        // Entries from before multiple destinations went to WEBHOOK_URL
+        const destinationId = record.destination || DEFAULT_DESTINATION_ID;
+        const destination = destinations.find(d => d.id === destinationId);
+        const result = destination
+            ? await sendToDestination(destination, record.payload, deliveryOptions)
+            : { delivered: false, attempts: 0, status: null, error: `Destination "${destinationId}" is not configured` };
+
+        if (result.delivered) {
+            await store.delete(record.id);
+            outcome.delivered.push(record.id);
+            continue;
+        }
+        if (result.attempts === 0 && deliveryOptions.deadline && Date.now() >= deliveryOptions.deadline) {
+            // The deadline passed before the first attempt (a missing secret still counts as failed)
+            outcome.pending.push(record.id);
+            continue;
+        }
+
+        // Updated in place under the same id, so later replays still find it
+        await store.put({
+            ...record,
+            failed_at: new Date().toISOString(),
+            attempts: (record.attempts || 0) + result.attempts,
+            last_status: result.status,
+            last_error: result.error
+        });
+        outcome.failed.push({ id: record.id, destination: destinationId, status: result.status, error: result.error });
+    }
+
+    return outcome;
+}
+
+/**
+ * Basic unit tests for webhook destinations
+ * Run with: node -e "require('./netlify/lib/webhook-destinations').runTests()"
+ */
+async function runTests() {
+    console.log('Running Webhook Destination Tests...\n');
+
+    const payload = {
+        submissionId: 'sub-1',
+        data: { full_name: 'Jane Doe', primary_type: 'High D', role_applied_for: 'Senior Sales Rep', scores: { D: 12 } }
+    };
+
+    // Test 1: Config validation
+    console.assert(validateDestinations({ destinations: [{ id: 'crm', url: 'https://example.com' }] }).length === 0, 'Test 1a: Valid config should pass');
+    console.assert(validateDestinations({}).join() === 'destinations must be an array', 'Test 1b: Missing list should fail');
+    const problems = validateDestinations({
+        destinations: [
+            { id: 'a b', url: '' },
+            { id: 'crm', url: 'https://example.com', when: [{ field: 'x', equals: 1, contains: 1 }, { field: 'y', matches: '(' }] },
+            { id: 'crm', url: 'https://example.com', headers: { 'X-Count': 1 } }
+        ]
+    });
+    console.assert(problems.length === 6 && problems.some(problem => problem.includes('is used twice')), 'Test 1c: Each problem should be reported');
+    console.log('✓ Test 1: Config validation passed');
+
+    // Test 2: Loading
+    const previousUrl = process.env.WEBHOOK_URL;
+    try {
+        process.env.WEBHOOK_URL = 'https://hooks.example.com/default';
+        const loaded = loadDestinations({ destinations: [{ id: 'crm', url: 'https://example.com' }, { id: 'off', url: 'https://example.com', enabled: false }] });
+        console.assert(loaded.map(d => d.id).join() === 'crm,default', 'Test 2a: WEBHOOK_URL should add "default" and disabled ones be skipped');
+        console.assert(loadDestinations({ destinations: [{ id: 'default', url: 'https://example.com' }] }).length === 1, 'Test 2b: A configured "default" should win');
+        let error = null;
+        try {
+            loadDestinations({ destinations: [{ id: 'crm' }] });
+        } catch (e) {
+            error = e;
+        }
+        console.assert(error && error.message.startsWith('Invalid webhook destinations'), 'Test 2c: Invalid config should throw');
+    } finally {
+        if (previousUrl === undefined) delete process.env.WEBHOOK_URL;
+        else process.env.WEBHOOK_URL = previousUrl;
+    }
+    console.log('✓ Test 2: Loading passed');
+
+    // Test 3: Conditions
+    const when = condition => matchesDestination({ when: [condition] }, payload);
+    console.assert(matchesDestination({}, payload) === true, 'Test 3a: No conditions should match');
+    console.assert(when({ field: 'data.primary_type', equals: 'high d' }) === true, 'Test 3b: equals should ignore case');
+    console.assert(when({ field: 'data.primary_type', equals: 'High I' }) === false, 'Test 3c: equals should compare the whole value');
+    console.assert(when({ field: 'data.primary_type', in: ['High I', 'High D'] }) === true, 'Test 3d: in should match any option');
+    console.assert(when({ field: 'data.role_applied_for', contains: 'SALES' }) === true, 'Test 3e: contains should ignore case');
+    console.assert(when({ field: 'data.role_applied_for', matches: '^senior' }) === true, 'Test 3f: matches should ignore case');
+    console.assert(when({ field: 'data.scores.D', equals: 12 }) === true, 'Test 3g: Nested numbers should compare as text');
+    console.assert(when({ field: 'data.email', exists: false }) === true && when({ field: 'data.email', exists: true }) === false, 'Test 3h: exists should check for a value');
+    console.assert(matchesDestination({ when: [{ field: 'data.primary_type', equals: 'High D' }, { field: 'data.role_applied_for', contains: 'support' }] }, payload) === false,
+        'Test 3i: Every condition should have to hold');
+    console.log('✓ Test 3: Conditions passed');
+
+    // Test 4: Payload templates
+    console.assert(renderPayload({}, payload) === payload, 'Test 4a: No template should send the relay payload');
+    const body = renderPayload({ template: { text: '{{data.full_name}} is {{data.primary_type}}', d: '{{data.scores.D | number}}', scores: '{{data.scores}}' } }, payload);
+    console.assert(body.text === 'Jane Doe is High D' && body.d === 12 && body.scores.D === 12, 'Test 4b: Template should be filled in from the payload');
+    console.log('✓ Test 4: Payload templates passed');
+
+    // Test 5: Dispatch and replay against a local endpoint
+    const endpoint = await startTestEndpoint();
+    const records = new Map();
+    const store = {
+        get: async id => records.get(id) || null,
+        list: async () => [...records.values()],
+        put: async record => { records.set(record.id, record); return record; },
+        delete: async id => records.delete(id)
+    };
+    try {
+        const destinations = [
+            { id: 'ok', url: `${endpoint.url}/ok`, template: { name: '{{data.full_name}}' } },
+            { id: 'down', url: `${endpoint.url}/fail` },
+            { id: 'secret', url: '${WEBHOOK_TEST_UNSET_SECRET}' },
+            { id: 'other', url: `${endpoint.url}/ok`, when: [{ field: 'data.primary_type', equals: 'High S' }] }
+        ];
+        const results = await dispatchToDestinations(payload, destinations, { deadLetterStore: store, maxAttempts: 1 });
+        console.assert(results.map(r => r.status).join() === 'delivered,dead-lettered,dead-lettered,skipped', 'Test 5a: Each destination should get its own status');
+        console.assert(endpoint.requests.length === 2 && JSON.parse(endpoint.requests[0].body).name === 'Jane Doe', 'Test 5b: Template body should be sent');
+        console.assert(endpoint.requests.every(request => request.headers['idempotency-key'] === 'sub-1'), 'Test 5c: Idempotency key should be the submission id');
+        console.assert(records.has('sub-1--down') && records.has('sub-1--secret'), 'Test 5d: Failures should be dead-lettered per destination');
+
+        endpoint.failing = false;
+        const outcome = await replayDeadLetters(store, destinations, { ids: ['sub-1--down', 'sub-1--secret', 'gone'], maxAttempts: 1 });
+        console.assert(outcome.delivered.join() === 'sub-1--down' && !records.has('sub-1--down'), 'Test 5e: Delivered replays should be removed');
+        console.assert(outcome.failed.length === 1 && outcome.failed[0].error.includes('WEBHOOK_TEST_UNSET_SECRET'), 'Test 5f: A missing secret should fail, not stay pending');
+        console.assert(records.get('sub-1--secret').attempts === 0 && outcome.missing.join() === 'gone', 'Test 5g: Failed entries should be kept and unknown ids reported');
+
+        const late = await replayDeadLetters(store, destinations, { deadline: Date.now() - 1 });
+        console.assert(late.pending.join() === 'sub-1--secret' && late.failed.length === 0, 'Test 5h: Entries after the deadline should be pending');
+    } finally {
+        await endpoint.close();
+    }
+    console.log('✓ Test 5: Dispatch and replay passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+/**
+ * Local HTTP endpoint for the tests: "/ok" answers 200, "/fail" 500 while `failing`
+ * @returns {Promise<Object>} - {url, requests, failing, close()}
+ */
+function startTestEndpoint() {
+    const http = require('http');
+    const state = { requests: [], failing: true };
+
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            state.requests.push({ path: request.url, headers: request.headers, body });
+            response.writeHead(request.url === '/fail' && state.failing ? 500 : 200, { Connection: 'close' });
+            response.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            state.url = `http://127.0.0.1:${server.address().port}`;
+            state.close = () => new Promise(done => server.close(done));
+            resolve(state);
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_DESTINATION_ID,
+    validateDestinations,
+    loadDestinations,
+    matchesDestination,
+    renderPayload,
+    sendToDestination,
+    dispatchToDestinations,
+    replayDeadLetters,
+    runTests
+};
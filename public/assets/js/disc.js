@@ -1,261 +1,359 @@
 /**
  * DISC Assessment - Likert Scale Scoring
- * Standalone vanilla JavaScript (no modules)
+ * ES module; questions are rendered from the versioned item bank in
+ * /data/instruments/ (current version, or ?version= in the URL) and
+ * scoring is delegated to the shared core in js/scoring-core.js.
+ * Statements, anchors and UI text follow the candidate's locale (js/i18n.js).
+ * Invitation links (?invite=) pre-fill and lock the candidate details (js/invite.js).
  */
 
-(function() {
-    'use strict';
-
-    // Style descriptions
-    const STYLE_DESCRIPTIONS = {
-        D: {
-            name: 'Dominance',
-            traits: 'Direct, decisive, goal-oriented leaders who take charge and drive results.',
-            strengths: 'Strong leadership, quick decision-making, results-focused, competitive, confident.',
-            worksWith: 'Provide autonomy, clear goals, and opportunities to lead. Be direct and concise.',
-            roles: 'Leadership, Project Management, Sales, Entrepreneurship'
-        },
-        I: {
-            name: 'Influence',
-            traits: 'Social, persuasive, enthusiastic communicators who inspire and energize others.',
-            strengths: 'Excellent communication, persuasive, optimistic, collaborative, relationship-building.',
-            worksWith: 'Provide recognition, collaboration opportunities, and social interaction. Keep things positive.',
-            roles: 'Sales, Marketing, Public Relations, Customer Relations, Team Leadership'
-        },
-        S: {
-            name: 'Steadiness',
-            traits: 'Patient, reliable, supportive team players who value stability and harmony.',
-            strengths: 'Dependable, patient, great listeners, team-oriented, calm under pressure.',
-            worksWith: 'Provide stability, clear expectations, and time to adapt to change. Show appreciation.',
-            roles: 'Customer Service, Human Resources, Healthcare, Administration, Support Roles'
-        },
-        C: {
-            name: 'Conscientiousness',
-            traits: 'Analytical, precise, quality-driven contributors who value accuracy and systems.',
-            strengths: 'Attention to detail, analytical thinking, systematic, quality-focused, thorough.',
-            worksWith: 'Provide clear standards, time for analysis, and respect for quality. Minimize surprises.',
-            roles: 'Data Analysis, Engineering, Accounting, Research, Quality Assurance, Compliance'
-        }
-    };
+import { scoreResponses, findMissingResponses, formatStyleVector } from '../../js/scoring-core.js';
+import { loadInstrument, getItemAnchors, formatInstrumentVersion, LIKERT_ID } from '../../js/instruments.js';
+import { assessValidity, formatValidityFields } from '../../js/validity.js';
+import { saveLocalResult } from '../../js/results.js';
+import { loadNorms, normalizeResult, formatNormVector } from '../../js/norms.js';
+import { createPresentationOrder, applyPresentationOrder, formatPresentationOrder } from '../../js/shuffle.js';
+import { getPresentationSeed, saveProgress, loadProgress, restoreProgress, clearProgress, showResumePrompt } from '../../js/autosave.js';
+import { loadLocale, translatePage, t, DEFAULT_LOCALE } from '../../js/i18n.js';
+import { initializeInvitation, isInvitationUsable } from '../../js/invite.js';
 
-    // Initialize when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
-    }
+// Loaded instrument definition (items, dimensions, anchors, sections)
+let instrument = null;
+// Key for autosaved progress and seed: "<id>@<version>"
+let autosaveKey = null;
+// This candidate's seeded question order, and the instrument reordered to match
+let order = null;
+let presented = null;
+// Time of the first answer, for completion-time validity
+let startedAt = null;
 
-    function init() {
-        const form = document.getElementById('discForm');
-        if (!form) {
-            console.error('DISC form not found');
-            return;
-        }
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
 
-        form.addEventListener('submit', handleSubmit);
-        
-        // Add progress tracking
-        initializeProgressTracking();
-        
-        console.log('DISC assessment initialized');
+async function init() {
+    const form = document.getElementById('discForm');
+    if (!form) {
+        console.error('DISC form not found');
+        return;
     }
 
-    /**
-     * Initialize progress tracking
-     */
-    function initializeProgressTracking() {
-        const form = document.getElementById('discForm');
-        
-        // Listen for any radio button changes
-        form.addEventListener('change', function(e) {
-            if (e.target.type === 'radio') {
-                updateProgress();
-            }
-        });
-        
-        // Initial progress update
-        updateProgress();
+    try {
+        await loadLocale();
+        translatePage();
+    } catch (error) {
+        alert('Failed to load assessment. Please refresh the page and try again.');
+        return;
     }
 
-    /**
-     * Update progress bar and text
-     */
-    function updateProgress() {
-        const totalQuestions = 24;
-        let answeredCount = 0;
-        
-        // Count how many questions have been answered
-        for (let i = 1; i <= totalQuestions; i++) {
-            const radios = document.querySelectorAll(`input[name="q${i}"]`);
-            const answered = Array.from(radios).some(radio => radio.checked);
-            if (answered) {
-                answeredCount++;
-            }
-        }
-        
-        // Calculate percentage
-        const percentage = Math.round((answeredCount / totalQuestions) * 100);
-        
-        // Update progress text
-        const progressText = document.getElementById('progressText');
-        if (progressText) {
-            progressText.textContent = `${answeredCount} of ${totalQuestions} completed (${percentage}%)`;
-        }
-        
-        // Update progress bar
-        const progressBar = document.getElementById('progressBarFill');
-        if (progressBar) {
-            progressBar.style.width = `${percentage}%`;
-        }
-        
-        // Add celebratory effect at milestones
-        if (answeredCount === totalQuestions && answeredCount > 0) {
-            progressBar.style.background = 'linear-gradient(90deg, #10b981 0%, #059669 100%)';
-            // Subtle pulse animation
-            progressBar.style.animation = 'pulse 0.5s ease-in-out';
-        }
+    // Invitation links pre-fill and lock the candidate details; unusable links stop here
+    const invite = await initializeInvitation(form);
+    if (!isInvitationUsable(invite)) {
+        return;
     }
 
-    /**
-     * Handle form submission
-     */
-    function handleSubmit(event) {
-        event.preventDefault(); // Prevent immediate submission
-        
-        const form = event.target;
-        
-        // Validate all questions answered
-        if (!validateForm(form)) {
-            alert('Please answer all 24 questions before submitting.');
-            return;
-        }
+    try {
+        instrument = await loadInstrument(LIKERT_ID);
+    } catch (error) {
+        alert(t('common.loadFailed'));
+        return;
+    }
+
+    // Norms are optional - scores still submit without them
+    await loadNorms().catch(() => console.warn('Norms unavailable - skipping normalized scores'));
+
+    autosaveKey = formatInstrumentVersion(instrument);
+    order = createPresentationOrder(instrument, getPresentationSeed(autosaveKey));
+    presented = applyPresentationOrder(instrument, order);
+
+    renderInstrument(document.getElementById('likertContainer'));
+
+    form.addEventListener('submit', handleSubmit);
 
-        // Calculate scores
-        const scores = calculateScores(form);
-        console.log('Calculated scores:', scores);
-
-        // Populate hidden fields
-        populateHiddenFields(scores);
-        
-        // Log what we're submitting
-        console.log('Submitting to Netlify Forms with scores:', {
-            D: scores.totals.D,
-            I: scores.totals.I,
-            S: scores.totals.S,
-            C: scores.totals.C,
-            primary: scores.primary,
-            secondary: scores.secondary
-        });
-
-        // Now submit the form with populated fields
-        // Use setTimeout to ensure fields are populated before submission
-        setTimeout(function() {
-            form.submit();
-        }, 100);
+    // Offer to restore answers saved before a reload (before progress
+    // tracking, so answering instead of resuming clears the old answers first)
+    offerResume(form);
+    
+    // Add progress tracking
+    initializeProgressTracking();
+    
+    console.log('DISC assessment initialized');
+}
+
+/**
+ * Render section headers and Likert questions in presentation order.
+ * Shuffled questions are shown without section headers.
+ */
+function renderInstrument(container) {
+    if (!container) {
+        console.error('Likert container not found');
+        return;
     }
 
-    /**
-     * Validate that all questions are answered
-     */
-    function validateForm(form) {
-        for (let i = 1; i <= 24; i++) {
-            const radios = form.querySelectorAll(`input[name="q${i}"]`);
-            const checked = Array.from(radios).some(radio => radio.checked);
-            if (!checked) {
-                return false;
+    container.innerHTML = '';
+    const items = presented.items;
+    const total = items.length;
+    const sections = instrument.randomize === false ? (instrument.sections || []) : [];
+
+    // Items without a known section are rendered after the last header
+    let currentSection;
+    items.forEach((item, index) => {
+        if (item.section !== currentSection) {
+            currentSection = item.section;
+            const section = sections.find(s => s.id === item.section);
+            if (section) {
+                const count = items.slice(index).findIndex(i => i.section !== item.section);
+                const last = count === -1 ? total : index + count;
+                container.appendChild(createSectionHeader(section, index + 1, last, total));
             }
         }
-        return true;
-    }
+        container.appendChild(createItemElement(item, index + 1));
+    });
+}
 
-    /**
-     * Calculate DISC scores from form data
-     */
-    function calculateScores(form) {
-        // Sum questions 1-6 for D, 7-12 for I, 13-18 for S, 19-24 for C
-        const scores = {
-            D: sumQuestions(form, 1, 6),
-            I: sumQuestions(form, 7, 12),
-            S: sumQuestions(form, 13, 18),
-            C: sumQuestions(form, 19, 24)
-        };
-
-        // Determine primary and secondary styles
-        const ranked = rankStyles(scores, form);
-        
-        return {
-            totals: scores,
-            primary: ranked[0],
-            secondary: ranked[1],
-            vector: JSON.stringify(scores)
-        };
-    }
+/**
+ * Create a section header ("Questions 1-7 of 28")
+ */
+function createSectionHeader(section, first, last, total) {
+    const header = document.createElement('div');
+    header.className = 'section-header';
+
+    const title = document.createElement('h2');
+    title.className = 'section-title';
+    title.textContent = section.title;
+    header.appendChild(title);
+
+    const subtitle = document.createElement('p');
+    subtitle.className = 'section-subtitle';
+    subtitle.textContent = t('likert.sectionRange', { first, last, total });
+    header.appendChild(subtitle);
+
+    return header;
+}
+
+/**
+ * Create a single Likert question fieldset
+ */
+function createItemElement(item, number) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'q-block';
+    fieldset.id = item.id;
+
+    const legend = document.createElement('legend');
+    legend.textContent = `${number}. ${item.text}`;
+    fieldset.appendChild(legend);
+
+    const likert = document.createElement('div');
+    likert.className = 'likert';
+
+    getItemAnchors(instrument, item).forEach((anchor, index) => {
+        const label = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = item.id;
+        radio.value = anchor.value;
+        radio.required = index === 0;
+        label.appendChild(radio);
+        label.appendChild(document.createTextNode(` ${anchor.label}`));
+        likert.appendChild(label);
+    });
+
+    fieldset.appendChild(likert);
+    return fieldset;
+}
 
-    /**
-     * Sum Likert responses for a range of questions
-     */
-    function sumQuestions(form, start, end) {
-        let total = 0;
-        for (let i = start; i <= end; i++) {
-            const selected = form.querySelector(`input[name="q${i}"]:checked`);
-            if (selected) {
-                total += parseInt(selected.value, 10);
+/**
+ * Show the resume prompt if there are saved answers for this instrument version
+ */
+function offerResume(form) {
+    const saved = loadProgress(autosaveKey);
+    if (!saved) return;
+
+    showResumePrompt(form, saved, {
+        onResume: () => {
+            // Keep the original start time so completion time covers both visits
+            startedAt = saved.startedAt;
+            restoreProgress(form, saved.answers);
+        },
+        onDiscard: () => clearProgress(autosaveKey)
+    });
+}
+
+/**
+ * Initialize progress tracking
+ */
+function initializeProgressTracking() {
+    const form = document.getElementById('discForm');
+    
+    // Listen for any radio button changes
+    form.addEventListener('change', function(e) {
+        if (e.target.type === 'radio') {
+            if (!startedAt) {
+                startedAt = Date.now();
             }
+            saveProgress(autosaveKey, form, { startedAt, seed: order.seed });
+            updateProgress();
         }
-        return total;
+    });
+    
+    // Initial progress update
+    updateProgress();
+}
+
+/**
+ * Update progress bar and text
+ */
+function updateProgress() {
+    const form = document.getElementById('discForm');
+    const totalQuestions = instrument.items.length;
+    
+    // Count how many questions have been answered
+    const missing = findMissingResponses(instrument, collectResponses(form));
+    const answeredCount = totalQuestions - missing.length;
+    
+    // Calculate percentage
+    const percentage = Math.round((answeredCount / totalQuestions) * 100);
+    
+    // Update progress text
+    const progressText = document.getElementById('progressText');
+    if (progressText) {
+        progressText.textContent = t('common.progress', { completed: answeredCount, total: totalQuestions, percentage });
+    }
+    
+    // Update progress bar
+    const progressBar = document.getElementById('progressBarFill');
+    if (progressBar) {
+        progressBar.style.width = `${percentage}%`;
+    }
+    
+    // Add celebratory effect at milestones
+    if (answeredCount === totalQuestions && answeredCount > 0) {
+        progressBar.style.background = 'linear-gradient(90deg, #10b981 0%, #059669 100%)';
+        // Subtle pulse animation
+        progressBar.style.animation = 'pulse 0.5s ease-in-out';
     }
+}
 
-    /**
-     * Rank DISC styles by score (with tie-breaking logic)
-     */
-    function rankStyles(scores, form) {
-        // Create array of [style, score, high_count] for sorting
-        const styles = Object.keys(scores).map(style => {
-            const score = scores[style];
-            const highCount = countHighAnswers(form, style);
-            return { style, score, highCount };
-        });
-
-        // Sort by score (desc), then by high answer count (desc), then canonical order
-        const canonicalOrder = { D: 0, I: 1, S: 2, C: 3 };
-        styles.sort((a, b) => {
-            if (a.score !== b.score) return b.score - a.score;
-            if (a.highCount !== b.highCount) return b.highCount - a.highCount;
-            return canonicalOrder[a.style] - canonicalOrder[b.style];
-        });
-
-        return styles.map(s => s.style);
+/**
+ * Handle form submission
+ */
+function handleSubmit(event) {
+    event.preventDefault(); // Prevent immediate submission
+    
+    const form = event.target;
+    
+    // Validate all questions answered
+    if (!validateForm(form)) {
+        alert(t('likert.answerAll', { count: instrument.items.length }));
+        return;
     }
 
-    /**
-     * Count how many 4 or 5 answers for a given style
-     */
-    function countHighAnswers(form, style) {
-        const ranges = { D: [1, 6], I: [7, 12], S: [13, 18], C: [19, 24] };
-        const [start, end] = ranges[style];
-        let count = 0;
-
-        for (let i = start; i <= end; i++) {
-            const selected = form.querySelector(`input[name="q${i}"]:checked`);
-            if (selected && (selected.value === '4' || selected.value === '5')) {
-                count++;
-            }
-        }
-        return count;
+    // Calculate scores
+    const scores = calculateScores(form);
+    console.log('Calculated scores:', scores);
+
+    // Response-quality indicators (order-based, so in the order the candidate saw)
+    const validity = assessValidity(presented, collectResponses(form), {
+        startedAt,
+        submittedAt: Date.now()
+    });
+    if (validity.lowConfidence) {
+        console.warn('Low-confidence submission:', validity.flags);
     }
 
-    /**
-     * Populate hidden form fields with scores
-     */
-    function populateHiddenFields(scores) {
-        document.getElementById('total_D').value = scores.totals.D;
-        document.getElementById('total_I').value = scores.totals.I;
-        document.getElementById('total_S').value = scores.totals.S;
-        document.getElementById('total_C').value = scores.totals.C;
-        document.getElementById('primary_style').value = scores.primary;
-        document.getElementById('secondary_style').value = scores.secondary;
-        document.getElementById('style_vector').value = scores.vector;
+    // Populate hidden fields
+    populateHiddenFields(scores);
+    populateValidityFields(validity);
+
+    // Keep the result for /results in this browser session
+    saveLocalResult(scores, {
+        name: form.querySelector('#full_name').value.trim(),
+        role: form.querySelector('#position_applied_for').value.trim()
+    });
+    
+    // Log what we're submitting
+    console.log('Submitting to Netlify Forms with scores:', {
+        D: scores.totals.D,
+        I: scores.totals.I,
+        S: scores.totals.S,
+        C: scores.totals.C,
+        primary: scores.primary,
+        secondary: scores.secondary,
+        acquiescence: scores.acquiescence.index
+    });
+
+    if (scores.acquiescence.flagged) {
+        console.warn('Response style bias detected:', scores.acquiescence);
     }
 
+    // Now submit the form with populated fields
+    // Use setTimeout to ensure fields are populated before submission
+    setTimeout(function() {
+        form.submit();
+    }, 100);
+}
+
+/**
+ * Validate that all questions are answered
+ */
+function validateForm(form) {
+    return findMissingResponses(instrument, collectResponses(form)).length === 0;
+}
+
+/**
+ * Read the checked Likert value for every instrument item
+ */
+function collectResponses(form) {
+    const responses = {};
+    instrument.items.forEach(item => {
+        const selected = form.querySelector(`input[name="${item.id}"]:checked`);
+        if (selected) {
+            responses[item.id] = parseInt(selected.value, 10);
+        }
+    });
+    return responses;
+}
+
+/**
+ * Calculate DISC scores from form data
+ */
+function calculateScores(form) {
+    const result = scoreResponses(instrument, collectResponses(form));
+    
+    return {
+        ...result,
+        normalized: normalizeResult(result),
+        vector: formatStyleVector(result)
+    };
+}
+
+/**
+ * Populate hidden form fields with scores
+ */
+function populateHiddenFields(scores) {
+    document.getElementById('total_D').value = scores.totals.D;
+    document.getElementById('total_I').value = scores.totals.I;
+    document.getElementById('total_S').value = scores.totals.S;
+    document.getElementById('total_C').value = scores.totals.C;
+    document.getElementById('primary_style').value = scores.primary;
+    document.getElementById('secondary_style').value = scores.secondary;
+    document.getElementById('style_vector').value = scores.vector;
+    document.getElementById('acquiescence_index').value = scores.acquiescence.index;
+    document.getElementById('norm_vector').value = formatNormVector(scores.normalized);
+    document.getElementById('presentation_order').value = formatPresentationOrder(order);
+    document.getElementById('instrument_version').value = formatInstrumentVersion(instrument);
+    document.getElementById('locale').value = instrument.locale || DEFAULT_LOCALE;
+}
+
+/**
+ * Populate hidden form fields with response-quality indicators
+ */
+function populateValidityFields(validity) {
+    Object.entries(formatValidityFields(validity)).forEach(([fieldId, value]) => {
+        document.getElementById(fieldId).value = value;
+    });
+}
 
-})();
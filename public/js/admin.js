@@ -0,0 +1,579 @@
+/**
+ * Admin Dashboard Module
+ * Recruiter view of stored submissions (admin.html): password login, filters
+ * by role, requisition, date and primary type, a candidate's chart and
+ * narrative, fit to the role benchmark, side-by-side comparison of
+ * candidates for the same position, team composition of the selected
+ * submissions, PDF reports, and CSV / JSON Lines / ATS exports of the
+ * filtered submissions.
+ *
+ * All data comes from the admin functions, which re-score every submission
+ * server-side; the session token is kept in sessionStorage for this tab only.
+ */
+
+import { getTypeDescription } from './scoring.js';
+import { renderResults } from './results.js';
+import { createScoreChart, createQuadrantPlot } from './ui.js';
+import { getFitGaps, describeFitDimension } from './fit.js';
+import { renderTeamAnalysis } from './team.js';
+import { t, getLocale } from './i18n.js';
+import { escapeHtml } from './html.js';
+
+export const LOGIN_ENDPOINT = '/.netlify/functions/admin-login';
+export const SUBMISSIONS_ENDPOINT = '/.netlify/functions/admin-submissions';
+export const EXPORT_ENDPOINT = '/.netlify/functions/export-submissions';
+export const REPORT_ENDPOINT = '/.netlify/functions/candidate-report';
+
+// Export choices that are plain formats; the others are ATS profiles (CSV)
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+
+const SESSION_KEY = 'disc_admin_session';
+
+// Most candidates that fit side by side
+export const MAX_COMPARE = 4;
+
+let submissions = [];
+const selected = new Set();
+
+/**
+ * Read the stored session, dropping it once expired
+ * @returns {Object|null} - {token, expiresAt}
+ */
+export function getSession() {
+    try {
+        const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        if (session && new Date(session.expiresAt) > new Date()) {
+            return session;
+        }
+    } catch (error) {
+        // Unreadable or storage unavailable - log in again
+    }
+    clearSession();
+    return null;
+}
+
+/**
+ * Forget the session (sign out)
+ */
+export function clearSession() {
+    try {
+        sessionStorage.removeItem(SESSION_KEY);
+    } catch (error) {
+        // Storage unavailable - nothing to clear
+    }
+}
+
+/**
+ * Exchange the dashboard password for a session
+ * @param {string} password - Dashboard password
+ * @returns {Promise<Object>} - {token, expiresAt}
+ */
+export async function login(password) {
+    const response = await fetch(LOGIN_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+    });
+    if (!response.ok) {
+        throw new Error(response.status === 401 ? t('admin.login.incorrect') : t('admin.login.unavailable'));
+    }
+
+    const session = await response.json();
+    try {
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } catch (error) {
+        console.warn('Could not keep the admin session:', error);
+    }
+    return session;
+}
+
+/**
+ * Load submissions matching the filters
+ * @param {Object} filters - {role, requisition, primary, from, to}
+ * @returns {Promise<Object>} - {submissions, roles, total}
+ */
+export async function loadSubmissions(filters = {}) {
+    const session = getSession();
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    const response = await fetch(`${SUBMISSIONS_ENDPOINT}?${query}`, {
+        headers: { Authorization: `Bearer ${session ? session.token : ''}` }
+    });
+
+    if (response.status === 401) {
+        clearSession();
+        const error = new Error(t('admin.errors.sessionExpired'));
+        error.status = 401;
+        throw error;
+    }
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || t('admin.errors.load'));
+    }
+    return response.json();
+}
+
+/**
+ * Download the submissions matching the filters
+ * @param {Object} filters - {role, requisition, primary, from, to}
+ * @param {string} choice - 'csv', 'jsonl' or an ATS profile id (e.g. 'greenhouse')
+ * @returns {Promise<void>}
+ */
+export async function downloadExport(filters = {}, choice = 'csv') {
+    const params = EXPORT_FORMATS.includes(choice) ? { format: choice } : { format: 'csv', profile: choice };
+    const query = new URLSearchParams([
+        ...Object.entries(filters).filter(([, value]) => value),
+        ...Object.entries(params)
+    ]);
+    await downloadFile(`${EXPORT_ENDPOINT}?${query}`, `disc-submissions.${params.format}`, t('admin.errors.export'));
+}
+
+/**
+ * Download a candidate's PDF report
+ * @param {string} id - Submission id
+ * @param {string} locale - Report language (defaults to the dashboard's)
+ * @returns {Promise<void>}
+ */
+export async function downloadReport(id, locale = getLocale()) {
+    const query = new URLSearchParams({ id, lang: locale });
+    await downloadFile(`${REPORT_ENDPOINT}?${query}`, 'disc-report.pdf', t('admin.errors.report'));
+}
+
+/**
+ * Fetch a file with the session token and save it
+ * @param {string} url - Function URL
+ * @param {string} fallbackName - File name when the function does not suggest one
+ * @param {string} errorMessage - Message when the function gives no error
+ */
+async function downloadFile(url, fallbackName, errorMessage) {
+    const session = getSession();
+    const response = await fetch(url, {
+        headers: { Authorization: `Bearer ${session ? session.token : ''}` }
+    });
+
+    if (response.status === 401) {
+        clearSession();
+        const error = new Error(t('admin.errors.sessionExpired'));
+        error.status = 401;
+        throw error;
+    }
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || errorMessage);
+    }
+
+    // Save under the file name the function suggests
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = /filename="([^"]+)"/.exec(disposition);
+    const objectUrl = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(objectUrl);
+}
+
+/**
+ * Render the submissions table
+ * @param {HTMLElement} container - Table container
+ * @param {Array<Object>} rows - Submissions from loadSubmissions
+ * @param {Object} handlers - {onView(row), onReport(row), onToggle(row, checked)}
+ */
+export function renderSubmissionTable(container, rows, handlers = {}) {
+    if (!container) return;
+
+    if (rows.length === 0) {
+        container.innerHTML = `<p class="text-center text-gray-500 py-12">${escapeHtml(t('admin.empty'))}</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="overflow-x-auto bg-white rounded-lg shadow-md">
+            <table class="min-w-full text-sm text-start">
+                <thead class="bg-gray-100 text-gray-700">
+                    <tr>
+                        <th class="p-3"><span class="sr-only">${escapeHtml(t('admin.table.select'))}</span></th>
+                        <th class="p-3 text-start">${escapeHtml(t('admin.table.candidate'))}</th>
+                        <th class="p-3 text-start">${escapeHtml(t('admin.table.role'))}</th>
+                        <th class="p-3 text-start">${escapeHtml(t('admin.table.date'))}</th>
+                        <th class="p-3 text-start">${escapeHtml(t('admin.table.primary'))}</th>
+                        <th class="p-3 text-start">${escapeHtml(t('admin.table.order'))}</th>
+                        <th class="p-3 text-start">${escapeHtml(t('admin.table.fit'))}</th>
+                        <th class="p-3 text-start">${escapeHtml(t('admin.table.flags'))}</th>
+                        <th class="p-3"><span class="sr-only">${escapeHtml(t('admin.table.view'))}</span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="border-t border-gray-200" data-submission="${escapeHtml(row.id)}">
+                            <td class="p-3">
+                                <input type="checkbox" data-compare="${escapeHtml(row.id)}" ${selected.has(row.id) ? 'checked' : ''}
+                                       aria-label="${escapeHtml(t('admin.table.selectCandidate', { name: row.name || row.email }))}">
+                            </td>
+                            <td class="p-3">
+                                <div class="font-medium text-gray-900">${escapeHtml(row.name)}</div>
+                                <div class="text-gray-500">${escapeHtml(row.email)}</div>
+                            </td>
+                            <td class="p-3">
+                                ${escapeHtml(row.role)}
+                                ${row.requisitionId ? `<div class="text-xs text-gray-500">${escapeHtml(row.requisitionId)}</div>` : ''}
+                            </td>
+                            <td class="p-3 whitespace-nowrap">${escapeHtml(formatDate(row.createdAt))}</td>
+                            <td class="p-3"><strong>${escapeHtml(row.result.primary)}</strong>/${escapeHtml(row.result.secondary)}</td>
+                            <td class="p-3">${escapeHtml(row.result.typeOrder)}</td>
+                            <td class="p-3 whitespace-nowrap">${renderFitBadge(row)}</td>
+                            <td class="p-3">${renderFlags(row)}</td>
+                            <td class="p-3 text-end whitespace-nowrap">
+                                <button type="button" data-view="${escapeHtml(row.id)}" class="text-blue-600 hover:underline">
+                                    ${escapeHtml(t('admin.table.view'))}
+                                </button>
+                                <button type="button" data-report="${escapeHtml(row.id)}" class="text-blue-600 hover:underline ms-3"
+                                        aria-label="${escapeHtml(t('admin.table.reportFor', { name: row.name || row.email }))}">
+                                    ${escapeHtml(t('admin.table.report'))}
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    container.querySelectorAll('[data-view]').forEach(button => {
+        button.addEventListener('click', () => {
+            const row = rows.find(r => r.id === button.dataset.view);
+            if (handlers.onView) handlers.onView(row);
+        });
+    });
+    container.querySelectorAll('[data-report]').forEach(button => {
+        button.addEventListener('click', () => {
+            const row = rows.find(r => r.id === button.dataset.report);
+            if (handlers.onReport) handlers.onReport(row);
+        });
+    });
+    container.querySelectorAll('[data-compare]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const row = rows.find(r => r.id === checkbox.dataset.compare);
+            if (handlers.onToggle) handlers.onToggle(row, checkbox.checked);
+        });
+    });
+}
+
+/**
+ * Badges for submissions a recruiter should look at with care
+ */
+function renderFlags(row) {
+    const flags = [];
+    if (!row.complete) flags.push(t('admin.flags.incomplete'));
+    if (row.verification === 'mismatch') flags.push(t('admin.flags.mismatch'));
+    if (row.lowConfidence) flags.push(t('admin.flags.lowConfidence'));
+
+    return flags.map(flag => `
+        <span class="inline-block bg-yellow-100 text-yellow-800 text-xs rounded px-2 py-0.5 me-1">${escapeHtml(flag)}</span>
+    `).join('');
+}
+
+/**
+ * Match percentage for the table, with the benchmark on hover
+ */
+function renderFitBadge(row) {
+    if (!row.fit) {
+        return `<span class="text-gray-400" title="${escapeHtml(t('fit.none'))}">-</span>`;
+    }
+    return `<span class="font-medium" title="${escapeHtml(t('fit.benchmark', { label: row.fit.label }))}">${escapeHtml(t('fit.match', { match: row.fit.match }))}</span>`;
+}
+
+/**
+ * Role fit with a line per dimension, largest gaps first
+ * @param {Object} row - Submission from loadSubmissions
+ * @returns {string} - HTML (empty when no benchmark applies)
+ */
+export function renderFit(row) {
+    if (!row.fit) return '';
+
+    const gaps = getFitGaps(row.fit);
+    const entries = [...gaps, ...row.fit.dimensions.filter(entry => !gaps.includes(entry))];
+    return `
+        <div class="bg-white rounded-lg shadow-md p-6 mt-8" data-fit>
+            <h2 class="text-xl font-bold text-gray-900">
+                ${escapeHtml(t('fit.title'))}: ${escapeHtml(t('fit.match', { match: row.fit.match }))}
+            </h2>
+            <p class="text-sm text-gray-500 mb-3">${escapeHtml(t('fit.benchmark', { label: row.fit.label }))}</p>
+            <ul class="space-y-1 text-sm list-disc list-inside">
+                ${entries.map(entry => `
+                    <li class="${entry.gap === 0 ? 'text-gray-600' : 'text-yellow-800'}">${escapeHtml(describeFitDimension(entry))}</li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Whether a set of submissions can be compared: same requisition, or same role
+ * @param {Array<Object>} rows - Selected submissions
+ * @returns {boolean}
+ */
+export function isComparable(rows) {
+    if (rows.length < 2 || rows.length > MAX_COMPARE) return false;
+    const positionOf = row => row.requisitionId || row.role.trim().toLowerCase();
+    return rows.every(row => positionOf(row) === positionOf(rows[0]));
+}
+
+/**
+ * Render candidates side by side
+ * @param {HTMLElement} container - Comparison container
+ * @param {Array<Object>} rows - Submissions to compare
+ */
+export function renderComparison(container, rows) {
+    if (!container) return;
+
+    container.innerHTML = `
+        <h2 class="text-2xl font-bold text-gray-900 mb-4">
+            ${escapeHtml(t('admin.compare.title', { role: rows[0].role }))}
+        </h2>
+        <div class="grid gap-6 md:grid-cols-${Math.min(rows.length, MAX_COMPARE)}">
+            ${rows.map(row => {
+                const description = getTypeDescription(row.result.primaryType, row.result);
+                return `
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <p class="font-bold text-gray-900">${escapeHtml(row.name)}</p>
+                        <p class="text-sm text-gray-500 mb-3">${escapeHtml(formatDate(row.createdAt))}</p>
+                        <p class="font-semibold text-gray-800">${escapeHtml(description.title)}</p>
+                        <p class="text-sm text-gray-600 mb-4">${escapeHtml(description.summary)}</p>
+                        ${createScoreChart(row.result.totals)}
+                        <dl class="grid grid-cols-4 gap-2 my-4 text-center text-sm">
+                            ${['D', 'I', 'S', 'C'].map(dim => `
+                                <div>
+                                    <dt class="font-bold">${dim}</dt>
+                                    <dd>${Number(row.result.percentages[dim])}%</dd>
+                                </div>
+                            `).join('')}
+                        </dl>
+                        ${createQuadrantPlot(row.result.percentages)}
+                        ${row.fit ? `
+                            <p class="mt-3 text-sm text-gray-700">
+                                <strong>${escapeHtml(t('fit.match', { match: row.fit.match }))}</strong>
+                                ${getFitGaps(row.fit).slice(0, 2).map(entry => `<span class="block text-xs text-yellow-800">${escapeHtml(describeFitDimension(entry))}</span>`).join('')}
+                            </p>
+                        ` : ''}
+                        <div class="mt-3">${renderFlags(row)}</div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Render the selected submissions as a team, with a choice of one of them to
+ * analyse as the candidate joining the others
+ * @param {HTMLElement} container - Team container
+ * @param {Array<Object>} rows - Selected submissions
+ * @param {string} candidateId - Submission analysed as the candidate ('' for the team only)
+ */
+export function renderTeam(container, rows, candidateId = '') {
+    if (!container) return;
+
+    const members = rows.map(row => ({ id: row.id, name: row.name || row.email, result: row.result }));
+    const candidate = members.find(member => member.id === candidateId);
+
+    container.innerHTML = `
+        <div class="flex flex-wrap items-center gap-3 mb-4">
+            <label for="teamCandidate" class="text-sm font-medium text-gray-700">${escapeHtml(t('admin.team.candidate'))}</label>
+            <select id="teamCandidate" class="px-3 py-2 border border-gray-300 rounded-lg">
+                <option value="">${escapeHtml(t('admin.team.noCandidate'))}</option>
+                ${members.map(member => `
+                    <option value="${escapeHtml(member.id)}" ${member === candidate ? 'selected' : ''}>${escapeHtml(member.name)}</option>
+                `).join('')}
+            </select>
+        </div>
+        <div data-team></div>
+    `;
+
+    renderTeamAnalysis(container.querySelector('[data-team]'), members.filter(member => member !== candidate), { candidate });
+    container.querySelector('#teamCandidate').addEventListener('change', event => {
+        renderTeam(container, rows, event.target.value);
+    });
+}
+
+/**
+ * Wire up the dashboard page
+ */
+export function initializeDashboard() {
+    const loginSection = document.getElementById('adminLogin');
+    const dashboard = document.getElementById('adminDashboard');
+    const loginForm = document.getElementById('adminLoginForm');
+    const loginError = document.getElementById('adminLoginError');
+    const filtersForm = document.getElementById('adminFilters');
+    const table = document.getElementById('submissionTable');
+    const count = document.getElementById('submissionCount');
+    const compareButton = document.getElementById('compareButton');
+    const compareHint = document.getElementById('compareHint');
+    const comparison = document.getElementById('comparison');
+    const teamButton = document.getElementById('teamButton');
+    const team = document.getElementById('teamAnalysis');
+    const detail = document.getElementById('candidateDetail');
+    const status = document.getElementById('adminStatus');
+
+    const showLogin = (message = '') => {
+        dashboard.classList.add('hidden');
+        loginSection.classList.remove('hidden');
+        loginError.textContent = message;
+        loginError.classList.toggle('hidden', !message);
+    };
+
+    // Downloads share the status line and sign-out on an expired session
+    const download = async start => {
+        status.textContent = t('admin.loading');
+        try {
+            await start();
+            status.textContent = '';
+        } catch (error) {
+            if (error.status === 401) {
+                showLogin(error.message);
+                return;
+            }
+            status.textContent = error.message;
+        }
+    };
+
+    const updateCompare = () => {
+        const rows = submissions.filter(row => selected.has(row.id));
+        compareButton.disabled = !isComparable(rows);
+        compareButton.textContent = t('admin.compare.button', { count: rows.length });
+        compareHint.textContent = rows.length >= 2 && !isComparable(rows)
+            ? t('admin.compare.hint', { max: MAX_COMPARE })
+            : '';
+        teamButton.disabled = rows.length < 2;
+        teamButton.textContent = t('admin.team.button', { count: rows.length });
+    };
+
+    const refresh = async () => {
+        status.textContent = t('admin.loading');
+        try {
+            const data = await loadSubmissions(Object.fromEntries(new FormData(filtersForm)));
+            submissions = data.submissions;
+            [...selected].forEach(id => {
+                if (!submissions.some(row => row.id === id)) selected.delete(id);
+            });
+            renderRoleOptions(document.getElementById('roleOptions'), data.roles);
+            count.textContent = t('admin.count', { shown: submissions.length, count: data.total });
+            renderSubmissionTable(table, submissions, {
+                onView: row => {
+                    comparison.classList.add('hidden');
+                    team.classList.add('hidden');
+                    renderResults(detail, row);
+                    detail.insertAdjacentHTML('beforeend', renderFit(row));
+                    detail.classList.remove('hidden');
+                    detail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                },
+                onReport: row => download(() => downloadReport(row.id)),
+                onToggle: (row, checked) => {
+                    if (checked) selected.add(row.id); else selected.delete(row.id);
+                    updateCompare();
+                }
+            });
+            updateCompare();
+            status.textContent = '';
+        } catch (error) {
+            if (error.status === 401) {
+                showLogin(error.message);
+                return;
+            }
+            status.textContent = error.message;
+        }
+    };
+
+    const showDashboard = () => {
+        loginSection.classList.add('hidden');
+        dashboard.classList.remove('hidden');
+        refresh();
+    };
+
+    loginForm.addEventListener('submit', async event => {
+        event.preventDefault();
+        try {
+            await login(loginForm.querySelector('#adminPassword').value);
+            loginForm.reset();
+            showDashboard();
+        } catch (error) {
+            showLogin(error.message);
+        }
+    });
+
+    filtersForm.addEventListener('submit', event => {
+        event.preventDefault();
+        refresh();
+    });
+    filtersForm.addEventListener('reset', () => setTimeout(refresh, 0));
+
+    document.getElementById('exportButton').addEventListener('click', () => download(() => (
+        downloadExport(Object.fromEntries(new FormData(filtersForm)), document.getElementById('exportFormat').value)
+    )));
+
+    compareButton.addEventListener('click', () => {
+        detail.classList.add('hidden');
+        team.classList.add('hidden');
+        renderComparison(comparison, submissions.filter(row => selected.has(row.id)));
+        comparison.classList.remove('hidden');
+        comparison.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+
+    teamButton.addEventListener('click', () => {
+        detail.classList.add('hidden');
+        comparison.classList.add('hidden');
+        renderTeam(team, submissions.filter(row => selected.has(row.id)));
+        team.classList.remove('hidden');
+        team.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+
+    document.getElementById('signOut').addEventListener('click', () => {
+        clearSession();
+        submissions = [];
+        selected.clear();
+        table.innerHTML = '';
+        comparison.classList.add('hidden');
+        team.classList.add('hidden');
+        detail.classList.add('hidden');
+        showLogin();
+    });
+
+    if (getSession()) {
+        showDashboard();
+    } else {
+        showLogin();
+    }
+}
+
+/**
+ * Suggest known roles in the role filter
+ */
+function renderRoleOptions(datalist, roles) {
+    if (!datalist) return;
+    datalist.innerHTML = roles.map(role => `<option value="${escapeHtml(role)}"></option>`).join('');
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString(getLocale()) : '';
+}
+
+export default {
+    LOGIN_ENDPOINT,
+    SUBMISSIONS_ENDPOINT,
+    EXPORT_ENDPOINT,
+    REPORT_ENDPOINT,
+    MAX_COMPARE,
+    getSession,
+    clearSession,
+    login,
+    loadSubmissions,
+    downloadExport,
+    downloadReport,
+    renderSubmissionTable,
+    renderFit,
+    isComparable,
+    renderComparison,
+    renderTeam,
+    initializeDashboard
+};
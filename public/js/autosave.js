@@ -0,0 +1,197 @@
+/**
+ * Autosave Module
+ * Keeps in-progress answers in localStorage so a reload does not lose them,
+ * and offers to resume on the next visit. Only radio answers are stored -
+ * never the candidate's personal details. Saved progress expires after
+ * PROGRESS_TTL_MS and is cleared by thanks.html once the form is submitted.
+ */
+
+import { createSeed } from './shuffle.js';
+import { t, getLocale } from './i18n.js';
+
+const STORAGE_PREFIX = 'disc_progress:';
+
+// Saved progress older than this is discarded (7 days)
+export const PROGRESS_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Save the checked radios of a form
+ * @param {string} key - Storage key, usually the instrument id
+ * @param {HTMLFormElement} form - Assessment form
+ * @param {Object} meta - {startedAt, seed} to keep completion timing and question order across reloads
+ */
+export function saveProgress(key, form, meta = {}) {
+    const answers = {};
+    form.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+        answers[radio.name] = radio.value;
+    });
+
+    if (Object.keys(answers).length === 0) {
+        clearProgress(key);
+        return;
+    }
+
+    try {
+        localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify({
+            savedAt: Date.now(),
+            startedAt: meta.startedAt || null,
+            seed: meta.seed || null,
+            answers
+        }));
+    } catch (error) {
+        console.warn('Could not save progress:', error);
+    }
+}
+
+/**
+ * Load saved progress, discarding it if expired or unreadable
+ * @param {string} key - Storage key
+ * @param {number} maxAge - Maximum age in ms
+ * @returns {Object|null} - {savedAt, startedAt, seed, answers} or null
+ */
+export function loadProgress(key, maxAge = PROGRESS_TTL_MS) {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key));
+    } catch (error) {
+        saved = null;
+    }
+
+    if (!saved || !saved.answers || !saved.savedAt) {
+        clearProgress(key);
+        return null;
+    }
+
+    if (Date.now() - saved.savedAt > maxAge) {
+        console.log('Saved progress expired');
+        clearProgress(key);
+        return null;
+    }
+
+    return saved;
+}
+
+/**
+ * Get the seed for this candidate's question order: ?seed= in the URL, else the
+ * seed saved with in-progress answers (so a reload keeps the order), else a new one
+ * @param {string} key - Storage key
+ * @returns {string} - Seed
+ */
+export function getPresentationSeed(key) {
+    const fromUrl = new URLSearchParams(window.location.search).get('seed');
+    if (fromUrl) return fromUrl;
+
+    const saved = loadProgress(key);
+    return (saved && saved.seed) || createSeed();
+}
+
+/**
+ * Check the saved radios and fire change events so progress and autosave update,
+ * then a "progressrestored" event on the form
+ * @param {HTMLFormElement} form - Assessment form
+ * @param {Object} answers - Radio values keyed by input name
+ * @returns {number} - Number of answers restored
+ */
+export function restoreProgress(form, answers) {
+    const restored = [];
+
+    form.querySelectorAll('input[type="radio"]').forEach(radio => {
+        if (answers[radio.name] === radio.value) {
+            radio.checked = true;
+            restored.push(radio);
+        }
+    });
+
+    // Answers for items that no longer exist are ignored
+    restored.forEach(radio => {
+        radio.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    form.dispatchEvent(new CustomEvent('progressrestored', { detail: { restored: restored.length } }));
+
+    return restored.length;
+}
+
+/**
+ * Remove saved progress
+ * @param {string} key - Storage key
+ */
+export function clearProgress(key) {
+    try {
+        localStorage.removeItem(STORAGE_PREFIX + key);
+    } catch (error) {
+        // Storage unavailable - nothing to clear
+    }
+}
+
+/**
+ * Remove saved progress for every assessment (after a successful submit)
+ */
+export function clearAllProgress() {
+    try {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(STORAGE_PREFIX))
+            .forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+        // Storage unavailable - nothing to clear
+    }
+}
+
+/**
+ * Show a "resume where you left off" prompt above the form.
+ * Answering a question instead of choosing counts as starting over; typing
+ * the candidate details (or browser autofill) does not.
+ * @param {HTMLFormElement} form - Assessment form
+ * @param {Object} progress - Result of loadProgress
+ * @param {Object} handlers - {onResume, onDiscard}
+ */
+export function showResumePrompt(form, progress, handlers = {}) {
+    const count = Object.keys(progress.answers).length;
+    const prompt = document.createElement('div');
+    prompt.id = 'resumePrompt';
+    prompt.setAttribute('role', 'status');
+    prompt.className = 'bg-yellow-50 border-s-4 border-yellow-500 p-4 rounded-e-lg mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3';
+    prompt.innerHTML = `
+        <p class="text-gray-800">
+            ${t('resume.message', { count, date: new Date(progress.savedAt).toLocaleString(getLocale()) })}
+        </p>
+        <div class="flex gap-2 shrink-0">
+            <button type="button" data-action="resume" class="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg">${t('resume.resume')}</button>
+            <button type="button" data-action="discard" class="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-semibold py-2 px-4 rounded-lg">${t('resume.startOver')}</button>
+        </div>
+    `;
+
+    const close = () => {
+        form.removeEventListener('change', onAnswer);
+        prompt.remove();
+    };
+    const discard = () => {
+        close();
+        if (handlers.onDiscard) handlers.onDiscard();
+    };
+    const onAnswer = (e) => {
+        if (e.target.type === 'radio') {
+            discard();
+        }
+    };
+
+    prompt.querySelector('[data-action="resume"]').addEventListener('click', () => {
+        close();
+        if (handlers.onResume) handlers.onResume();
+    });
+    prompt.querySelector('[data-action="discard"]').addEventListener('click', discard);
+    form.addEventListener('change', onAnswer);
+
+    form.parentNode.insertBefore(prompt, form);
+    return prompt;
+}
+
+export default {
+    PROGRESS_TTL_MS,
+    saveProgress,
+    loadProgress,
+    getPresentationSeed,
+    restoreProgress,
+    clearProgress,
+    clearAllProgress,
+    showResumePrompt
+};
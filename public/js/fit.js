@@ -0,0 +1,236 @@
+/**
+ * Role Fit Module
+ * Compares a DISC result with a role benchmark: a target range of intensity
+ * (0-100, see scoring-core.js) and a weight per dimension. Each dimension
+ * scores 100 inside its range and loses points with the distance outside it,
+ * reaching 0 at `tolerance` points away; the match is the weighted average.
+ *
+ * Benchmarks are defined by recruiters in netlify/data/role_benchmarks.json
+ * and applied server-side (see netlify/lib/role-benchmarks.js); this module
+ * has no DOM access, so the dashboard and the PDF report describe gaps the same way.
+ */
+
+import { DIMENSIONS } from './scoring-core.js';
+import { t } from './i18n.js';
+
+export const DEFAULT_FIT_TOLERANCE = 30;
+
+/**
+ * Check a benchmark file
+ * @param {Object} config - {tolerance?, roles: {id: {label, match?, requisitions?, dimensions}}}
+ * @returns {Array<string>} - Problems (empty if valid)
+ */
+export function validateBenchmarks(config) {
+    if (!config || !config.roles || typeof config.roles !== 'object' || Array.isArray(config.roles)) {
+        return ['roles must map role ids to benchmarks'];
+    }
+
+    const problems = [];
+    if (config.tolerance !== undefined && !(config.tolerance > 0)) {
+        problems.push('tolerance must be a positive number');
+    }
+
+    Object.entries(config.roles).forEach(([id, role]) => {
+        if (!role || typeof role.label !== 'string' || !role.label) {
+            problems.push(`${id}: label is required`);
+        }
+        ['match', 'requisitions'].forEach(list => {
+            if (role && role[list] !== undefined && (!Array.isArray(role[list]) || role[list].some(entry => typeof entry !== 'string'))) {
+                problems.push(`${id}: ${list} must be an array of strings`);
+            }
+        });
+
+        const dimensions = (role && role.dimensions) || {};
+        Object.keys(dimensions).forEach(dim => {
+            if (!DIMENSIONS.includes(dim)) problems.push(`${id}: unknown dimension "${dim}"`);
+        });
+        DIMENSIONS.forEach(dim => {
+            const target = dimensions[dim];
+            if (!target) {
+                problems.push(`${id}: missing target for ${dim}`);
+                return;
+            }
+            const { min = 0, max = 100, weight = 1 } = target;
+            if (![min, max].every(value => typeof value === 'number' && value >= 0 && value <= 100) || min > max) {
+                problems.push(`${id}: ${dim} needs 0 <= min <= max <= 100`);
+            }
+            if (typeof weight !== 'number' || weight < 0) {
+                problems.push(`${id}: ${dim} weight must be a number >= 0`);
+            }
+        });
+        if (DIMENSIONS.every(dim => dimensions[dim] && dimensions[dim].weight === 0)) {
+            problems.push(`${id}: at least one weight must be above 0`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Find the benchmark for a position: its requisition first, then the role text
+ * (the benchmark label, or one of its `match` phrases, contained in the role; case-insensitive)
+ * @param {Object} config - Benchmark file
+ * @param {Object} position - {role, requisitionId}
+ * @returns {Object|null} - Benchmark with its id, or null when no benchmark applies
+ */
+export function findBenchmark(config, position = {}) {
+    const roles = Object.entries((config && config.roles) || {}).map(([id, role]) => ({ id, ...role }));
+    const text = String(position.role || '').trim().toLowerCase();
+
+    if (position.requisitionId) {
+        const byRequisition = roles.find(role => (role.requisitions || []).includes(position.requisitionId));
+        if (byRequisition) return byRequisition;
+    }
+    if (!text) return null;
+
+    return roles.find(role => role.label.toLowerCase() === text) ||
+        roles.find(role => [role.label, ...(role.match || [])].some(phrase => text.includes(phrase.toLowerCase()))) ||
+        null;
+}
+
+/**
+ * Score a result against a benchmark
+ * @param {Object} percentages - DISC intensity (0-100) per dimension
+ * @param {Object} benchmark - Result of findBenchmark
+ * @param {Object} options - {tolerance: points outside the range at which a dimension scores 0}
+ * @returns {Object} - {benchmark, label, match, dimensions: [{dim, value, min, max, weight, gap, position, score}]}
+ *                     gap is signed: below the range < 0, above > 0
+ */
+export function calculateFit(percentages, benchmark, options = {}) {
+    const tolerance = options.tolerance || DEFAULT_FIT_TOLERANCE;
+    let weighted = 0;
+    let totalWeight = 0;
+
+    const dimensions = DIMENSIONS.map(dim => {
+        const { min = 0, max = 100, weight = 1 } = benchmark.dimensions[dim];
+        const value = Number(percentages[dim]) || 0;
+        const gap = value < min ? value - min : value > max ? value - max : 0;
+        const score = Math.max(0, 1 - Math.abs(gap) / tolerance);
+
+        weighted += score * weight;
+        totalWeight += weight;
+
+        return {
+            dim,
+            value,
+            min,
+            max,
+            weight,
+            gap,
+            position: gap < 0 ? 'below' : gap > 0 ? 'above' : 'within',
+            score: Math.round(score * 100)
+        };
+    });
+
+    return {
+        benchmark: benchmark.id,
+        label: benchmark.label,
+        match: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0,
+        dimensions
+    };
+}
+
+/**
+ * Dimensions that pull the match down the most (weighted distance outside the range)
+ * @param {Object} fit - Result of calculateFit
+ * @returns {Array<Object>} - Dimension entries outside their range, largest weighted gap first
+ */
+export function getFitGaps(fit) {
+    return fit.dimensions
+        .filter(entry => entry.gap !== 0 && entry.weight > 0)
+        .sort((a, b) => Math.abs(b.gap) * b.weight - Math.abs(a.gap) * a.weight);
+}
+
+/**
+ * Explain one dimension of a fit, e.g. "Influence 42% is 18 points below the target range (60-100%)"
+ * @param {Object} entry - Entry of fit.dimensions
+ * @returns {string} - Translated explanation
+ */
+export function describeFitDimension(entry) {
+    return t(`fit.${entry.position}`, {
+        dimension: t(`common.dimensions.${entry.dim}`),
+        value: entry.value,
+        gap: Math.abs(entry.gap),
+        count: Math.abs(entry.gap),
+        min: entry.min,
+        max: entry.max
+    });
+}
+
+/**
+ * Basic unit tests for role fit
+ */
+export function runTests() {
+    console.log('Running Role Fit Tests...\n');
+
+    const target = (min, max, weight) => ({ min, max, weight });
+    const config = {
+        tolerance: 20,
+        roles: {
+            sales: {
+                label: 'Account Executive',
+                match: ['sales'],
+                dimensions: { D: target(50, 100, 2), I: target(60, 100, 3), S: target(0, 60, 1), C: target(20, 70, 0) }
+            },
+            engineer: {
+                label: 'Software Engineer',
+                match: ['engineer'],
+                requisitions: ['REQ-7'],
+                dimensions: { D: target(0, 100, 1), I: target(0, 100, 1), S: target(0, 100, 1), C: target(60, 100, 1) }
+            }
+        }
+    };
+
+    // Test 1: Benchmark validation
+    console.assert(validateBenchmarks(config).length === 0, 'Test 1a: Valid benchmarks should pass');
+    console.assert(validateBenchmarks({ roles: [] })[0] === 'roles must map role ids to benchmarks', 'Test 1b: Missing roles should fail');
+    const problems = validateBenchmarks({
+        tolerance: 0,
+        roles: { bad: { label: '', match: 'sales', dimensions: { D: target(80, 20, 1), I: target(0, 100, -1), S: target(0, 120, 0), Q: {} } } }
+    });
+    ['tolerance must be a positive number', 'bad: label is required', 'bad: match must be an array of strings', 'bad: unknown dimension "Q"',
+        'bad: D needs 0 <= min <= max <= 100', 'bad: I weight must be a number >= 0', 'bad: S needs 0 <= min <= max <= 100', 'bad: missing target for C'
+    ].forEach(problem => console.assert(problems.includes(problem), `Test 1c: Should report "${problem}"`));
+    const zero = { label: 'Zero', dimensions: { D: target(0, 100, 0), I: target(0, 100, 0), S: target(0, 100, 0), C: target(0, 100, 0) } };
+    console.assert(validateBenchmarks({ roles: { zero } })[0] === 'zero: at least one weight must be above 0', 'Test 1d: All-zero weights should fail');
+    console.log('✓ Test 1: Benchmark validation passed');
+
+    // Test 2: Finding a benchmark
+    console.assert(findBenchmark(config, { role: 'account executive' }).id === 'sales', 'Test 2a: Label should match ignoring case');
+    console.assert(findBenchmark(config, { role: 'Senior Sales Rep, EMEA' }).id === 'sales', 'Test 2b: Match phrases should be found in the role');
+    console.assert(findBenchmark(config, { role: 'Sales', requisitionId: 'REQ-7' }).id === 'engineer', 'Test 2c: Requisition should win over the role');
+    console.assert(findBenchmark(config, { role: 'Sales', requisitionId: 'REQ-1' }).id === 'sales', 'Test 2d: Unknown requisition should fall back to the role');
+    console.assert(findBenchmark(config, { role: 'Chef' }) === null && findBenchmark(config, { role: ' ' }) === null, 'Test 2e: No match should return null');
+    console.log('✓ Test 2: Finding a benchmark passed');
+
+    // Test 3: Fit calculation
+    const sales = findBenchmark(config, { role: 'sales' });
+    const perfect = calculateFit({ D: 70, I: 80, S: 40, C: 50 }, sales, { tolerance: 20 });
+    console.assert(perfect.match === 100 && perfect.benchmark === 'sales' && perfect.label === 'Account Executive', 'Test 3a: Inside every range should match 100%');
+    const fit = calculateFit({ D: 40, I: 50, S: 85, C: 0 }, sales, { tolerance: 20 });
+    const [d, i, s, c] = fit.dimensions;
+    console.assert(d.gap === -10 && d.score === 50 && d.position === 'below', 'Test 3b: Gap below the range should be negative');
+    console.assert(i.gap === -10 && s.gap === 25 && s.score === 0 && s.position === 'above', 'Test 3c: Score should be 0 beyond the tolerance');
+    console.assert(c.gap === -20 && c.weight === 0, 'Test 3d: Zero-weight gaps should still be reported');
+    console.assert(fit.match === Math.round(((0.5 * 2) + (0.5 * 3)) / 6 * 100), 'Test 3e: Match should be the weighted average');
+    console.assert(calculateFit({ D: 70, I: 80, S: 40, C: 50 }, sales).dimensions[0].score === 100 &&
+        calculateFit({ D: 35, I: 80, S: 40, C: 50 }, sales).dimensions[0].score === Math.round((1 - 15 / DEFAULT_FIT_TOLERANCE) * 100), 'Test 3f: Tolerance should default');
+    console.log('✓ Test 3: Fit calculation passed');
+
+    // Test 4: Largest gaps
+    console.assert(getFitGaps(fit).map(entry => entry.dim).join() === 'I,S,D', 'Test 4a: Gaps should be sorted by weighted distance, zero weights left out');
+    console.assert(getFitGaps(perfect).length === 0, 'Test 4b: No gaps inside every range');
+    console.log('✓ Test 4: Largest gaps passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+export default {
+    DEFAULT_FIT_TOLERANCE,
+    validateBenchmarks,
+    findBenchmark,
+    calculateFit,
+    getFitGaps,
+    describeFitDimension,
+    runTests
+};
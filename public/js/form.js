@@ -3,14 +3,22 @@
  * Handles form submission, validation, and Netlify Forms integration
  */
 
-import { getCurrentResponses, highlightIncompleteGroups, getQuestions } from './questions.js';
+import { getCurrentResponses, highlightIncompleteGroups, getInstrument, getQuestions, getPresentationOrder } from './questions.js';
 import { calculateScores, validateResponses } from './scoring.js';
+import { formatInstrumentVersion } from './instruments.js';
+import { t, DEFAULT_LOCALE } from './i18n.js';
+import { assessValidity, formatValidityFields } from './validity.js';
+import { saveLocalResult } from './results.js';
+import { normalizeResult, formatNormVector } from './norms.js';
+import { applyPresentationOrder, formatPresentationOrder } from './shuffle.js';
+import { saveProgress, loadProgress, restoreProgress, clearProgress, showResumePrompt } from './autosave.js';
 import { updateProgress, showValidationError, hideValidationError, setSubmitButtonState, showLoadingState, showResultsSummary } from './ui.js';
 
 const SHOW_RESULTS = true; // Toggle to show/hide results preview before submit
-const TOTAL_GROUPS = 15;
 
 let currentResponses = {};
+let startedAt = null; // Time of the first answer, for completion-time validity
+let autosaveKey = null; // localStorage key for in-progress answers
 
 /**
  * Initialize form handling
@@ -28,6 +36,10 @@ export function initializeForm() {
     // Set up change handlers for progress tracking
     setupChangeHandlers();
 
+    // Offer to restore answers saved before a reload
+    autosaveKey = formatInstrumentVersion(getInstrument());
+    offerResume(form);
+
     // Enable page leave warning when user starts filling out form
     let hasStarted = false;
     form.addEventListener('change', () => {
@@ -52,21 +64,47 @@ function setupChangeHandlers() {
     });
 }
 
+/**
+ * Show the resume prompt if there are saved answers for this assessment
+ * @param {HTMLFormElement} form - Assessment form
+ */
+function offerResume(form) {
+    const saved = loadProgress(autosaveKey);
+    if (!saved) return;
+
+    showResumePrompt(form, saved, {
+        onResume: () => {
+            // Keep the original start time so completion time covers both visits
+            startedAt = saved.startedAt;
+            restoreProgress(form, saved.answers);
+        },
+        onDiscard: () => clearProgress(autosaveKey)
+    });
+}
+
 /**
  * Handle radio button changes
  */
 function handleRadioChange() {
+    if (!startedAt) {
+        startedAt = Date.now();
+    }
     currentResponses = getCurrentResponses();
-    const completed = updateProgress(currentResponses, TOTAL_GROUPS);
+    const order = getPresentationOrder();
+    saveProgress(autosaveKey, document.getElementById('assessmentForm'), {
+        startedAt,
+        seed: order ? order.seed : null
+    });
+    const totalGroups = getQuestions().length;
+    const completed = updateProgress(currentResponses, totalGroups);
     
     // Enable submit button only if all groups are complete
-    const validation = validateResponses(currentResponses, TOTAL_GROUPS);
+    const validation = validateResponses(currentResponses, totalGroups);
     setSubmitButtonState(validation.isValid);
     
     // Optionally show results preview
     if (SHOW_RESULTS && validation.isValid) {
-        const items = getQuestions();
-        const results = calculateScores(currentResponses, items);
+        const results = calculateScores(currentResponses, getInstrument());
         showResultsSummary(results);
     }
     
@@ -88,25 +126,44 @@ async function handleSubmit(e) {
     currentResponses = getCurrentResponses();
     
     // Validate responses
-    const validation = validateResponses(currentResponses, TOTAL_GROUPS);
+    const validation = validateResponses(currentResponses, getQuestions().length);
     
     if (!validation.isValid) {
         const count = validation.missingGroups.length;
-        showValidationError(
-            `Please complete all ${count} remaining ${count === 1 ? 'group' : 'groups'} before submitting.`
-        );
+        showValidationError(t('assessment.errors.remaining', { count }));
         highlightIncompleteGroups(validation.missingGroups);
         return;
     }
     
     // Calculate scores
-    const items = getQuestions();
-    const results = calculateScores(currentResponses, items);
+    const instrument = getInstrument();
+    const results = calculateScores(currentResponses, instrument);
+    results.normalized = normalizeResult(results);
     
     console.log('Calculated DISC Scores:', results);
     
+    // Response-quality indicators (position-based, so in the order the candidate saw)
+    const presented = applyPresentationOrder(instrument, getPresentationOrder());
+    const validity = assessValidity(presented, currentResponses, {
+        startedAt,
+        submittedAt: Date.now()
+    });
+    
+    if (validity.lowConfidence) {
+        console.warn('Low-confidence submission:', validity.flags);
+    }
+    
     // Inject scores into hidden form fields
     injectScores(results);
+    injectValidity(validity);
+    setHiddenFieldValue('instrument_version', formatInstrumentVersion(instrument));
+    setHiddenFieldValue('locale', instrument.locale || DEFAULT_LOCALE);
+    
+    // Keep the result for /results in this browser session
+    saveLocalResult(results, {
+        name: getFieldValue('full_name'),
+        role: getFieldValue('role_applied_for')
+    });
     
     // Show loading state
     showLoadingState();
@@ -135,6 +192,8 @@ function injectScores(results) {
     setHiddenFieldValue('primary_type', primaryType);
     setHiddenFieldValue('type_order', typeOrder);
     setHiddenFieldValue('debug_vector', debug);
+    setHiddenFieldValue('norm_vector', formatNormVector(results.normalized));
+    setHiddenFieldValue('presentation_order', formatPresentationOrder(getPresentationOrder()));
     
     console.log('Injected scores into hidden fields:', {
         D: scores.D,
@@ -146,6 +205,16 @@ function injectScores(results) {
     });
 }
 
+/**
+ * Inject response-quality indicators into hidden form fields
+ * @param {Object} validity - Result of assessValidity
+ */
+function injectValidity(validity) {
+    Object.entries(formatValidityFields(validity)).forEach(([fieldId, value]) => {
+        setHiddenFieldValue(fieldId, value);
+    });
+}
+
 /**
  * Set value of a hidden form field
  * @param {string} fieldId - ID of the field
@@ -160,6 +229,16 @@ function setHiddenFieldValue(fieldId, value) {
     }
 }
 
+/**
+ * Get the trimmed value of a form field
+ * @param {string} fieldId - ID of the field
+ * @returns {string} - Field value or empty string
+ */
+function getFieldValue(fieldId) {
+    const field = document.getElementById(fieldId);
+    return field ? field.value.trim() : '';
+}
+
 /**
  * Get all form data including responses and scores
  * @returns {Object} - Complete form data
@@ -227,7 +306,9 @@ export function resetForm() {
     if (form) {
         form.reset();
         currentResponses = {};
-        updateProgress({}, TOTAL_GROUPS);
+        startedAt = null;
+        clearProgress(autosaveKey);
+        updateProgress({}, getQuestions().length);
         setSubmitButtonState(false);
         hideValidationError();
         highlightIncompleteGroups([]);
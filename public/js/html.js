@@ -0,0 +1,24 @@
+/**
+ * HTML Module
+ * Escaping for values interpolated into HTML strings. Shared by the pages
+ * that render with template literals and by the candidate email in Netlify
+ * Functions, so every place escapes the same characters.
+ */
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape (converted with String)
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export default {
+    escapeHtml
+};
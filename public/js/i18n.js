@@ -0,0 +1,293 @@
+/**
+ * Localization Module
+ * Loads UI strings for the candidate's language (data/locales/<locale>.json),
+ * translates marked-up page text, and sets the page language and direction.
+ *
+ * The locale comes from ?lang= in the URL, then the language picked on the
+ * home page (localStorage), then the browser languages, then the default in
+ * data/locales/index.json. Strings missing from a locale fall back to the
+ * default locale, so a partial translation never shows raw keys.
+ *
+ * Markup:
+ * - data-i18n="key"            text content
+ * - data-i18n-html="key"       inner HTML (for strings with <strong>/<a>; locale files are trusted)
+ * - data-i18n-attr="attr:key"  attributes, ";"-separated (e.g. "placeholder:form.fullNamePlaceholder")
+ */
+
+export const LOCALES_URL = '/data/locales/index.json';
+export const LOCALE_BASE_URL = '/data/locales/';
+export const DEFAULT_LOCALE = 'en';
+
+const STORAGE_KEY = 'disc_locale';
+
+let registry = null;
+let currentLocale = DEFAULT_LOCALE;
+let messages = {};
+let fallbackMessages = {};
+
+/**
+ * Pick the best available locale for a list of preferences.
+ * Exact matches win, then the base language ("es-MX" matches "es").
+ * @param {Array<string>} available - Supported locale codes
+ * @param {Array<string>} preferred - Requested locales, most preferred first
+ * @param {string} fallback - Locale to use when nothing matches
+ * @returns {string} - Locale code
+ */
+export function resolveLocale(available, preferred, fallback = DEFAULT_LOCALE) {
+    const supported = available.map(code => code.toLowerCase());
+
+    for (const requested of preferred) {
+        if (!requested) continue;
+        const code = String(requested).toLowerCase();
+        const exact = supported.indexOf(code);
+        if (exact !== -1) return available[exact];
+
+        const base = supported.indexOf(code.split('-')[0]);
+        if (base !== -1) return available[base];
+    }
+
+    return fallback;
+}
+
+/**
+ * Get this visitor's locale preferences, most preferred first
+ * @returns {Array<string>} - ?lang=, the saved choice, then browser languages
+ */
+export function getPreferredLocales() {
+    if (typeof window === 'undefined') return [];
+
+    const preferred = [new URLSearchParams(window.location.search).get('lang')];
+    try {
+        preferred.push(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+        // Storage unavailable - skip the saved choice
+    }
+
+    const languages = window.navigator.languages || [window.navigator.language];
+    return preferred.concat(languages).filter(Boolean);
+}
+
+/**
+ * Load the locale registry and the strings for the visitor's locale
+ * @param {string|null} requested - Locale to load, or null to use the visitor's preferences
+ * @returns {Promise<string>} - Loaded locale code
+ */
+export async function loadLocale(requested = null) {
+    try {
+        registry = await fetchJson(LOCALES_URL);
+        const fallback = registry.default || DEFAULT_LOCALE;
+        const locale = resolveLocale(
+            Object.keys(registry.locales),
+            requested ? [requested] : getPreferredLocales(),
+            fallback
+        );
+
+        const [localeMessages, defaultMessages] = await Promise.all([
+            fetchJson(getLocaleUrl(locale)),
+            locale === fallback ? null : fetchJson(getLocaleUrl(fallback))
+        ]);
+
+        setMessages(locale, localeMessages, defaultMessages || localeMessages);
+        applyDocumentLocale();
+
+        // A ?lang= link carries over to the next pages
+        if (!requested && typeof window !== 'undefined' && new URLSearchParams(window.location.search).get('lang')) {
+            saveLocalePreference(locale);
+        }
+        return locale;
+    } catch (error) {
+        console.error('Error loading locale:', error);
+        throw error;
+    }
+}
+
+/**
+ * Use already-loaded strings (e.g. in tests or Netlify Functions)
+ * @param {string} locale - Locale code
+ * @param {Object} localeMessages - Strings for the locale
+ * @param {Object} defaultMessages - Strings for the default locale (used for missing keys)
+ */
+export function setMessages(locale, localeMessages, defaultMessages = localeMessages) {
+    currentLocale = locale;
+    messages = localeMessages || {};
+    fallbackMessages = defaultMessages || {};
+}
+
+/**
+ * Get the active locale
+ * @returns {string} - Locale code (the default locale until loadLocale runs)
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Get the registry entry for a locale
+ * @param {string} locale - Locale code (defaults to the active one)
+ * @returns {Object} - {name, dir}
+ */
+export function getLocaleInfo(locale = currentLocale) {
+    const entry = registry && registry.locales && registry.locales[locale];
+    return entry || { name: locale, dir: 'ltr' };
+}
+
+/**
+ * List the supported locales
+ * @returns {Array<Object>} - [{code, name, dir}]
+ */
+export function getLocales() {
+    if (!registry) return [];
+    return Object.entries(registry.locales).map(([code, entry]) => ({ code, ...entry }));
+}
+
+/**
+ * Get the URL of a locale's UI strings
+ * @param {string} locale - Locale code
+ * @returns {string} - URL of the locale file
+ */
+export function getLocaleUrl(locale) {
+    return `${LOCALE_BASE_URL}${locale}.json`;
+}
+
+/**
+ * Translate a key. Values may be strings with {param} placeholders, or plural
+ * objects ({one, other, ...} chosen by Intl.PluralRules on params.count).
+ * @param {string} key - Dotted key, e.g. "assessment.questionOf"
+ * @param {Object} params - Placeholder values
+ * @returns {string} - Translated text (the key itself when it is missing everywhere)
+ */
+export function t(key, params = {}) {
+    let value = lookup(messages, key);
+    if (value === undefined) value = lookup(fallbackMessages, key);
+    if (value === undefined) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    if (value && typeof value === 'object') {
+        const category = new Intl.PluralRules(currentLocale).select(Number(params.count));
+        value = value[category] !== undefined ? value[category] : value.other;
+    }
+
+    return String(value).replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined ? String(params[name]) : match
+    ));
+}
+
+/**
+ * Translate every marked-up element under a root
+ * @param {ParentNode} root - Element or document to translate
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key) {
+                element.setAttribute(attribute, t(key));
+            }
+        });
+    });
+}
+
+/**
+ * Check whether the active locale is written right to left
+ * @returns {boolean} - True for RTL locales
+ */
+export function isRtl() {
+    return getLocaleInfo().dir === 'rtl';
+}
+
+/**
+ * Remember a locale choice for the other pages
+ * @param {string} locale - Locale code
+ */
+export function saveLocalePreference(locale) {
+    try {
+        localStorage.setItem(STORAGE_KEY, locale);
+    } catch (error) {
+        // Storage unavailable - ?lang= still works for this page
+    }
+}
+
+/**
+ * Render a language picker; choosing a language saves it and reloads the page in it
+ * @param {HTMLElement} container - Element to render into
+ * @returns {HTMLSelectElement|null} - The picker, or null with a single locale
+ */
+export function renderLanguageSwitcher(container) {
+    const locales = getLocales();
+    if (!container || locales.length < 2) return null;
+
+    const id = 'languageSelect';
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.className = 'sr-only';
+    label.textContent = t('common.language');
+
+    const select = document.createElement('select');
+    select.id = id;
+    select.className = 'text-sm text-gray-700 border border-gray-300 rounded-md py-1 ps-2 pe-8 bg-white';
+    locales.forEach(({ code, name }) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = name;
+        option.selected = code === currentLocale;
+        select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+        saveLocalePreference(select.value);
+        const url = new URL(window.location.href);
+        url.searchParams.set('lang', select.value);
+        window.location.assign(url.toString());
+    });
+
+    container.replaceChildren(label, select);
+    return select;
+}
+
+function applyDocumentLocale() {
+    if (typeof document === 'undefined') return;
+    document.documentElement.lang = currentLocale;
+    document.documentElement.dir = getLocaleInfo().dir || 'ltr';
+}
+
+function lookup(source, key) {
+    return key.split('.').reduce((value, part) => (
+        value && typeof value === 'object' ? value[part] : undefined
+    ), source);
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+export default {
+    LOCALES_URL,
+    LOCALE_BASE_URL,
+    DEFAULT_LOCALE,
+    resolveLocale,
+    getPreferredLocales,
+    loadLocale,
+    setMessages,
+    getLocale,
+    getLocaleInfo,
+    getLocales,
+    getLocaleUrl,
+    t,
+    translatePage,
+    isRtl,
+    saveLocalePreference,
+    renderLanguageSwitcher
+};
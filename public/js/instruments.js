@@ -0,0 +1,257 @@
+/**
+ * Instrument Definitions
+ * Describe each assessment variant as data for the scoring core.
+ *
+ * Item banks are versioned: data/instruments/index.json lists every
+ * instrument id, its versions and the current one, and each version lives in
+ * data/instruments/<id>.v<version>.json. Submissions are stamped with
+ * "<id>@<version>" so historical scores stay interpretable after items change.
+ *
+ * Item banks are written in the registry's `locale` (English). A version can
+ * list more `locales`; each has a translation file <id>.v<version>.<locale>.json
+ * holding only the display text, keyed by item id, so scoring never depends on
+ * the language the candidate read.
+ */
+
+import { getLocale } from './i18n.js';
+
+export const INSTRUMENT_REGISTRY_URL = '/data/instruments/index.json';
+export const INSTRUMENT_BASE_URL = '/data/instruments/';
+
+export const MOST_LEAST_ID = 'disc-most-least';
+export const LIKERT_ID = 'disc-likert';
+
+/**
+ * Build the Most/Least instrument from question groups
+ * @param {Array} groups - Question groups ({id, items: [{label, dim}]})
+ * @param {Object} meta - Optional {id, version} of the item bank
+ * @returns {Object} - Most/Least instrument definition
+ */
+export function createMostLeastInstrument(groups, meta = {}) {
+    return {
+        id: meta.id || MOST_LEAST_ID,
+        version: meta.version || null,
+        type: 'most-least',
+        groups
+    };
+}
+
+/**
+ * Get the item bank file for an instrument version
+ * @param {string} id - Instrument id
+ * @param {number} version - Version number
+ * @returns {string} - URL of the version file
+ */
+export function getInstrumentUrl(id, version) {
+    return `${INSTRUMENT_BASE_URL}${id}.v${version}.json`;
+}
+
+/**
+ * Get the translation file for an instrument version
+ * @param {string} id - Instrument id
+ * @param {number} version - Version number
+ * @param {string} locale - Locale code
+ * @returns {string} - URL of the translation file
+ */
+export function getTranslationUrl(id, version, locale) {
+    return `${INSTRUMENT_BASE_URL}${id}.v${version}.${locale}.json`;
+}
+
+/**
+ * Pick a version from the registry
+ * @param {Object} registry - Contents of data/instruments/index.json
+ * @param {string} id - Instrument id
+ * @param {number|string|null} requested - Requested version, or null for the current one
+ * @returns {number} - Version number
+ */
+export function resolveInstrumentVersion(registry, id, requested = null) {
+    const entry = registry && registry.instruments && registry.instruments[id];
+    if (!entry) {
+        throw new Error(`Unknown instrument: ${id}`);
+    }
+
+    if (requested === null || requested === undefined || requested === '') {
+        return entry.current;
+    }
+
+    const version = Number(requested);
+    if (!entry.versions.some(v => v.version === version)) {
+        throw new Error(`Unknown version ${requested} of ${id}`);
+    }
+    return version;
+}
+
+/**
+ * Check that a version file matches its declared size
+ * @param {Object} instrument - Loaded instrument definition
+ * @returns {Array<string>} - Problems found (empty when consistent)
+ */
+export function checkInstrumentCounts(instrument) {
+    const errors = [];
+    if (instrument.type === 'most-least' && instrument.groupCount !== instrument.groups.length) {
+        errors.push(`${formatInstrumentVersion(instrument)} declares ${instrument.groupCount} groups but has ${instrument.groups.length}`);
+    }
+    if (instrument.type === 'likert' && instrument.itemCount !== instrument.items.length) {
+        errors.push(`${formatInstrumentVersion(instrument)} declares ${instrument.itemCount} items but has ${instrument.items.length}`);
+    }
+    return errors;
+}
+
+/**
+ * Get the version requested with ?version= on the current page
+ * @returns {string|null} - Requested version or null
+ */
+export function getRequestedVersion() {
+    if (typeof window === 'undefined') return null;
+    return new URLSearchParams(window.location.search).get('version');
+}
+
+/**
+ * Pick the language to show an instrument version in
+ * @param {Object} registry - Contents of data/instruments/index.json
+ * @param {string} id - Instrument id
+ * @param {number} version - Resolved version number
+ * @param {string} locale - Requested locale
+ * @returns {string} - The requested locale if the version is translated into it,
+ *                     otherwise the item bank's own locale
+ */
+export function resolveInstrumentLocale(registry, id, version, locale) {
+    const entry = registry.instruments[id];
+    const source = entry.locale || 'en';
+    const versionEntry = entry.versions.find(v => v.version === version);
+    const locales = (versionEntry && versionEntry.locales) || [source];
+    return locales.includes(locale) ? locale : source;
+}
+
+/**
+ * Replace an instrument's display text with a translation. Ids, dimensions and
+ * keying are untouched; text missing from the translation stays in the source language.
+ * @param {Object} instrument - Instrument definition
+ * @param {Object} translation - {locale, items: {itemId: text}, sections?: {sectionId: title},
+ *                               anchors?: {value: label}}
+ * @returns {Object} - Localized copy with `locale` set
+ */
+export function localizeInstrument(instrument, translation) {
+    const items = translation.items || {};
+
+    if (instrument.type === 'most-least') {
+        return {
+            ...instrument,
+            locale: translation.locale,
+            groups: instrument.groups.map(group => ({
+                ...group,
+                items: group.items.map(item => (
+                    item.id && items[item.id] ? { ...item, label: items[item.id] } : item
+                ))
+            }))
+        };
+    }
+
+    const anchors = translation.anchors || {};
+    const sections = translation.sections || {};
+    const localizeAnchors = list => list && list.map(anchor => (
+        anchors[anchor.value] ? { ...anchor, label: anchors[anchor.value] } : anchor
+    ));
+
+    return {
+        ...instrument,
+        locale: translation.locale,
+        anchors: localizeAnchors(instrument.anchors),
+        sections: instrument.sections && instrument.sections.map(section => (
+            sections[section.id] ? { ...section, title: sections[section.id] } : section
+        )),
+        items: instrument.items.map(item => ({
+            ...item,
+            text: items[item.id] || item.text,
+            anchors: localizeAnchors(item.anchors)
+        }))
+    };
+}
+
+/**
+ * Load an instrument version (the current one unless ?version= asks otherwise)
+ * in the candidate's language when the version is translated into it
+ * @param {string} id - Instrument id
+ * @param {number|string|null} version - Version, or null for the current one
+ * @param {string} locale - Preferred locale (defaults to the page locale, see i18n.js)
+ * @returns {Promise<Object>} - Instrument definition, with `locale` set to the language shown
+ */
+export async function loadInstrument(id, version = getRequestedVersion(), locale = getLocale()) {
+    try {
+        const registry = await fetchJson(INSTRUMENT_REGISTRY_URL);
+        const resolved = resolveInstrumentVersion(registry, id, version);
+        const source = registry.instruments[id].locale || 'en';
+        const shown = resolveInstrumentLocale(registry, id, resolved, locale);
+
+        const [bank, translation] = await Promise.all([
+            fetchJson(getInstrumentUrl(id, resolved)),
+            shown === source ? null : fetchJson(getTranslationUrl(id, resolved, shown))
+        ]);
+        const instrument = translation ? localizeInstrument(bank, translation) : { ...bank, locale: source };
+
+        const errors = checkInstrumentCounts(instrument);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        return instrument;
+    } catch (error) {
+        console.error('Error loading instrument:', error);
+        throw error;
+    }
+}
+
+/**
+ * Format the version stamp submitted with every assessment
+ * @param {Object} instrument - Instrument definition
+ * @returns {string} - "<id>@<version>", e.g. "disc-likert@2"
+ */
+export function formatInstrumentVersion(instrument) {
+    return `${instrument.id}@${instrument.version}`;
+}
+
+/**
+ * Parse a submitted version stamp
+ * @param {string} value - "<id>@<version>"
+ * @returns {Object|null} - {id, version} or null if malformed
+ */
+export function parseInstrumentVersion(value) {
+    const match = /^([a-z0-9-]+)@(\d+)$/.exec(String(value || '').trim());
+    return match ? { id: match[1], version: Number(match[2]) } : null;
+}
+
+/**
+ * Get the answer anchors for a Likert item (item-level anchors override the instrument's)
+ * @param {Object} instrument - Likert instrument definition
+ * @param {Object} item - Likert item
+ * @returns {Array} - [{value, label}]
+ */
+export function getItemAnchors(instrument, item) {
+    return item.anchors || instrument.anchors;
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+export default {
+    INSTRUMENT_REGISTRY_URL,
+    INSTRUMENT_BASE_URL,
+    MOST_LEAST_ID,
+    LIKERT_ID,
+    createMostLeastInstrument,
+    getInstrumentUrl,
+    getTranslationUrl,
+    resolveInstrumentVersion,
+    resolveInstrumentLocale,
+    localizeInstrument,
+    checkInstrumentCounts,
+    getRequestedVersion,
+    loadInstrument,
+    formatInstrumentVersion,
+    parseInstrumentVersion,
+    getItemAnchors
+};
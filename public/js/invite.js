@@ -0,0 +1,168 @@
+/**
+ * Invitation Module
+ * Reads a signed invitation from ?invite= in the URL, verifies it with the
+ * invite function, then pre-fills and locks the candidate's name, email and
+ * role. The token is submitted in the `invite_token` hidden field so the
+ * relay can reject expired, edited or reused invitations.
+ */
+
+import { t } from './i18n.js';
+
+export const INVITE_ENDPOINT = '/.netlify/functions/invite';
+
+// Verification responses that mean the link cannot be used
+const INVITATION_ERRORS = {
+    400: 'invalid',
+    401: 'invalid',
+    409: 'used',
+    410: 'expired'
+};
+
+/**
+ * Read the invitation token from the page URL
+ * @returns {string|null} - Token, or null for an open assessment
+ */
+export function getInviteToken() {
+    return new URLSearchParams(window.location.search).get('invite');
+}
+
+/**
+ * Verify an invitation token
+ * @param {string} token - Invitation token
+ * @returns {Promise<Object>} - {status: 'valid'|'invalid'|'used'|'expired'|'unverified', invitation?}
+ */
+export async function verifyInvitation(token) {
+    let response;
+    try {
+        response = await fetch(`${INVITE_ENDPOINT}?token=${encodeURIComponent(token)}`);
+    } catch (error) {
+        response = null;
+    }
+
+    if (response && response.ok) {
+        return { status: 'valid', invitation: await response.json() };
+    }
+    if (response && INVITATION_ERRORS[response.status]) {
+        return { status: INVITATION_ERRORS[response.status] };
+    }
+
+    // Function unreachable (e.g. a plain static server): pre-fill from the
+    // token itself; the relay still verifies it on submit
+    const invitation = decodeInvitation(token);
+    return invitation ? { status: 'unverified', invitation } : { status: 'invalid' };
+}
+
+/**
+ * Read the candidate details from a token without verifying the signature
+ * @param {string} token - Invitation token
+ * @returns {Object|null} - {name, email, role, requisitionId} or null if unreadable
+ */
+export function decodeInvitation(token) {
+    try {
+        const encoded = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+        const json = decodeURIComponent(Array.from(atob(encoded), c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+        const payload = JSON.parse(json);
+        if (payload.typ !== 'invite') return null;
+        return { name: payload.name, email: payload.email, role: payload.role, requisitionId: payload.req };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Pre-fill and lock the candidate fields from an invitation
+ * @param {HTMLFormElement} form - Assessment form
+ * @param {Object} invitation - {name, email, role}
+ * @param {string} token - Invitation token to submit with the form
+ */
+export function applyInvitation(form, invitation, token) {
+    const fields = {
+        full_name: invitation.name,
+        email: invitation.email,
+        role: invitation.role
+    };
+
+    Object.entries(fields).forEach(([name, value]) => {
+        // The Likert form calls the role field position_applied_for
+        const input = name === 'role'
+            ? form.querySelector('#role_applied_for, #position_applied_for')
+            : form.querySelector(`#${name}`);
+        if (!input) return;
+
+        input.value = value || '';
+        input.readOnly = true;
+        input.setAttribute('aria-readonly', 'true');
+        input.title = t('invite.locked');
+        input.classList.add('bg-gray-100', 'cursor-not-allowed');
+    });
+
+    const tokenField = form.querySelector('#invite_token');
+    if (tokenField) {
+        tokenField.value = token;
+    }
+
+    showInvitationNotice(form, 'info', t('invite.welcome', { name: invitation.name, role: invitation.role }));
+}
+
+/**
+ * Show a notice above the form
+ * @param {HTMLFormElement} form - Assessment form
+ * @param {string} kind - 'info' or 'error'
+ * @param {string} message - Notice text
+ */
+function showInvitationNotice(form, kind, message) {
+    const notice = document.createElement('div');
+    notice.id = 'invitationNotice';
+    notice.setAttribute('role', kind === 'error' ? 'alert' : 'status');
+    notice.className = kind === 'error'
+        ? 'bg-red-50 border-s-4 border-red-500 p-4 rounded-e-lg mb-6 text-red-700 font-medium'
+        : 'bg-green-50 border-s-4 border-green-500 p-4 rounded-e-lg mb-6 text-green-800';
+    notice.textContent = message;
+    form.parentNode.insertBefore(notice, form);
+}
+
+/**
+ * Verify the invitation in the URL (if any) and apply it to the form.
+ * An unusable link hides the form so the candidate does not answer for nothing.
+ * @param {HTMLFormElement} form - Assessment form
+ * @returns {Promise<Object>} - {status: 'none'|'valid'|'unverified'|'invalid'|'used'|'expired', invitation?}
+ */
+export async function initializeInvitation(form) {
+    const token = getInviteToken();
+    if (!token) {
+        return { status: 'none' };
+    }
+
+    const result = await verifyInvitation(token);
+
+    if (result.invitation) {
+        if (result.status === 'unverified') {
+            console.warn('Invitation could not be verified - the relay will check it on submit');
+        }
+        applyInvitation(form, result.invitation, token);
+        return result;
+    }
+
+    showInvitationNotice(form, 'error', t(`invite.errors.${result.status}`));
+    form.classList.add('hidden');
+    return result;
+}
+
+/**
+ * Whether the candidate can go on with the assessment after initializeInvitation
+ * @param {Object} result - Result of initializeInvitation
+ * @returns {boolean}
+ */
+export function isInvitationUsable(result) {
+    return ['none', 'valid', 'unverified'].includes(result.status);
+}
+
+export default {
+    INVITE_ENDPOINT,
+    getInviteToken,
+    verifyInvitation,
+    decodeInvitation,
+    applyInvitation,
+    initializeInvitation,
+    isInvitationUsable
+};
@@ -0,0 +1,194 @@
+/**
+ * Norms Module
+ * Converts raw DISC totals into 0-100 intensity, z-scores and percentiles
+ * against a norm group (data/disc_norms.json), so results are comparable
+ * across instruments and candidates.
+ *
+ * Regenerate the norm table from historical submissions with scripts/build-norms.js.
+ */
+
+import { DIMENSIONS } from './scoring-core.js';
+
+export const NORMS_URL = '/data/disc_norms.json';
+
+let normsTable = null;
+
+/**
+ * Load the norm table from JSON
+ * @param {string} url - Norm table location
+ * @returns {Promise<Object>} - Norm table
+ */
+export async function loadNorms(url = NORMS_URL) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load norms: ${response.status}`);
+        }
+        normsTable = await response.json();
+        return normsTable;
+    } catch (error) {
+        console.error('Error loading norms:', error);
+        throw error;
+    }
+}
+
+/**
+ * Use an already-loaded norm table (e.g. required from JSON in Netlify Functions)
+ * @param {Object} table - Norm table
+ */
+export function setNorms(table) {
+    normsTable = table;
+}
+
+/**
+ * Get the loaded norm table
+ * @returns {Object|null} - Norm table
+ */
+export function getNorms() {
+    return normsTable;
+}
+
+/**
+ * Normalize a scoring result against its instrument version's norm group
+ * (falling back to norms keyed by the bare instrument id)
+ * @param {Object} result - Result of scoreResponses (needs instrumentId, instrumentVersion, totals, percentages)
+ * @param {Object} table - Norm table (defaults to the loaded one)
+ * @returns {Object|null} - {normGroup, sampleSize, intensity, z, percentile} or null without norms
+ */
+export function normalizeResult(result, table = normsTable) {
+    const instruments = (table && table.instruments) || {};
+    const group = instruments[`${result.instrumentId}@${result.instrumentVersion}`] || instruments[result.instrumentId];
+    if (!group) return null;
+
+    const z = {};
+    const percentile = {};
+
+    DIMENSIONS.forEach(dim => {
+        const norm = group.dimensions[dim];
+        const raw = result.totals[dim];
+
+        z[dim] = norm.sd > 0 ? round((raw - norm.mean) / norm.sd, 2) : 0;
+        percentile[dim] = norm.percentiles && norm.percentiles.length
+            ? lookupPercentile(norm.percentiles, raw)
+            : Math.round(normalCdf(z[dim]) * 100);
+    });
+
+    return {
+        normGroup: group.id || result.instrumentId,
+        sampleSize: group.sampleSize || 0,
+        intensity: { ...result.percentages },
+        z,
+        percentile
+    };
+}
+
+/**
+ * Serialize normalized scores for the norm_vector form field
+ * @param {Object|null} normalized - Result of normalizeResult
+ * @returns {string} - JSON string, or empty when no norms apply
+ */
+export function formatNormVector(normalized) {
+    return normalized ? JSON.stringify(normalized) : '';
+}
+
+/**
+ * Linear interpolation in a [[raw, percentile], ...] table sorted by raw score
+ */
+function lookupPercentile(table, raw) {
+    if (raw <= table[0][0]) return table[0][1];
+    const last = table[table.length - 1];
+    if (raw >= last[0]) return last[1];
+
+    for (let i = 1; i < table.length; i++) {
+        const [x1, y1] = table[i];
+        if (raw <= x1) {
+            const [x0, y0] = table[i - 1];
+            return Math.round(y0 + ((raw - x0) / (x1 - x0)) * (y1 - y0));
+        }
+    }
+    return last[1];
+}
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+ */
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Basic unit tests for norm scores
+ */
+export function runTests() {
+    console.log('Running Norms Tests...\n');
+
+    const dimension = (mean, sd, percentiles) => ({ mean, sd, percentiles });
+    const table = {
+        instruments: {
+            'disc-likert@2': {
+                id: 'likert-v2-2026',
+                sampleSize: 500,
+                dimensions: {
+                    D: dimension(10, 4),
+                    I: dimension(10, 4),
+                    S: dimension(10, 0),
+                    C: dimension(10, 4, [[0, 1], [10, 50], [20, 99]])
+                }
+            },
+            'disc-most-least': {
+                dimensions: { D: dimension(0, 5), I: dimension(0, 5), S: dimension(0, 5), C: dimension(0, 5) }
+            }
+        }
+    };
+    const result = (instrumentId, instrumentVersion, totals) => ({
+        instrumentId, instrumentVersion, totals, percentages: { D: 70, I: 40, S: 50, C: 60 }
+    });
+
+    // Test 1: z-scores
+    const normalized = normalizeResult(result('disc-likert', 2, { D: 14, I: 4, S: 12, C: 15 }), table);
+    console.assert(normalized.normGroup === 'likert-v2-2026' && normalized.sampleSize === 500, 'Test 1a: Version norms should be used');
+    console.assert(normalized.z.D === 1 && normalized.z.I === -1.5 && normalized.z.C === 1.25, 'Test 1b: z should be (raw - mean) / sd');
+    console.assert(normalized.z.S === 0, 'Test 1c: Zero spread should give z = 0');
+    console.assert(normalized.intensity.D === 70, 'Test 1d: Intensity should be the 0-100 percentages');
+    console.log('✓ Test 1: z-scores passed');
+
+    // Test 2: Percentiles
+    console.assert(normalized.percentile.D === 84 && normalized.percentile.I === 7 && normalized.percentile.S === 50,
+        'Test 2a: Without a table, percentiles should follow the normal curve');
+    console.assert(normalized.percentile.C === 75, 'Test 2b: Table percentiles should be interpolated');
+    const edges = normalizeResult(result('disc-likert', 2, { D: 10, I: 10, S: 10, C: -3 }), table);
+    console.assert(edges.percentile.C === 1 && edges.percentile.D === 50, 'Test 2c: Below the table should use its first entry');
+    console.assert(normalizeResult(result('disc-likert', 2, { D: 10, I: 10, S: 10, C: 30 }), table).percentile.C === 99, 'Test 2d: Above the table should use its last entry');
+    console.log('✓ Test 2: Percentiles passed');
+
+    // Test 3: Norm groups
+    const fallback = normalizeResult(result('disc-most-least', 3, { D: -5, I: 0, S: 5, C: 10 }), table);
+    console.assert(fallback.normGroup === 'disc-most-least' && fallback.sampleSize === 0 && fallback.z.C === 2, 'Test 3a: Bare instrument norms should be the fallback');
+    console.assert(normalizeResult(result('disc-likert', 1, { D: 0, I: 0, S: 0, C: 0 }), table) === null, 'Test 3b: No matching norms should give null');
+    console.assert(normalizeResult(result('disc-likert', 2, { D: 0, I: 0, S: 0, C: 0 }), null) === null, 'Test 3c: No table should give null');
+    console.log('✓ Test 3: Norm groups passed');
+
+    // Test 4: Form field
+    console.assert(JSON.parse(formatNormVector(normalized)).z.D === 1 && formatNormVector(null) === '', 'Test 4a: Norm vector should be JSON or empty');
+    console.log('✓ Test 4: Form field passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+export default {
+    NORMS_URL,
+    loadNorms,
+    setNorms,
+    getNorms,
+    normalizeResult,
+    formatNormVector,
+    runTests
+};
@@ -0,0 +1,159 @@
+/**
+ * Profiles Module
+ * Loads the DISC profile catalogue (data/disc_profiles.json) and resolves
+ * a scoring result to its profile: single style, strength-ordered blend
+ * (e.g. "Di" vs "iD"), tied pair or triple, or Balanced.
+ *
+ * Translations live in data/disc_profiles.<locale>.json and only replace the
+ * text of each profile; keys and blend thresholds always come from the base file.
+ */
+
+import { DIMENSIONS } from './scoring-core.js';
+import { getLocale, DEFAULT_LOCALE } from './i18n.js';
+
+export const PROFILES_URL = '/data/disc_profiles.json';
+
+let catalogue = null;
+
+/**
+ * Load the profile catalogue from JSON, translated when the locale has a translation
+ * @param {string} url - Catalogue location
+ * @param {string} locale - Locale for the profile text (defaults to the active locale)
+ * @returns {Promise<Object>} - Profile catalogue
+ */
+export async function loadProfiles(url = PROFILES_URL, locale = getLocale()) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load profiles: ${response.status}`);
+        }
+        catalogue = await response.json();
+    } catch (error) {
+        console.error('Error loading profiles:', error);
+        throw error;
+    }
+
+    if (locale && locale !== DEFAULT_LOCALE) {
+        try {
+            const response = await fetch(getProfilesTranslationUrl(url, locale));
+            if (!response.ok) {
+                throw new Error(`Failed to load profile translation: ${response.status}`);
+            }
+            catalogue = localizeProfiles(catalogue, await response.json());
+        } catch (error) {
+            console.warn(`No "${locale}" profile translation, using the default text:`, error);
+        }
+    }
+
+    return catalogue;
+}
+
+/**
+ * Get the URL of a catalogue translation
+ * @param {string} url - Base catalogue location
+ * @param {string} locale - Locale code
+ * @returns {string} - e.g. /data/disc_profiles.es.json
+ */
+export function getProfilesTranslationUrl(url, locale) {
+    return url.replace(/\.json$/, `.${locale}.json`);
+}
+
+/**
+ * Apply a translation to a catalogue. Profiles or fields the translation
+ * leaves out keep the base text.
+ * @param {Object} base - Base catalogue
+ * @param {Object} translation - {locale, profiles: {key: {title, summary, ...}}}
+ * @returns {Object} - Translated copy of the catalogue
+ */
+export function localizeProfiles(base, translation) {
+    const translated = (translation && translation.profiles) || {};
+    const profiles = {};
+
+    Object.entries(base.profiles).forEach(([key, profile]) => {
+        profiles[key] = { ...profile, ...(translated[key] || {}) };
+    });
+
+    return { ...base, locale: translation.locale, profiles };
+}
+
+/**
+ * Use an already-loaded catalogue (e.g. required from JSON in Netlify Functions)
+ * @param {Object} profiles - Profile catalogue
+ */
+export function setProfiles(profiles) {
+    catalogue = profiles;
+}
+
+/**
+ * Get the loaded catalogue
+ * @returns {Object|null} - Profile catalogue
+ */
+export function getProfiles() {
+    return catalogue;
+}
+
+/**
+ * Resolve the catalogue key for a result
+ * - Ties use the primary type letters: "DI", "DIS", "Balanced"
+ * - A single top style becomes a blend ("Di") when the secondary style is strong
+ *   (at least blend.minSecondary % and within blend.maxGap points of the primary)
+ * @param {string} primaryType - Primary type from the scorer ("High D", "DI", ...)
+ * @param {Object} result - Optional {secondary, percentages} for blends
+ * @returns {string} - Catalogue key
+ */
+export function resolveProfileKey(primaryType, result = {}) {
+    if (!primaryType || primaryType === 'Balanced') {
+        return 'Balanced';
+    }
+
+    const single = primaryType.match(/^High ([DISC])$/);
+    if (!single) {
+        return primaryType;
+    }
+
+    const primary = single[1];
+    const { secondary, percentages } = result;
+    const blend = (catalogue && catalogue.blend) || { minSecondary: 50, maxGap: 20 };
+
+    if (secondary && secondary !== primary && percentages &&
+        DIMENSIONS.includes(secondary) &&
+        percentages[secondary] >= blend.minSecondary &&
+        percentages[primary] - percentages[secondary] <= blend.maxGap) {
+        return `${primary}${secondary.toLowerCase()}`;
+    }
+
+    return primary;
+}
+
+/**
+ * Get the profile for a result
+ * @param {string} primaryType - Primary type from the scorer
+ * @param {Object} result - Optional {secondary, percentages} for blends
+ * @returns {Object} - {key, title, summary, traits, worksWith, bestRoles}
+ */
+export function getProfile(primaryType, result = {}) {
+    if (!catalogue) {
+        throw new Error('Profiles not loaded - call loadProfiles() or setProfiles() first');
+    }
+
+    const key = resolveProfileKey(primaryType, result);
+    const profile = catalogue.profiles[key];
+
+    if (!profile) {
+        console.warn(`No profile for "${key}", using Balanced`);
+        return { key: 'Balanced', ...catalogue.profiles.Balanced };
+    }
+
+    return { key, ...profile };
+}
+
+export default {
+    PROFILES_URL,
+    loadProfiles,
+    getProfilesTranslationUrl,
+    localizeProfiles,
+    setProfiles,
+    getProfiles,
+    resolveProfileKey,
+    getProfile
+};
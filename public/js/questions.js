@@ -3,19 +3,25 @@
  * Handles loading and rendering DISC assessment questions
  */
 
+import { loadInstrument, MOST_LEAST_ID } from './instruments.js';
+import { applyPresentationOrder } from './shuffle.js';
+import { getItemKey } from './scoring-core.js';
+import { t } from './i18n.js';
+
+let questionInstrument = null;
 let questionItems = [];
+let presentationOrder = null;
 
 /**
- * Load question data from JSON file
+ * Load the Most/Least item bank (current version, or ?version= from the URL)
+ * in the active locale
+ * @param {number|string} version - Optional version to load
  * @returns {Promise<Array>} - Array of question groups
  */
-export async function loadQuestions() {
+export async function loadQuestions(version) {
     try {
-        const response = await fetch('/data/disc_items.json');
-        if (!response.ok) {
-            throw new Error(`Failed to load questions: ${response.status}`);
-        }
-        questionItems = await response.json();
+        questionInstrument = await loadInstrument(MOST_LEAST_ID, version);
+        questionItems = questionInstrument.groups;
         return questionItems;
     } catch (error) {
         console.error('Error loading questions:', error);
@@ -23,6 +29,14 @@ export async function loadQuestions() {
     }
 }
 
+/**
+ * Get the loaded Most/Least instrument (id, version, groups)
+ * @returns {Object|null} - Instrument definition
+ */
+export function getInstrument() {
+    return questionInstrument;
+}
+
 /**
  * Get loaded question items
  * @returns {Array} - Array of question groups
@@ -31,21 +45,32 @@ export function getQuestions() {
     return questionItems;
 }
 
+/**
+ * Get the presentation order the questions were rendered in
+ * @returns {Object|null} - Order from createPresentationOrder, or null for item-bank order
+ */
+export function getPresentationOrder() {
+    return presentationOrder;
+}
+
 /**
  * Render question groups to container
  * @param {HTMLElement} container - Container element to render into
  * @param {Function} onChangeCallback - Callback when selection changes
+ * @param {Object} order - Optional presentation order (see shuffle.js)
  */
-export function renderQuestions(container, onChangeCallback) {
+export function renderQuestions(container, onChangeCallback, order = null) {
     if (!container) {
         console.error('Container element not found');
         return;
     }
 
     container.innerHTML = '';
+    presentationOrder = order;
 
-    questionItems.forEach(group => {
-        const groupElement = createGroupElement(group, onChangeCallback);
+    const presented = applyPresentationOrder(questionInstrument, order);
+    presented.groups.forEach((group, index) => {
+        const groupElement = createGroupElement(group, index + 1, onChangeCallback);
         container.appendChild(groupElement);
     });
 }
@@ -53,10 +78,11 @@ export function renderQuestions(container, onChangeCallback) {
 /**
  * Create a single question group element
  * @param {Object} group - Question group data
+ * @param {number} number - Position shown to the candidate
  * @param {Function} onChangeCallback - Callback when selection changes
  * @returns {HTMLElement} - Rendered group element
  */
-function createGroupElement(group, onChangeCallback) {
+function createGroupElement(group, number, onChangeCallback) {
     const groupDiv = document.createElement('div');
     groupDiv.className = 'question-group bg-white rounded-lg shadow-md p-6 mb-6';
     groupDiv.id = `group-${group.id}`;
@@ -69,13 +95,13 @@ function createGroupElement(group, onChangeCallback) {
     // Legend
     const legend = document.createElement('legend');
     legend.className = 'text-lg font-semibold text-gray-800 mb-4';
-    legend.textContent = `Question ${group.id} of 24`;
+    legend.textContent = t('assessment.questionOf', { number, total: questionItems.length });
     fieldset.appendChild(legend);
 
     // Instructions
     const instructions = document.createElement('p');
     instructions.className = 'text-sm text-gray-600 mb-4';
-    instructions.textContent = 'Select one adjective that is MOST like you and one that is LEAST like you:';
+    instructions.textContent = t('assessment.groupInstructions');
     fieldset.appendChild(instructions);
 
     // Create table for Most/Least selections
@@ -89,12 +115,12 @@ function createGroupElement(group, onChangeCallback) {
 
     const mostHeader = document.createElement('div');
     mostHeader.className = 'text-center font-semibold text-gray-700';
-    mostHeader.textContent = 'Most Like Me';
+    mostHeader.textContent = t('assessment.mostLikeMe');
     table.appendChild(mostHeader);
 
     const leastHeader = document.createElement('div');
     leastHeader.className = 'text-center font-semibold text-gray-700';
-    leastHeader.textContent = 'Least Like Me';
+    leastHeader.textContent = t('assessment.leastLikeMe');
     table.appendChild(leastHeader);
 
     // Render each adjective row
@@ -102,6 +128,8 @@ function createGroupElement(group, onChangeCallback) {
         // Adjective label (mobile/desktop)
         const labelDiv = document.createElement('div');
         labelDiv.className = 'flex items-center justify-between md:justify-start font-medium text-gray-800 py-2';
+        const mostText = t('assessment.mostOption', { label: item.label });
+        const leastText = t('assessment.leastOption', { label: item.label });
         
         const labelSpan = document.createElement('span');
         labelSpan.textContent = item.label;
@@ -109,8 +137,8 @@ function createGroupElement(group, onChangeCallback) {
         
         // Mobile headers
         const mobileHeaders = document.createElement('span');
-        mobileHeaders.className = 'md:hidden text-sm text-gray-500 ml-4';
-        mobileHeaders.textContent = 'Most | Least';
+        mobileHeaders.className = 'md:hidden text-sm text-gray-500 ms-4';
+        mobileHeaders.textContent = t('assessment.mostLeastShort');
         labelDiv.appendChild(mobileHeaders);
         
         table.appendChild(labelDiv);
@@ -122,10 +150,10 @@ function createGroupElement(group, onChangeCallback) {
         const mostRadio = document.createElement('input');
         mostRadio.type = 'radio';
         mostRadio.name = `g${group.id}_most`;
-        mostRadio.value = item.label;
+        mostRadio.value = getItemKey(item);
         mostRadio.id = `g${group.id}_most_${index}`;
         mostRadio.className = 'w-5 h-5 text-blue-600 focus:ring-2 focus:ring-blue-500 cursor-pointer';
-        mostRadio.setAttribute('aria-label', `${item.label} - Most like me`);
+        mostRadio.setAttribute('aria-label', mostText);
         mostRadio.addEventListener('change', () => {
             if (onChangeCallback) onChangeCallback(group.id);
         });
@@ -133,7 +161,7 @@ function createGroupElement(group, onChangeCallback) {
         const mostLabel = document.createElement('label');
         mostLabel.htmlFor = mostRadio.id;
         mostLabel.className = 'sr-only';
-        mostLabel.textContent = `${item.label} - Most like me`;
+        mostLabel.textContent = mostText;
         
         mostDiv.appendChild(mostRadio);
         mostDiv.appendChild(mostLabel);
@@ -146,10 +174,10 @@ function createGroupElement(group, onChangeCallback) {
         const leastRadio = document.createElement('input');
         leastRadio.type = 'radio';
         leastRadio.name = `g${group.id}_least`;
-        leastRadio.value = item.label;
+        leastRadio.value = getItemKey(item);
         leastRadio.id = `g${group.id}_least_${index}`;
         leastRadio.className = 'w-5 h-5 text-red-600 focus:ring-2 focus:ring-red-500 cursor-pointer';
-        leastRadio.setAttribute('aria-label', `${item.label} - Least like me`);
+        leastRadio.setAttribute('aria-label', leastText);
         leastRadio.addEventListener('change', () => {
             if (onChangeCallback) onChangeCallback(group.id);
         });
@@ -157,7 +185,7 @@ function createGroupElement(group, onChangeCallback) {
         const leastLabel = document.createElement('label');
         leastLabel.htmlFor = leastRadio.id;
         leastLabel.className = 'sr-only';
-        leastLabel.textContent = `${item.label} - Least like me`;
+        leastLabel.textContent = leastText;
         
         leastDiv.appendChild(leastRadio);
         leastDiv.appendChild(leastLabel);
@@ -226,13 +254,13 @@ export function highlightIncompleteGroups(groupIds) {
                 const response = responses[groupId];
                 
                 if (!response.most && !response.least) {
-                    errorDiv.textContent = 'Please select both Most and Least for this group.';
+                    errorDiv.textContent = t('assessment.errors.bothMissing');
                 } else if (!response.most) {
-                    errorDiv.textContent = 'Please select a Most like me option.';
+                    errorDiv.textContent = t('assessment.errors.mostMissing');
                 } else if (!response.least) {
-                    errorDiv.textContent = 'Please select a Least like me option.';
+                    errorDiv.textContent = t('assessment.errors.leastMissing');
                 } else if (response.most === response.least) {
-                    errorDiv.textContent = 'Most and Least cannot be the same. Please select different options.';
+                    errorDiv.textContent = t('assessment.errors.same');
                 }
             }
         }
@@ -258,7 +286,9 @@ export function clearAllSelections() {
 
 export default {
     loadQuestions,
+    getInstrument,
     getQuestions,
+    getPresentationOrder,
     renderQuestions,
     getCurrentResponses,
     highlightIncompleteGroups,
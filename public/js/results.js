@@ -0,0 +1,150 @@
+/**
+ * Results Module
+ * Loads a DISC result (signed link or this browser session) and renders the results page
+ */
+
+import { getTypeDescription } from './scoring.js';
+import { createScoreChart, createQuadrantPlot } from './ui.js';
+import { t, getLocale, DEFAULT_LOCALE } from './i18n.js';
+import { escapeHtml } from './html.js';
+
+const LOCAL_RESULT_KEY = 'disc_result';
+
+/**
+ * Keep the latest result in session storage so /results can show it after submit
+ * @param {Object} result - Result from the scoring core (or calculateScores)
+ * @param {Object} meta - {name, role}
+ */
+export function saveLocalResult(result, meta = {}) {
+    try {
+        sessionStorage.setItem(LOCAL_RESULT_KEY, JSON.stringify({
+            name: meta.name || '',
+            role: meta.role || '',
+            result: {
+                instrumentType: result.instrumentType,
+                totals: result.totals,
+                percentages: result.percentages,
+                primary: result.primary,
+                secondary: result.secondary,
+                primaryType: result.primaryType,
+                typeOrder: result.typeOrder,
+                normalized: result.normalized || null
+            }
+        }));
+    } catch (error) {
+        console.warn('Could not save result locally:', error);
+    }
+}
+
+/**
+ * Load the result to display: a signed ?token= link takes precedence over local state
+ * @returns {Promise<Object|null>} - {name, role, result} or null if there is nothing to show
+ */
+export async function loadResult() {
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    if (token) {
+        const response = await fetch(`/.netlify/functions/results?token=${encodeURIComponent(token)}`);
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            // Server messages are English; other locales get the generic text
+            const serverError = getLocale() === DEFAULT_LOCALE ? body.error : null;
+            throw new Error(response.status === 410
+                ? t('results.linkExpired')
+                : (serverError || t('results.linkInvalid')));
+        }
+        return response.json();
+    }
+
+    try {
+        const stored = sessionStorage.getItem(LOCAL_RESULT_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Render a result into the results page
+ * @param {HTMLElement} container - Container element
+ * @param {Object} data - {name, role, result}
+ */
+export function renderResults(container, data) {
+    if (!container) return;
+
+    const { result } = data;
+    const description = getTypeDescription(result.primaryType, result);
+    const ranked = result.typeOrder.split('>');
+
+    container.innerHTML = `
+        <div class="bg-white rounded-lg shadow-md p-8 mb-8 text-center">
+            ${data.name ? `<p class="text-gray-500 mb-1">${escapeHtml(data.name)}${data.role ? ` • ${escapeHtml(data.role)}` : ''}</p>` : ''}
+            <h1 class="text-3xl font-extrabold text-gray-900 mb-2">${escapeHtml(description.title)}</h1>
+            <p class="text-lg text-gray-700 mb-4">${escapeHtml(description.summary)}</p>
+            <p class="text-gray-600">
+                ${escapeHtml(t('results.primary'))}: <strong>${escapeHtml(getDimensionName(result.primary))}</strong> •
+                ${escapeHtml(t('results.secondary'))}: <strong>${escapeHtml(getDimensionName(result.secondary))}</strong> •
+                ${escapeHtml(t('results.order'))}: <strong>${escapeHtml(result.typeOrder)}</strong>
+            </p>
+        </div>
+
+        <div class="grid md:grid-cols-2 gap-8 mb-8">
+            <div class="bg-white rounded-lg shadow-md p-6">
+                <h2 class="text-xl font-bold text-gray-900 mb-4">${escapeHtml(t('results.scoreBreakdown'))}</h2>
+                ${createScoreChart(result.totals)}
+                <div class="grid grid-cols-4 gap-2 mt-4 text-center text-sm text-gray-600">
+                    ${ranked.map(dim => `
+                        <div>
+                            <strong>${dim}</strong> ${Number(result.percentages[dim])}%
+                            ${result.normalized ? `<div class="text-xs text-gray-500">${escapeHtml(formatPercentile(Number(result.normalized.percentile[dim])))}</div>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+                ${result.normalized ? `<p class="text-xs text-gray-500 mt-3 text-center">${escapeHtml(t('results.normNote', { group: result.normalized.normGroup }))}</p>` : ''}
+            </div>
+            <div class="bg-white rounded-lg shadow-md p-6">
+                <h2 class="text-xl font-bold text-gray-900 mb-4">${escapeHtml(t('results.circle'))}</h2>
+                ${createQuadrantPlot(result.percentages)}
+            </div>
+        </div>
+
+        <div class="grid md:grid-cols-3 gap-8">
+            ${renderList(t('results.keyTraits'), description.traits)}
+            ${renderList(t('results.workingWith'), description.worksWith)}
+            ${renderList(t('results.bestFitRoles'), description.bestRoles)}
+        </div>
+    `;
+}
+
+function renderList(title, entries) {
+    return `
+        <div class="bg-white rounded-lg shadow-md p-6">
+            <h2 class="text-lg font-bold text-gray-900 mb-3">${escapeHtml(title)}</h2>
+            <ul class="space-y-2 text-gray-700 list-disc list-inside">
+                ${entries.map(entry => `<li>${escapeHtml(entry)}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+function getDimensionName(dimension) {
+    return dimension ? t(`common.dimensions.${dimension}`) : dimension;
+}
+
+// Locales word percentiles differently: "{ordinal} percentile", "percentil {value}", ...
+function formatPercentile(value) {
+    return t('results.percentile', { value, ordinal: ordinal(value) });
+}
+
+function ordinal(value) {
+    const tens = value % 100;
+    if (tens >= 11 && tens <= 13) return `${value}th`;
+    const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th';
+    return `${value}${suffix}`;
+}
+
+export default {
+    saveLocalResult,
+    loadResult,
+    renderResults
+};
@@ -0,0 +1,292 @@
+/**
+ * DISC Scoring Core
+ * Instrument-driven scoring shared by both assessment variants and Netlify Functions.
+ * Has no DOM access, so it runs unmodified in the browser and in Node.
+ */
+
+export const DIMENSIONS = ['D', 'I', 'S', 'C'];
+
+/**
+ * Score responses against an instrument definition
+ *
+ * Instrument shapes:
+ * - Most/Least: {id, version, type: 'most-least', groups: [{id, items: [{id, label, dim}]}]}
+ *   responses: {groupId: {most: itemId, least: itemId}}; label text is still accepted
+ *   for submissions made before items had ids (see findGroupItem)
+ * - Likert: {id, version, type: 'likert', scale: {min, max}, highThreshold, items: [{id, dim, reverse}]}
+ *   responses: {itemId: value}; reverse-keyed items score as (min + max - value)
+ *
+ * @param {Object} instrument - Instrument definition
+ * @param {Object} responses - Responses keyed by group id or item id
+ * @returns {Object} - {instrumentId, instrumentVersion, instrumentType, totals, percentages, primary,
+ *                      secondary, primaryType, typeOrder, debug}
+ *                     Likert results also carry {correctedTotals, acquiescence}
+ */
+export function scoreResponses(instrument, responses) {
+    switch (instrument.type) {
+        case 'most-least':
+            return scoreMostLeast(instrument, responses);
+        case 'likert':
+            return scoreLikert(instrument, responses);
+        default:
+            throw new Error(`Unknown instrument type: ${instrument.type}`);
+    }
+}
+
+/**
+ * List the groups or items that are still unanswered (or invalid)
+ * @param {Object} instrument - Instrument definition
+ * @param {Object} responses - Responses keyed by group id or item id
+ * @returns {Array} - Group ids (Most/Least) or item ids (Likert)
+ */
+export function findMissingResponses(instrument, responses) {
+    if (instrument.type === 'most-least') {
+        return instrument.groups
+            .filter(group => {
+                const response = responses[group.id];
+                return !response || !response.most || !response.least || response.most === response.least;
+            })
+            .map(group => group.id);
+    }
+
+    const { min, max } = instrument.scale;
+    return instrument.items
+        .filter(item => {
+            const value = Number(responses[item.id]);
+            return !(value >= min && value <= max);
+        })
+        .map(item => item.id);
+}
+
+/**
+ * Get the value a Most/Least item is answered with: its stable id, or its label
+ * in item banks from before items had ids
+ * @param {Object} item - Most/Least item
+ * @returns {string} - Answer key
+ */
+export function getItemKey(item) {
+    return item.id || item.label;
+}
+
+/**
+ * Find the item a Most/Least answer refers to. Answers carry item ids; older
+ * submissions carry the label text, which is matched as a fallback.
+ * @param {Object} group - Question group
+ * @param {string} value - Submitted answer
+ * @returns {Object|undefined} - Matching item
+ */
+export function findGroupItem(group, value) {
+    if (!value) return undefined;
+    return group.items.find(item => item.id === value) ||
+        group.items.find(item => item.label === value);
+}
+
+/**
+ * Most/Least scoring: +1 for the Most pick, -1 for the Least pick
+ */
+function scoreMostLeast(instrument, responses) {
+    const totals = emptyVector();
+    const debug = { most: emptyVector(), least: emptyVector() };
+    const itemCounts = emptyVector();
+
+    instrument.groups.forEach(group => {
+        new Set(group.items.map(item => item.dim)).forEach(dim => {
+            itemCounts[dim] += 1;
+        });
+
+        const response = responses[group.id];
+        if (!response) return;
+
+        // Find dimensions for Most and Least selections
+        const mostItem = findGroupItem(group, response.most);
+        const leastItem = findGroupItem(group, response.least);
+
+        if (mostItem) {
+            totals[mostItem.dim] += 1;
+            debug.most[mostItem.dim] += 1;
+        }
+
+        if (leastItem) {
+            totals[leastItem.dim] -= 1;
+            debug.least[leastItem.dim] += 1;
+        }
+    });
+
+    const ranges = {};
+    DIMENSIONS.forEach(dim => {
+        ranges[dim] = { min: -itemCounts[dim], max: itemCounts[dim] };
+    });
+
+    return buildResult(instrument, totals, ranges, emptyVector(), debug);
+}
+
+/**
+ * Likert scoring: sum of (reverse-keyed) item values per dimension,
+ * ties broken by the number of high (agree) answers
+ */
+function scoreLikert(instrument, responses) {
+    const { min, max } = instrument.scale;
+    const highThreshold = instrument.highThreshold || max - 1;
+    const totals = emptyVector();
+    const highCounts = emptyVector();
+    const itemCounts = emptyVector();
+    const answered = [];
+
+    instrument.items.forEach(item => {
+        itemCounts[item.dim] += 1;
+
+        const raw = Number(responses[item.id]);
+        if (!(raw >= min && raw <= max)) return;
+
+        answered.push({ item, raw });
+        const value = item.reverse ? min + max - raw : raw;
+        totals[item.dim] += value;
+        if (value >= highThreshold) {
+            highCounts[item.dim] += 1;
+        }
+    });
+
+    const ranges = {};
+    DIMENSIONS.forEach(dim => {
+        ranges[dim] = { min: itemCounts[dim] * min, max: itemCounts[dim] * max };
+    });
+
+    const acquiescence = measureAcquiescence(instrument, answered);
+
+    // Remove the respondent's agreement bias from every raw answer before keying:
+    // positively keyed items lose the bias, reverse-keyed items gain it back
+    const correctedTotals = emptyVector();
+    answered.forEach(({ item, raw }) => {
+        const adjusted = raw - acquiescence.index;
+        correctedTotals[item.dim] += item.reverse ? min + max - adjusted : adjusted;
+    });
+    DIMENSIONS.forEach(dim => {
+        correctedTotals[dim] = round(correctedTotals[dim], 1);
+    });
+
+    return {
+        ...buildResult(instrument, totals, ranges, highCounts, { highCounts }),
+        correctedTotals,
+        acquiescence
+    };
+}
+
+/**
+ * Acquiescence index: mean raw answer (before reverse-keying) minus the scale midpoint.
+ * Positive values mean the respondent agrees with statements regardless of content.
+ * Only meaningful when the instrument mixes positively and reverse-keyed items.
+ * @param {Object} instrument - Likert instrument definition
+ * @param {Array} answered - [{item, raw}]
+ * @returns {Object} - {index, flagged, direction, balancedKeying}
+ */
+function measureAcquiescence(instrument, answered) {
+    const { min, max } = instrument.scale;
+    const threshold = instrument.acquiescenceThreshold || (max - min) / 4;
+    const midpoint = (min + max) / 2;
+
+    const index = answered.length > 0
+        ? round(answered.reduce((sum, { raw }) => sum + raw, 0) / answered.length - midpoint, 2)
+        : 0;
+
+    let direction = 'none';
+    if (index >= threshold) {
+        direction = 'agree';
+    } else if (index <= -threshold) {
+        direction = 'disagree';
+    }
+
+    return {
+        index,
+        flagged: direction !== 'none',
+        direction,
+        balancedKeying: instrument.items.some(item => item.reverse)
+    };
+}
+
+/**
+ * Serialize a Likert result for the style_vector form field:
+ * raw totals (D/I/S/C) plus the acquiescence-corrected totals
+ * @param {Object} result - Result of scoreResponses for a Likert instrument
+ * @returns {string} - JSON string
+ */
+export function formatStyleVector(result) {
+    return JSON.stringify({
+        ...result.totals,
+        corrected: result.correctedTotals,
+        acquiescence: result.acquiescence.index
+    });
+}
+
+/**
+ * Assemble the shared result shape
+ * @param {Object} instrument - Instrument definition
+ * @param {Object} totals - Raw totals per dimension
+ * @param {Object} ranges - {dim: {min, max}} possible totals per dimension
+ * @param {Object} tieBreak - Secondary sort key per dimension (higher wins)
+ * @param {Object} debug - Instrument-specific raw counts
+ */
+function buildResult(instrument, totals, ranges, tieBreak, debug) {
+    // Sort by score (desc), then tie-break (desc), then canonical D>I>S>C order
+    const ranked = DIMENSIONS.slice().sort((a, b) => {
+        if (totals[a] !== totals[b]) return totals[b] - totals[a];
+        if (tieBreak[a] !== tieBreak[b]) return tieBreak[b] - tieBreak[a];
+        return DIMENSIONS.indexOf(a) - DIMENSIONS.indexOf(b);
+    });
+
+    const percentages = {};
+    DIMENSIONS.forEach(dim => {
+        const { min, max } = ranges[dim];
+        percentages[dim] = max > min ? Math.round(((totals[dim] - min) / (max - min)) * 100) : 0;
+    });
+
+    return {
+        instrumentId: instrument.id,
+        instrumentVersion: instrument.version || null,
+        instrumentType: instrument.type,
+        totals,
+        percentages,
+        primary: ranked[0],
+        secondary: ranked[1],
+        primaryType: determinePrimaryType(totals),
+        typeOrder: ranked.join('>'),
+        debug
+    };
+}
+
+/**
+ * Determine primary DISC type, handling ties
+ * @param {Object} totals - Totals per dimension
+ * @returns {string} - Primary type (e.g., "High D", "DI", etc.)
+ */
+export function determinePrimaryType(totals) {
+    const topScore = Math.max(...DIMENSIONS.map(dim => totals[dim]));
+    const tiedDimensions = DIMENSIONS.filter(dim => totals[dim] === topScore);
+
+    if (tiedDimensions.length === 1) {
+        return `High ${tiedDimensions[0]}`;
+    } else if (tiedDimensions.length < DIMENSIONS.length) {
+        return tiedDimensions.join('');
+    } else {
+        // All four tied (rare)
+        return 'Balanced';
+    }
+}
+
+function emptyVector() {
+    return { D: 0, I: 0, S: 0, C: 0 };
+}
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+export default {
+    DIMENSIONS,
+    scoreResponses,
+    findMissingResponses,
+    getItemKey,
+    findGroupItem,
+    determinePrimaryType,
+    formatStyleVector
+};
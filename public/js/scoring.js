@@ -3,75 +3,28 @@
  * Calculates DISC personality scores from Most/Least selections
  */
 
+import { scoreResponses } from './scoring-core.js';
+import { createMostLeastInstrument } from './instruments.js';
+import { getProfile } from './profiles.js';
+
 /**
  * Calculate DISC scores from assessment responses
  * @param {Object} responses - Object with groupId as keys, {most: string, least: string} as values
- * @param {Array} items - Array of question groups from disc_items.json
+ * @param {Array|Object} items - Question groups, or the loaded Most/Least instrument (keeps its version)
  * @returns {Object} - Scoring results with totals, primary type, and order
+ *                     (plus the shared core fields: percentages, primary, secondary)
  */
 export function calculateScores(responses, items) {
-    // Initialize scores
-    const scores = { D: 0, I: 0, S: 0, C: 0 };
-    const debug = { most: { D: 0, I: 0, S: 0, C: 0 }, least: { D: 0, I: 0, S: 0, C: 0 } };
-
-    // Process each group
-    items.forEach(group => {
-        const groupId = group.id;
-        const response = responses[groupId];
-
-        if (!response) return;
-
-        // Find dimensions for Most and Least selections
-        const mostItem = group.items.find(item => item.label === response.most);
-        const leastItem = group.items.find(item => item.label === response.least);
-
-        if (mostItem) {
-            scores[mostItem.dim] += 1;
-            debug.most[mostItem.dim] += 1;
-        }
-
-        if (leastItem) {
-            scores[leastItem.dim] -= 1;
-            debug.least[leastItem.dim] += 1;
-        }
-    });
-
-    // Calculate primary type and order
-    const sortedDimensions = Object.entries(scores)
-        .sort((a, b) => b[1] - a[1]); // Sort by score descending
-
-    const primaryType = determinePrimaryType(sortedDimensions);
-    const typeOrder = sortedDimensions.map(([dim]) => dim).join('>');
+    const instrument = Array.isArray(items) ? createMostLeastInstrument(items) : items;
+    const result = scoreResponses(instrument, responses);
 
     return {
-        scores,
-        primaryType,
-        typeOrder,
-        debug: JSON.stringify(debug)
+        ...result,
+        scores: result.totals,
+        debug: JSON.stringify(result.debug)
     };
 }
 
-/**
- * Determine primary DISC type, handling ties
- * @param {Array} sortedDimensions - Array of [dimension, score] tuples sorted by score
- * @returns {string} - Primary type (e.g., "High D", "DI", etc.)
- */
-function determinePrimaryType(sortedDimensions) {
-    const topScore = sortedDimensions[0][1];
-    const tiedDimensions = sortedDimensions.filter(([_, score]) => score === topScore);
-
-    if (tiedDimensions.length === 1) {
-        return `High ${tiedDimensions[0][0]}`;
-    } else if (tiedDimensions.length === 2) {
-        return tiedDimensions.map(([dim]) => dim).join('');
-    } else if (tiedDimensions.length === 3) {
-        return tiedDimensions.map(([dim]) => dim).join('');
-    } else {
-        // All four tied (rare)
-        return 'Balanced';
-    }
-}
-
 /**
  * Validate that all groups have been completed
  * @param {Object} responses - Object with groupId as keys
@@ -99,113 +52,13 @@ export function validateResponses(responses, totalGroups) {
 
 /**
  * Get DISC type description
+ * Profiles live in data/disc_profiles.json and must be loaded first (see profiles.js)
  * @param {string} primaryType - Primary DISC type
+ * @param {Object} result - Optional {secondary, percentages} to resolve secondary-style blends
  * @returns {Object} - Description object with traits and tips
  */
-export function getTypeDescription(primaryType) {
-    const descriptions = {
-        'High D': {
-            title: 'Dominance (D)',
-            traits: ['Results-focused', 'Direct communicator', 'Decisive', 'Competitive', 'Independent'],
-            worksWith: [
-                'Provide clear outcomes and goals',
-                'Allow autonomy and decision-making authority',
-                'Be direct and concise in communication',
-                'Focus on results rather than process'
-            ],
-            bestRoles: ['Leadership', 'Project Management', 'Sales', 'Entrepreneurship']
-        },
-        'High I': {
-            title: 'Influence (I)',
-            traits: ['Enthusiastic', 'Optimistic', 'Persuasive', 'Sociable', 'Trusting'],
-            worksWith: [
-                'Provide opportunities for collaboration',
-                'Recognize achievements publicly',
-                'Allow time for discussion and brainstorming',
-                'Create a positive, energetic environment'
-            ],
-            bestRoles: ['Sales', 'Marketing', 'Public Relations', 'Customer Relations']
-        },
-        'High S': {
-            title: 'Steadiness (S)',
-            traits: ['Patient', 'Loyal', 'Supportive', 'Calm', 'Consistent'],
-            worksWith: [
-                'Provide clear processes and expectations',
-                'Allow time to adapt to change',
-                'Create stable, harmonious environment',
-                'Show appreciation for their reliability'
-            ],
-            bestRoles: ['Customer Service', 'Human Resources', 'Healthcare', 'Administration']
-        },
-        'High C': {
-            title: 'Conscientiousness (C)',
-            traits: ['Analytical', 'Precise', 'Systematic', 'Careful', 'Quality-focused'],
-            worksWith: [
-                'Provide detailed information and data',
-                'Allow time for thorough analysis',
-                'Respect need for accuracy and quality',
-                'Minimize surprises and sudden changes'
-            ],
-            bestRoles: ['Data Analysis', 'Engineering', 'Accounting', 'Research', 'Quality Assurance']
-        },
-        'DI': {
-            title: 'Dominance-Influence (DI)',
-            traits: ['Ambitious', 'Persuasive', 'Bold', 'Outgoing', 'Results-driven'],
-            worksWith: [
-                'Provide challenging goals with social interaction',
-                'Allow independence while encouraging teamwork',
-                'Focus on both outcomes and people',
-                'Offer variety and new opportunities'
-            ],
-            bestRoles: ['Executive Leadership', 'Business Development', 'Consulting']
-        },
-        'DC': {
-            title: 'Dominance-Conscientiousness (DC)',
-            traits: ['Determined', 'Systematic', 'Independent', 'Quality-focused', 'Strategic'],
-            worksWith: [
-                'Provide clear goals with high standards',
-                'Allow autonomy to execute plans',
-                'Focus on results and accuracy',
-                'Minimize unnecessary interaction'
-            ],
-            bestRoles: ['Project Management', 'Technical Leadership', 'Strategy']
-        },
-        'IS': {
-            title: 'Influence-Steadiness (IS)',
-            traits: ['Friendly', 'Patient', 'Cooperative', 'Supportive', 'Optimistic'],
-            worksWith: [
-                'Create collaborative environment',
-                'Provide recognition and stability',
-                'Allow time for relationship building',
-                'Focus on team harmony'
-            ],
-            bestRoles: ['Customer Service', 'Team Coordination', 'Community Management']
-        },
-        'SC': {
-            title: 'Steadiness-Conscientiousness (SC)',
-            traits: ['Reliable', 'Methodical', 'Patient', 'Thorough', 'Consistent'],
-            worksWith: [
-                'Provide clear processes and procedures',
-                'Allow time for careful work',
-                'Create stable, structured environment',
-                'Appreciate attention to detail'
-            ],
-            bestRoles: ['Operations', 'Administration', 'Compliance', 'Quality Control']
-        },
-        'Balanced': {
-            title: 'Balanced Profile',
-            traits: ['Adaptable', 'Versatile', 'Flexible', 'Well-rounded', 'Situational'],
-            worksWith: [
-                'Provide varied responsibilities',
-                'Allow flexibility in approach',
-                'Recognize adaptability',
-                'Offer diverse challenges'
-            ],
-            bestRoles: ['General Management', 'Consulting', 'Multiple Roles']
-        }
-    };
-
-    return descriptions[primaryType] || descriptions['Balanced'];
+export function getTypeDescription(primaryType, result = {}) {
+    return getProfile(primaryType, result);
 }
 
 /**
@@ -282,6 +135,60 @@ export function runTests() {
     console.assert(result3.primaryType === 'DI', 'Test 3c: Primary should be DI (tie)');
     console.log('✓ Test 3: Tie handling passed');
 
+    // Test 4: Shared core - Likert instrument with high-answer tie-break
+    const likertInstrument = {
+        id: 'test-likert',
+        type: 'likert',
+        scale: { min: 1, max: 5 },
+        highThreshold: 4,
+        items: [
+            { id: 'q1', dim: 'D' }, { id: 'q2', dim: 'D' },
+            { id: 'q3', dim: 'I' }, { id: 'q4', dim: 'I' },
+            { id: 'q5', dim: 'S' }, { id: 'q6', dim: 'S', reverse: true },
+            { id: 'q7', dim: 'C' }, { id: 'q8', dim: 'C' }
+        ]
+    };
+    // D and I both total 6, but I has a 4/5 answer
+    const likertResponses = { q1: 3, q2: 3, q3: 5, q4: 1, q5: 3, q6: 5, q7: 3, q8: 3 };
+    const result4 = scoreResponses(likertInstrument, likertResponses);
+    console.assert(result4.totals.D === 6 && result4.totals.I === 6, 'Test 4a: D and I should total 6');
+    console.assert(result4.primary === 'I', 'Test 4b: I should win the tie on high answers');
+    console.assert(result4.secondary === 'D', 'Test 4c: Secondary should be D');
+    console.assert(result4.percentages.D === 50, 'Test 4d: 6 of 2..10 should be 50%');
+    console.assert(result4.totals.S === 4, 'Test 4e: Reverse-keyed 5 should score as 1');
+    console.assert(result1.percentages.D === 100, 'Test 4f: +1 of -1..+1 should be 100%');
+    console.log('✓ Test 4: Shared core scoring passed');
+
+    // Test 5: Acquiescence - agreeing with everything flattens the corrected profile
+    const allAgree = {};
+    likertInstrument.items.forEach(item => {
+        allAgree[item.id] = 5;
+    });
+    const result5 = scoreResponses(likertInstrument, allAgree);
+    console.assert(result5.acquiescence.index === 2, 'Test 5a: Acquiescence index should be +2');
+    console.assert(result5.acquiescence.flagged === true, 'Test 5b: All-agree should be flagged');
+    console.assert(result5.correctedTotals.S === 6, 'Test 5c: Corrected S should be the midpoint total');
+    console.assert(result4.acquiescence.flagged === false, 'Test 5d: Mixed answers should not be flagged');
+    console.log('✓ Test 5: Acquiescence correction passed');
+
+    // Test 6: Stable item ids - answers carry ids, older label answers still score
+    const testItems6 = [
+        {
+            id: 1,
+            items: [
+                {id: "ml01", label: "Decisive", dim: "D"},
+                {id: "ml02", label: "Enthusiastic", dim: "I"},
+                {id: "ml03", label: "Patient", dim: "S"},
+                {id: "ml04", label: "Precise", dim: "C"}
+            ]
+        }
+    ];
+    const result6 = calculateScores({ 1: { most: "ml01", least: "ml03" } }, testItems6);
+    console.assert(result6.scores.D === 1 && result6.scores.S === -1, 'Test 6a: Id answers should score');
+    const result6b = calculateScores(testResponses1, testItems6);
+    console.assert(result6b.scores.D === 1 && result6b.scores.S === -1, 'Test 6b: Label answers should still score');
+    console.log('✓ Test 6: Stable item ids passed');
+
     console.log('\n✓ All tests passed!');
 }
 
@@ -0,0 +1,223 @@
+/**
+ * Shuffle Module
+ * Seeded per-candidate presentation order: group order and item order within
+ * groups (Most/Least), or question order (Likert). The same seed and item bank
+ * always give the same order, and the order itself is submitted in the
+ * presentation_order field, so what a candidate saw can be reconstructed.
+ * Has no DOM access, so it runs in the browser and in Netlify Functions.
+ */
+
+/**
+ * Create a new random seed
+ * @returns {string} - 16 hex characters
+ */
+export function createSeed() {
+    const bytes = new Uint8Array(8);
+    if (globalThis.crypto && typeof globalThis.crypto.getRandomValues === 'function') {
+        globalThis.crypto.getRandomValues(bytes);
+    } else {
+        bytes.forEach((_, index) => {
+            bytes[index] = Math.floor(Math.random() * 256);
+        });
+    }
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create a deterministic random number generator from a seed
+ * @param {string} seed - Seed string
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+export function createRandom(seed) {
+    // String hash to a 32-bit state, then mulberry32
+    const text = String(seed);
+    let state = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        state = Math.imul(state ^ text.charCodeAt(i), 3432918353);
+        state = (state << 13) | (state >>> 19);
+    }
+
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fisher-Yates shuffle
+ * @param {Array} array - Values to shuffle (not modified)
+ * @param {Function} random - Random number generator
+ * @returns {Array} - Shuffled copy
+ */
+export function shuffle(array, random) {
+    const result = array.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Derive the presentation order for an instrument.
+ * Most/Least: groups are shuffled first, then the items of each group (visiting
+ * groups in item-bank order, so the result does not depend on the group shuffle).
+ * Set `randomize: false` on the instrument to keep the item-bank order.
+ * @param {Object} instrument - Instrument definition (see scoring-core.js)
+ * @param {string} seed - Candidate seed
+ * @returns {Object} - Most/Least: {seed, groups: [groupId], items: {groupId: [itemIndex]}}
+ *                     Likert: {seed, items: [itemId]}
+ */
+export function createPresentationOrder(instrument, seed) {
+    const random = instrument.randomize === false ? null : createRandom(seed);
+    const order = random ? list => shuffle(list, random) : list => list.slice();
+
+    if (instrument.type === 'most-least') {
+        const groups = order(instrument.groups.map(group => group.id));
+        const items = {};
+        instrument.groups.forEach(group => {
+            items[group.id] = order(group.items.map((_, index) => index));
+        });
+        return { seed, groups, items };
+    }
+
+    return { seed, items: order(instrument.items.map(item => item.id)) };
+}
+
+/**
+ * Reorder an instrument as presented. Unknown ids are ignored and anything the
+ * order leaves out keeps its item-bank position after the ordered entries.
+ * @param {Object} instrument - Instrument definition
+ * @param {Object|null} order - Result of createPresentationOrder
+ * @returns {Object} - Instrument with groups/items in presentation order
+ */
+export function applyPresentationOrder(instrument, order) {
+    if (!order) return instrument;
+
+    if (instrument.type === 'most-least') {
+        const groups = reorder(instrument.groups, order.groups, group => group.id).map(group => {
+            const itemOrder = order.items && order.items[group.id];
+            const indexed = group.items.map((item, index) => ({ item, index }));
+            return {
+                ...group,
+                items: reorder(indexed, itemOrder, entry => entry.index).map(entry => entry.item)
+            };
+        });
+        return { ...instrument, groups };
+    }
+
+    return { ...instrument, items: reorder(instrument.items, order.items, item => item.id) };
+}
+
+/**
+ * Serialize a presentation order for the presentation_order form field
+ * @param {Object|null} order - Result of createPresentationOrder
+ * @returns {string} - JSON string, or empty without an order
+ */
+export function formatPresentationOrder(order) {
+    return order ? JSON.stringify(order) : '';
+}
+
+/**
+ * Parse a submitted presentation_order field
+ * @param {string} value - Field value
+ * @returns {Object|null} - Presentation order or null if missing/invalid
+ */
+export function parsePresentationOrder(value) {
+    if (!value) return null;
+    try {
+        const order = JSON.parse(value);
+        return order && typeof order === 'object' && Array.isArray(order.groups || order.items) ? order : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function reorder(list, ids, getId) {
+    if (!Array.isArray(ids)) return list.slice();
+
+    const byId = new Map(list.map(entry => [String(getId(entry)), entry]));
+    const ordered = [];
+    ids.forEach(id => {
+        const entry = byId.get(String(id));
+        if (entry) {
+            ordered.push(entry);
+            byId.delete(String(id));
+        }
+    });
+    return ordered.concat(list.filter(entry => byId.has(String(getId(entry)))));
+}
+
+/**
+ * Basic unit tests for seeded ordering
+ */
+export function runTests() {
+    console.log('Running Shuffle Tests...\n');
+
+    const seed = 'a1b2c3d4e5f60718';
+    const mostLeast = {
+        type: 'most-least',
+        groups: Array.from({ length: 6 }, (_, index) => ({
+            id: index + 1,
+            items: ['D', 'I', 'S', 'C'].map(dim => ({ id: `g${index + 1}${dim}`, dim }))
+        }))
+    };
+    const likert = { type: 'likert', items: Array.from({ length: 12 }, (_, index) => ({ id: `q${index + 1}` })) };
+
+    // Test 1: Seeds and random numbers
+    console.assert(/^[0-9a-f]{16}$/.test(createSeed()) && createSeed() !== createSeed(), 'Test 1a: Seeds should be 16 random hex characters');
+    const first = createRandom(seed);
+    const second = createRandom(seed);
+    const values = Array.from({ length: 50 }, () => first());
+    console.assert(values.every(value => value === second() && value >= 0 && value < 1), 'Test 1b: Same seed should give the same numbers in [0, 1)');
+    console.assert(createRandom('other')() !== createRandom(seed)(), 'Test 1c: Other seeds should give other numbers');
+    console.log('✓ Test 1: Seeds and random numbers passed');
+
+    // Test 2: Shuffle
+    const list = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = shuffle(list, createRandom(seed));
+    // Pinned: stored seeds must reconstruct what earlier candidates saw
+    console.assert(shuffled.join() === '5,7,1,4,2,6,3,8', 'Test 2a: Seeded shuffle should not change between releases');
+    console.assert(list.join() === '1,2,3,4,5,6,7,8', 'Test 2b: Input should not be modified');
+    console.log('✓ Test 2: Shuffle passed');
+
+    // Test 3: Presentation order
+    const order = createPresentationOrder(mostLeast, seed);
+    console.assert(JSON.stringify(order) === JSON.stringify(createPresentationOrder(mostLeast, seed)), 'Test 3a: Same seed should give the same order');
+    console.assert(JSON.stringify(order) !== JSON.stringify(createPresentationOrder(mostLeast, 'other')), 'Test 3b: Other seeds should give another order');
+    console.assert([...order.groups].sort().join() === '1,2,3,4,5,6' && Object.values(order.items).every(items => [...items].sort().join() === '0,1,2,3'),
+        'Test 3c: Order should be a permutation');
+    const kept = createPresentationOrder({ ...likert, randomize: false }, seed);
+    console.assert(kept.items.join() === likert.items.map(item => item.id).join(), 'Test 3d: randomize: false should keep the item-bank order');
+    console.log('✓ Test 3: Presentation order passed');
+
+    // Test 4: Applying and restoring an order
+    const presented = applyPresentationOrder(mostLeast, order);
+    console.assert(presented.groups.map(group => group.id).join() === order.groups.join(), 'Test 4a: Groups should follow the order');
+    console.assert(presented.groups.every(group => group.items.map(item => item.id).join() ===
+        order.items[group.id].map(index => mostLeast.groups[group.id - 1].items[index].id).join()), 'Test 4b: Items should follow the order');
+    const likertOrder = createPresentationOrder(likert, seed);
+    const restored = parsePresentationOrder(formatPresentationOrder(likertOrder));
+    console.assert(applyPresentationOrder(likert, restored).items.map(item => item.id).join() === likertOrder.items.join(), 'Test 4c: A submitted order should round-trip');
+    const partial = applyPresentationOrder(likert, { items: ['q3', 'unknown', 'q1'] }).items.map(item => item.id);
+    console.assert(partial.slice(0, 3).join() === 'q3,q1,q2' && partial.length === 12, 'Test 4d: Unlisted items should follow in item-bank order');
+    console.assert(applyPresentationOrder(likert, null) === likert, 'Test 4e: No order should keep the instrument');
+    console.assert(parsePresentationOrder('') === null && parsePresentationOrder('{bad') === null && parsePresentationOrder('{"items":1}') === null,
+        'Test 4f: Invalid fields should parse to null');
+    console.log('✓ Test 4: Applying and restoring an order passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+export default {
+    createSeed,
+    createRandom,
+    shuffle,
+    createPresentationOrder,
+    applyPresentationOrder,
+    formatPresentationOrder,
+    parsePresentationOrder,
+    runTests
+};
@@ -0,0 +1,357 @@
+/**
+ * Team Composition Module
+ * Combines several DISC results (the calculateScores shape, or stored
+ * {name, role, result} records) into a team view: a shared quadrant map,
+ * the distribution of each dimension, styles the team lacks or is crowded
+ * with, and pairs of members whose styles are likely to clash.
+ *
+ * A candidate can be analysed against the team to see how hiring them would
+ * change its balance. Friction pairs are explained with the profile
+ * descriptions from scoring.js (getTypeDescription), so they follow the
+ * blends and translations of the profile catalogue.
+ */
+
+import { DIMENSIONS } from './scoring-core.js';
+import { getTypeDescription } from './scoring.js';
+import { createTeamQuadrantPlot } from './ui.js';
+import { t } from './i18n.js';
+import { escapeHtml } from './html.js';
+
+// Intensity (0-100) from which a member counts as bringing a style to the team
+export const STRONG_INTENSITY = 60;
+
+// Primary styles that tend to clash: who decides (D/D), pace of change (D/S),
+// and feelings vs facts (I/C)
+export const FRICTION_RULES = [
+    { dims: ['D', 'D'], reason: 'control' },
+    { dims: ['D', 'S'], reason: 'pace' },
+    { dims: ['I', 'C'], reason: 'approach' }
+];
+
+/**
+ * Normalize team entries to {name, result}
+ * @param {Array<Object>} entries - Results, or {name, result} records
+ * @returns {Array<Object>} - Members (named records are kept as they are); unnamed ones are numbered ("Member 2")
+ */
+export function toTeamMembers(entries) {
+    return entries.map((entry, index) => {
+        if (entry.result && entry.name) return entry;
+        return { name: t('team.member', { number: index + 1 }), result: entry.result || entry };
+    });
+}
+
+/**
+ * Spread of each dimension across the team
+ * @param {Array<Object>} members - Result of toTeamMembers
+ * @returns {Array<Object>} - [{dim, average, min, max, strong, primary}]; strong and primary count members
+ */
+export function getTeamDistribution(members) {
+    return DIMENSIONS.map(dim => {
+        const values = members.map(member => Number(member.result.percentages[dim]) || 0);
+        return {
+            dim,
+            average: values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0,
+            min: values.length ? Math.min(...values) : 0,
+            max: values.length ? Math.max(...values) : 0,
+            strong: values.filter(value => value >= STRONG_INTENSITY).length,
+            primary: members.filter(member => member.result.primary === dim).length
+        };
+    });
+}
+
+/**
+ * Styles the team lacks (no strong member) or is crowded with (more than half
+ * of a team of 3+ lead with it)
+ * @param {Array<Object>} distribution - Result of getTeamDistribution
+ * @param {number} size - Team size
+ * @returns {Array<Object>} - [{dim, kind: 'missing'|'crowded', count}]
+ */
+export function findTeamGaps(distribution, size) {
+    const gaps = [];
+    distribution.forEach(entry => {
+        if (entry.strong === 0) {
+            gaps.push({ dim: entry.dim, kind: 'missing', count: 0 });
+        } else if (size >= 3 && entry.primary > size / 2) {
+            gaps.push({ dim: entry.dim, kind: 'crowded', count: entry.primary });
+        }
+    });
+    return gaps;
+}
+
+/**
+ * Pairs of members whose primary styles match a friction rule, both strongly
+ * @param {Array<Object>} members - Result of toTeamMembers
+ * @returns {Array<Object>} - [{members: [a, b], dims, reason}], a holding the rule's first style
+ */
+export function findFrictionPairs(members) {
+    const pairs = [];
+
+    members.forEach((first, i) => {
+        members.slice(i + 1).forEach(second => {
+            FRICTION_RULES.forEach(rule => {
+                const match = [[first, second], [second, first]].find(([a, b]) => (
+                    a.result.primary === rule.dims[0] && b.result.primary === rule.dims[1] &&
+                    a.result.percentages[rule.dims[0]] >= STRONG_INTENSITY &&
+                    b.result.percentages[rule.dims[1]] >= STRONG_INTENSITY
+                ));
+                if (match) {
+                    pairs.push({ members: match, dims: rule.dims, reason: rule.reason });
+                }
+            });
+        });
+    });
+
+    return pairs;
+}
+
+/**
+ * Analyse a team
+ * @param {Array<Object>} entries - Results, or {name, result} records
+ * @returns {Object} - {members, average (percentages), distribution, gaps, friction}
+ */
+export function analyzeTeam(entries) {
+    const members = toTeamMembers(entries);
+    const distribution = getTeamDistribution(members);
+
+    return {
+        members,
+        average: Object.fromEntries(distribution.map(entry => [entry.dim, entry.average])),
+        distribution,
+        gaps: findTeamGaps(distribution, members.length),
+        friction: findFrictionPairs(members)
+    };
+}
+
+/**
+ * How adding a candidate changes a team
+ * @param {Array<Object>} entries - Team results, or {name, result} records
+ * @param {Object} candidate - Candidate result, or {name, result} record
+ * @returns {Object} - {team, withCandidate (analyses), candidate (member),
+ *                     changes: [{dim, before, after, delta}], filled: gaps the candidate closes,
+ *                     added: gaps the candidate opens, friction: pairs that include the candidate}
+ */
+export function assessCandidateImpact(entries, candidate) {
+    const team = analyzeTeam(entries);
+    const member = candidate.result && candidate.name
+        ? candidate
+        : { name: t('team.candidate'), result: candidate.result || candidate };
+    const withCandidate = analyzeTeam([...team.members, member]);
+
+    const sameGap = (gap, other) => gap.dim === other.dim && gap.kind === other.kind;
+
+    return {
+        team,
+        withCandidate,
+        candidate: member,
+        changes: team.distribution.map((entry, index) => ({
+            dim: entry.dim,
+            before: entry.average,
+            after: withCandidate.distribution[index].average,
+            delta: withCandidate.distribution[index].average - entry.average
+        })),
+        filled: team.gaps.filter(gap => !withCandidate.gaps.some(other => sameGap(gap, other))),
+        added: withCandidate.gaps.filter(gap => !team.gaps.some(other => sameGap(gap, other))),
+        friction: withCandidate.friction.filter(pair => pair.members.includes(member))
+    };
+}
+
+/**
+ * Explain a gap, e.g. "No one is strongly Influence (60%+)."
+ * @param {Object} gap - Entry of findTeamGaps
+ * @param {number} size - Team size
+ * @returns {string} - Translated explanation
+ */
+export function describeTeamGap(gap, size) {
+    return t(`team.${gap.kind}`, {
+        dimension: t(`common.dimensions.${gap.dim}`),
+        threshold: STRONG_INTENSITY,
+        count: gap.count,
+        total: size
+    });
+}
+
+/**
+ * Explain a friction pair
+ * @param {Object} pair - Entry of findFrictionPairs
+ * @returns {string} - Translated explanation
+ */
+export function describeFriction(pair) {
+    return t(`team.frictionReasons.${pair.reason}`, { a: pair.members[0].name, b: pair.members[1].name });
+}
+
+/**
+ * How to work with each member of a friction pair: the first "working with"
+ * tip of their profile
+ * @param {Object} pair - Entry of findFrictionPairs
+ * @returns {Array<Object>} - [{name, tip}]
+ */
+export function getBridgingTips(pair) {
+    return pair.members.map(member => {
+        const description = getTypeDescription(member.result.primaryType, member.result);
+        return { name: member.name, tip: (description.worksWith || [])[0] || description.summary };
+    });
+}
+
+/**
+ * Render a team analysis
+ * Profiles must be loaded first (see profiles.js)
+ * @param {HTMLElement} container - Container element
+ * @param {Array<Object>} entries - Team results, or {name, result} records
+ * @param {Object} options - {candidate: result or {name, result} to analyse against the team}
+ */
+export function renderTeamAnalysis(container, entries, options = {}) {
+    if (!container) return;
+
+    const impact = options.candidate ? assessCandidateImpact(entries, options.candidate) : null;
+    const team = impact ? impact.team : analyzeTeam(entries);
+    const size = team.members.length;
+    const points = [
+        ...team.members.map(member => ({ percentages: member.result.percentages, label: member.name })),
+        ...(impact ? [{ percentages: impact.candidate.result.percentages, label: impact.candidate.name, highlight: true }] : [])
+    ];
+    const friction = impact ? [...impact.friction, ...team.friction] : team.friction;
+
+    container.innerHTML = `
+        <h2 class="text-2xl font-bold text-gray-900 mb-1">${escapeHtml(t('team.title', { count: size }))}</h2>
+        ${impact ? `<p class="text-gray-600 mb-4">${escapeHtml(t('team.withCandidate', { name: impact.candidate.name }))}</p>` : '<div class="mb-4"></div>'}
+
+        <div class="grid gap-6 md:grid-cols-2 mb-6">
+            <div class="bg-white rounded-lg shadow-md p-6" data-team-map>
+                <h3 class="text-lg font-bold text-gray-900 mb-3">${escapeHtml(t('team.map'))}</h3>
+                ${createTeamQuadrantPlot(points, { average: team.average, label: t('team.mapLabel') })}
+                <p class="text-xs text-gray-500 text-center mt-2">${escapeHtml(t('team.mapAverage'))}</p>
+                <ol class="mt-4 space-y-1 text-sm text-gray-700 list-decimal list-inside">
+                    ${points.map((point, index) => {
+                        const member = index < size ? team.members[index] : impact.candidate;
+                        return `
+                            <li class="${point.highlight ? 'text-red-700 font-semibold' : ''}">
+                                ${escapeHtml(point.label)} - ${escapeHtml(member.result.typeOrder)}
+                            </li>
+                        `;
+                    }).join('')}
+                </ol>
+            </div>
+
+            <div class="bg-white rounded-lg shadow-md p-6" data-team-distribution>
+                <h3 class="text-lg font-bold text-gray-900 mb-3">${escapeHtml(t('team.distribution'))}</h3>
+                <table class="w-full text-sm text-start">
+                    <thead class="text-gray-600">
+                        <tr>
+                            <th class="py-1 text-start">${escapeHtml(t('team.columns.dimension'))}</th>
+                            <th class="py-1 text-end">${escapeHtml(t('team.columns.average'))}</th>
+                            <th class="py-1 text-end">${escapeHtml(t('team.columns.range'))}</th>
+                            <th class="py-1 text-end">${escapeHtml(t('team.columns.strong', { threshold: STRONG_INTENSITY }))}</th>
+                            ${impact ? `<th class="py-1 text-end">${escapeHtml(t('team.columns.withCandidate', { name: impact.candidate.name }))}</th>` : ''}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${team.distribution.map((entry, index) => `
+                            <tr class="border-t border-gray-200">
+                                <td class="py-1">${escapeHtml(t(`common.dimensions.${entry.dim}`))}</td>
+                                <td class="py-1 text-end">${entry.average}%</td>
+                                <td class="py-1 text-end">${entry.min}-${entry.max}%</td>
+                                <td class="py-1 text-end">${entry.strong}</td>
+                                ${impact ? `<td class="py-1 text-end">${impact.changes[index].after}% (${formatDelta(impact.changes[index].delta)})</td>` : ''}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+
+        <div class="grid gap-6 md:grid-cols-2">
+            <div class="bg-white rounded-lg shadow-md p-6" data-team-gaps>
+                <h3 class="text-lg font-bold text-gray-900 mb-3">${escapeHtml(t('team.gaps'))}</h3>
+                <ul class="space-y-1 text-sm list-disc list-inside">
+                    ${team.gaps.length === 0 ? `<li class="text-gray-600">${escapeHtml(t('team.noGaps'))}</li>` : ''}
+                    ${team.gaps.map(gap => `<li class="text-yellow-800">${escapeHtml(describeTeamGap(gap, size))}</li>`).join('')}
+                    ${impact ? impact.filled.map(gap => `
+                        <li class="text-green-700">${escapeHtml(t(`team.candidateFills.${gap.kind}`, { name: impact.candidate.name, dimension: t(`common.dimensions.${gap.dim}`) }))}</li>
+                    `).join('') : ''}
+                    ${impact ? impact.added.map(gap => `
+                        <li class="text-red-700">${escapeHtml(t('team.candidateAdds', { name: impact.candidate.name, gap: describeTeamGap(gap, size + 1) }))}</li>
+                    `).join('') : ''}
+                </ul>
+            </div>
+
+            <div class="bg-white rounded-lg shadow-md p-6" data-team-friction>
+                <h3 class="text-lg font-bold text-gray-900 mb-3">${escapeHtml(t('team.friction'))}</h3>
+                ${friction.length === 0 ? `<p class="text-sm text-gray-600">${escapeHtml(t('team.noFriction'))}</p>` : ''}
+                <ul class="space-y-3 text-sm">
+                    ${friction.map(pair => `
+                        <li>
+                            ${impact && pair.members.includes(impact.candidate) ? `<span class="inline-block bg-red-100 text-red-800 text-xs rounded px-2 py-0.5 me-1">${escapeHtml(t('team.new'))}</span>` : ''}
+                            <span class="text-gray-800">${escapeHtml(describeFriction(pair))}</span>
+                            ${getBridgingTips(pair).map(tip => `
+                                <span class="block text-xs text-gray-500">${escapeHtml(t('team.bridge', tip))}</span>
+                            `).join('')}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        </div>
+    `;
+}
+
+function formatDelta(delta) {
+    return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/**
+ * Basic unit tests for team analysis
+ */
+export function runTests() {
+    console.log('Running Team Composition Tests...\n');
+
+    const member = (name, primary, D, I, S, C) => ({ name, result: { primary, percentages: { D, I, S, C } } });
+    const ana = member('Ana', 'D', 80, 40, 20, 30);
+    const ben = member('Ben', 'S', 20, 30, 75, 50);
+    const cai = member('Cai', 'D', 65, 20, 30, 55);
+    const dee = member('Dee', 'C', 30, 10, 40, 70);
+
+    // Test 1: Distribution and gaps
+    const team = analyzeTeam([ana, ben, cai]);
+    const [d, i] = team.distribution;
+    console.assert(d.average === 55 && d.min === 20 && d.max === 80 && d.strong === 2 && d.primary === 2, 'Test 1a: Distribution should summarize each dimension');
+    console.assert(team.average.I === 30 && team.members[0] === ana, 'Test 1b: Average should be rounded and named members kept');
+    console.assert(i.strong === 0 && team.gaps.some(gap => gap.dim === 'I' && gap.kind === 'missing'), 'Test 1c: A style no one brings should be missing');
+    console.assert(team.gaps.some(gap => gap.dim === 'D' && gap.kind === 'crowded' && gap.count === 2), 'Test 1d: A style most lead with should be crowded');
+    console.assert(!analyzeTeam([ana, cai]).gaps.some(gap => gap.kind === 'crowded'), 'Test 1e: Teams under 3 should not be crowded');
+    console.log('✓ Test 1: Distribution and gaps passed');
+
+    // Test 2: Friction pairs
+    const reasons = team.friction.map(pair => `${pair.members.map(m => m.name).join('/')}:${pair.reason}`);
+    console.assert(reasons.join() === 'Ana/Ben:pace,Ana/Cai:control,Cai/Ben:pace', 'Test 2a: Pairs should hold the rule\'s first style first');
+    console.assert(findFrictionPairs([member('Eve', 'I', 20, 70, 20, 20), member('Fay', 'C', 20, 20, 20, 55)]).length === 0,
+        'Test 2b: Pairs should need both styles to be strong');
+    console.log('✓ Test 2: Friction pairs passed');
+
+    // Test 3: Candidate impact
+    const impact = assessCandidateImpact([ana, ben], dee);
+    console.assert(impact.candidate === dee && impact.changes[3].before === 40 && impact.changes[3].after === 50 && impact.changes[3].delta === 10,
+        'Test 3a: Changes should compare the averages');
+    console.assert(impact.filled.some(gap => gap.dim === 'C') && impact.added.length === 0, 'Test 3b: A strong candidate should fill a missing style');
+    console.assert(impact.friction.length === 0, 'Test 3c: Candidate without friction should have none');
+    const clash = assessCandidateImpact([ana, ben], cai);
+    console.assert(clash.friction.length === 2 && clash.friction.every(pair => pair.members.includes(cai)), 'Test 3d: Only pairs with the candidate should be listed');
+    console.assert(clash.added.some(gap => gap.dim === 'D' && gap.kind === 'crowded'), 'Test 3e: Gaps the candidate opens should be listed');
+    console.log('✓ Test 3: Candidate impact passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+export default {
+    STRONG_INTENSITY,
+    FRICTION_RULES,
+    toTeamMembers,
+    getTeamDistribution,
+    findTeamGaps,
+    findFrictionPairs,
+    analyzeTeam,
+    assessCandidateImpact,
+    describeTeamGap,
+    describeFriction,
+    getBridgingTips,
+    renderTeamAnalysis,
+    runTests
+};
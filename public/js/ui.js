@@ -3,6 +3,9 @@
  * Handles progress bar, validation feedback, and other UX enhancements
  */
 
+import { t } from './i18n.js';
+import { escapeHtml } from './html.js';
+
 /**
  * Initialize progress bar
  * @param {number} totalGroups - Total number of question groups
@@ -26,9 +29,17 @@ export function updateProgress(responses, totalGroups) {
 
     for (let i = 1; i <= totalGroups; i++) {
         const response = responses[i];
-        if (response && response.most && response.least && response.most !== response.least) {
+        const done = Boolean(response && response.most && response.least && response.most !== response.least);
+        if (done) {
             completed++;
         }
+
+        // Wizard step dots (see wizard.js)
+        const dot = document.querySelector(`[data-step-dot="${i}"]`);
+        if (dot) {
+            dot.classList.toggle('bg-green-500', done);
+            dot.classList.toggle('bg-gray-300', !done);
+        }
     }
 
     const progressBar = document.getElementById('progressBar');
@@ -36,6 +47,11 @@ export function updateProgress(responses, totalGroups) {
         progressBar.value = completed;
     }
 
+    const progressBarVisual = document.getElementById('progressBarVisual');
+    if (progressBarVisual) {
+        progressBarVisual.style.width = `${(completed / totalGroups) * 100}%`;
+    }
+
     updateProgressDisplay(completed, totalGroups);
     
     return completed;
@@ -50,7 +66,7 @@ function updateProgressDisplay(completed, total) {
     const progressText = document.getElementById('progressText');
     if (progressText) {
         const percentage = Math.round((completed / total) * 100);
-        progressText.textContent = `${completed} of ${total} completed (${percentage}%)`;
+        progressText.textContent = t('common.progress', { completed, total, percentage });
     }
 }
 
@@ -109,11 +125,11 @@ export function showLoadingState() {
     if (submitBtn) {
         submitBtn.disabled = true;
         submitBtn.innerHTML = `
-            <svg class="animate-spin -ml-1 mr-3 h-5 w-5 text-white inline-block" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <svg class="animate-spin -ms-1 me-3 h-5 w-5 text-white inline-block" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                 <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
                 <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
             </svg>
-            Submitting...
+            ${t('common.submitting')}
         `;
     }
 }
@@ -129,32 +145,32 @@ export function showResultsSummary(results) {
     const { scores, primaryType, typeOrder } = results;
 
     summaryContainer.innerHTML = `
-        <div class="bg-blue-50 border-l-4 border-blue-500 p-6 rounded-r-lg">
-            <h3 class="text-xl font-bold text-gray-800 mb-4">Your DISC Profile Preview</h3>
+        <div class="bg-blue-50 border-s-4 border-blue-500 p-6 rounded-e-lg">
+            <h3 class="text-xl font-bold text-gray-800 mb-4">${t('assessment.preview.title')}</h3>
             <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
                 <div class="text-center">
                     <div class="text-3xl font-bold text-blue-600">D: ${scores.D}</div>
-                    <div class="text-sm text-gray-600">Dominance</div>
+                    <div class="text-sm text-gray-600">${t('common.dimensions.D')}</div>
                 </div>
                 <div class="text-center">
                     <div class="text-3xl font-bold text-green-600">I: ${scores.I}</div>
-                    <div class="text-sm text-gray-600">Influence</div>
+                    <div class="text-sm text-gray-600">${t('common.dimensions.I')}</div>
                 </div>
                 <div class="text-center">
                     <div class="text-3xl font-bold text-yellow-600">S: ${scores.S}</div>
-                    <div class="text-sm text-gray-600">Steadiness</div>
+                    <div class="text-sm text-gray-600">${t('common.dimensions.S')}</div>
                 </div>
                 <div class="text-center">
                     <div class="text-3xl font-bold text-purple-600">C: ${scores.C}</div>
-                    <div class="text-sm text-gray-600">Conscientiousness</div>
+                    <div class="text-sm text-gray-600">${t('common.dimensions.C')}</div>
                 </div>
             </div>
             <div class="border-t pt-4">
                 <p class="text-gray-700">
-                    <strong>Primary Type:</strong> ${primaryType}
+                    <strong>${t('assessment.preview.primaryType')}</strong> ${primaryType}
                 </p>
                 <p class="text-gray-700">
-                    <strong>Type Order:</strong> ${typeOrder}
+                    <strong>${t('assessment.preview.typeOrder')}</strong> ${typeOrder}
                 </p>
             </div>
         </div>
@@ -211,11 +227,12 @@ export function initializeTooltips() {
 }
 
 /**
- * Create a simple bar chart for DISC scores (SVG)
+ * Lay out the DISC score bars on the 260x240 chart grid (baseline at y=100)
+ * Shared by the SVG chart and the PDF candidate report
  * @param {Object} scores - DISC scores
- * @returns {string} - SVG markup
+ * @returns {Array<Object>} - [{dim, score, x, y, width, height, fill}]
  */
-export function createScoreChart(scores) {
+export function getScoreChartBars(scores) {
     const max = Math.max(...Object.values(scores).map(Math.abs), 10);
     const scale = 100 / max;
     
@@ -226,20 +243,33 @@ export function createScoreChart(scores) {
         C: '#8B5CF6'
     };
 
-    const bars = Object.entries(scores).map(([dim, score], index) => {
+    return Object.entries(scores).map(([dim, score], index) => {
         const height = Math.abs(score * scale);
-        const y = score >= 0 ? 100 - height : 100;
-        const fill = colors[dim];
-        const x = index * 60 + 10;
+        return {
+            dim,
+            score,
+            x: index * 60 + 10,
+            y: score >= 0 ? 100 - height : 100,
+            width: 40,
+            height,
+            fill: colors[dim]
+        };
+    });
+}
 
-        return `
+/**
+ * Create a simple bar chart for DISC scores (SVG)
+ * @param {Object} scores - DISC scores
+ * @returns {string} - SVG markup
+ */
+export function createScoreChart(scores) {
+    const bars = getScoreChartBars(scores).map(({ dim, score, x, y, width, height, fill }) => `
             <g>
-                <rect x="${x}" y="${y}" width="40" height="${height}" fill="${fill}" />
+                <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${fill}" />
                 <text x="${x + 20}" y="${y - 5}" text-anchor="middle" font-size="14" font-weight="bold">${score}</text>
                 <text x="${x + 20}" y="220" text-anchor="middle" font-size="16" font-weight="bold">${dim}</text>
             </g>
-        `;
-    }).join('');
+        `).join('');
 
     return `
         <svg viewBox="0 0 260 240" class="w-full max-w-md mx-auto">
@@ -249,6 +279,100 @@ export function createScoreChart(scores) {
     `;
 }
 
+/**
+ * Position of a profile on the DISC circle, inside the unit circle
+ * Horizontal: task (D, C) vs people (I, S); vertical: active (D, I) vs reflective (S, C)
+ * @param {Object} percentages - DISC intensities (0-100) per dimension
+ * @returns {Object} - {x, y}, each -1..1 (x toward I/S, y toward D/I)
+ */
+export function getQuadrantPosition(percentages) {
+    const { D = 0, I = 0, S = 0, C = 0 } = percentages;
+
+    let x = ((I + S) - (D + C)) / 200;
+    let y = ((D + I) - (S + C)) / 200;
+
+    // Keep the marker inside the circle
+    const distance = Math.sqrt(x * x + y * y);
+    if (distance > 1) {
+        x /= distance;
+        y /= distance;
+    }
+
+    return { x, y };
+}
+
+/**
+ * Create a DISC circle plot (SVG) placing the profile in its quadrant
+ * D top-left, I top-right, S bottom-right, C bottom-left
+ * @param {Object} percentages - DISC intensities (0-100) per dimension
+ * @returns {string} - SVG markup
+ */
+export function createQuadrantPlot(percentages) {
+    const { cx, cy } = toPlotPoint(percentages);
+
+    return `
+        <svg viewBox="0 0 240 240" class="w-full max-w-xs mx-auto" role="img" aria-label="${t('results.circleLabel')}">
+            ${createQuadrantBackground()}
+            <circle cx="${cx.toFixed(1)}" cy="${cy.toFixed(1)}" r="8" fill="#111827" stroke="#fff" stroke-width="3" />
+        </svg>
+    `;
+}
+
+/**
+ * Create a DISC circle plot (SVG) with several people: a numbered marker each,
+ * and an optional ring at the group average
+ * @param {Array<Object>} points - [{percentages, label, highlight}]; highlighted markers are red
+ * @param {Object} options - {average: percentages for the ring, label: accessible name}
+ * @returns {string} - SVG markup
+ */
+export function createTeamQuadrantPlot(points, options = {}) {
+    const markers = points.map((point, index) => {
+        const { cx, cy } = toPlotPoint(point.percentages);
+        return `
+            <g>
+                <title>${escapeHtml(point.label || String(index + 1))}</title>
+                <circle cx="${cx.toFixed(1)}" cy="${cy.toFixed(1)}" r="9" fill="${point.highlight ? '#DC2626' : '#111827'}" stroke="#fff" stroke-width="2" />
+                <text x="${cx.toFixed(1)}" y="${(cy + 3.5).toFixed(1)}" text-anchor="middle" font-size="10" font-weight="bold" fill="#fff">${index + 1}</text>
+            </g>
+        `;
+    }).join('');
+
+    let average = '';
+    if (options.average) {
+        const { cx, cy } = toPlotPoint(options.average);
+        average = `<circle cx="${cx.toFixed(1)}" cy="${cy.toFixed(1)}" r="14" fill="none" stroke="#111827" stroke-width="2" stroke-dasharray="4 3" />`;
+    }
+
+    return `
+        <svg viewBox="0 0 240 240" class="w-full max-w-sm mx-auto" role="img" aria-label="${escapeHtml(options.label || t('results.circleLabel'))}">
+            ${createQuadrantBackground()}
+            ${average}
+            ${markers}
+        </svg>
+    `;
+}
+
+function toPlotPoint(percentages) {
+    const { x, y } = getQuadrantPosition(percentages);
+    return { cx: 120 + x * 90, cy: 120 - y * 90 };
+}
+
+function createQuadrantBackground() {
+    return `
+        <path d="M120 120 L120 20 A100 100 0 0 0 20 120 Z" fill="#3B82F6" fill-opacity="0.15" />
+        <path d="M120 120 L220 120 A100 100 0 0 0 120 20 Z" fill="#10B981" fill-opacity="0.15" />
+        <path d="M120 120 L120 220 A100 100 0 0 0 220 120 Z" fill="#F59E0B" fill-opacity="0.15" />
+        <path d="M120 120 L20 120 A100 100 0 0 0 120 220 Z" fill="#8B5CF6" fill-opacity="0.15" />
+        <circle cx="120" cy="120" r="100" fill="none" stroke="#ccc" stroke-width="2" />
+        <line x1="20" y1="120" x2="220" y2="120" stroke="#ccc" stroke-width="1" />
+        <line x1="120" y1="20" x2="120" y2="220" stroke="#ccc" stroke-width="1" />
+        <text x="70" y="75" text-anchor="middle" font-size="22" font-weight="bold" fill="#3B82F6">D</text>
+        <text x="170" y="75" text-anchor="middle" font-size="22" font-weight="bold" fill="#10B981">I</text>
+        <text x="170" y="180" text-anchor="middle" font-size="22" font-weight="bold" fill="#F59E0B">S</text>
+        <text x="70" y="180" text-anchor="middle" font-size="22" font-weight="bold" fill="#8B5CF6">C</text>
+    `;
+}
+
 /**
  * Animate progress bar
  * @param {number} from - Starting value
@@ -285,6 +409,10 @@ export default {
     showResultsSummary,
     enableSmoothScroll,
     setPageLeaveWarning,
+    getScoreChartBars,
     createScoreChart,
+    getQuadrantPosition,
+    createQuadrantPlot,
+    createTeamQuadrantPlot,
     animateProgressBar
 };
@@ -0,0 +1,263 @@
+/**
+ * Response Validity Module
+ * Flags careless responding (straight-lining, same-position picks, patterned
+ * answers, rushed completion) so low-confidence profiles are not over-interpreted.
+ * Has no DOM access, so it runs in the browser and in Netlify Functions.
+ */
+
+import { findGroupItem } from './scoring-core.js';
+
+export const VALIDITY_THRESHOLDS = {
+    // Share of Likert answers with the same value
+    straightLining: 0.8,
+    // Longest run of identical consecutive Likert answers
+    longestRun: 10,
+    // Share of Most (or Least) picks on the same line of the group
+    samePosition: 0.8,
+    // Share of answers that follow a repeating sequence (e.g. 1-2-3-1-2-3)
+    pattern: 0.9,
+    // Minimum plausible seconds per question
+    minSecondsPerItem: {
+        'likert': 2,
+        'most-least': 4
+    }
+};
+
+/**
+ * Compute validity indicators for a set of responses
+ * @param {Object} instrument - Instrument definition (see scoring-core.js)
+ * @param {Object} responses - Responses keyed by group id or item id
+ * @param {Object} timing - {startedAt, submittedAt} in ms, or {completionSeconds}
+ * @param {Object} thresholds - Overrides for VALIDITY_THRESHOLDS
+ * @returns {Object} - {indicators, flags, lowConfidence}
+ */
+export function assessValidity(instrument, responses, timing = {}, thresholds = {}) {
+    const limits = { ...VALIDITY_THRESHOLDS, ...thresholds };
+    const flags = [];
+
+    const indicators = instrument.type === 'most-least'
+        ? mostLeastIndicators(instrument, responses)
+        : likertIndicators(instrument, responses);
+
+    if (instrument.type === 'likert') {
+        if (indicators.modalShare >= limits.straightLining || indicators.longestRun >= limits.longestRun) {
+            flags.push('straight_lining');
+        }
+        if (indicators.patternShare >= limits.pattern) {
+            flags.push('patterned');
+        }
+    } else {
+        if (indicators.mostPositionShare >= limits.samePosition || indicators.leastPositionShare >= limits.samePosition) {
+            flags.push('same_position');
+        }
+        if (indicators.patternShare >= limits.pattern) {
+            flags.push('patterned');
+        }
+    }
+
+    // Completion time
+    const completionSeconds = getCompletionSeconds(timing);
+    const itemCount = instrument.type === 'most-least' ? instrument.groups.length : instrument.items.length;
+    indicators.completionSeconds = completionSeconds;
+    indicators.secondsPerItem = completionSeconds === null ? null : round(completionSeconds / itemCount);
+
+    const minSeconds = limits.minSecondsPerItem[instrument.type];
+    if (indicators.secondsPerItem !== null && indicators.secondsPerItem < minSeconds) {
+        flags.push('too_fast');
+    }
+
+    return {
+        indicators,
+        flags,
+        lowConfidence: flags.length > 0
+    };
+}
+
+/**
+ * Map a validity result onto the submitted form fields
+ * @param {Object} validity - Result of assessValidity
+ * @returns {Object} - {completion_seconds, validity_flags, validity_vector, low_confidence}
+ */
+export function formatValidityFields(validity) {
+    const { completionSeconds } = validity.indicators;
+
+    return {
+        completion_seconds: completionSeconds === null ? '' : completionSeconds,
+        validity_flags: validity.flags.join(','),
+        validity_vector: JSON.stringify(validity.indicators),
+        low_confidence: validity.lowConfidence ? 'true' : 'false'
+    };
+}
+
+/**
+ * Likert indicators in presentation order: modal share, longest run, spread, patterns
+ */
+function likertIndicators(instrument, responses) {
+    const values = instrument.items
+        .map(item => Number(responses[item.id]))
+        .filter(value => value >= instrument.scale.min && value <= instrument.scale.max);
+
+    return {
+        answered: values.length,
+        modalShare: modalShare(values),
+        longestRun: longestRun(values),
+        standardDeviation: round(standardDeviation(values)),
+        patternShare: patternShare(values)
+    };
+}
+
+/**
+ * Most/Least indicators: how often picks land on the same line, and patterns in pick positions
+ */
+function mostLeastIndicators(instrument, responses) {
+    const mostPositions = [];
+    const leastPositions = [];
+
+    instrument.groups.forEach(group => {
+        const response = responses[group.id];
+        if (!response) return;
+
+        const most = group.items.indexOf(findGroupItem(group, response.most));
+        const least = group.items.indexOf(findGroupItem(group, response.least));
+        if (most !== -1) mostPositions.push(most);
+        if (least !== -1) leastPositions.push(least);
+    });
+
+    return {
+        answered: Math.min(mostPositions.length, leastPositions.length),
+        mostPositionShare: modalShare(mostPositions),
+        leastPositionShare: modalShare(leastPositions),
+        patternShare: patternShare(mostPositions)
+    };
+}
+
+/**
+ * Share of positions that repeat a short cycle (period 2-6) without being a straight line.
+ * Straight lines are reported separately, so a constant sequence scores 0 here.
+ */
+function patternShare(values) {
+    if (values.length < 6 || new Set(values).size === 1) return 0;
+
+    let best = 0;
+    for (let period = 2; period <= 6; period++) {
+        let matches = 0;
+        for (let i = period; i < values.length; i++) {
+            if (values[i] === values[i - period]) matches++;
+        }
+        best = Math.max(best, matches / (values.length - period));
+    }
+    return round(best);
+}
+
+function longestRun(values) {
+    let longest = 0;
+    let current = 0;
+    values.forEach((value, index) => {
+        current = index > 0 && value === values[index - 1] ? current + 1 : 1;
+        longest = Math.max(longest, current);
+    });
+    return longest;
+}
+
+function modalShare(values) {
+    if (values.length === 0) return 0;
+    const counts = {};
+    values.forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+    });
+    return round(Math.max(...Object.values(counts)) / values.length);
+}
+
+function standardDeviation(values) {
+    if (values.length === 0) return 0;
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+    return Math.sqrt(variance);
+}
+
+function getCompletionSeconds(timing) {
+    if (typeof timing.completionSeconds === 'number' && !isNaN(timing.completionSeconds)) {
+        return timing.completionSeconds;
+    }
+    if (timing.startedAt && timing.submittedAt) {
+        return Math.round((timing.submittedAt - timing.startedAt) / 1000);
+    }
+    return null;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Basic unit tests for validity indicators
+ */
+export function runTests() {
+    console.log('Running Response Validity Tests...\n');
+
+    const likert = {
+        type: 'likert',
+        scale: { min: 1, max: 5 },
+        items: Array.from({ length: 20 }, (_, index) => ({ id: `q${index + 1}` }))
+    };
+    const likertAnswers = values => Object.fromEntries(values.map((value, index) => [`q${index + 1}`, value]));
+    const varied = [4, 2, 5, 1, 3, 3, 5, 2, 4, 1, 2, 4, 3, 5, 1, 4, 2, 2, 5, 3];
+
+    const mostLeast = {
+        type: 'most-least',
+        groups: Array.from({ length: 10 }, (_, index) => ({
+            id: index + 1,
+            items: ['D', 'I', 'S', 'C'].map(dim => ({ id: `g${index + 1}${dim}`, label: `${dim} ${index + 1}`, dim }))
+        }))
+    };
+    const picks = (most, least) => Object.fromEntries(mostLeast.groups.map((group, index) => [
+        group.id, { most: group.items[most(index)].id, least: group.items[least(index)].id }
+    ]));
+
+    // Test 1: Clean Likert answers
+    const clean = assessValidity(likert, likertAnswers(varied), { completionSeconds: 120 });
+    console.assert(clean.flags.length === 0 && clean.lowConfidence === false, 'Test 1a: Varied answers should not be flagged');
+    console.assert(clean.indicators.answered === 20 && clean.indicators.modalShare === 0.25 && clean.indicators.longestRun === 2, 'Test 1b: Indicators should be computed');
+    console.assert(clean.indicators.secondsPerItem === 6, 'Test 1c: Seconds per item should be computed');
+    console.log('✓ Test 1: Clean Likert answers passed');
+
+    // Test 2: Careless Likert answers
+    const straight = assessValidity(likert, likertAnswers(Array(20).fill(3)), {});
+    console.assert(straight.flags.join() === 'straight_lining' && straight.indicators.patternShare === 0, 'Test 2a: Same answer throughout should be straight-lining only');
+    const run = [...varied.slice(0, 9), ...Array(11).fill(4)];
+    console.assert(assessValidity(likert, likertAnswers(run)).flags.includes('straight_lining'), 'Test 2b: A long run should be straight-lining');
+    const cycle = Array.from({ length: 20 }, (_, index) => (index % 3) + 1);
+    console.assert(assessValidity(likert, likertAnswers(cycle)).flags.join() === 'patterned', 'Test 2c: A repeating cycle should be patterned');
+    console.assert(assessValidity(likert, likertAnswers(varied.map(String)), { startedAt: 1000, submittedAt: 21000 }).flags.join() === 'too_fast',
+        'Test 2d: A rushed completion should be too fast');
+    console.assert(assessValidity(likert, likertAnswers(varied), { completionSeconds: 20 }, { minSecondsPerItem: { likert: 1 } }).flags.length === 0,
+        'Test 2e: Thresholds should be overridable');
+    console.log('✓ Test 2: Careless Likert answers passed');
+
+    // Test 3: Most/Least answers
+    const mixed = [0, 2, 1, 3, 2, 0, 3, 1, 1, 2];
+    const cleanPicks = assessValidity(mostLeast, picks(index => mixed[index], index => (mixed[index] + 1) % 4), { completionSeconds: 100 });
+    console.assert(cleanPicks.flags.length === 0 && cleanPicks.indicators.answered === 10, 'Test 3a: Mixed picks should not be flagged');
+    console.assert(assessValidity(mostLeast, picks(() => 0, index => mixed[index] || 1)).flags.join() === 'same_position', 'Test 3b: Most on one line should be flagged');
+    console.assert(assessValidity(mostLeast, picks(index => index % 2, () => 3)).flags.join() === 'same_position,patterned', 'Test 3c: Alternating picks should be patterned');
+    const byLabel = Object.fromEntries(mostLeast.groups.map((group, index) => [group.id, { most: group.items[mixed[index]].label, least: group.items[(mixed[index] + 1) % 4].label }]));
+    console.assert(assessValidity(mostLeast, byLabel).indicators.answered === 10, 'Test 3d: Label answers should be read');
+    console.assert(assessValidity(mostLeast, {}, { completionSeconds: 30 }).flags.join() === 'too_fast', 'Test 3e: Most/Least should use its own time limit');
+    console.log('✓ Test 3: Most/Least answers passed');
+
+    // Test 4: Form fields
+    const fields = formatValidityFields(straight);
+    console.assert(fields.completion_seconds === '' && fields.validity_flags === 'straight_lining' && fields.low_confidence === 'true', 'Test 4a: Fields should be strings');
+    console.assert(JSON.parse(fields.validity_vector).modalShare === 1, 'Test 4b: Indicators should be kept as JSON');
+    console.assert(formatValidityFields(clean).completion_seconds === 120 && formatValidityFields(clean).low_confidence === 'false', 'Test 4c: Clean result should not be low confidence');
+    console.log('✓ Test 4: Form fields passed');
+
+    console.log('\n✓ All tests passed!');
+}
+
+export default {
+    VALIDITY_THRESHOLDS,
+    assessValidity,
+    formatValidityFields,
+    runTests
+};
@@ -0,0 +1,346 @@
+/**
+ * Wizard Module
+ * Optional stepper for the Most/Least form: one group at a time with Back/Next,
+ * auto-advance once Most and Least are chosen, keyboard shortcuts, and a review
+ * screen before submit. Works on top of the groups rendered by renderQuestions,
+ * so every radio stays in the form for scoring, autosave and Netlify Forms.
+ */
+
+import { getCurrentResponses, getQuestions } from './questions.js';
+import { findGroupItem } from './scoring-core.js';
+import { t, isRtl } from './i18n.js';
+
+// Use the wizard by default on phones; ?mode=wizard or ?mode=list overrides
+const WIZARD_ON_SMALL_SCREENS = true;
+const SMALL_SCREEN_QUERY = '(max-width: 767px)';
+
+// Pause before moving on, so the candidate sees their second pick land
+const AUTO_ADVANCE_DELAY = 350;
+
+let form = null;
+let container = null;
+let steps = [];
+let current = 0;
+let advanceTimer = null;
+let nav = null;
+let review = null;
+
+/**
+ * Decide whether to run the wizard for this visit
+ * @returns {boolean} - True for wizard mode
+ */
+export function isWizardRequested() {
+    const mode = new URLSearchParams(window.location.search).get('mode');
+    if (mode === 'wizard') return true;
+    if (mode === 'list') return false;
+
+    return WIZARD_ON_SMALL_SCREENS &&
+        typeof window.matchMedia === 'function' &&
+        window.matchMedia(SMALL_SCREEN_QUERY).matches;
+}
+
+/**
+ * Turn the rendered question list into a stepper
+ * @param {HTMLFormElement} formElement - Assessment form
+ * @param {HTMLElement} questionsContainer - Container filled by renderQuestions
+ */
+export function initializeWizard(formElement, questionsContainer) {
+    form = formElement;
+    container = questionsContainer;
+    // Group ids in the order they were rendered (may be shuffled, see shuffle.js)
+    steps = Array.from(container.querySelectorAll('.question-group'), element => Number(element.dataset.groupId));
+
+    if (!form || !container || steps.length === 0) {
+        console.error('Wizard needs a rendered assessment form');
+        return;
+    }
+
+    review = createReview();
+    nav = createNav();
+    container.after(review, nav);
+
+    form.addEventListener('change', handleChange);
+    // Sent by restoreProgress (autosave.js) after resuming saved answers
+    form.addEventListener('progressrestored', () => goTo(firstIncompleteStep()));
+    document.addEventListener('keydown', handleKeydown);
+
+    show(0, false);
+    console.log('Wizard mode enabled');
+}
+
+/**
+ * Show a step: 0..steps.length-1 are groups, steps.length is the review screen
+ * @param {number} index - Step index
+ */
+export function goTo(index) {
+    show(index, true);
+}
+
+function show(index, focus) {
+    clearTimeout(advanceTimer);
+    current = Math.max(0, Math.min(index, steps.length));
+    const reviewing = current === steps.length;
+
+    steps.forEach((groupId, stepIndex) => {
+        const groupElement = document.getElementById(`group-${groupId}`);
+        if (groupElement) {
+            groupElement.hidden = stepIndex !== current;
+        }
+    });
+
+    review.hidden = !reviewing;
+    setHidden('submitSection', !reviewing);
+    setHidden('resultsSummary', !reviewing);
+
+    if (reviewing) {
+        renderReview();
+    }
+
+    updateNav();
+    if (focus) {
+        focusStep();
+    }
+}
+
+/**
+ * Move to the next step (the review screen after the last group)
+ */
+export function next() {
+    goTo(current + 1);
+}
+
+/**
+ * Move to the previous step
+ */
+export function back() {
+    goTo(current - 1);
+}
+
+function handleChange(e) {
+    if (e.target.type !== 'radio') return;
+    updateNav();
+
+    // Only real clicks auto-advance; restored answers fire untrusted events
+    if (e.isTrusted) {
+        scheduleAdvance();
+    }
+}
+
+function scheduleAdvance() {
+    clearTimeout(advanceTimer);
+    if (current < steps.length && isGroupComplete(steps[current])) {
+        advanceTimer = setTimeout(next, AUTO_ADVANCE_DELAY);
+    }
+}
+
+/**
+ * Keyboard shortcuts: 1-9 pick Most, Shift+1-9 pick Least, arrow keys move
+ * (in reading direction, so ArrowLeft is "next" in right-to-left locales)
+ */
+function handleKeydown(e) {
+    const target = e.target;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (target && (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' ||
+        (target.tagName === 'INPUT' && target.type !== 'radio'))) {
+        return;
+    }
+
+    const digit = /^Digit([1-9])$/.exec(e.code || '');
+    if (digit && current < steps.length) {
+        e.preventDefault();
+        select(steps[current], Number(digit[1]) - 1, e.shiftKey ? 'least' : 'most');
+        return;
+    }
+
+    // Arrow keys on a focused radio move its selection, so leave them alone there
+    if (target && target.type === 'radio') return;
+
+    const forward = isRtl() ? 'ArrowLeft' : 'ArrowRight';
+    const backward = isRtl() ? 'ArrowRight' : 'ArrowLeft';
+    if (e.key === forward) {
+        e.preventDefault();
+        next();
+    } else if (e.key === backward) {
+        e.preventDefault();
+        back();
+    }
+}
+
+function select(groupId, index, column) {
+    const radio = document.getElementById(`g${groupId}_${column}_${index}`);
+    if (!radio) return;
+
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change', { bubbles: true }));
+    scheduleAdvance();
+}
+
+function isGroupComplete(groupId) {
+    const response = getCurrentResponses()[groupId];
+    return Boolean(response && response.most && response.least && response.most !== response.least);
+}
+
+function firstIncompleteStep() {
+    const index = steps.findIndex(groupId => !isGroupComplete(groupId));
+    return index === -1 ? steps.length : index;
+}
+
+/**
+ * Create the Back / step indicator / Next bar with one dot per group.
+ * Completed dots are coloured by updateProgress (ui.js).
+ */
+function createNav() {
+    const element = document.createElement('div');
+    element.id = 'wizardNav';
+    element.className = 'bg-white p-4 rounded-lg shadow-md';
+    element.innerHTML = `
+        <ol class="flex flex-wrap justify-center gap-2 mb-4" aria-label="${t('wizard.questions')}">
+            ${steps.map((groupId, index) => `
+                <li>
+                    <button type="button" data-step="${index}" data-step-dot="${groupId}"
+                            class="block w-3 h-3 rounded-full bg-gray-300"
+                            aria-label="${t('wizard.goTo', { number: index + 1 })}"></button>
+                </li>
+            `).join('')}
+        </ol>
+        <div class="flex items-center justify-between gap-4">
+            <button type="button" data-action="back" class="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 font-semibold hover:bg-gray-50 disabled:opacity-50">${t('wizard.back')}</button>
+            <span id="wizardStep" class="text-sm font-medium text-gray-700" aria-live="polite"></span>
+            <button type="button" data-action="next" class="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700">${t('wizard.next')}</button>
+        </div>
+        <p class="hidden md:block text-xs text-gray-500 text-center mt-3">
+            ${t(isRtl() ? 'wizard.keyboardHintRtl' : 'wizard.keyboardHint')}
+        </p>
+    `;
+
+    element.querySelector('[data-action="back"]').addEventListener('click', back);
+    element.querySelector('[data-action="next"]').addEventListener('click', next);
+    element.querySelectorAll('[data-step]').forEach(dot => {
+        dot.addEventListener('click', () => goTo(Number(dot.dataset.step)));
+    });
+
+    return element;
+}
+
+function updateNav() {
+    const reviewing = current === steps.length;
+    const stepText = nav.querySelector('#wizardStep');
+    stepText.textContent = reviewing
+        ? t('wizard.reviewing')
+        : t('assessment.questionOf', { number: current + 1, total: steps.length });
+
+    nav.querySelector('[data-action="back"]').disabled = current === 0;
+
+    const nextButton = nav.querySelector('[data-action="next"]');
+    nextButton.hidden = reviewing;
+    nextButton.textContent = t(current === steps.length - 1 ? 'wizard.review' : 'wizard.next');
+
+    nav.querySelectorAll('[data-step]').forEach(dot => {
+        const active = Number(dot.dataset.step) === current;
+        dot.classList.toggle('ring-2', active);
+        dot.classList.toggle('ring-blue-500', active);
+        dot.classList.toggle('ring-offset-1', active);
+        if (active) {
+            dot.setAttribute('aria-current', 'step');
+        } else {
+            dot.removeAttribute('aria-current');
+        }
+    });
+}
+
+function createReview() {
+    const element = document.createElement('div');
+    element.id = 'wizardReview';
+    element.className = 'bg-white p-6 rounded-lg shadow-md';
+    element.hidden = true;
+    return element;
+}
+
+/**
+ * List every group's answers with a link back to change them
+ */
+function renderReview() {
+    const responses = getCurrentResponses();
+    const missing = steps.filter(groupId => !isGroupComplete(groupId)).length;
+
+    review.innerHTML = `
+        <h2 class="text-xl font-bold text-gray-900 mb-2" tabindex="-1">${t('wizard.reviewTitle')}</h2>
+        <p class="text-sm ${missing ? 'text-red-600' : 'text-gray-600'} mb-4">
+            ${missing
+                ? t('wizard.missing', { count: missing })
+                : t('wizard.readyToSubmit')}
+        </p>
+        <ol class="divide-y divide-gray-200"></ol>
+    `;
+
+    const list = review.querySelector('ol');
+    steps.forEach((groupId, index) => {
+        const response = responses[groupId] || {};
+        const group = getQuestions().find(entry => entry.id === groupId);
+        const complete = isGroupComplete(groupId);
+
+        const item = document.createElement('li');
+        item.className = 'py-3 flex items-start justify-between gap-4';
+
+        const answers = document.createElement('div');
+        answers.className = 'text-sm';
+        const title = document.createElement('p');
+        title.className = `font-semibold ${complete ? 'text-gray-800' : 'text-red-600'}`;
+        title.textContent = t(complete ? 'wizard.questionLine' : 'wizard.incomplete', { number: index + 1 });
+        answers.appendChild(title);
+        answers.appendChild(createAnswerLine(t('wizard.most'), getAnswerLabel(group, response.most)));
+        answers.appendChild(createAnswerLine(t('wizard.least'), getAnswerLabel(group, response.least)));
+        item.appendChild(answers);
+
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'text-sm text-blue-600 hover:underline shrink-0';
+        edit.textContent = t('wizard.change');
+        edit.setAttribute('aria-label', t('wizard.changeAria', { number: index + 1 }));
+        edit.addEventListener('click', () => goTo(index));
+        item.appendChild(edit);
+
+        list.appendChild(item);
+    });
+}
+
+// Answers are item ids; show the statement the candidate picked
+function getAnswerLabel(group, value) {
+    const item = group ? findGroupItem(group, value) : null;
+    return item ? item.label : value;
+}
+
+function createAnswerLine(label, value) {
+    const line = document.createElement('p');
+    line.className = 'text-gray-600';
+    line.textContent = `${label}: ${value || '-'}`;
+    return line;
+}
+
+function focusStep() {
+    const target = current === steps.length
+        ? review.querySelector('h2')
+        : document.querySelector(`#group-${steps[current]} legend`);
+    if (!target) return;
+
+    if (!target.hasAttribute('tabindex')) {
+        target.setAttribute('tabindex', '-1');
+    }
+    target.focus({ preventScroll: true });
+    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function setHidden(id, hidden) {
+    const element = document.getElementById(id);
+    if (element) {
+        element.hidden = hidden;
+    }
+}
+
+export default {
+    isWizardRequested,
+    initializeWizard,
+    goTo,
+    next,
+    back
+};
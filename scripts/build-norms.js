@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Build Norm Table
+ *
+ * Generates public/data/disc_norms.json from historical submissions, or a
+ * provisional random-responding baseline when no history is available yet.
+ *
+ * Usage:
+ *   node scripts/build-norms.js submissions.jsonl [more files...] > public/data/disc_norms.json
+ *   node scripts/build-norms.js --baseline > public/data/disc_norms.json
+ *
+ * Input files are JSON arrays or JSON Lines of Netlify submissions ({ data: {...} })
+ * or bare form fields. Raw answers are re-scored server-side; incomplete and
+ * low-confidence submissions are skipped unless --include-low-confidence is passed.
+ * Norms are keyed by instrument version ("disc-likert@2"), since item changes shift raw totals.
+ */
+
+const fs = require('fs');
+const { scoreSubmission } = require('../netlify/lib/rescore');
+const { listItemBanks } = require('../netlify/lib/item-banks');
+const { DIMENSIONS } = require('../public/js/scoring-core.js');
+
+/**
+ * Read submissions from a JSON array or JSON Lines file
+ * @param {string} file - Path to the file
+ * @returns {Array} - Submitted form fields
+ */
+function readSubmissions(file) {
+    const text = fs.readFileSync(file, 'utf8').trim();
+    if (!text) return [];
+
+    const records = text.startsWith('[')
+        ? JSON.parse(text)
+        : text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+    return records.map(record => record.data || record);
+}
+
+/**
+ * Norms from observed totals: mean, sample SD and a mid-rank percentile table
+ * @param {Array<number>} values - Raw totals for one dimension
+ */
+function describe(values) {
+    const n = values.length;
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    const variance = n > 1
+        ? values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (n - 1)
+        : 0;
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const percentiles = [...new Set(sorted)].map(raw => {
+        const below = sorted.filter(value => value < raw).length;
+        const equal = sorted.filter(value => value === raw).length;
+        return [raw, Math.round(((below + equal / 2) / n) * 100)];
+    });
+
+    return {
+        mean: round(mean),
+        sd: round(Math.sqrt(variance)),
+        percentiles
+    };
+}
+
+/**
+ * Build norms from historical submissions
+ * @param {Array} submissions - Submitted form fields
+ * @param {Object} options - {includeLowConfidence}
+ */
+function buildFromSubmissions(submissions, options = {}) {
+    const totalsByInstrument = {};
+
+    submissions.forEach(data => {
+        if (!options.includeLowConfidence && String(data.low_confidence) === 'true') return;
+
+        const scored = scoreSubmission(data);
+        if (!scored || !scored.complete) return;
+
+        const { version, result } = scored;
+        totalsByInstrument[version] = totalsByInstrument[version] || [];
+        totalsByInstrument[version].push(result.totals);
+    });
+
+    const instruments = {};
+    Object.entries(totalsByInstrument).forEach(([version, rows]) => {
+        const dimensions = {};
+        DIMENSIONS.forEach(dim => {
+            dimensions[dim] = describe(rows.map(totals => totals[dim]));
+        });
+        instruments[version] = {
+            id: `${version}-historical`,
+            source: 'historical',
+            sampleSize: rows.length,
+            dimensions
+        };
+    });
+
+    return instruments;
+}
+
+/**
+ * Provisional norms for a random responder (no percentile table; normal approximation)
+ * for every registered instrument version
+ * Most/Least: each group adds +1, 0 or -1 with p = 1/4, 1/2, 1/4 (variance 1/2)
+ * Likert: uniform answers on min..max
+ */
+function buildBaseline() {
+    const instruments = {};
+
+    listItemBanks().forEach(bank => {
+        const version = `${bank.id}@${bank.version}`;
+        const dimensions = {};
+
+        DIMENSIONS.forEach(dim => {
+            if (bank.type === 'most-least') {
+                const groups = bank.groups.filter(group => group.items.some(item => item.dim === dim)).length;
+                dimensions[dim] = { mean: 0, sd: round(Math.sqrt(groups / 2)), percentiles: [] };
+            } else {
+                const { min, max } = bank.scale;
+                const points = max - min + 1;
+                const items = bank.items.filter(item => item.dim === dim).length;
+                dimensions[dim] = {
+                    mean: items * (min + max) / 2,
+                    sd: round(Math.sqrt(items * (points * points - 1) / 12)),
+                    percentiles: []
+                };
+            }
+        });
+
+        instruments[version] = { id: `${version}-baseline`, source: 'baseline', sampleSize: 0, dimensions };
+    });
+
+    return instruments;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function main(args) {
+    const baseline = args.includes('--baseline');
+    const includeLowConfidence = args.includes('--include-low-confidence');
+    const files = args.filter(arg => !arg.startsWith('--'));
+
+    if (!baseline && files.length === 0) {
+        console.error('Usage: node scripts/build-norms.js <submissions.json|jsonl>... | --baseline');
+        process.exit(1);
+    }
+
+    const instruments = baseline
+        ? buildBaseline()
+        : buildFromSubmissions(files.flatMap(readSubmissions), { includeLowConfidence });
+
+    if (Object.keys(instruments).length === 0) {
+        console.error('No complete submissions found - norm table not generated');
+        process.exit(1);
+    }
+
+    const table = {
+        generatedAt: new Date().toISOString(),
+        instruments
+    };
+    process.stdout.write(JSON.stringify(table, null, 2) + '\n');
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {
+    readSubmissions,
+    buildFromSubmissions,
+    buildBaseline
+};
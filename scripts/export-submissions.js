@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Export Submissions
+ *
+ * Writes DISC submissions as CSV or JSON Lines, one re-scored row per
+ * submission (see netlify/lib/submission-export.js), optionally laid out for
+ * an applicant-tracking-system import.
+ *
+ * Usage:
+ *   node scripts/export-submissions.js [submissions.json|jsonl...] [options] > export.csv
+ *
+ * Options:
+ *   --format csv|jsonl           Output format (default: csv)
+ *   --profile <id|file.json>     ATS column layout: greenhouse, lever, workable, bamboohr,
+ *                                or a custom profile file (see netlify/lib/export-profiles.js)
+ *   --role <text>                Role contains text
+ *   --requisition <id>           Invitation requisition
+ *   --primary D|I|S|C            Primary style
+ *   --from <YYYY-MM-DD>          Submitted on or after
+ *   --to <YYYY-MM-DD>            Submitted on or before
+ *
+ * Input files are JSON arrays or JSON Lines of Netlify submissions
+ * ({ id, created_at, data: {...} }) or bare form fields. Without files the
+ * submissions are read from SUBMISSION_STORE, or from Netlify Forms with
+ * NETLIFY_API_TOKEN and SITE_ID.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exportSubmissions } = require('../netlify/lib/submission-export');
+const { listExportProfiles, validateExportProfile } = require('../netlify/lib/export-profiles');
+const { loadSubmissionHistory } = require('../netlify/lib/submission-store');
+
+const VALUE_OPTIONS = ['format', 'profile', 'role', 'requisition', 'primary', 'from', 'to'];
+
+/**
+ * Read submissions from a JSON array or JSON Lines file, keeping their metadata
+ * @param {string} file - Path to the file
+ * @returns {Array<Object>} - Submissions ({id, created_at, form_name, data})
+ */
+function readSubmissionRecords(file) {
+    const text = fs.readFileSync(file, 'utf8').trim();
+    if (!text) return [];
+
+    const records = text.startsWith('[')
+        ? JSON.parse(text)
+        : text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+    return records.map(record => (record.data ? record : { data: record }));
+}
+
+/**
+ * Split arguments into files and --name value options
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} - {files, options}
+ */
+function parseArgs(args) {
+    const files = [];
+    const options = {};
+
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (!arg.startsWith('--')) {
+            files.push(arg);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        if (!VALUE_OPTIONS.includes(name) || args[index + 1] === undefined) {
+            throw new Error(`Unknown option or missing value: ${arg}`);
+        }
+        options[name] = args[++index];
+    }
+
+    return { files, options };
+}
+
+/**
+ * Resolve --profile to a built-in id or a custom profile read from a file
+ */
+function readProfile(value) {
+    if (!value || listExportProfiles().some(profile => profile.id === value)) {
+        return value;
+    }
+
+    const profile = JSON.parse(fs.readFileSync(path.resolve(value), 'utf8'));
+    const problems = validateExportProfile(profile);
+    if (problems.length > 0) {
+        throw new Error(`Invalid profile ${value}: ${problems.join('; ')}`);
+    }
+    return profile;
+}
+
+async function main(args) {
+    let files;
+    let options;
+    let profile;
+    try {
+        ({ files, options } = parseArgs(args));
+        profile = readProfile(options.profile);
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node scripts/export-submissions.js [submissions.json|jsonl...] [--format csv|jsonl] [--profile <id|file>] [--role ..] [--from ..] [--to ..]');
+        process.exit(1);
+    }
+
+    const submissions = files.length > 0
+        ? files.flatMap(readSubmissionRecords)
+        : await loadSubmissionHistory();
+    if (!submissions) {
+        console.error('No input files, and neither SUBMISSION_STORE nor NETLIFY_API_TOKEN is set');
+        process.exit(1);
+    }
+
+    const exported = exportSubmissions(submissions, {
+        format: options.format,
+        profile,
+        filters: {
+            role: options.role,
+            requisition: options.requisition,
+            primary: options.primary,
+            from: options.from,
+            to: options.to
+        }
+    });
+
+    process.stdout.write(exported.body);
+    console.error(`Exported ${exported.count} of ${submissions.length} submissions`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    readSubmissionRecords
+};
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Migrate Label Answers
+ *
+ * Most/Least submissions made before items had stable ids carry the statement
+ * text as their answers (g1_most = "I enjoy meeting new people..."). They still
+ * re-score, because the scoring core falls back to matching labels, but only
+ * while the label text is unchanged. This rewrites them to item ids of an
+ * id-bearing version, so a later typo fix in the statements cannot orphan them.
+ *
+ * Usage:
+ *   node scripts/migrate-label-answers.js submissions.jsonl [more files...] > migrated.jsonl
+ *   node scripts/migrate-label-answers.js --to 2 submissions.jsonl > migrated.jsonl
+ *
+ * Input files are JSON arrays or JSON Lines of Netlify submissions ({ data: {...} })
+ * or bare form fields; output is JSON Lines of form fields. Submissions with an
+ * answer that matches no statement in the target version are passed through
+ * unchanged and listed on stderr (migrate them with --to an older version).
+ */
+
+const { readSubmissions } = require('./build-norms');
+const { getItemBank, migrateLabelAnswers } = require('../netlify/lib/item-banks');
+const { MOST_LEAST_ID, formatInstrumentVersion } = require('../public/js/instruments.js');
+
+function main(args) {
+    const toIndex = args.indexOf('--to');
+    const version = toIndex === -1 ? null : args[toIndex + 1];
+    const files = args.filter((arg, index) => !arg.startsWith('--') && (toIndex === -1 || index !== toIndex + 1));
+
+    if (files.length === 0) {
+        console.error('Usage: node scripts/migrate-label-answers.js [--to <version>] <submissions.json|jsonl>...');
+        process.exit(1);
+    }
+
+    const target = getItemBank(MOST_LEAST_ID, version);
+    if (!target) {
+        console.error(`Unknown version ${version} of ${MOST_LEAST_ID}`);
+        process.exit(1);
+    }
+    if (!target.groups.every(group => group.items.every(item => item.id))) {
+        console.error(`${formatInstrumentVersion(target)} has no item ids; pick a later version with --to`);
+        process.exit(1);
+    }
+
+    const label = formatInstrumentVersion(target);
+    const counts = { migrated: 0, unchanged: 0, unmatched: 0 };
+    files.flatMap(readSubmissions).forEach((data, index) => {
+        const result = migrateLabelAnswers(data, target);
+        if (result.migrated) {
+            counts.migrated += 1;
+        } else if (result.unmatched.length > 0) {
+            counts.unmatched += 1;
+            console.error(`Submission ${index + 1}${data.email ? ` (${data.email})` : ''}: no match in ${label} for ${result.unmatched.join(', ')}`);
+        } else {
+            counts.unchanged += 1;
+        }
+        process.stdout.write(JSON.stringify(result.data) + '\n');
+    });
+
+    console.error(`${counts.migrated} migrated, ${counts.unchanged} already keyed by id or not Most/Least, ${counts.unmatched} left unmatched`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
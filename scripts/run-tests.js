@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Run Unit Tests
+ *
+ * Runs the runTests() suite of each module below (awaiting the async ones) and
+ * exits with status 1 when an assertion fails or a suite throws. The suites use console.assert (so they
+ * also run in the browser console), which only logs in Node; failures are
+ * counted here.
+ *
+ * Usage:
+ *   node scripts/run-tests.js
+ *
+ * Needs Node 20.19+ or 22.12+, which load the browser ES modules with require.
+ */
+
+const path = require('path');
+
+const SUITES = [
+    'public/js/scoring.js',
+    'public/js/validity.js',
+    'public/js/norms.js',
+    'public/js/shuffle.js',
+    'public/js/fit.js',
+    'public/js/team.js',
+    'netlify/lib/rescore.js',
+    'netlify/lib/signing.js',
+    'netlify/lib/results-link.js',
+    'netlify/lib/webhook-delivery.js',
+    'netlify/lib/webhook-destinations.js',
+    'netlify/lib/templates.js',
+    'netlify/lib/submission-export.js',
+    'netlify/lib/export-profiles.js',
+    'netlify/lib/role-benchmarks.js',
+    'netlify/lib/form-signature.js',
+    'netlify/lib/file-store.js',
+    'netlify/lib/blob-store.js',
+    'netlify/lib/smtp.js',
+    'netlify/lib/pdf.js'
+];
+
+async function main() {
+    let failures = 0;
+    const assert = console.assert;
+    console.assert = (condition, ...message) => {
+        if (!condition) failures++;
+        assert(condition, ...message);
+    };
+
+    for (const suite of SUITES) {
+        console.log(`# ${suite}`);
+        try {
+            await require(path.join(__dirname, '..', suite)).runTests();
+        } catch (error) {
+            failures++;
+            console.error(`✗ ${suite} threw:`, error);
+        }
+        console.log('');
+    }
+
+    console.assert = assert;
+    console.log(failures === 0 ? `${SUITES.length} suite(s) passed` : `${failures} failure(s)`);
+    if (failures > 0) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,671 @@
+#!/usr/bin/env node
+/**
+ * Validate Instrument Files
+ *
+ * Lints the item banks in public/data/instruments/ before they ship:
+ * - Schema: required fields, types and allowed values for each instrument type
+ * - Structure: declared groupCount/itemCount, group ids 1..N, sections and anchors that exist
+ * - Scoring safety: duplicate labels/ids (answers are matched by them), one item per
+ *   dimension in every Most/Least group, equal item counts per dimension
+ * - Registry: every version in index.json has a file and is registered in netlify/lib/item-banks.js
+ * - Translations: every locale a version lists has a file covering all of its
+ *   items (and Likert sections and anchors), with no ids the bank doesn't have
+ * - Form pages: each page declares the answer fields of every registered version in
+ *   its static HTML (Netlify Forms drops fields it did not find at deploy time)
+ *
+ * Usage:
+ *   node scripts/validate-instruments.js                # registry and every registered version
+ *   node scripts/validate-instruments.js file.json ...  # specific instrument files
+ *   node scripts/validate-instruments.js --strict       # treat warnings as errors
+ *
+ * Exits with status 1 when any error is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DIMENSIONS } = require('../public/js/scoring-core.js');
+const { getInstrumentUrl, getTranslationUrl } = require('../public/js/instruments.js');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const REGISTRY_FILE = path.join(PUBLIC_DIR, 'data', 'instruments', 'index.json');
+
+// Page that renders and submits each instrument
+const FORM_PAGES = {
+    'disc-most-least': 'assessment.html',
+    'disc-likert': 'disc.html'
+};
+
+const ANCHOR = {
+    type: 'object',
+    required: ['value', 'label'],
+    properties: {
+        value: { type: 'integer' },
+        label: { type: 'string', minLength: 1 }
+    }
+};
+
+const SCHEMAS = {
+    'most-least': {
+        type: 'object',
+        required: ['id', 'version', 'type', 'title', 'groupCount', 'groups'],
+        properties: {
+            id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+            version: { type: 'integer', minimum: 1 },
+            type: { const: 'most-least' },
+            title: { type: 'string', minLength: 1 },
+            groupCount: { type: 'integer', minimum: 1 },
+            randomize: { type: 'boolean' },
+            groups: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['id', 'items'],
+                    properties: {
+                        id: { type: 'integer', minimum: 1 },
+                        items: {
+                            type: 'array',
+                            minItems: 2,
+                            items: {
+                                type: 'object',
+                                required: ['label', 'dim'],
+                                properties: {
+                                    id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+                                    label: { type: 'string', minLength: 1 },
+                                    dim: { enum: DIMENSIONS }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    'likert': {
+        type: 'object',
+        required: ['id', 'version', 'type', 'title', 'itemCount', 'scale', 'anchors', 'items'],
+        properties: {
+            id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+            version: { type: 'integer', minimum: 1 },
+            type: { const: 'likert' },
+            title: { type: 'string', minLength: 1 },
+            itemCount: { type: 'integer', minimum: 1 },
+            scale: {
+                type: 'object',
+                required: ['min', 'max'],
+                properties: {
+                    min: { type: 'integer' },
+                    max: { type: 'integer' }
+                }
+            },
+            highThreshold: { type: 'number' },
+            acquiescenceThreshold: { type: 'number', minimum: 0 },
+            randomize: { type: 'boolean' },
+            anchors: { type: 'array', minItems: 2, items: ANCHOR },
+            sections: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'title'],
+                    properties: {
+                        id: { type: 'string', minLength: 1 },
+                        title: { type: 'string', minLength: 1 }
+                    }
+                }
+            },
+            items: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['id', 'dim', 'text'],
+                    properties: {
+                        // Submitted as form field names; the relay detects Likert forms by q<n>
+                        id: { type: 'string', pattern: '^q\\d+$' },
+                        section: { type: 'string' },
+                        dim: { enum: DIMENSIONS },
+                        text: { type: 'string', minLength: 1 },
+                        reverse: { type: 'boolean' },
+                        anchors: { type: 'array', minItems: 2, items: ANCHOR }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const TRANSLATION_SCHEMA = {
+    type: 'object',
+    required: ['id', 'version', 'locale', 'items'],
+    properties: {
+        id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+        version: { type: 'integer', minimum: 1 },
+        locale: { type: 'string', pattern: '^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$' },
+        // Text keyed by item id, section id and anchor value
+        items: { type: 'object', additionalProperties: { type: 'string' } },
+        sections: { type: 'object', additionalProperties: { type: 'string' } },
+        anchors: { type: 'object', additionalProperties: { type: 'string' } }
+    }
+};
+
+/**
+ * Check a value against a schema (a small subset of JSON Schema keywords).
+ * Unknown properties are reported as warnings so typos like "dimm" don't slip through.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} at - Path of the value, for messages
+ * @param {Array<string>} warnings - Collects warnings
+ * @returns {Array<string>} - Errors
+ */
+function checkSchema(value, schema, at = '', warnings = []) {
+    const errors = [];
+    const where = at || '(root)';
+
+    if ('const' in schema && value !== schema.const) {
+        return [`${where}: must be ${JSON.stringify(schema.const)} (got ${JSON.stringify(value)})`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${where}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`];
+    }
+    if (schema.type && !hasType(value, schema.type)) {
+        return [`${where}: must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`} (got ${JSON.stringify(value)})`];
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) {
+            errors.push(`${where}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where}: must match ${schema.pattern} (got ${JSON.stringify(value)})`);
+        }
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${where}: must be at least ${schema.minimum} (got ${value})`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${where}: needs at least ${schema.minItems} entries (got ${value.length})`);
+        }
+        if (schema.items) {
+            value.forEach((entry, index) => {
+                errors.push(...checkSchema(entry, schema.items, `${at}[${index}]`, warnings));
+            });
+        }
+    } else if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${join(at, key)}: is required`);
+            }
+        });
+        Object.keys(value).forEach(key => {
+            const property = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+            if (!property) {
+                warnings.push(`${join(at, key)}: unknown property`);
+            } else {
+                errors.push(...checkSchema(value[key], property, join(at, key), warnings));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate one instrument definition
+ * @param {Object} instrument - Parsed instrument file
+ * @returns {Object} - {errors: Array<string>, warnings: Array<string>}
+ */
+function validateInstrument(instrument) {
+    if (!instrument || typeof instrument !== 'object' || Array.isArray(instrument)) {
+        return { errors: ['(root): must be an object with id, version, type, ...'], warnings: [] };
+    }
+
+    const schema = SCHEMAS[instrument.type];
+    if (!schema) {
+        return { errors: [`type: must be one of ${Object.keys(SCHEMAS).join(', ')} (got ${JSON.stringify(instrument.type)})`], warnings: [] };
+    }
+
+    const warnings = [];
+    const errors = checkSchema(instrument, schema, '', warnings);
+    // Structural checks assume the schema holds
+    if (errors.length > 0) {
+        return { errors, warnings };
+    }
+
+    const result = instrument.type === 'most-least' ? checkMostLeast(instrument) : checkLikert(instrument);
+    return { errors: result.errors, warnings: warnings.concat(result.warnings) };
+}
+
+/**
+ * Most/Least checks: group numbering, one item per dimension, unique ids and labels
+ */
+function checkMostLeast(instrument) {
+    const errors = [];
+    const warnings = [];
+    const { groups } = instrument;
+
+    if (instrument.groupCount !== groups.length) {
+        errors.push(`groupCount: declares ${instrument.groupCount} groups but the bank has ${groups.length}`);
+    }
+
+    // Progress and validation walk group ids 1..N
+    groups.forEach((group, index) => {
+        if (group.id !== index + 1) {
+            errors.push(`groups[${index}].id: expected ${index + 1} (group ids must run 1..N in order), got ${group.id}`);
+        }
+    });
+
+    // Answers carry item ids: every item needs one (only banks from before ids have none)
+    const items = groups.flatMap(group => group.items);
+    const withIds = items.filter(item => item.id !== undefined).length;
+    if (withIds > 0 && withIds < items.length) {
+        errors.push(`items: ${items.length - withIds} of ${items.length} items have no id; give every item a stable id`);
+    }
+
+    const idsSeen = new Map();
+    const labelsSeen = new Map();
+    groups.forEach((group, index) => {
+        const at = `groups[${index}] (group ${group.id})`;
+
+        const dims = group.items.map(item => item.dim);
+        const missing = DIMENSIONS.filter(dim => !dims.includes(dim));
+        const repeated = DIMENSIONS.filter(dim => dims.filter(d => d === dim).length > 1);
+        if (missing.length || repeated.length) {
+            errors.push(`${at}: needs exactly one item per dimension` +
+                (missing.length ? `; missing ${missing.join(', ')}` : '') +
+                (repeated.length ? `; repeated ${repeated.join(', ')}` : ''));
+        }
+
+        // Older submissions are matched to items by label, so a duplicate makes the second unreachable
+        const labels = new Set();
+        group.items.forEach((item, itemIndex) => {
+            if (item.id !== undefined) {
+                if (idsSeen.has(item.id)) {
+                    errors.push(`${at}.items[${itemIndex}].id: duplicate item id "${item.id}" (also in group ${idsSeen.get(item.id)})`);
+                } else {
+                    idsSeen.set(item.id, group.id);
+                }
+            }
+
+            const key = normalizeText(item.label);
+            if (labels.has(key)) {
+                errors.push(`${at}.items[${itemIndex}].label: duplicate label in this group: "${item.label}"`);
+            }
+            labels.add(key);
+
+            if (labelsSeen.has(key) && labelsSeen.get(key) !== group.id) {
+                warnings.push(`${at}.items[${itemIndex}].label: same statement as group ${labelsSeen.get(key)}: "${item.label}"`);
+            } else {
+                labelsSeen.set(key, group.id);
+            }
+        });
+    });
+
+    errors.push(...checkBalance(items));
+    return { errors, warnings };
+}
+
+/**
+ * Likert checks: unique ids/texts, sections, anchors covering the scale, keying balance
+ */
+function checkLikert(instrument) {
+    const errors = [];
+    const warnings = [];
+    const { items, scale } = instrument;
+
+    if (instrument.itemCount !== items.length) {
+        errors.push(`itemCount: declares ${instrument.itemCount} items but the bank has ${items.length}`);
+    }
+
+    if (scale.min >= scale.max) {
+        errors.push(`scale: min (${scale.min}) must be below max (${scale.max})`);
+    }
+    if (instrument.highThreshold !== undefined &&
+        (instrument.highThreshold < scale.min || instrument.highThreshold > scale.max)) {
+        errors.push(`highThreshold: ${instrument.highThreshold} is outside the scale ${scale.min}..${scale.max}`);
+    }
+
+    errors.push(...checkAnchors(instrument.anchors, scale, 'anchors'));
+
+    const sectionIds = new Set((instrument.sections || []).map(section => section.id));
+    const ids = new Set();
+    const texts = new Map();
+
+    items.forEach((item, index) => {
+        const at = `items[${index}] (${item.id})`;
+
+        if (ids.has(item.id)) {
+            errors.push(`${at}.id: duplicate item id "${item.id}"`);
+        }
+        ids.add(item.id);
+
+        const text = normalizeText(item.text);
+        if (texts.has(text)) {
+            warnings.push(`${at}.text: same statement as ${texts.get(text)}: "${item.text}"`);
+        } else {
+            texts.set(text, item.id);
+        }
+
+        if (item.section !== undefined && !sectionIds.has(item.section)) {
+            errors.push(`${at}.section: unknown section "${item.section}"`);
+        }
+        if (item.anchors) {
+            errors.push(...checkAnchors(item.anchors, scale, `${at}.anchors`));
+        }
+    });
+
+    errors.push(...checkBalance(items));
+
+    // Acquiescence correction is only unbiased when every dimension has reverse-keyed items
+    const reversed = DIMENSIONS.filter(dim => items.some(item => item.dim === dim && item.reverse));
+    if (reversed.length > 0 && reversed.length < DIMENSIONS.length) {
+        warnings.push(`items: reverse-keyed items only for ${reversed.join(', ')} - add at least one for ` +
+            DIMENSIONS.filter(dim => !reversed.includes(dim)).join(', '));
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Every dimension needs the same number of items, or totals favour the larger ones
+ */
+function checkBalance(items) {
+    const counts = {};
+    DIMENSIONS.forEach(dim => {
+        counts[dim] = items.filter(item => item.dim === dim).length;
+    });
+
+    const values = Object.values(counts);
+    if (Math.min(...values) === Math.max(...values)) {
+        return [];
+    }
+    return [`dimension balance: items per dimension differ (${DIMENSIONS.map(dim => `${dim}=${counts[dim]}`).join(', ')})`];
+}
+
+function checkAnchors(anchors, scale, at) {
+    const values = anchors.map(anchor => anchor.value).sort((a, b) => a - b);
+    const expected = [];
+    for (let value = scale.min; value <= scale.max; value++) {
+        expected.push(value);
+    }
+    return values.join(',') === expected.join(',')
+        ? []
+        : [`${at}: values must be exactly ${scale.min}..${scale.max} (got ${values.join(', ')})`];
+}
+
+/**
+ * Validate a translation against the item bank it translates. Text is matched
+ * by id, so every id must be covered and none may be unknown.
+ * @param {Object} translation - Parsed translation file
+ * @param {Object} instrument - Source item bank
+ * @returns {Object} - {errors: Array<string>, warnings: Array<string>}
+ */
+function validateTranslation(translation, instrument) {
+    const warnings = [];
+    const errors = checkSchema(translation, TRANSLATION_SCHEMA, '', warnings);
+    if (errors.length > 0) {
+        return { errors, warnings };
+    }
+
+    if (translation.id !== instrument.id || translation.version !== instrument.version) {
+        errors.push(`id/version: translates ${translation.id}@${translation.version} but the bank is ${instrument.id}@${instrument.version}`);
+    }
+
+    const mostLeast = instrument.type === 'most-least';
+    const items = mostLeast ? instrument.groups.flatMap(group => group.items) : instrument.items;
+    if (mostLeast && items.some(item => item.id === undefined)) {
+        errors.push(`items: ${instrument.id}@${instrument.version} has no item ids, so it cannot be translated`);
+        return { errors, warnings };
+    }
+
+    errors.push(...checkCoverage(translation.items, items.map(item => item.id), 'items'));
+
+    if (!mostLeast) {
+        const sectionIds = (instrument.sections || []).map(section => section.id);
+        const anchorValues = new Set(instrument.anchors.map(anchor => String(anchor.value)));
+        items.forEach(item => (item.anchors || []).forEach(anchor => anchorValues.add(String(anchor.value))));
+
+        errors.push(...checkCoverage(translation.sections || {}, sectionIds, 'sections'));
+        errors.push(...checkCoverage(translation.anchors || {}, Array.from(anchorValues), 'anchors'));
+    } else if (translation.sections || translation.anchors) {
+        warnings.push('sections/anchors: Most/Least banks have no sections or anchors to translate');
+    }
+
+    return { errors, warnings };
+}
+
+function checkCoverage(texts, ids, at) {
+    const errors = [];
+    const missing = ids.filter(id => typeof texts[id] !== 'string' || !texts[id].trim());
+    const unknown = Object.keys(texts).filter(id => !ids.includes(id));
+
+    if (missing.length) {
+        errors.push(`${at}: no translation for ${missing.join(', ')}`);
+    }
+    if (unknown.length) {
+        errors.push(`${at}: unknown ${unknown.join(', ')} (not in the item bank)`);
+    }
+    return errors;
+}
+
+/**
+ * Check the registry against the files on disk and the function bundle
+ * @returns {Object} - {errors, warnings, files: [{label, file}], translations: [{label, file, source}]}
+ */
+function validateRegistry() {
+    const errors = [];
+    const files = [];
+    const translations = [];
+
+    let registry;
+    try {
+        registry = readJson(REGISTRY_FILE);
+    } catch (error) {
+        return { errors: [`index.json: ${error.message}`], warnings: [], files, translations };
+    }
+
+    // Lazily required: item-banks.js itself fails to load when a registered file is missing
+    let bundled = [];
+    try {
+        bundled = require('../netlify/lib/item-banks').listItemBanks().map(bank => `${bank.id}@${bank.version}`);
+    } catch (error) {
+        errors.push(`netlify/lib/item-banks.js: ${error.message.split('\n')[0]}`);
+    }
+
+    Object.entries(registry.instruments || {}).forEach(([id, entry]) => {
+        const versions = (entry.versions || []).map(v => v.version);
+        const sourceLocale = entry.locale || 'en';
+        if (!versions.includes(entry.current)) {
+            errors.push(`index.json: ${id} current version ${entry.current} is not listed in versions`);
+        }
+
+        versions.forEach(version => {
+            const label = `${id}@${version}`;
+            const file = path.join(PUBLIC_DIR, getInstrumentUrl(id, version));
+            if (!fs.existsSync(file)) {
+                errors.push(`index.json: ${label} has no file ${path.relative(process.cwd(), file)}`);
+                return;
+            }
+            files.push({ label, file, id, version });
+            if (bundled.length && !bundled.includes(label)) {
+                errors.push(`netlify/lib/item-banks.js: ${label} is not registered, so the relay cannot re-score it`);
+            }
+
+            const locales = (entry.versions.find(v => v.version === version).locales || []);
+            if (locales.length && !locales.includes(sourceLocale)) {
+                errors.push(`index.json: ${label} locales must include the source locale "${sourceLocale}"`);
+            }
+            locales.filter(locale => locale !== sourceLocale).forEach(locale => {
+                const translationFile = path.join(PUBLIC_DIR, getTranslationUrl(id, version, locale));
+                if (!fs.existsSync(translationFile)) {
+                    errors.push(`index.json: ${label} lists locale "${locale}" but has no file ${path.relative(process.cwd(), translationFile)}`);
+                    return;
+                }
+                translations.push({ label: `${label} (${locale})`, file: translationFile, source: file, locale });
+            });
+        });
+    });
+
+    return { errors, warnings: [], files, translations };
+}
+
+/**
+ * Check that each form page declares the answer fields of every registered version
+ * @param {Array<Object>} files - Registered item banks ({id, file}) from validateRegistry
+ * @returns {Array<Object>} - One report ({name, errors, warnings}) per form page
+ */
+function validateFormPages(files) {
+    return Object.entries(FORM_PAGES).map(([id, page]) => {
+        const file = path.join(PUBLIC_DIR, page);
+        const report = { name: path.relative(process.cwd(), file), errors: [], warnings: [] };
+
+        let declared;
+        try {
+            declared = new Set(Array.from(fs.readFileSync(file, 'utf8').matchAll(/\sname="([^"]+)"/g), match => match[1]));
+        } catch (error) {
+            report.errors.push(error.message);
+            return report;
+        }
+
+        const fields = new Set();
+        files.filter(entry => entry.id === id).forEach(entry => {
+            try {
+                getAnswerFields(readJson(entry.file)).forEach(field => fields.add(field));
+            } catch (error) {
+                // Reported with the item bank itself
+            }
+        });
+
+        const missing = Array.from(fields).filter(field => !declared.has(field));
+        if (missing.length) {
+            report.errors.push(`answer fields not declared in the HTML, so Netlify Forms drops them: ${missing.join(', ')}`);
+        }
+        return report;
+    });
+}
+
+function getAnswerFields(instrument) {
+    return instrument.type === 'most-least'
+        ? (instrument.groups || []).flatMap(group => [`g${group.id}_most`, `g${group.id}_least`])
+        : (instrument.items || []).map(item => item.id);
+}
+
+/**
+ * Validate a file, including that its id/version match the registry entry it was found under
+ */
+function validateFile(file, expected = null) {
+    let instrument;
+    try {
+        instrument = readJson(file);
+    } catch (error) {
+        return { errors: [error.message], warnings: [] };
+    }
+
+    const result = validateInstrument(instrument);
+    if (expected && (instrument.id !== expected.id || instrument.version !== expected.version)) {
+        result.errors.unshift(`id/version: file declares ${instrument.id}@${instrument.version} but is registered as ${expected.label}`);
+    }
+    return { ...result, instrument };
+}
+
+/**
+ * Validate a registered translation file against its source bank and registry locale
+ */
+function validateTranslationFile(entry) {
+    let translation;
+    let instrument;
+    try {
+        translation = readJson(entry.file);
+        instrument = readJson(entry.source);
+    } catch (error) {
+        return { errors: [error.message], warnings: [] };
+    }
+
+    const result = validateTranslation(translation, instrument);
+    if (translation.locale !== entry.locale) {
+        result.errors.unshift(`locale: file declares "${translation.locale}" but is registered as "${entry.locale}"`);
+    }
+    return { ...result, instrument: { id: instrument.id, version: `${instrument.version} ${entry.locale}` } };
+}
+
+function readJson(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`invalid JSON: ${error.message}`);
+    }
+}
+
+function hasType(value, type) {
+    switch (type) {
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && !isNaN(value);
+        default: return typeof value === type;
+    }
+}
+
+function normalizeText(text) {
+    return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function join(at, key) {
+    return at ? `${at}.${key}` : key;
+}
+
+function main(args) {
+    const strict = args.includes('--strict');
+    const paths = args.filter(arg => !arg.startsWith('--'));
+
+    const reports = [];
+    if (paths.length === 0) {
+        const registry = validateRegistry();
+        reports.push({ name: 'index.json', errors: registry.errors, warnings: registry.warnings });
+        registry.files.forEach(entry => {
+            reports.push({ name: path.relative(process.cwd(), entry.file), ...validateFile(entry.file, entry) });
+        });
+        registry.translations.forEach(entry => {
+            reports.push({ name: path.relative(process.cwd(), entry.file), ...validateTranslationFile(entry) });
+        });
+        reports.push(...validateFormPages(registry.files));
+    } else {
+        paths.forEach(file => {
+            reports.push({ name: file, ...validateFile(file) });
+        });
+    }
+
+    let errorCount = 0;
+    let warningCount = 0;
+    reports.forEach(report => {
+        const failed = report.errors.length > 0 || (strict && report.warnings.length > 0);
+        const summary = report.instrument
+            ? ` (${report.instrument.id}@${report.instrument.version})`
+            : '';
+        console.log(`${failed ? '✗' : '✓'} ${report.name}${summary}`);
+        report.errors.forEach(message => console.log(`    error: ${message}`));
+        report.warnings.forEach(message => console.log(`    warning: ${message}`));
+        errorCount += report.errors.length;
+        warningCount += report.warnings.length;
+    });
+
+    console.log(`\n${errorCount} error(s), ${warningCount} warning(s)`);
+    if (errorCount > 0 || (strict && warningCount > 0)) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {
+    SCHEMAS,
+    checkSchema,
+    validateInstrument,
+    validateTranslation,
+    validateRegistry,
+    validateFormPages
+};